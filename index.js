@@ -5,27 +5,72 @@ import ndviRoute from "./src/routes/ndvi.js";
 import locationRoute from "./src/routes/location.js";
 import suggestionsRoute from "./src/routes/suggestions.js";
 import weatherRoute from "./src/routes/weather.js";
+import scenesRoute from "./src/routes/scenes.js";
+import irrigationRoute from "./src/routes/irrigation.js";
+import phenologyRoute from "./src/routes/phenology.js";
+import adminRoute from "./src/routes/admin.js";
+import yieldRoute from "./src/routes/yield.js";
+import fieldsRoute from "./src/routes/fields.js";
+import accountRoute from "./src/routes/account.js";
+import alertsRoute from "./src/routes/alerts.js";
+import soilRoute from "./src/routes/soil.js";
+import { authenticate, redactAccessToken } from "./src/middleware/auth.js";
+import { startAlertScheduler } from "./src/services/alertService.js";
+import { startJobWorkers } from "./src/services/jobs/jobWorker.js";
 import admin from "firebase-admin";
 import fs from "fs";
 
 const app = express();
 const PORT = process.env.PORT || 4000;
 
-const serviceAccount = JSON.parse(fs.readFileSync("serviceAccountKey.json", "utf8"));
+const serviceAccountPath = process.env.FIREBASE_SERVICE_ACCOUNT || "serviceAccountKey.json";
 
-admin.initializeApp({
-  credential: admin.credential.cert(serviceAccount),
-  storageBucket: "agro-ndvi.firebasestorage.app", 
-});
+// Firebase is optional so the API can run against local or S3 raster storage
+if (fs.existsSync(serviceAccountPath)) {
+  const serviceAccount = JSON.parse(fs.readFileSync(serviceAccountPath, "utf8"));
+
+  admin.initializeApp({
+    credential: admin.credential.cert(serviceAccount),
+    storageBucket: process.env.FIREBASE_STORAGE_BUCKET || "agro-ndvi.firebasestorage.app",
+  });
+} else {
+  console.warn(`⚠️  ${serviceAccountPath} not found, Firebase services are disabled`);
+}
 
 app.use(cors());
+// Tile and preview URLs can carry the access token, which must not be logged
+morgan.token("url", req => redactAccessToken(req.originalUrl || req.url));
 app.use(morgan("dev"));
 app.use(express.json());
 
+// The admin API also accepts the admin key, so it checks credentials itself
+app.use("/api/admin", adminRoute);
+app.use("/api", authenticate);
+
+app.use("/api/account", accountRoute);
 app.use("/api/ndvi", ndviRoute);
 app.use("/api/location", locationRoute);
+app.use("/api/fields", fieldsRoute);
 app.use("/api/suggestions", suggestionsRoute);
 app.use("/api/weather", weatherRoute);
+app.use("/api/scenes", scenesRoute);
+app.use("/api/irrigation", irrigationRoute);
+app.use("/api/phenology", phenologyRoute);
+app.use("/api/yield", yieldRoute);
+app.use("/api/alerts", alertsRoute);
+app.use("/api/soil", soilRoute);
+
+// Alert subscriptions are checked hourly by default; 0 turns the evaluator off
+const alertInterval = parseFloat(process.env.ALERT_CHECK_INTERVAL_MINUTES ?? "60");
+if (alertInterval > 0) {
+  startAlertScheduler(alertInterval);
+}
+
+// Background NDVI jobs run in this process; 0 leaves them to another instance
+const jobConcurrency = parseInt(process.env.NDVI_JOB_CONCURRENCY ?? "1");
+if (jobConcurrency > 0) {
+  startJobWorkers({ concurrency: jobConcurrency });
+}
 
 app.listen(PORT, () => {
   console.log(`✅ NDVI API running at http://localhost:${PORT}`);
@@ -0,0 +1,22 @@
+/**
+ * Print a token for AUTH_PROVIDER=local, for trying the API without Firebase.
+ *
+ * Usage: AUTH_JWT_SECRET=... node scripts/createLocalToken.js <userId> [role] [organizationId]
+ */
+
+import { signLocalToken } from "../src/services/auth/localJwt.js";
+
+const [sub, role, organizationId] = process.argv.slice(2);
+const secret = process.env.AUTH_JWT_SECRET;
+
+if (!sub || !secret) {
+  console.error("Usage: AUTH_JWT_SECRET=... node scripts/createLocalToken.js <userId> [role] [organizationId]");
+  process.exit(1);
+}
+
+const claims = { sub, role, organizationId };
+if (process.env.AUTH_JWT_ISSUER) {
+  claims.iss = process.env.AUTH_JWT_ISSUER;
+}
+
+console.log(signLocalToken(claims, secret, { expiresIn: 24 * 3600 }));
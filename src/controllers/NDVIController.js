@@ -1,93 +1,590 @@
-import { calculateNdvi } from "../services/GeoTIFFService.js";
-import { validateCoordinates, generateBoundingBox } from "../utils/coordinateUtils.js";
+import { calculateNdvi, calculateZonalNdvi, NDVI_SOURCES } from "../services/GeoTIFFService.js";
+import { renderNdviTile, renderNdviPreview, renderChangePreview, parseColorStyle } from "../services/ndviTileService.js";
+import { detectNdviChange, CHANGE_CLASSES } from "../services/changeDetectionService.js";
+import { getIndexDefinition, resolveIndexParams } from "../services/vegetationIndices.js";
+import { parseMaskClasses } from "../services/qualityMask.js";
+import { recordObservation, getMonthlyHistory } from "../services/ndviHistoryStore.js";
+import { getPhenometrics, getFittedMonthlySeries, CURVE_METHODS } from "../services/phenometricsService.js";
+import { submitNdviJob, getNdviJob, listNdviJobs } from "../services/ndviJobService.js";
+import { getCacheTtl } from "../services/cache/resultCache.js";
+import { validateCoordinates, generateBoundingBox, normalizePolygonFeatures } from "../utils/coordinateUtils.js";
+import { setCacheHeaders } from "../utils/httpCache.js";
 
 export async function getNdviData(req, res) {
   try {
     const { latitude, longitude, area } = req.query;
-    
-    // If coordinates provided, validate them
-    if (latitude && longitude) {
-      if (!validateCoordinates(parseFloat(latitude), parseFloat(longitude))) {
-        return res.status(400).json({ error: "Invalid coordinates provided" });
-      }
+
+    const options = parseNdviRequest(req.query);
+    if (options.error) {
+      return res.status(400).json({ error: options.error, details: options.details });
     }
 
-    const ndviResult = await calculateNdvi();
+    const ndviResult = await calculateNdvi(options);
     
     // Enhanced response with chart-ready data
     const enhancedResponse = {
       ...ndviResult,
-      chartData: generateChartData(ndviResult.meanNdvi),
+      chartData: await generateChartData(
+        ndviResult.meanValue,
+        latitude && longitude ? { latitude: parseFloat(latitude), longitude: parseFloat(longitude) } : null,
+        ndviResult.index,
+        ndviResult.scene,
+        req.user
+      ),
       areaInfo: area ? { selectedArea: area } : null,
       coordinates: latitude && longitude ? {
         latitude: parseFloat(latitude),
         longitude: parseFloat(longitude),
-        boundingBox: generateBoundingBox(parseFloat(latitude), parseFloat(longitude))
+        boundingBox: generateBoundingBox(parseFloat(latitude), parseFloat(longitude), options.radiusKm)
       } : null,
       timestamp: new Date().toISOString()
     };
 
+    setCacheHeaders(res, { maxAge: getCacheTtl("http"), etag: { ...enhancedResponse, timestamp: undefined } });
     res.json(enhancedResponse);
   } catch (err) {
     console.error('NDVI computation error:', err);
-    res.status(500).json({ error: "NDVI computation failed", details: err.message });
+    res.status(err.status || 500).json({ error: "NDVI computation failed", details: err.message });
+  }
+}
+
+/**
+ * Get NDVI zonal statistics for GeoJSON field boundaries
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function getZonalNdvi(req, res) {
+  try {
+    const options = parseZonalRequest(req.body, req.query);
+    if (options.error) {
+      return res.status(400).json({ error: options.error, details: options.details });
+    }
+
+    const { scene, results } = await calculateZonalNdvi(options.features, options);
+
+    res.json({
+      features: results,
+      featureCount: results.length,
+      scene,
+      timestamp: new Date().toISOString()
+    });
+  } catch (err) {
+    console.error('Zonal NDVI computation error:', err);
+    res.status(err.status || 500).json({ error: "Zonal NDVI computation failed", details: err.message });
+  }
+}
+
+/**
+ * Get a color-mapped NDVI XYZ map tile
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function getNdviTile(req, res) {
+  try {
+    const z = parseInt(req.params.z);
+    const x = parseInt(req.params.x);
+    const y = parseInt(req.params.y);
+
+    if ([z, x, y].some(isNaN) || z < 0 || z > 22 || x < 0 || y < 0 || x >= 2 ** z || y >= 2 ** z) {
+      return res.status(400).json({ error: "Invalid tile coordinates" });
+    }
+
+    let style;
+    try {
+      style = parseColorStyle(req.query);
+    } catch (validationError) {
+      return res.status(400).json({ error: "Invalid color style", details: validationError.message });
+    }
+
+    const source = parseSceneSource(req.query);
+    if (source.error) {
+      return res.status(400).json({ error: source.error });
+    }
+
+    const png = await renderNdviTile(z, x, y, style, source);
+
+    setCacheHeaders(res, { maxAge: getCacheTtl("http") });
+    res.type("png").send(png);
+  } catch (err) {
+    console.error('NDVI tile rendering error:', err);
+    res.status(err.status || 500).json({ error: "NDVI tile rendering failed", details: err.message });
+  }
+}
+
+/**
+ * Get a color-mapped NDVI PNG preview for a bounding box
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function getNdviPreview(req, res) {
+  try {
+    const { bbox, width = 512 } = req.query;
+
+    if (!bbox) {
+      return res.status(400).json({ error: "bbox is required as west,south,east,north" });
+    }
+
+    const [west, south, east, north] = String(bbox).split(',').map(parseFloat);
+    if (!validateCoordinates(south, west) || !validateCoordinates(north, east) || west >= east || south >= north) {
+      return res.status(400).json({ error: "Invalid bbox, expected west,south,east,north in degrees" });
+    }
+
+    const outputWidth = parseInt(width);
+    if (isNaN(outputWidth) || outputWidth <= 0) {
+      return res.status(400).json({ error: "width must be a positive integer" });
+    }
+
+    let style;
+    try {
+      style = parseColorStyle(req.query);
+    } catch (validationError) {
+      return res.status(400).json({ error: "Invalid color style", details: validationError.message });
+    }
+
+    const source = parseSceneSource(req.query);
+    if (source.error) {
+      return res.status(400).json({ error: source.error });
+    }
+
+    const preview = await renderNdviPreview({ north, south, east, west }, outputWidth, style, source);
+
+    setCacheHeaders(res, { maxAge: getCacheTtl("http") });
+    res.type("png").send(preview.png);
+  } catch (err) {
+    console.error('NDVI preview rendering error:', err);
+    res.status(err.status || 500).json({ error: "NDVI preview rendering failed", details: err.message });
+  }
+}
+
+/**
+ * Get NDVI change between two dates: hectares of significant gain and loss
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function getNdviChange(req, res) {
+  try {
+    const options = parseChangeRequest(req.query);
+    if (options.error) {
+      return res.status(400).json({ error: options.error, details: options.details });
+    }
+
+    const { classes, difference, width, height, ...change } = await detectNdviChange(options);
+
+    setCacheHeaders(res, { maxAge: getCacheTtl("http"), etag: change });
+    res.json({
+      ...change,
+      raster: { width, height, classes: CHANGE_CLASSES },
+      coordinates: { latitude: options.latitude, longitude: options.longitude },
+      timestamp: new Date().toISOString()
+    });
+  } catch (err) {
+    console.error('NDVI change detection error:', err);
+    res.status(err.status || 500).json({ error: "NDVI change detection failed", details: err.message });
+  }
+}
+
+/**
+ * Get the classified NDVI change raster between two dates as a PNG
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function getNdviChangePreview(req, res) {
+  try {
+    const options = parseChangeRequest(req.query);
+    if (options.error) {
+      return res.status(400).json({ error: options.error, details: options.details });
+    }
+
+    const preview = renderChangePreview(await detectNdviChange(options));
+
+    setCacheHeaders(res, { maxAge: getCacheTtl("http") });
+    res.type("png").send(preview.png);
+  } catch (err) {
+    console.error('NDVI change preview error:', err);
+    res.status(err.status || 500).json({ error: "NDVI change preview failed", details: err.message });
   }
 }
 
 /**
- * Generate chart-ready data for NDVI trends
+ * Get the seasonal NDVI curve fitted to a location's stored observations
+ * with the start, peak and end of the season
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function getNdviPhenometrics(req, res) {
+  try {
+    const options = parsePhenometricsRequest(req.query);
+    if (options.error) {
+      return res.status(400).json({ error: options.error, details: options.details });
+    }
+
+    const result = await getPhenometrics({ ...options, user: req.user });
+
+    res.json({
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (err) {
+    console.error('NDVI phenometrics error:', err);
+    res.status(err.status || 500).json({ error: "NDVI phenometrics failed", details: err.message });
+  }
+}
+
+/**
+ * Queue an NDVI or zonal NDVI computation as a background job
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function createNdviJob(req, res) {
+  try {
+    const { type = "ndvi", geojson, ...query } = req.body || {};
+
+    let params;
+    if (type === "zonal") {
+      const options = parseZonalRequest(geojson, query);
+      if (options.error) {
+        return res.status(400).json({ error: options.error, details: options.details });
+      }
+      params = { ...options, date: options.date?.toISOString() };
+    } else if (type === "ndvi") {
+      const options = parseNdviRequest(query);
+      if (options.error) {
+        return res.status(400).json({ error: options.error, details: options.details });
+      }
+      params = { ...options, date: options.date?.toISOString() };
+    } else {
+      return res.status(400).json({ error: "type must be ndvi or zonal" });
+    }
+
+    const job = await submitNdviJob(type, params, { user: req.user });
+
+    res.status(202).location(`/api/ndvi/jobs/${job.id}`).json({
+      job,
+      statusUrl: `/api/ndvi/jobs/${job.id}`,
+      timestamp: new Date().toISOString()
+    });
+  } catch (err) {
+    console.error('NDVI job submission error:', err);
+    res.status(err.status || 500).json({ error: "NDVI job submission failed", details: err.message });
+  }
+}
+
+/**
+ * Get the status, progress and result of an NDVI job
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function getNdviJobStatus(req, res) {
+  try {
+    const job = await getNdviJob(req.params.id, { user: req.user });
+
+    res.json({
+      job,
+      timestamp: new Date().toISOString()
+    });
+  } catch (err) {
+    console.error('NDVI job status error:', err);
+    res.status(err.status || 500).json({ error: "Failed to fetch NDVI job", details: err.message });
+  }
+}
+
+/**
+ * List recent NDVI jobs, optionally by status
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function getNdviJobs(req, res) {
+  try {
+    const { status, limit = 50 } = req.query;
+
+    const maxJobs = parseInt(limit);
+    if (isNaN(maxJobs) || maxJobs < 1 || maxJobs > 500) {
+      return res.status(400).json({ error: "limit must be an integer between 1 and 500" });
+    }
+
+    const jobs = await listNdviJobs({ status, limit: maxJobs, user: req.user });
+
+    res.json({
+      jobs,
+      count: jobs.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (err) {
+    console.error('NDVI job list error:', err);
+    res.status(err.status || 500).json({ error: "Failed to list NDVI jobs", details: err.message });
+  }
+}
+
+/**
+ * Parse and validate the change detection query parameters
+ * @param {Object} query - Request query
+ * @returns {Object} - Options for detectNdviChange() or { error, details }
+ */
+function parseChangeRequest(query) {
+  const latitude = parseFloat(query.lat ?? query.latitude);
+  const longitude = parseFloat(query.lon ?? query.longitude);
+  if (!validateCoordinates(latitude, longitude)) {
+    return { error: "Invalid coordinates provided" };
+  }
+
+  const radiusKm = parseFloat(query.radius ?? 1);
+  if (isNaN(radiusKm) || radiusKm <= 0) {
+    return { error: "radius must be a positive number of kilometers" };
+  }
+
+  const threshold = parseFloat(query.threshold ?? 0.1);
+  if (isNaN(threshold) || threshold <= 0 || threshold > 2) {
+    return { error: "threshold must be a number between 0 and 2" };
+  }
+
+  const options = { latitude, longitude, radiusKm, threshold };
+  for (const [param, sceneParam] of [["from", "fromSceneId"], ["to", "toSceneId"]]) {
+    if (query[sceneParam]) {
+      options[sceneParam] = query[sceneParam];
+    } else if (!query[param]) {
+      return { error: `${param} date or ${sceneParam} is required` };
+    } else {
+      options[param] = new Date(query[param]);
+      if (isNaN(options[param].getTime())) {
+        return { error: `${param} must be a valid ISO date` };
+      }
+    }
+  }
+
+  try {
+    options.mask = parseMaskClasses(query.mask);
+  } catch (validationError) {
+    return { error: "Invalid mask requested", details: validationError.message };
+  }
+  return options;
+}
+
+/**
+ * Parse and validate the phenometrics query parameters
+ * @param {Object} query - Request query
+ * @returns {Object} - Options for getPhenometrics() or { error, details }
+ */
+function parsePhenometricsRequest(query) {
+  const { fieldId } = query;
+  const latitude = parseFloat(query.lat ?? query.latitude);
+  const longitude = parseFloat(query.lon ?? query.longitude);
+  if (!fieldId && !validateCoordinates(latitude, longitude)) {
+    return { error: "Valid lat and lon are required unless fieldId refers to a registered field" };
+  }
+
+  const { method = 'savitzky-golay' } = query;
+  if (!CURVE_METHODS.includes(method)) {
+    return { error: `method must be one of ${CURVE_METHODS.join(', ')}` };
+  }
+
+  const threshold = parseFloat(query.threshold ?? 0.2);
+  if (isNaN(threshold) || threshold <= 0 || threshold >= 1) {
+    return { error: "threshold must be a number between 0 and 1" };
+  }
+
+  const options = fieldId ? { fieldId, method, threshold } : { latitude, longitude, method, threshold };
+  for (const param of ["from", "to"]) {
+    if (query[param]) {
+      options[param] = new Date(query[param]);
+      if (isNaN(options[param].getTime())) {
+        return { error: `${param} must be a valid ISO date` };
+      }
+    }
+  }
+  if (options.from && options.to && options.from >= options.to) {
+    return { error: "from must be before to" };
+  }
+  return options;
+}
+
+/**
+ * Parse and validate the index query parameters of GET /api/ndvi
+ * @param {Object} query - Request query (or job body with the same names)
+ * @returns {Object} - Options for calculateNdvi() or { error, details }
+ */
+function parseNdviRequest(query) {
+  const { latitude, longitude, radius = 1, index = 'ndvi', source = 'storage' } = query;
+
+  // If coordinates provided, validate them
+  if (latitude && longitude) {
+    if (!validateCoordinates(parseFloat(latitude), parseFloat(longitude))) {
+      return { error: "Invalid coordinates provided" };
+    }
+  }
+
+  if (!NDVI_SOURCES.includes(source)) {
+    return { error: `source must be one of ${NDVI_SOURCES.join(', ')}` };
+  }
+  if (source === 'satellite') {
+    if (!(latitude && longitude)) {
+      return { error: "latitude and longitude are required for source=satellite" };
+    }
+    if (query.sceneId) {
+      return { error: "sceneId refers to the scene catalog and cannot be combined with source=satellite" };
+    }
+  }
+
+  const radiusKm = parseFloat(radius);
+  if (isNaN(radiusKm) || radiusKm <= 0) {
+    return { error: "radius must be a positive number of kilometers" };
+  }
+
+  let indexDefinition, indexParams;
+  try {
+    indexDefinition = getIndexDefinition(index);
+    indexParams = resolveIndexParams(indexDefinition, query);
+  } catch (validationError) {
+    return { error: "Invalid index requested", details: validationError.message };
+  }
+
+  let maskClasses;
+  try {
+    maskClasses = parseMaskClasses(query.mask, indexDefinition.defaultMask);
+  } catch (validationError) {
+    return { error: "Invalid mask requested", details: validationError.message };
+  }
+
+  const selection = parseSceneSource(query);
+  if (selection.error) {
+    return { error: selection.error };
+  }
+
+  return {
+    ...(latitude && longitude ? {
+      latitude: parseFloat(latitude),
+      longitude: parseFloat(longitude),
+      radiusKm
+    } : {}),
+    index: indexDefinition.key,
+    params: indexParams,
+    date: selection.date,
+    sceneId: selection.sceneId,
+    mask: maskClasses,
+    source
+  };
+}
+
+/**
+ * Parse and validate the GeoJSON and query parameters of POST /api/ndvi/zonal
+ * @param {Object} geojson - Field boundaries
+ * @param {Object} query - Request query ({ date, sceneId, mask })
+ * @returns {Object} - { features, date, sceneId, mask } or { error, details }
+ */
+function parseZonalRequest(geojson, query) {
+  let features;
+  try {
+    features = normalizePolygonFeatures(geojson);
+  } catch (validationError) {
+    return { error: "Invalid GeoJSON provided", details: validationError.message };
+  }
+
+  const source = parseSceneSource(query);
+  if (source.error) {
+    return { error: source.error };
+  }
+
+  let maskClasses;
+  try {
+    maskClasses = parseMaskClasses(query.mask);
+  } catch (validationError) {
+    return { error: "Invalid mask requested", details: validationError.message };
+  }
+
+  return { features, ...source, mask: maskClasses };
+}
+
+/**
+ * Parse the scene selection query parameters shared by the NDVI routes
+ * @param {Object} query - Request query ({ date, sceneId })
+ * @returns {Object} - { date, sceneId } or { error } when the date is invalid
+ */
+function parseSceneSource({ date, sceneId }) {
+  const source = { sceneId: sceneId || undefined };
+  if (date) {
+    source.date = new Date(date);
+    if (isNaN(source.date.getTime())) {
+      return { error: "date must be a valid ISO date" };
+    }
+  }
+  return source;
+}
+
+/**
+ * Generate chart-ready data for NDVI trends from the stored history
  * @param {number} currentNdvi - Current NDVI value
+ * @param {Object|null} location - { latitude, longitude } the value was computed for
+ * @param {string} index - Index key the value belongs to
+ * @param {Object|null} scene - Catalog scene the value was computed from
+ * @param {Object|null} user - User the history belongs to
  * @returns {Object} - Chart data structure
  */
-function generateChartData(currentNdvi) {
-  const currentDate = new Date();
+async function generateChartData(currentNdvi, location, index, scene, user) {
   const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 
                   'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-  
-  // Generate mock historical data for the past 12 months
-  const historicalData = [];
-  const currentMonth = currentDate.getMonth();
-  
-  for (let i = 11; i >= 0; i--) {
-    const monthIndex = (currentMonth - i + 12) % 12;
-    const monthName = months[monthIndex];
-    
-    // Generate realistic NDVI values based on season
-    let ndviValue;
-    if (monthIndex >= 5 && monthIndex <= 9) { // Monsoon and post-monsoon
-      ndviValue = (Math.random() * 0.3 + 0.4).toFixed(3); // 0.4-0.7 range
-    } else { // Winter and summer
-      ndviValue = (Math.random() * 0.2 + 0.2).toFixed(3); // 0.2-0.4 range
+  const currentValue = currentNdvi !== null ? parseFloat(currentNdvi) : null;
+
+  // Without a location there is no history to draw from, only the current value
+  let historicalData = [];
+  let fittedData = null;
+  if (location) {
+    if (currentValue !== null) {
+      await recordObservation({
+        ...location,
+        index,
+        value: currentValue,
+        observedAt: scene ? scene.acquiredAt : undefined,
+        source: scene ? `scene:${scene.id}` : 'storage',
+        user
+      });
     }
-    
-    historicalData.push({
-      month: monthName,
-      ndvi: parseFloat(ndviValue),
-      year: monthIndex > currentMonth ? currentDate.getFullYear() - 1 : currentDate.getFullYear()
-    });
+    const historyOptions = { index, endDate: scene ? new Date(scene.acquiredAt) : new Date(), user };
+    historicalData = await getMonthlyHistory(location.latitude, location.longitude, historyOptions);
+    fittedData = await getFittedMonthlySeries(location.latitude, location.longitude, historyOptions);
+  } else {
+    const now = new Date();
+    historicalData = [{ year: now.getUTCFullYear(), month: now.getUTCMonth(), ndvi: currentValue }];
   }
-  
-  // Add current month with actual NDVI value
+
+  // Current month shows the value just computed rather than the month average
   historicalData[historicalData.length - 1] = {
-    month: months[currentMonth],
-    ndvi: parseFloat(currentNdvi),
-    year: currentDate.getFullYear(),
+    ...historicalData[historicalData.length - 1],
+    ndvi: currentValue,
     isCurrent: true
   };
 
+  const observed = historicalData.filter(d => d.ndvi !== null);
+  let trend = 'insufficient_data';
+  if (observed.length >= 2) {
+    trend = observed[observed.length - 1].ndvi > observed[observed.length - 2].ndvi ? 'increasing' : 'decreasing';
+  }
+
   return {
-    labels: historicalData.map(d => d.month),
+    labels: historicalData.map(d => months[d.month]),
     datasets: [
       {
         label: 'NDVI Values',
         data: historicalData.map(d => d.ndvi),
         borderColor: '#4CAF50',
         backgroundColor: 'rgba(76, 175, 80, 0.1)',
-        tension: 0.4
-      }
+        tension: 0.4,
+        spanGaps: true
+      },
+      // Seasonal curve through the observations, filling months without any
+      ...(fittedData ? [{
+        label: 'Fitted NDVI',
+        data: fittedData,
+        borderColor: '#1B5E20',
+        borderDash: [6, 4],
+        pointRadius: 0,
+        tension: 0.4,
+        spanGaps: false
+      }] : [])
     ],
-    currentValue: parseFloat(currentNdvi),
-    trend: historicalData[historicalData.length - 1].ndvi > historicalData[historicalData.length - 2].ndvi ? 'increasing' : 'decreasing',
-    averageValue: (historicalData.reduce((sum, d) => sum + d.ndvi, 0) / historicalData.length).toFixed(3)
+    currentValue,
+    trend,
+    averageValue: observed.length > 0
+      ? (observed.reduce((sum, d) => sum + d.ndvi, 0) / observed.length).toFixed(3)
+      : null,
+    observationCounts: historicalData.map(d => d.observationCount || 0)
   };
-}
\ No newline at end of file
+}
@@ -0,0 +1,99 @@
+import { listUsers, updateUser, createOrganization, listOrganizations, ROLES } from "../services/accountService.js";
+
+/**
+ * Get the signed-in user
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function getAccount(req, res) {
+  if (!req.user) {
+    return res.status(404).json({ 
+      error: "Authentication is off, so there is no account. Set AUTH_PROVIDER to enable it" 
+    });
+  }
+  res.json(req.user);
+}
+
+/**
+ * List users, optionally by organization and role
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function listAccounts(req, res) {
+  try {
+    const { organizationId, role } = req.query;
+    if (role && !ROLES.includes(role)) {
+      return res.status(400).json({ error: `role must be one of ${ROLES.join(', ')}` });
+    }
+
+    const users = await listUsers({ organizationId, role });
+
+    res.json({
+      users,
+      count: users.length
+    });
+  } catch (error) {
+    console.error('User list error:', error);
+    res.status(error.status || 500).json({ 
+      error: "Failed to list users",
+      details: error.message 
+    });
+  }
+}
+
+/**
+ * Change a user's role, organization or name
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function editAccount(req, res) {
+  try {
+    const user = await updateUser(req.params.id, req.body || {});
+    res.json(user);
+  } catch (error) {
+    console.error('User update error:', error);
+    res.status(error.status || 500).json({ 
+      error: "Failed to update user",
+      details: error.message 
+    });
+  }
+}
+
+/**
+ * List organizations
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function listOrganizationAccounts(req, res) {
+  try {
+    const organizations = await listOrganizations();
+    res.json({
+      organizations,
+      count: organizations.length
+    });
+  } catch (error) {
+    console.error('Organization list error:', error);
+    res.status(error.status || 500).json({ 
+      error: "Failed to list organizations",
+      details: error.message 
+    });
+  }
+}
+
+/**
+ * Create an organization
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function addOrganization(req, res) {
+  try {
+    const organization = await createOrganization(req.body || {});
+    res.status(201).json(organization);
+  } catch (error) {
+    console.error('Organization creation error:', error);
+    res.status(error.status || 500).json({ 
+      error: "Failed to create organization",
+      details: error.message 
+    });
+  }
+}
@@ -0,0 +1,168 @@
+import {
+  createSubscription,
+  listSubscriptions,
+  getSubscription,
+  updateSubscription,
+  deleteSubscription,
+  evaluateSubscription,
+  listAlerts,
+  ALERT_CONDITIONS
+} from "../services/alertService.js";
+
+/**
+ * Subscribe a field to alerts
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function addSubscription(req, res) {
+  try {
+    const subscription = await createSubscription(req.body || {}, { user: req.user });
+    res.status(201).json(subscription);
+  } catch (error) {
+    console.error('Alert subscription error:', error);
+    res.status(error.status || 500).json({ 
+      error: "Failed to create alert subscription",
+      details: error.message 
+    });
+  }
+}
+
+/**
+ * List alert subscriptions, optionally for one field
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function listAlertSubscriptions(req, res) {
+  try {
+    const subscriptions = await listSubscriptions({ fieldId: req.query.fieldId, user: req.user });
+    res.json({
+      subscriptions,
+      count: subscriptions.length
+    });
+  } catch (error) {
+    console.error('Alert subscription list error:', error);
+    res.status(error.status || 500).json({ 
+      error: "Failed to list alert subscriptions",
+      details: error.message 
+    });
+  }
+}
+
+/**
+ * Get an alert subscription
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function getAlertSubscription(req, res) {
+  try {
+    res.json(await getSubscription(req.params.id, { user: req.user }));
+  } catch (error) {
+    console.error('Alert subscription error:', error);
+    res.status(error.status || 500).json({ 
+      error: "Failed to get alert subscription",
+      details: error.message 
+    });
+  }
+}
+
+/**
+ * Change an alert subscription
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function editSubscription(req, res) {
+  try {
+    res.json(await updateSubscription(req.params.id, req.body || {}, { user: req.user }));
+  } catch (error) {
+    console.error('Alert subscription update error:', error);
+    res.status(error.status || 500).json({ 
+      error: "Failed to update alert subscription",
+      details: error.message 
+    });
+  }
+}
+
+/**
+ * Delete an alert subscription
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function removeSubscription(req, res) {
+  try {
+    await deleteSubscription(req.params.id, { user: req.user });
+    res.status(204).end();
+  } catch (error) {
+    console.error('Alert subscription deletion error:', error);
+    res.status(error.status || 500).json({ 
+      error: "Failed to delete alert subscription",
+      details: error.message 
+    });
+  }
+}
+
+/**
+ * Check a subscription now instead of waiting for the evaluator
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function checkSubscription(req, res) {
+  try {
+    const result = await evaluateSubscription(req.params.id, { user: req.user });
+    res.json({
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Alert evaluation error:', error);
+    res.status(error.status || 500).json({ 
+      error: "Failed to evaluate alert subscription",
+      details: error.message 
+    });
+  }
+}
+
+/**
+ * Alert history with delivery status
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function getAlertHistory(req, res) {
+  try {
+    const { fieldId, subscriptionId, type, from, to, limit = 100 } = req.query;
+
+    if (type && !ALERT_CONDITIONS[type]) {
+      return res.status(400).json({ error: `type must be one of ${Object.keys(ALERT_CONDITIONS).join(', ')}` });
+    }
+    const fromDate = from ? new Date(from) : undefined;
+    const toDate = to ? new Date(to) : undefined;
+    if ((fromDate && isNaN(fromDate.getTime())) || (toDate && isNaN(toDate.getTime()))) {
+      return res.status(400).json({ error: "from and to must be valid ISO dates" });
+    }
+    const maxAlerts = parseInt(limit);
+    if (isNaN(maxAlerts) || maxAlerts < 1 || maxAlerts > 1000) {
+      return res.status(400).json({ error: "limit must be an integer between 1 and 1000" });
+    }
+
+    const alerts = await listAlerts({
+      fieldId,
+      subscriptionId,
+      type,
+      from: fromDate,
+      to: toDate,
+      limit: maxAlerts,
+      user: req.user
+    });
+
+    res.json({
+      alerts,
+      count: alerts.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Alert history error:', error);
+    res.status(error.status || 500).json({ 
+      error: "Failed to fetch alerts",
+      details: error.message 
+    });
+  }
+}
@@ -0,0 +1,236 @@
+import { createField, getField, updateField, deleteField, searchFields } from "../services/fieldRegistry.js";
+import { delineateManagementZones, ZONE_METHODS, MIN_ZONES, MAX_ZONES } from "../services/zoneService.js";
+import { parseMaskClasses } from "../services/qualityMask.js";
+import { validateCoordinates } from "../utils/coordinateUtils.js";
+
+/**
+ * Register a field
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function addField(req, res) {
+  try {
+    const field = await createField(req.body || {}, { user: req.user });
+    res.status(201).json(field);
+  } catch (error) {
+    console.error('Field registration error:', error);
+    res.status(error.status || 500).json({ 
+      error: "Failed to register field",
+      details: error.message 
+    });
+  }
+}
+
+/**
+ * Search fields by distance from a point, bbox, owner and crop
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function listFields(req, res) {
+  try {
+    const { latitude, longitude, radius = 5, bbox, owner, crop } = req.query;
+    const criteria = { owner, crop, user: req.user };
+
+    if (latitude !== undefined || longitude !== undefined) {
+      const lat = parseFloat(latitude);
+      const lon = parseFloat(longitude);
+      if (!validateCoordinates(lat, lon)) {
+        return res.status(400).json({ error: "Invalid coordinates provided" });
+      }
+      const radiusKm = parseFloat(radius);
+      if (isNaN(radiusKm) || radiusKm <= 0) {
+        return res.status(400).json({ error: "radius must be a positive number of km" });
+      }
+      criteria.near = { latitude: lat, longitude: lon, radiusKm };
+    }
+
+    if (bbox) {
+      const [west, south, east, north] = String(bbox).split(',').map(parseFloat);
+      if (!validateCoordinates(south, west) || !validateCoordinates(north, east) || west > east || south > north) {
+        return res.status(400).json({ error: "Invalid bbox, expected west,south,east,north in degrees" });
+      }
+      criteria.bbox = { north, south, east, west };
+    }
+
+    const fields = await searchFields(criteria);
+
+    res.json({
+      fields,
+      count: fields.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Field search error:', error);
+    res.status(error.status || 500).json({ 
+      error: "Failed to search fields",
+      details: error.message 
+    });
+  }
+}
+
+/**
+ * Get a single field
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function getFieldById(req, res) {
+  try {
+    const field = await getField(req.params.id, { user: req.user });
+    if (!field) {
+      return res.status(404).json({ error: `Field ${req.params.id} not found` });
+    }
+    res.json(field);
+  } catch (error) {
+    console.error('Field lookup error:', error);
+    res.status(error.status || 500).json({ 
+      error: "Failed to fetch field",
+      details: error.message 
+    });
+  }
+}
+
+/**
+ * Update some of a field's details
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function editField(req, res) {
+  try {
+    const field = await updateField(req.params.id, req.body || {}, { user: req.user });
+    res.json(field);
+  } catch (error) {
+    console.error('Field update error:', error);
+    res.status(error.status || 500).json({ 
+      error: "Failed to update field",
+      details: error.message 
+    });
+  }
+}
+
+/**
+ * Delete a field
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function removeField(req, res) {
+  try {
+    await deleteField(req.params.id, { user: req.user });
+    res.status(204).end();
+  } catch (error) {
+    console.error('Field deletion error:', error);
+    res.status(error.status || 500).json({ 
+      error: "Failed to delete field",
+      details: error.message 
+    });
+  }
+}
+
+/**
+ * Split a field into NDVI management zones, optionally with a prescription
+ * map. ?format=geojson downloads the zones as a GeoJSON file for variable-rate
+ * controllers instead of the full response.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function createFieldZones(req, res) {
+  try {
+    const { format = "json" } = req.query;
+    if (!["json", "geojson"].includes(format)) {
+      return res.status(400).json({ error: "format must be json or geojson" });
+    }
+
+    const options = parseZoneRequest(req.body || {});
+    if (options.error) {
+      return res.status(400).json({ error: options.error, details: options.details });
+    }
+
+    const result = await delineateManagementZones(req.params.id, { ...options, user: req.user });
+
+    if (format === "geojson") {
+      const name = result.prescription ? "prescription" : "zones";
+      return res
+        .type("application/geo+json")
+        .attachment(`field-${result.field.id}-${name}.geojson`)
+        .send(JSON.stringify(toPrescriptionMap(result)));
+    }
+    res.json({
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Field zoning error:', error);
+    res.status(error.status || 500).json({ 
+      error: "Failed to create management zones",
+      details: error.message 
+    });
+  }
+}
+
+/**
+ * Parse and validate the body of POST /api/fields/:id/zones
+ * @param {Object} body - Request body
+ * @returns {Object} - Options for delineateManagementZones() or { error, details }
+ */
+function parseZoneRequest(body) {
+  const { zones = MIN_ZONES, method = "kmeans", smoothing = 1, date, sceneId, mask, prescription } = body;
+
+  const zoneCount = Number(zones);
+  if (!Number.isInteger(zoneCount) || zoneCount < MIN_ZONES || zoneCount > MAX_ZONES) {
+    return { error: `zones must be an integer between ${MIN_ZONES} and ${MAX_ZONES}` };
+  }
+  if (!ZONE_METHODS.includes(method)) {
+    return { error: `method must be one of ${ZONE_METHODS.join(', ')}` };
+  }
+  const passes = Number(smoothing);
+  if (!Number.isInteger(passes) || passes < 0 || passes > 5) {
+    return { error: "smoothing must be an integer between 0 and 5" };
+  }
+
+  const options = { zones: zoneCount, method, smoothing: passes, sceneId, prescription: prescription ?? null };
+  if (date !== undefined) {
+    options.date = new Date(date);
+    if (isNaN(options.date.getTime())) {
+      return { error: "date must be a valid ISO date" };
+    }
+  }
+
+  try {
+    options.mask = parseMaskClasses(Array.isArray(mask) ? mask.join(",") : mask);
+  } catch (validationError) {
+    return { error: "Invalid mask requested", details: validationError.message };
+  }
+  return options;
+}
+
+/**
+ * Reduce zoning results to a GeoJSON prescription map: one feature per zone
+ * with its rate, which variable-rate controller software can import
+ * @param {Object} result - delineateManagementZones() result
+ * @returns {Object} - GeoJSON FeatureCollection
+ */
+function toPrescriptionMap({ field, scene, zones, prescription }) {
+  return {
+    type: "FeatureCollection",
+    name: field.name,
+    features: zones.features.map(({ id, properties, geometry }) => ({
+      type: "Feature",
+      id,
+      properties: {
+        zone: properties.zone,
+        hectares: properties.hectares,
+        meanNdvi: properties.meanNdvi,
+        ...(prescription ? {
+          rate: properties.rate,
+          unit: prescription.unit,
+          product: prescription.product
+        } : {})
+      },
+      geometry
+    })),
+    properties: {
+      fieldId: field.id,
+      sceneId: scene ? scene.id : null,
+      acquiredAt: scene ? scene.acquiredAt : null
+    }
+  };
+}
@@ -0,0 +1,84 @@
+import { createIrrigationSchedule } from "../services/irrigationService.js";
+import { validateCoordinates } from "../utils/coordinateUtils.js";
+
+/**
+ * Get a day-by-day irrigation schedule for a crop
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function getIrrigationSchedule(req, res) {
+  try {
+    const { latitude, longitude, crop, sowingDate, plantingDate, soil, irrigationMethod, days = 7, elevation, initialDepletion, fieldId } = req.query;
+
+    // A registered field supplies its own location
+    if ((!latitude || !longitude) && !fieldId) {
+      return res.status(400).json({ 
+        error: "Latitude and longitude are required" 
+      });
+    }
+
+    let lat, lon;
+    if (latitude || longitude) {
+      lat = parseFloat(latitude);
+      lon = parseFloat(longitude);
+      if (!validateCoordinates(lat, lon)) {
+        return res.status(400).json({ 
+          error: "Invalid coordinates provided" 
+        });
+      }
+    }
+
+    const forecastDays = parseInt(days);
+    if (isNaN(forecastDays) || forecastDays < 1 || forecastDays > 16) {
+      return res.status(400).json({ 
+        error: "days must be an integer between 1 and 16" 
+      });
+    }
+
+    // plantingDate is the parameter's earlier name, still accepted
+    const sowingValue = sowingDate ?? plantingDate;
+    const sowing = sowingValue ? new Date(sowingValue) : null;
+    if (sowing && isNaN(sowing.getTime())) {
+      return res.status(400).json({ error: "sowingDate must be a valid ISO date" });
+    }
+
+    const elevationValue = elevation !== undefined ? parseFloat(elevation) : 0;
+    if (isNaN(elevationValue)) {
+      return res.status(400).json({ error: "elevation must be a number in metres" });
+    }
+
+    const depletionValue = initialDepletion !== undefined ? parseFloat(initialDepletion) : undefined;
+    if (depletionValue !== undefined && (isNaN(depletionValue) || depletionValue < 0)) {
+      return res.status(400).json({ error: "initialDepletion must be a non-negative number of mm" });
+    }
+
+    const schedule = await createIrrigationSchedule({
+      latitude: lat,
+      longitude: lon,
+      crop,
+      sowingDate: sowing,
+      soil,
+      irrigationMethod,
+      days: forecastDays,
+      elevation: elevationValue,
+      initialDepletion: depletionValue,
+      fieldId,
+      user: req.user
+    });
+
+    res.json({
+      ...schedule,
+      metadata: {
+        units: "mm",
+        timestamp: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    console.error('Irrigation schedule error:', error);
+    res.status(error.status || 500).json({ 
+      error: "Failed to create irrigation schedule",
+      details: error.message 
+    });
+  }
+}
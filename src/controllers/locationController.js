@@ -1,8 +1,11 @@
-import { validateCoordinates, calculateDistance, generateBoundingBox } from "../utils/coordinateUtils.js";
+import { validateCoordinates, generateBoundingBox } from "../utils/coordinateUtils.js";
+import { searchFields } from "../services/fieldRegistry.js";
+import { CROPS } from "../services/cropCatalog.js";
+import { fetchRealAreasForLocation } from "../services/dynamicAreaService.js";
 
 export async function getLocationOptions(req, res) {
   try {
-    const { latitude, longitude, radius = 5 } = req.body;
+    const { latitude, longitude, radius = 5, owner } = req.body;
 
     // Validate coordinates
     if (!latitude || !longitude) {
@@ -16,61 +19,34 @@ export async function getLocationOptions(req, res) {
     const lat = parseFloat(latitude);
     const lon = parseFloat(longitude);
 
-    // Enhanced area options with more realistic data
-    const areaOptions = [
-      {
-        id: "field_a",
-        name: "North Field",
-        type: "agricultural",
-        coordinates: [lat + 0.002, lon + 0.001],
-        area_hectares: 12.5,
-        currentCrop: "Wheat",
-        irrigationType: "Sprinkler"
-      },
-      {
-        id: "field_b", 
-        name: "South Field",
-        type: "agricultural",
-        coordinates: [lat - 0.001, lon - 0.002],
-        area_hectares: 8.3,
-        currentCrop: "Rice",
-        irrigationType: "Flood"
-      },
-      {
-        id: "field_c",
-        name: "East Field", 
-        type: "agricultural",
-        coordinates: [lat + 0.001, lon + 0.003],
-        area_hectares: 15.2,
-        currentCrop: "Pulses",
-        irrigationType: "Drip"
-      }
-    ];
+    if (isNaN(parseFloat(radius)) || parseFloat(radius) <= 0) {
+      return res.status(400).json({ error: "radius must be a positive number of km" });
+    }
 
-    // Enhanced nearby landmarks
-    const nearbyLandmarks = [
-      {
-        name: "Village Center",
-        type: "settlement",
-        coordinates: [lat + 0.005, lon + 0.003],
-        distance_km: calculateDistance(lat, lon, lat + 0.005, lon + 0.003),
-        description: "Main village area with market"
-      },
-      {
-        name: "Water Reservoir",
-        type: "water_source",
-        coordinates: [lat - 0.002, lon - 0.001],
-        distance_km: calculateDistance(lat, lon, lat - 0.002, lon - 0.001),
-        description: "Primary water source for irrigation"
-      },
-      {
-        name: "Forest Area",
-        type: "natural",
-        coordinates: [lat + 0.008, lon - 0.004],
-        distance_km: calculateDistance(lat, lon, lat + 0.008, lon - 0.004),
-        description: "Protected forest area"
-      }
-    ];
+    // Registered fields around the point, nearest first
+    const fields = await searchFields({
+      near: { latitude: lat, longitude: lon, radiusKm: parseFloat(radius) },
+      owner,
+      user: req.user
+    });
+    const areaOptions = fields.map(field => ({
+      id: field.id,
+      name: field.name,
+      type: "agricultural",
+      coordinates: [field.centroid.latitude, field.centroid.longitude],
+      area_hectares: field.areaHectares,
+      currentCrop: field.crop ? CROPS[field.crop].name : null,
+      sowingDate: field.sowingDate,
+      irrigationType: field.irrigationType,
+      owner: field.owner,
+      distance_km: field.distanceKm
+    }));
+
+    // Landmarks, water and land use from OpenStreetMap; fields still list when the provider is down
+    const areas = await fetchRealAreasForLocation(lat, lon, parseFloat(radius)).catch(error => {
+      console.error('Area data for location unavailable:', error.message);
+      return null;
+    });
 
     // Generate bounding box for the area
     const boundingBox = generateBoundingBox(lat, lon, parseFloat(radius));
@@ -82,7 +58,10 @@ export async function getLocationOptions(req, res) {
         formatted: `${lat.toFixed(6)}, ${lon.toFixed(6)}`
       },
       areaOptions,
-      nearbyLandmarks,
+      nearbyLandmarks: areas ? areas.landmarks : [],
+      waterSources: areas ? areas.waterSources : [],
+      landUse: areas ? areas.landUse : null,
+      areaProvider: areas ? areas.provider : null,
       boundingBox,
       radius_km: parseFloat(radius),
       timestamp: new Date().toISOString()
@@ -91,6 +70,6 @@ export async function getLocationOptions(req, res) {
     res.json(response);
   } catch (err) {
     console.error('Location processing error:', err);
-    res.status(500).json({ error: "Failed to process location input", details: err.message });
+    res.status(err.status || 500).json({ error: "Failed to process location input", details: err.message });
   }
 }
\ No newline at end of file
@@ -0,0 +1,69 @@
+import { getCropPhenology } from "../services/phenologyService.js";
+import { validateCoordinates } from "../utils/coordinateUtils.js";
+
+/**
+ * Get growing degree days and the growth stage of a crop
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function getPhenology(req, res) {
+  try {
+    const { fieldId, crop, sowingDate, latitude, longitude, days = 7 } = req.query;
+
+    const options = parsePhenologyQuery({ fieldId, crop, sowingDate, latitude, longitude });
+    if (options.error) {
+      return res.status(400).json({ error: options.error });
+    }
+
+    const forecastDays = parseInt(days);
+    if (isNaN(forecastDays) || forecastDays < 1 || forecastDays > 16) {
+      return res.status(400).json({ 
+        error: "days must be an integer between 1 and 16" 
+      });
+    }
+
+    const phenology = await getCropPhenology({ ...options, forecastDays, user: req.user });
+
+    res.json({
+      ...phenology,
+      metadata: {
+        units: "°C·days",
+        timestamp: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    console.error('Phenology error:', error);
+    res.status(error.status || 500).json({ 
+      error: "Failed to estimate crop phenology",
+      details: error.message 
+    });
+  }
+}
+
+/**
+ * Validate the crop and field query parameters shared by phenology and suggestions
+ * @param {Object} query - { fieldId, crop, sowingDate, latitude, longitude }
+ * @returns {Object} - Options for getCropPhenology(), or { error } when invalid
+ */
+export function parsePhenologyQuery({ fieldId, crop, sowingDate, latitude, longitude }) {
+  if (!fieldId && (!crop || !sowingDate)) {
+    return { error: "crop and sowingDate are required unless fieldId refers to a saved field" };
+  }
+
+  const sowing = sowingDate ? new Date(sowingDate) : undefined;
+  if (sowing && isNaN(sowing.getTime())) {
+    return { error: "sowingDate must be a valid ISO date" };
+  }
+
+  let lat, lon;
+  if (latitude !== undefined || longitude !== undefined) {
+    lat = parseFloat(latitude);
+    lon = parseFloat(longitude);
+    if (!validateCoordinates(lat, lon)) {
+      return { error: "Invalid coordinates provided" };
+    }
+  }
+
+  return { fieldId, crop, sowingDate: sowing, latitude: lat, longitude: lon };
+}
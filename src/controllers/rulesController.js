@@ -0,0 +1,81 @@
+import { listRuleSets, getRuleSet, saveRuleSet, activateRuleSet } from "../services/rules/ruleSetStore.js";
+import { validateRuleSet } from "../services/rules/ruleEngine.js";
+
+/**
+ * List the built-in and uploaded suggestion rule sets
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function listRules(req, res) {
+  try {
+    res.json({ ruleSets: await listRuleSets() });
+  } catch (error) {
+    console.error('Rule set list error:', error);
+    res.status(error.status || 500).json({ 
+      error: "Failed to list rule sets",
+      details: error.message 
+    });
+  }
+}
+
+/**
+ * Get a rule set by id
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function getRules(req, res) {
+  try {
+    res.json(await getRuleSet(req.params.id));
+  } catch (error) {
+    console.error('Rule set error:', error);
+    res.status(error.status || 500).json({ 
+      error: "Failed to get rule set",
+      details: error.message 
+    });
+  }
+}
+
+/**
+ * Validate a rule set without storing it
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function validateRules(req, res) {
+  res.json(validateRuleSet(req.body));
+}
+
+/**
+ * Validate and store a rule set; ?activate=true also makes it active
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function uploadRules(req, res) {
+  try {
+    const ruleSet = await saveRuleSet(req.body, { activate: req.query.activate === "true" });
+    res.status(201).json(ruleSet);
+  } catch (error) {
+    console.error('Rule set upload error:', error);
+    res.status(error.status || 500).json({ 
+      error: "Failed to load rule set",
+      details: error.message,
+      ...(error.errors ? { errors: error.errors } : {})
+    });
+  }
+}
+
+/**
+ * Make a rule set the one suggestions are evaluated with
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function activateRules(req, res) {
+  try {
+    res.json(await activateRuleSet(req.params.id));
+  } catch (error) {
+    console.error('Rule set activation error:', error);
+    res.status(error.status || 500).json({ 
+      error: "Failed to activate rule set",
+      details: error.message 
+    });
+  }
+}
@@ -0,0 +1,110 @@
+import { registerScene, uploadSceneBand, getScene, searchScenes } from "../services/sceneCatalog.js";
+import { validateCoordinates } from "../utils/coordinateUtils.js";
+
+/**
+ * Register a scene in the catalog
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function createScene(req, res) {
+  try {
+    const scene = await registerScene(req.body || {});
+    res.status(201).json(scene);
+  } catch (error) {
+    console.error('Scene registration error:', error);
+    res.status(error.status || 500).json({ 
+      error: "Failed to register scene",
+      details: error.message 
+    });
+  }
+}
+
+/**
+ * Upload a band GeoTIFF for a scene (raw request body)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function uploadBand(req, res) {
+  try {
+    const body = Buffer.isBuffer(req.body) ? req.body : null;
+    const scene = await uploadSceneBand(req.params.id, req.params.band, body);
+    res.json(scene);
+  } catch (error) {
+    console.error('Scene band upload error:', error);
+    res.status(error.status || 500).json({ 
+      error: "Failed to upload band",
+      details: error.message 
+    });
+  }
+}
+
+/**
+ * Search scenes by bounding box, date range, sensor and cloud cover
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function listScenes(req, res) {
+  try {
+    const { bbox, from, to, sensor, maxCloudCover } = req.query;
+    const criteria = { sensor };
+
+    if (bbox) {
+      const [west, south, east, north] = String(bbox).split(',').map(parseFloat);
+      if (!validateCoordinates(south, west) || !validateCoordinates(north, east) || west > east || south > north) {
+        return res.status(400).json({ error: "Invalid bbox, expected west,south,east,north in degrees" });
+      }
+      criteria.bbox = { north, south, east, west };
+    }
+
+    for (const [name, value] of [['from', from], ['to', to]]) {
+      if (value) {
+        criteria[name] = new Date(value);
+        if (isNaN(criteria[name].getTime())) {
+          return res.status(400).json({ error: `${name} must be a valid ISO date` });
+        }
+      }
+    }
+
+    if (maxCloudCover !== undefined) {
+      criteria.maxCloudCover = parseFloat(maxCloudCover);
+      if (isNaN(criteria.maxCloudCover)) {
+        return res.status(400).json({ error: "maxCloudCover must be a number" });
+      }
+    }
+
+    const scenes = await searchScenes(criteria);
+
+    res.json({
+      scenes,
+      count: scenes.length,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Scene search error:', error);
+    res.status(error.status || 500).json({ 
+      error: "Failed to search scenes",
+      details: error.message 
+    });
+  }
+}
+
+/**
+ * Get a single scene
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function getSceneById(req, res) {
+  try {
+    const scene = await getScene(req.params.id);
+    if (!scene) {
+      return res.status(404).json({ error: `Scene ${req.params.id} not found` });
+    }
+    res.json(scene);
+  } catch (error) {
+    console.error('Scene lookup error:', error);
+    res.status(error.status || 500).json({ 
+      error: "Failed to fetch scene",
+      details: error.message 
+    });
+  }
+}
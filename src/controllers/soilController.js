@@ -0,0 +1,49 @@
+import { getSoilProperties } from "../services/soilService.js";
+import { validateCoordinates } from "../utils/coordinateUtils.js";
+
+/**
+ * Get the soil texture and properties at a location or registered field
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function getSoil(req, res) {
+  try {
+    const { latitude, longitude, fieldId } = req.query;
+
+    if (!fieldId && !validateCoordinates(parseFloat(latitude), parseFloat(longitude))) {
+      return res.status(400).json({ 
+        error: "Valid latitude and longitude are required unless fieldId refers to a saved field" 
+      });
+    }
+
+    const soil = await getSoilProperties({
+      latitude: parseFloat(latitude),
+      longitude: parseFloat(longitude),
+      fieldId,
+      user: req.user
+    });
+
+    res.json({
+      ...soil,
+      metadata: {
+        units: {
+          clay: "%",
+          sand: "%",
+          silt: "%",
+          organicCarbon: "g/kg",
+          fieldCapacity: "m³/m³",
+          wiltingPoint: "m³/m³",
+          availableWaterCapacity: "mm/m"
+        },
+        timestamp: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    console.error('Soil error:', error);
+    res.status(error.status || 500).json({ 
+      error: "Failed to fetch soil data",
+      details: error.message 
+    });
+  }
+}
@@ -1,5 +1,17 @@
 import { generateCropSuggestions } from "../services/suggestionEngine.js";
 import { validateCoordinates } from "../utils/coordinateUtils.js";
+import { getYearOverYearComparison } from "../services/ndviHistoryStore.js";
+import { detectNdviChange } from "../services/changeDetectionService.js";
+import { getCropPhenology } from "../services/phenologyService.js";
+import { parsePhenologyQuery } from "./phenologyController.js";
+import { getWeatherForecast } from "../services/weatherService.js";
+import { SOIL_TYPES } from "../services/irrigationService.js";
+import { getSoilProperties } from "../services/soilService.js";
+import { getActiveRuleSet, RULES_CACHE_TAG } from "../services/rules/ruleSetStore.js";
+import { estimateYield } from "../services/yieldService.js";
+import { SCENES_CACHE_TAG } from "../services/sceneCatalog.js";
+import { cached, buildCacheKey, getCacheTtl } from "../services/cache/resultCache.js";
+import { setCacheHeaders } from "../utils/httpCache.js";
 
 /**
  * Get crop suggestions based on NDVI data and location
@@ -8,7 +20,7 @@ import { validateCoordinates } from "../utils/coordinateUtils.js";
  */
 export async function getCropSuggestions(req, res) {
   try {
-    const { latitude, longitude, currentNdvi, historicalNdvi, season, timeRange } = req.query;
+    const { latitude, longitude, currentNdvi, historicalNdvi, season, timeRange, compareFrom, crop, sowingDate, fieldId, soil, region } = req.query;
 
     // Validate coordinates
     if (!validateCoordinates(parseFloat(latitude), parseFloat(longitude))) {
@@ -29,15 +41,49 @@ export async function getCropSuggestions(req, res) {
       longitude: parseFloat(longitude)
     };
 
+    if (soil && !SOIL_TYPES[soil]) {
+      return res.status(400).json({ 
+        error: `soil must be one of ${Object.keys(SOIL_TYPES).join(', ')}` 
+      });
+    }
+
     const currentNdviValue = parseFloat(currentNdvi);
     const historicalNdviValue = historicalNdvi ? parseFloat(historicalNdvi) : null;
 
-    // Generate suggestions
-    const suggestions = generateCropSuggestions(
-      currentNdviValue,
-      historicalNdviValue,
-      coordinates,
-      season || 'current'
+    const from = compareFrom ? new Date(compareFrom) : new Date();
+    if (!compareFrom) {
+      from.setUTCFullYear(from.getUTCFullYear() - 1);
+    } else if (isNaN(from.getTime())) {
+      return res.status(400).json({ error: "compareFrom must be a valid ISO date" });
+    }
+
+    const phenologyOptions = crop || fieldId
+      ? parsePhenologyQuery({ fieldId, crop, sowingDate, ...coordinates })
+      : null;
+    if (phenologyOptions && phenologyOptions.error) {
+      return res.status(400).json({ error: phenologyOptions.error });
+    }
+
+    // Suggestions depend on the user's fields and the day's scenes and weather
+    const cacheKey = buildCacheKey("suggestions", {
+      query: { latitude, longitude, currentNdvi, historicalNdvi, season, compareFrom, crop, sowingDate, fieldId, soil, region },
+      user: req.user ? req.user.id : null,
+      day: new Date().toISOString().slice(0, 10)
+    });
+    const suggestions = await cached(
+      cacheKey,
+      { ttlSeconds: getCacheTtl("suggestions"), tags: [RULES_CACHE_TAG, SCENES_CACHE_TAG] },
+      () => buildSuggestions({
+        coordinates,
+        currentNdviValue,
+        historicalNdviValue,
+        from,
+        phenologyOptions,
+        season,
+        soil,
+        region,
+        user: req.user
+      })
     );
 
     // Add metadata
@@ -51,11 +97,12 @@ export async function getCropSuggestions(req, res) {
       }
     };
 
+    setCacheHeaders(res, { maxAge: getCacheTtl("http"), etag: suggestions });
     res.json(response);
 
   } catch (error) {
     console.error('Error generating suggestions:', error);
-    res.status(500).json({ 
+    res.status(error.status || 500).json({ 
       error: "Failed to generate crop suggestions",
       details: error.message 
     });
@@ -78,54 +125,32 @@ export async function getHistoricalComparison(req, res) {
       });
     }
 
-    // Mock historical data - in real implementation, this would fetch from database
-    const historicalData = {
-      currentYear: {
-        january: 0.45,
-        february: 0.52,
-        march: 0.58,
-        april: 0.62,
-        may: 0.65,
-        june: 0.68,
-        july: 0.72,
-        august: 0.70,
-        september: 0.65,
-        october: 0.58,
-        november: 0.52,
-        december: 0.48
-      },
-      previousYear: {
-        january: 0.42,
-        february: 0.48,
-        march: 0.55,
-        april: 0.58,
-        may: 0.62,
-        june: 0.65,
-        july: 0.68,
-        august: 0.66,
-        september: 0.62,
-        october: 0.55,
-        november: 0.48,
-        december: 0.45
-      }
-    };
+    const lat = parseFloat(latitude);
+    const lon = parseFloat(longitude);
+    const comparisonYear = year ? parseInt(year) : new Date().getUTCFullYear();
+
+    if (isNaN(comparisonYear)) {
+      return res.status(400).json({ 
+        error: "year must be a number" 
+      });
+    }
+
+    const historicalData = await getYearOverYearComparison(lat, lon, comparisonYear, "ndvi", req.user);
 
     const comparison = {
       location: {
-        latitude: parseFloat(latitude),
-        longitude: parseFloat(longitude)
+        latitude: lat,
+        longitude: lon
       },
       comparison: {
+        year: comparisonYear,
         currentYear: historicalData.currentYear,
         previousYear: historicalData.previousYear,
-        averageChange: '+8.5%',
-        trend: 'improving'
+        averageChange: historicalData.averageChange,
+        trend: historicalData.trend,
+        comparedMonths: historicalData.comparedMonths
       },
-      insights: [
-        'Vegetation health has improved by 8.5% compared to last year',
-        'Peak vegetation period shows 4% increase',
-        'Consistent improvement across all months'
-      ]
+      insights: generateComparisonInsights(historicalData, comparisonYear)
     };
 
     res.json(comparison);
@@ -137,4 +162,117 @@ export async function getHistoricalComparison(req, res) {
       details: error.message 
     });
   }
-} 
\ No newline at end of file
+}
+
+/**
+ * Summarize a year-over-year comparison as readable insights
+ * @param {Object} historicalData - Result of getYearOverYearComparison
+ * @param {number} year - Year compared against its predecessor
+ * @returns {Array} - Insight sentences
+ */
+function generateComparisonInsights(historicalData, year) {
+  const { comparedMonths, averageChange, trend } = historicalData;
+
+  if (comparedMonths.length === 0) {
+    return [`Not enough NDVI observations for ${year} and ${year - 1} to compare the same months yet`];
+  }
+
+  const insights = [];
+  if (trend === 'improving') {
+    insights.push(`Vegetation health has improved by ${averageChange.replace('+', '')} compared to ${year - 1}`);
+  } else if (trend === 'declining') {
+    insights.push(`Vegetation health has declined by ${averageChange.replace('-', '')} compared to ${year - 1}`);
+  } else {
+    insights.push(`Vegetation health is stable compared to ${year - 1} (${averageChange})`);
+  }
+
+  const best = comparedMonths.reduce((a, b) => (b.change > a.change ? b : a));
+  const worst = comparedMonths.reduce((a, b) => (b.change < a.change ? b : a));
+  insights.push(`Largest gain in ${capitalize(best.month)} (${best.change > 0 ? '+' : ''}${best.change}%)`);
+  if (worst.month !== best.month) {
+    insights.push(`Weakest month is ${capitalize(worst.month)} (${worst.change > 0 ? '+' : ''}${worst.change}%)`);
+  }
+  insights.push(`Based on ${comparedMonths.length} month(s) observed in both years`);
+
+  return insights;
+}
+
+function capitalize(word) {
+  return word.charAt(0).toUpperCase() + word.slice(1);
+}
+
+/**
+ * Gather the change, phenology, yield and weather context and evaluate the suggestion rules
+ * @param {Object} input - Validated request values and the user
+ * @returns {Object} - Suggestions from generateCropSuggestions()
+ */
+async function buildSuggestions({ coordinates, currentNdviValue, historicalNdviValue, from, phenologyOptions, season, soil, region, user }) {
+  // Without a user-supplied value, compare the catalog scenes from a year ago and today
+  let change = null;
+  if (historicalNdviValue === null) {
+    change = await detectNdviChange({ ...coordinates, from, to: new Date() }).catch(error => {
+      if (error.status === 404) {
+        return null;
+      }
+      throw error;
+    });
+  }
+
+  // With a crop in the field, advice follows its growth stage; crops
+  // without a GDD model get the general advice
+  let phenology = null;
+  if (phenologyOptions) {
+    phenology = await getCropPhenology({ ...phenologyOptions, user, allowUnmodelled: true });
+  }
+
+  // A numeric estimate needs NDVI observations for the season, so it is left out without them
+  let yieldEstimate = null;
+  if (phenology) {
+    yieldEstimate = await estimateYield({
+      crop: phenology.crop.key,
+      latitude: phenology.location.latitude,
+      longitude: phenology.location.longitude,
+      sowingDate: new Date(phenology.sowingDate),
+      user
+    }).catch(error => {
+      if (error.status === 422) {
+        return null;
+      }
+      throw error;
+    });
+  }
+
+  // Rules can use the week's weather; suggestions still work when the provider is down
+  const weather = await getWeatherForecast(coordinates.latitude, coordinates.longitude, 7)
+    .then(forecast => forecast.summary)
+    .catch(error => {
+      console.error('Weather for suggestions unavailable:', error.message);
+      return null;
+    });
+
+  // Sampled soil properties refine crop choice, and supply the texture when none is given
+  const soilProperties = await getSoilProperties({ ...coordinates, user }).catch(error => {
+    if (error.status !== 404) {
+      console.error('Soil data for suggestions unavailable:', error.message);
+    }
+    return null;
+  });
+
+  // Generate suggestions
+  return generateCropSuggestions(
+    currentNdviValue,
+    historicalNdviValue,
+    coordinates,
+    season || 'current',
+    change,
+    phenology,
+    {
+      soil: soil || soilProperties?.texture,
+      soilProperties,
+      region,
+      weather,
+      yieldEstimate,
+      ruleSet: await getActiveRuleSet()
+    }
+  );
+}
@@ -1,5 +1,7 @@
 import { getWeatherForecast, getCurrentWeather } from "../services/weatherService.js";
+import { getCacheTtl } from "../services/cache/resultCache.js";
 import { validateCoordinates } from "../utils/coordinateUtils.js";
+import { setCacheHeaders } from "../utils/httpCache.js";
 
 /**
  * Get weather forecast for agricultural planning
@@ -26,10 +28,16 @@ export async function getWeatherData(req, res) {
     const lat = parseFloat(latitude);
     const lon = parseFloat(longitude);
     const forecastDays = parseInt(days);
+    if (isNaN(forecastDays) || forecastDays < 1 || forecastDays > 16) {
+      return res.status(400).json({ 
+        error: "days must be an integer between 1 and 16" 
+      });
+    }
 
     // Get weather forecast
     const weatherData = await getWeatherForecast(lat, lon, forecastDays);
 
+    setCacheHeaders(res, { maxAge: getCacheTtl("http"), etag: weatherData });
     res.json({
       ...weatherData,
       metadata: {
@@ -41,7 +49,7 @@ export async function getWeatherData(req, res) {
 
   } catch (error) {
     console.error('Weather data error:', error);
-    res.status(500).json({ 
+    res.status(error.status || 500).json({ 
       error: "Failed to fetch weather data",
       details: error.message 
     });
@@ -86,7 +94,7 @@ export async function getCurrentWeatherData(req, res) {
 
   } catch (error) {
     console.error('Current weather error:', error);
-    res.status(500).json({ 
+    res.status(error.status || 500).json({ 
       error: "Failed to fetch current weather",
       details: error.message 
     });
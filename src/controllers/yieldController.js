@@ -0,0 +1,161 @@
+import { estimateYield, importYieldRecords, listYieldRecords, listYieldModels, evaluateYieldModel } from "../services/yieldService.js";
+import { validateCoordinates } from "../utils/coordinateUtils.js";
+
+/**
+ * Estimate the yield of a crop in t/ha with a 95% interval
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function getYieldEstimate(req, res) {
+  try {
+    const { latitude, longitude, crop, sowingDate, harvestDate, peakNdvi, ndviIntegral, seasonRainfall, meanTemperature } = req.query;
+
+    const lat = parseFloat(latitude);
+    const lon = parseFloat(longitude);
+    if (!validateCoordinates(lat, lon)) {
+      return res.status(400).json({ 
+        error: "Invalid coordinates provided"
+      });
+    }
+
+    if (!crop || !sowingDate) {
+      return res.status(400).json({ 
+        error: "crop and sowingDate are required"
+      });
+    }
+
+    const sowing = new Date(sowingDate);
+    if (isNaN(sowing.getTime())) {
+      return res.status(400).json({ error: "sowingDate must be a valid ISO date" });
+    }
+    const harvest = harvestDate ? new Date(harvestDate) : undefined;
+    if (harvest && isNaN(harvest.getTime())) {
+      return res.status(400).json({ error: "harvestDate must be a valid ISO date" });
+    }
+
+    // Agronomists can supply features measured elsewhere in place of the computed ones
+    const features = {};
+    for (const [name, value] of Object.entries({ peakNdvi, ndviIntegral, seasonRainfall, meanTemperature })) {
+      if (value === undefined) continue;
+      features[name] = parseFloat(value);
+      if (isNaN(features[name])) {
+        return res.status(400).json({ error: `${name} must be a number` });
+      }
+    }
+
+    const estimate = await estimateYield({
+      crop,
+      latitude: lat,
+      longitude: lon,
+      sowingDate: sowing,
+      harvestDate: harvest,
+      features,
+      user: req.user
+    });
+
+    res.json({
+      ...estimate,
+      metadata: {
+        timestamp: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    console.error('Yield estimate error:', error);
+    res.status(error.status || 500).json({ 
+      error: "Failed to estimate yield",
+      details: error.message 
+    });
+  }
+}
+
+/**
+ * Import historical yield records from a CSV request body
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function importRecords(req, res) {
+  try {
+    if (typeof req.body !== 'string' || req.body.trim() === '') {
+      return res.status(400).json({ 
+        error: "Request body must be CSV sent with Content-Type text/csv"
+      });
+    }
+
+    const result = await importYieldRecords(req.body, { user: req.user });
+    if (result.imported === 0) {
+      return res.status(400).json({ 
+        error: "No rows could be imported",
+        rejected: result.rejected
+      });
+    }
+
+    res.status(201).json(result);
+  } catch (error) {
+    console.error('Yield import error:', error);
+    res.status(error.status || 500).json({ 
+      error: "Failed to import yield records",
+      details: error.message 
+    });
+  }
+}
+
+/**
+ * List imported yield records
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function listRecords(req, res) {
+  try {
+    const { crop, fieldId } = req.query;
+    const records = await listYieldRecords({ crop, fieldId });
+    res.json({ count: records.length, records });
+  } catch (error) {
+    console.error('Yield records error:', error);
+    res.status(error.status || 500).json({ 
+      error: "Failed to list yield records",
+      details: error.message 
+    });
+  }
+}
+
+/**
+ * List the yield model of every crop
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function listModels(req, res) {
+  try {
+    res.json({ models: await listYieldModels() });
+  } catch (error) {
+    console.error('Yield models error:', error);
+    res.status(error.status || 500).json({ 
+      error: "Failed to list yield models",
+      details: error.message 
+    });
+  }
+}
+
+/**
+ * Compare predicted with actual yields for a crop
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export async function getEvaluation(req, res) {
+  try {
+    const { crop } = req.query;
+    if (!crop) {
+      return res.status(400).json({ 
+        error: "crop is required"
+      });
+    }
+
+    res.json(await evaluateYieldModel(crop));
+  } catch (error) {
+    console.error('Yield evaluation error:', error);
+    res.status(error.status || 500).json({ 
+      error: "Failed to evaluate yield model",
+      details: error.message 
+    });
+  }
+}
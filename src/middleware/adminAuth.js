@@ -0,0 +1,51 @@
+/**
+ * Admin authentication - guards administrative endpoints with a shared key
+ * sent in the X-Admin-Key header, or, when user authentication is on, with
+ * the token of an admin account. Key access is disabled until ADMIN_API_KEY
+ * is set.
+ */
+
+import crypto from "crypto";
+import { getTokenVerifier } from "../services/auth/tokenVerifier.js";
+import { authenticate, requireRole } from "./auth.js";
+
+const requireAdminRole = requireRole("admin");
+
+/**
+ * Express middleware accepting either the admin key or, when authentication
+ * is on and no key is sent, a token of a user with the admin role
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+export function requireAdmin(req, res, next) {
+  if (req.get("x-admin-key") || !getTokenVerifier()) {
+    return requireAdminKey(req, res, next);
+  }
+  authenticate(req, res, () => requireAdminRole(req, res, next));
+}
+
+/**
+ * Express middleware rejecting requests without the admin key
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+export function requireAdminKey(req, res, next) {
+  const expected = process.env.ADMIN_API_KEY;
+  if (!expected) {
+    return res.status(403).json({ 
+      error: "Admin API is disabled. Set ADMIN_API_KEY to enable it" 
+    });
+  }
+
+  const provided = Buffer.from(req.get("x-admin-key") || "");
+  const key = Buffer.from(expected);
+  const matches = provided.length === key.length && crypto.timingSafeEqual(provided, key);
+  if (!matches) {
+    return res.status(401).json({ 
+      error: "Missing or invalid X-Admin-Key header" 
+    });
+  }
+  next();
+}
@@ -0,0 +1,78 @@
+/**
+ * Authentication - verifies the bearer token of API requests and loads the
+ * user into req.user. While AUTH_PROVIDER is "none", req.user is null and
+ * every request is allowed.
+ */
+
+import { getTokenVerifier } from "../services/auth/tokenVerifier.js";
+import { resolveUser } from "../services/accountService.js";
+
+// Map tiles and images are loaded by <img> tags and map libraries that
+// cannot send headers, so only they may pass the token in the URL
+const QUERY_TOKEN_PATHS = [/^\/api\/ndvi\/tiles\//, /^\/api\/ndvi\/preview\.png$/];
+
+/**
+ * Express middleware requiring a valid token when authentication is on.
+ * The token is read from the Authorization header ("Bearer <token>") or,
+ * for NDVI tiles and previews, the access_token query parameter.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+export async function authenticate(req, res, next) {
+  try {
+    const verifier = getTokenVerifier();
+    if (!verifier) {
+      req.user = null;
+      return next();
+    }
+
+    const header = req.get("authorization") || "";
+    let token = header.startsWith("Bearer ") ? header.slice(7).trim() : null;
+    if (!token && QUERY_TOKEN_PATHS.some(pattern => pattern.test(req.baseUrl + req.path))) {
+      token = req.query.access_token;
+    }
+    if (!token) {
+      return res.status(401).json({ 
+        error: "Authentication required. Send a bearer token in the Authorization header" 
+      });
+    }
+
+    req.user = await resolveUser(await verifier.verify(token));
+    next();
+  } catch (error) {
+    if (error.status !== 401) {
+      console.error('Authentication error:', error);
+    }
+    res.status(error.status || 500).json({ 
+      error: "Authentication failed",
+      details: error.message 
+    });
+  }
+}
+
+/**
+ * Express middleware factory allowing only users with one of the roles.
+ * Has no effect while authentication is off.
+ * @param {...string} roles - Allowed roles
+ * @returns {Function} - Express middleware
+ */
+export function requireRole(...roles) {
+  return (req, res, next) => {
+    if (req.user && !roles.includes(req.user.role)) {
+      return res.status(403).json({ 
+        error: `This endpoint is limited to ${roles.join(' and ')} accounts` 
+      });
+    }
+    next();
+  };
+}
+
+/**
+ * Hide the access_token query parameter of a URL, e.g. before it is logged
+ * @param {string} url - Request URL, path and query
+ * @returns {string} - URL with the token value replaced
+ */
+export function redactAccessToken(url) {
+  return url.replace(/([?&]access_token=)[^&#]*/g, "$1[redacted]");
+}
@@ -0,0 +1,9 @@
+import express from "express";
+import { getAccount } from "../controllers/accountController.js";
+
+const router = express.Router();
+
+// GET /api/account - The signed-in user with their role and organization
+router.get("/", getAccount);
+
+export default router;
@@ -0,0 +1,37 @@
+import express from "express";
+import { requireAdmin } from "../middleware/adminAuth.js";
+import { listRules, getRules, validateRules, uploadRules, activateRules } from "../controllers/rulesController.js";
+import { listAccounts, editAccount, listOrganizationAccounts, addOrganization } from "../controllers/accountController.js";
+
+const router = express.Router();
+
+router.use(requireAdmin);
+
+// GET /api/admin/rules - List suggestion rule sets
+router.get("/rules", listRules);
+
+// POST /api/admin/rules/validate - Check a rule set without storing it
+router.post("/rules/validate", validateRules);
+
+// POST /api/admin/rules - Load a rule set (?activate=true to use it right away)
+router.post("/rules", uploadRules);
+
+// GET /api/admin/rules/:id - Get a rule set
+router.get("/rules/:id", getRules);
+
+// PUT /api/admin/rules/:id/activate - Use a rule set for suggestions
+router.put("/rules/:id/activate", activateRules);
+
+// GET /api/admin/users - List users (?organizationId=, ?role=)
+router.get("/users", listAccounts);
+
+// PATCH /api/admin/users/:id - Change a user's role, organization or name
+router.patch("/users/:id", editAccount);
+
+// GET /api/admin/organizations - List organizations
+router.get("/organizations", listOrganizationAccounts);
+
+// POST /api/admin/organizations - Create an organization
+router.post("/organizations", addOrganization);
+
+export default router;
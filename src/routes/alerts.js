@@ -0,0 +1,35 @@
+import express from "express";
+import {
+  addSubscription,
+  listAlertSubscriptions,
+  getAlertSubscription,
+  editSubscription,
+  removeSubscription,
+  checkSubscription,
+  getAlertHistory
+} from "../controllers/alertController.js";
+
+const router = express.Router();
+
+// GET /api/alerts - Alert history with delivery status
+router.get("/", getAlertHistory);
+
+// POST /api/alerts/subscriptions - Subscribe a field to alerts
+router.post("/subscriptions", addSubscription);
+
+// GET /api/alerts/subscriptions - List alert subscriptions
+router.get("/subscriptions", listAlertSubscriptions);
+
+// GET /api/alerts/subscriptions/:id - Get an alert subscription
+router.get("/subscriptions/:id", getAlertSubscription);
+
+// PATCH /api/alerts/subscriptions/:id - Change conditions, channels or enabled
+router.patch("/subscriptions/:id", editSubscription);
+
+// DELETE /api/alerts/subscriptions/:id - Delete an alert subscription
+router.delete("/subscriptions/:id", removeSubscription);
+
+// POST /api/alerts/subscriptions/:id/evaluate - Check a subscription now
+router.post("/subscriptions/:id/evaluate", checkSubscription);
+
+export default router;
@@ -0,0 +1,24 @@
+import express from "express";
+import { addField, listFields, getFieldById, editField, removeField, createFieldZones } from "../controllers/fieldController.js";
+
+const router = express.Router();
+
+// POST /api/fields - Register a field with its boundary
+router.post("/", addField);
+
+// GET /api/fields - Search fields by radius, bbox, owner and crop
+router.get("/", listFields);
+
+// GET /api/fields/:id - Get a field
+router.get("/:id", getFieldById);
+
+// PATCH /api/fields/:id - Update some of a field's details
+router.patch("/:id", editField);
+
+// DELETE /api/fields/:id - Delete a field
+router.delete("/:id", removeField);
+
+// POST /api/fields/:id/zones - Split a field into NDVI management zones
+router.post("/:id/zones", createFieldZones);
+
+export default router;
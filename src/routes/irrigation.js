@@ -0,0 +1,9 @@
+import express from "express";
+import { getIrrigationSchedule } from "../controllers/irrigationController.js";
+
+const router = express.Router();
+
+// GET /api/irrigation/schedule - Day-by-day irrigation schedule from FAO-56 ET0
+router.get("/schedule", getIrrigationSchedule);
+
+export default router;
@@ -1,8 +1,28 @@
 import express from "express";
-import { getNdviData } from "../controllers/NDVIController.js";
+import {
+  getNdviData,
+  getZonalNdvi,
+  getNdviTile,
+  getNdviPreview,
+  getNdviChange,
+  getNdviChangePreview,
+  getNdviPhenometrics,
+  createNdviJob,
+  getNdviJobStatus,
+  getNdviJobs,
+} from "../controllers/NDVIController.js";
 
 const router = express.Router();
 
 router.get("/", getNdviData);
+router.post("/zonal", getZonalNdvi);
+router.get("/tiles/:z/:x/:y.png", getNdviTile);
+router.get("/preview.png", getNdviPreview);
+router.get("/change", getNdviChange);
+router.get("/change.png", getNdviChangePreview);
+router.get("/phenometrics", getNdviPhenometrics);
+router.post("/jobs", createNdviJob);
+router.get("/jobs", getNdviJobs);
+router.get("/jobs/:id", getNdviJobStatus);
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,9 @@
+import express from "express";
+import { getPhenology } from "../controllers/phenologyController.js";
+
+const router = express.Router();
+
+// GET /api/phenology - Growing degree days and current growth stage of a crop
+router.get("/", getPhenology);
+
+export default router;
@@ -0,0 +1,27 @@
+import express from "express";
+import { requireRole } from "../middleware/auth.js";
+import { createScene, listScenes, getSceneById, uploadBand } from "../controllers/sceneController.js";
+
+const router = express.Router();
+
+// The scene catalog is shared across accounts
+const requireAgronomist = requireRole("agronomist", "admin");
+
+// POST /api/scenes - Register a scene with its metadata
+router.post("/", requireAgronomist, createScene);
+
+// GET /api/scenes - Search scenes by bbox, date range, sensor and cloud cover
+router.get("/", listScenes);
+
+// GET /api/scenes/:id - Get a scene
+router.get("/:id", getSceneById);
+
+// PUT /api/scenes/:id/bands/:band - Upload a band GeoTIFF as the raw request body
+router.put(
+  "/:id/bands/:band",
+  requireAgronomist,
+  express.raw({ type: ["image/tiff", "application/octet-stream"], limit: process.env.MAX_BAND_UPLOAD_SIZE || "1gb" }),
+  uploadBand
+);
+
+export default router;
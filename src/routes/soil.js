@@ -0,0 +1,9 @@
+import express from "express";
+import { getSoil } from "../controllers/soilController.js";
+
+const router = express.Router();
+
+// GET /api/soil - Soil texture, pH, organic carbon and water holding capacity at a location
+router.get("/", getSoil);
+
+export default router;
@@ -0,0 +1,25 @@
+import express from "express";
+import { requireRole } from "../middleware/auth.js";
+import { getYieldEstimate, importRecords, listRecords, listModels, getEvaluation } from "../controllers/yieldController.js";
+
+const router = express.Router();
+
+// Yield records and model evaluation are shared across accounts
+const requireAgronomist = requireRole("agronomist", "admin");
+
+// GET /api/yield/estimate - Yield estimate in t/ha with a 95% interval
+router.get("/estimate", getYieldEstimate);
+
+// POST /api/yield/records - Import historical yield records from CSV and recalibrate
+router.post("/records", requireAgronomist, express.text({ type: ["text/csv", "text/plain"], limit: "5mb" }), importRecords);
+
+// GET /api/yield/records - List imported yield records
+router.get("/records", requireAgronomist, listRecords);
+
+// GET /api/yield/models - Yield model of every crop
+router.get("/models", listModels);
+
+// GET /api/yield/evaluation - Predicted vs actual yields by leave-one-out cross-validation
+router.get("/evaluation", requireAgronomist, getEvaluation);
+
+export default router;
@@ -1,42 +1,766 @@
-import { fromArrayBuffer } from "geotiff";
-import admin from "firebase-admin";
-import { getNdviData } from "../controllers/NDVIController.js";
-
-export async function calculateNdvi() {
-  const bucket = admin.storage().bucket();
-  const [redBuffer] = await bucket.file("red.tif").download();
-  const [nirBuffer] = await bucket.file("nir.tif").download();
-
-  const redTiff = await fromArrayBuffer(redBuffer.buffer);
-  const nirTiff = await fromArrayBuffer(nirBuffer.buffer);
-
-  const redImage = await redTiff.getImage();
-  const nirImage = await nirTiff.getImage();
-
-  const redRaster = (await redImage.readRasters())[0];
-  const nirRaster = (await nirImage.readRasters())[0];
-
-  const ndvi = [];
-  let sum = 0,
-    count = 0;
-  const maxPixels = 1000000;
-  for (let i = 0; i < Math.min(redRaster.length, maxPixels); i++) {
-    const red = redRaster[i];
-    const nir = nirRaster[i];
-    if (nir + red !== 0) {
-      const val = (nir - red) / (nir + red);
-      ndvi.push(val);
-      sum += val;
-      count++;
-    } else {
-      ndvi.push(0);
-    }
-  }
-  const meanNdvi = (sum / count).toFixed(4);
+import { GeoTIFF, fromArrayBuffer } from "geotiff";
+import {
+  generateBoundingBox,
+  getGeometryBoundingBox,
+  getGeometryPolygons,
+  pointInPolygon,
+} from "../utils/coordinateUtils.js";
+import { getPixelWindow, lonLatToPixel } from "../utils/projectionUtils.js";
+import { getIndexDefinition, createIndexEvaluator } from "./vegetationIndices.js";
+import { getRasterStorage, getStorageForKey } from "./storage/rasterStorage.js";
+import { findBestScene, getScene, getSceneCacheTag } from "./sceneCatalog.js";
+import { findSatelliteScene } from "./dynamicGeoTIFFService.js";
+import { createHttpError } from "../utils/errorUtils.js";
+import { createStatisticsAccumulator } from "../utils/statisticsUtils.js";
+import { cached, buildCacheKey, getCacheTtl } from "./cache/resultCache.js";
+import {
+  QA_BANDS,
+  MASK_CLASSES,
+  createQaClassifier,
+  createMaskCounter,
+  getReasonCode,
+} from "./qualityMask.js";
+
+// Raster storage keys used when no catalog scene matches a request
+const BAND_FILES = {
+  red: "red.tif",
+  nir: "nir.tif",
+  blue: "blue.tif",
+  green: "green.tif",
+  rededge: "rededge.tif",
+  swir: "swir.tif",
+  scl: "scl.tif",
+  qa: "qa.tif",
+};
+
+// Upper bound on pixels decoded per band at once. Windows are read in
+// chunks of whole tiles or strips up to this size, so memory stays flat
+// no matter how large the scene is.
+const CHUNK_PIXELS = 4 * 1024 * 1024;
+const SAMPLE_SIZE = 100;
+
+// GeoTIFF each band image was opened from, to look up its overviews
+const imageFiles = new WeakMap();
+
+// Where calculateNdvi() reads bands: the scene catalog and raster storage,
+// or satellite scenes found in a STAC API
+export const NDVI_SOURCES = ["storage", "satellite"];
+
+/**
+ * Calculate a vegetation index (NDVI by default) from the band GeoTIFFs
+ * in raster storage. When coordinates are given only the pixels
+ * covering the bounding box around that point are read, otherwise the
+ * whole scene is used. Results are cached per scene, area, index and mask.
+ * @param {Object} options - Calculation options
+ * @param {number} [options.latitude] - Center latitude of the field
+ * @param {number} [options.longitude] - Center longitude of the field
+ * @param {number} [options.radiusKm=1] - Half-width of the bounding box in kilometers
+ * @param {string} [options.index='ndvi'] - Index key from the vegetation index registry
+ * @param {Object} [options.params={}] - Resolved index parameters (e.g. SAVI L)
+ * @param {Date} [options.date] - Date to pick the best catalog scene for (default: now)
+ * @param {string} [options.sceneId] - Catalog scene to use instead of picking one
+ * @param {Array<string>} [options.mask] - QA classes to mask (default: the index's default mask)
+ * @param {string} [options.source='storage'] - 'storage', or 'satellite' for the best STAC scene
+ *   around the coordinates and date
+ * @param {Function} [options.onProgress] - Called with the fraction (0-1) of the window read after each chunk
+ * @returns {Object} - Index statistics for the requested area
+ */
+export async function calculateNdvi({ latitude, longitude, radiusKm = 1, index = "ndvi", params = {}, date, sceneId, mask, source = "storage", onProgress } = {}) {
+  const definition = getIndexDefinition(index);
+  const scene = await resolveScene(definition.bands, { latitude, longitude, date, sceneId, source });
+  const maskClasses = mask || definition.defaultMask || MASK_CLASSES;
+  const cacheKey = buildCacheKey(`ndvi:${scene ? scene.id : "default"}`, {
+    latitude, longitude, radiusKm, index: definition.key, params, mask: maskClasses,
+  });
+
+  return cached(cacheKey, { ttlSeconds: getCacheTtl("ndvi"), tags: [getSceneCacheTag(scene ? scene.id : null)] }, () =>
+    computeIndexStatistics(definition, scene, { latitude, longitude, radiusKm, params, mask: maskClasses, onProgress })
+  );
+}
+
+/**
+ * Compute index statistics for calculateNdvi() from a resolved scene
+ * @param {Object} definition - Index definition
+ * @param {Object|null} scene - Catalog scene, or null for the default band files
+ * @param {Object} options - { latitude, longitude, radiusKm, params, mask, onProgress }
+ * @returns {Object} - Index statistics for the requested area
+ */
+async function computeIndexStatistics(definition, scene, { latitude, longitude, radiusKm, params, mask, onProgress }) {
+  const { images, scaling, qa } = await loadSceneImages(definition.bands, scene);
+  const pixelMask = createPixelMask(qa, mask);
+  const referenceImage = images[definition.bands[0]];
+
+  let boundingBox = null;
+  let window = null;
+  if (latitude !== undefined && longitude !== undefined) {
+    boundingBox = generateBoundingBox(latitude, longitude, radiusKm);
+    window = getPixelWindow(referenceImage, boundingBox);
+    if (!window) {
+      throw createHttpError(404, "Requested area lies outside the raster extent");
+    }
+  }
+
+  const readWindow = window || [0, 0, referenceImage.getWidth(), referenceImage.getHeight()];
+  const statistics = createStatisticsAccumulator({ min: definition.range[0], max: definition.range[1] });
+  const maskCounter = createMaskCounter();
+  const sample = [];
+  for await (const { values, reasons, progress } of readIndexChunks(images, scaling, definition, params, pixelMask, readWindow)) {
+    for (let i = 0; i < values.length; i++) {
+      const val = values[i];
+      if (reasons[i] === 0) {
+        statistics.add(val);
+      } else {
+        maskCounter.add(reasons[i]);
+      }
+      if (sample.length < SAMPLE_SIZE) {
+        sample.push(Number.isNaN(val) ? 0 : val);
+      }
+    }
+    if (onProgress) {
+      await onProgress(progress);
+    }
+  }
+
+  const totalPixels = (readWindow[2] - readWindow[0]) * (readWindow[3] - readWindow[1]);
+  const summary = statistics.summarize(totalPixels);
+  const meanValue = summary.mean !== null ? summary.mean.toFixed(4) : null;
+  return {
+    index: definition.key,
+    indexName: definition.name,
+    params,
+    meanValue,
+    // Kept for clients that predate the index registry
+    ...(definition.key === "ndvi" ? { meanNdvi: meanValue } : {}),
+    sample,
+    statistics: summary,
+    width: referenceImage.getWidth(),
+    height: referenceImage.getHeight(),
+    pixelCount: summary.pixelCount,
+    window: window ? { x0: window[0], y0: window[1], x1: window[2], y1: window[3] } : null,
+    boundingBox,
+    masking: summarizeMasking(pixelMask, maskCounter),
+    scene: summarizeScene(scene),
+  };
+}
+
+/**
+ * Calculate NDVI zonal statistics for polygon features. Pixels are
+ * counted when their center falls inside the polygon (holes excluded).
+ * Results are cached per scene, features and mask.
+ * @param {Array} features - Features from normalizePolygonFeatures()
+ * @param {Object} [options={}] - Scene selection { date, sceneId }, QA classes to mask { mask } and
+ *   { onProgress } called with the fraction (0-1) of features done after each chunk
+ * @returns {Object} - { scene, results } with per-feature statistics in input order
+ */
+export async function calculateZonalNdvi(features, { date, sceneId, mask = MASK_CLASSES, onProgress } = {}) {
+  const definition = getIndexDefinition("ndvi");
+  const extent = getGeometryBoundingBox(features[0].geometry);
+  const scene = await resolveScene(definition.bands, {
+    latitude: (extent.north + extent.south) / 2,
+    longitude: (extent.east + extent.west) / 2,
+    date,
+    sceneId,
+  });
+  const cacheKey = buildCacheKey(`zonal:${scene ? scene.id : "default"}`, { features, mask });
+
+  return cached(cacheKey, { ttlSeconds: getCacheTtl("ndvi"), tags: [getSceneCacheTag(scene ? scene.id : null)] }, () =>
+    computeZonalStatistics(definition, scene, features, { mask, onProgress })
+  );
+}
+
+/**
+ * Compute per-feature statistics for calculateZonalNdvi() from a resolved scene
+ * @param {Object} definition - NDVI definition
+ * @param {Object|null} scene - Catalog scene, or null for the default band files
+ * @param {Array} features - Features from normalizePolygonFeatures()
+ * @param {Object} options - { mask, onProgress }
+ * @returns {Object} - { scene, results }
+ */
+async function computeZonalStatistics(definition, scene, features, { mask, onProgress }) {
+  const { images, scaling, qa } = await loadSceneImages(definition.bands, scene);
+  const redImage = images.red;
+  const pixelMask = createPixelMask(qa, mask);
+  const histogramRange = { min: definition.range[0], max: definition.range[1] };
+
+  const results = [];
+  for (const [featureIndex, feature] of features.entries()) {
+    const window = getPixelWindow(redImage, getGeometryBoundingBox(feature.geometry));
+    if (!window) {
+      results.push({
+        id: feature.id,
+        properties: feature.properties,
+        statistics: createStatisticsAccumulator(histogramRange).summarize(0),
+        masking: summarizeMasking(pixelMask, createMaskCounter()),
+      });
+      if (onProgress) {
+        await onProgress((featureIndex + 1) / features.length);
+      }
+      continue;
+    }
+
+    // Project the polygons once into pixel space so each pixel test is planar
+    const pixelPolygons = getGeometryPolygons(feature.geometry).map(rings =>
+      rings.map(ring => ring.map(([lon, lat]) => lonLatToPixel(redImage, lon, lat)))
+    );
+
+    const statistics = createStatisticsAccumulator(histogramRange);
+    const maskCounter = createMaskCounter();
+    let insideCount = 0;
+    for await (const { window: chunk, values, reasons, progress } of readIndexChunks(images, scaling, definition, {}, pixelMask, window)) {
+      const [x0, y0, x1] = chunk;
+      const chunkWidth = x1 - x0;
+      for (let i = 0; i < values.length; i++) {
+        const center = [x0 + (i % chunkWidth) + 0.5, y0 + Math.floor(i / chunkWidth) + 0.5];
+        if (!pixelPolygons.some(rings => pointInPolygon(center, rings))) {
+          continue;
+        }
+        insideCount++;
+        if (reasons[i] === 0) {
+          statistics.add(values[i]);
+        } else {
+          maskCounter.add(reasons[i]);
+        }
+      }
+      if (onProgress) {
+        await onProgress((featureIndex + progress) / features.length);
+      }
+    }
+
+    results.push({
+      id: feature.id,
+      properties: feature.properties,
+      statistics: statistics.summarize(insideCount),
+      masking: summarizeMasking(pixelMask, maskCounter),
+    });
+  }
+
+  return { scene: summarizeScene(scene), results };
+}
+
+/**
+ * Sample NDVI onto an output pixel grid, e.g. a map tile or preview image.
+ * Each output pixel takes the value of the raster pixel under its center;
+ * the covering raster window is read chunk by chunk and chunks no output
+ * pixel falls in are skipped. Masked pixels (nodata, clouds, ...) are NaN.
+ * Bands are read from the coarsest overview that is still at least as fine
+ * as the output, so zoomed out tiles don't decode full resolution windows.
+ * @param {Object} options - Sampling options
+ * @param {Object} options.boundingBox - Lat/lon extent covered by the grid
+ * @param {number} options.width - Output width in pixels
+ * @param {number} options.height - Output height in pixels
+ * @param {Function} options.pixelToLonLat - Maps (column, row) to [lon, lat]
+ * @param {Date} [options.date] - Date to pick the best catalog scene for
+ * @param {string} [options.sceneId] - Catalog scene to use instead of picking one
+ * @returns {Float32Array} - NDVI per output pixel, NaN where there is no data
+ */
+export async function sampleNdviGrid({ boundingBox, width, height, pixelToLonLat, date, sceneId }) {
+  const grid = new Float32Array(width * height).fill(NaN);
+  const definition = getIndexDefinition("ndvi");
+  const bandImages = await loadBandImages(definition.bands, {
+    latitude: (boundingBox.north + boundingBox.south) / 2,
+    longitude: (boundingBox.east + boundingBox.west) / 2,
+    date,
+    sceneId,
+  });
+  const { scaling, qa } = bandImages;
+
+  // Full resolution pixels between neighbouring output pixel centers
+  const fullImage = bandImages.images.red;
+  const [cx, cy] = lonLatToPixel(fullImage, ...pixelToLonLat(width / 2, height / 2));
+  const [ax, ay] = lonLatToPixel(fullImage, ...pixelToLonLat(width / 2 + 1, height / 2));
+  const [bx, by] = lonLatToPixel(fullImage, ...pixelToLonLat(width / 2, height / 2 + 1));
+  const step = Math.min(Math.hypot(ax - cx, ay - cy), Math.hypot(bx - cx, by - cy));
+  // Rounded down a little so a step of exactly 2, 4, ... pixels allows that overview
+  const minWidth = Math.floor(fullImage.getWidth() / Math.max(1, step) + 0.001);
+
+  const images = {};
+  for (const band of definition.bands) {
+    images[band] = await selectOverview(bandImages.images[band], minWidth, fullImage);
+  }
+  const redImage = images.red;
+  const pixelMask = createPixelMask(
+    qa && { ...qa, image: await selectOverview(qa.image, minWidth, fullImage) },
+    MASK_CLASSES
+  );
+
+  const window = getPixelWindow(redImage, boundingBox);
+  if (!window) {
+    return grid;
+  }
+
+  // Raster pixel under each output pixel, -1 when outside the window
+  const sourceX = new Int32Array(width * height).fill(-1);
+  const sourceY = new Int32Array(width * height).fill(-1);
+  const [x0, y0, x1, y1] = window;
+  for (let row = 0; row < height; row++) {
+    for (let col = 0; col < width; col++) {
+      const [lon, lat] = pixelToLonLat(col + 0.5, row + 0.5);
+      const [px, py] = lonLatToPixel(redImage, lon, lat);
+      const ix = Math.floor(px);
+      const iy = Math.floor(py);
+      if (ix >= x0 && ix < x1 && iy >= y0 && iy < y1) {
+        sourceX[row * width + col] = ix;
+        sourceY[row * width + col] = iy;
+      }
+    }
+  }
+
+  const isSampled = ([cx0, cy0, cx1, cy1]) => {
+    for (let i = 0; i < sourceX.length; i++) {
+      if (sourceX[i] >= cx0 && sourceX[i] < cx1 && sourceY[i] >= cy0 && sourceY[i] < cy1) {
+        return true;
+      }
+    }
+    return false;
+  };
+
+  for await (const { window: chunk, values } of readIndexChunks(images, scaling, definition, {}, pixelMask, window, isSampled)) {
+    const [cx0, cy0, cx1, cy1] = chunk;
+    const chunkWidth = cx1 - cx0;
+    for (let i = 0; i < grid.length; i++) {
+      const ix = sourceX[i];
+      const iy = sourceY[i];
+      if (ix >= cx0 && ix < cx1 && iy >= cy0 && iy < cy1) {
+        grid[i] = values[(iy - cy0) * chunkWidth + (ix - cx0)];
+      }
+    }
+  }
+
+  return grid;
+}
+
+/**
+ * Read an index over the pixel window of one scene covering a bounding box,
+ * e.g. to compare two scenes pixel by pixel
+ * @param {Object} options - Read options
+ * @param {Object} options.boundingBox - { north, south, east, west } in degrees
+ * @param {string} [options.sceneId] - Catalog scene to read
+ * @param {Date} [options.date] - Date to pick the best catalog scene for the box when no
+ *   sceneId is given
+ * @param {string} [options.index='ndvi'] - Index key from the vegetation index registry
+ * @param {Array<string>} [options.mask] - QA classes to mask
+ * @param {number} [options.maxPixels] - Largest window allowed
+ * @returns {Object} - { scene, image, window, values, reasons } with image being the reference band
+ */
+export async function readIndexWindow({ boundingBox, sceneId, date, index = "ndvi", mask = MASK_CLASSES, maxPixels = Infinity }) {
+  const definition = getIndexDefinition(index);
+  const { scene, images, scaling, qa } = await loadBandImages(definition.bands, {
+    latitude: (boundingBox.north + boundingBox.south) / 2,
+    longitude: (boundingBox.east + boundingBox.west) / 2,
+    date,
+    sceneId,
+  });
+  const referenceImage = images[definition.bands[0]];
+
+  const window = getPixelWindow(referenceImage, boundingBox);
+  if (!window) {
+    throw createHttpError(404, `Requested area lies outside scene ${scene ? scene.id : "default"}`);
+  }
+  const windowWidth = window[2] - window[0];
+  const windowHeight = window[3] - window[1];
+  if (windowWidth * windowHeight > maxPixels) {
+    throw createHttpError(400, `Requested area covers ${windowWidth * windowHeight} pixels, more than the ${maxPixels} allowed`);
+  }
+
+  const values = new Float32Array(windowWidth * windowHeight);
+  const reasons = new Uint8Array(windowWidth * windowHeight);
+  const pixelMask = createPixelMask(qa, mask);
+  for await (const chunk of readIndexChunks(images, scaling, definition, {}, pixelMask, window)) {
+    const [cx0, cy0, cx1] = chunk.window;
+    const chunkWidth = cx1 - cx0;
+    for (let i = 0; i < chunk.values.length; i++) {
+      const target = (cy0 - window[1] + Math.floor(i / chunkWidth)) * windowWidth + (cx0 - window[0]) + (i % chunkWidth);
+      values[target] = chunk.values[i];
+      reasons[target] = chunk.reasons[i];
+    }
+  }
+
+  return { scene: summarizeScene(scene), image: referenceImage, window, values, reasons };
+}
+
+/**
+ * Read the pixel under a location from the first band of a GeoTIFF in
+ * raster storage, e.g. a soil property layer
+ * @param {string} fileName - Object key in raster storage, or an http(s) URL
+ * @param {number} latitude - Latitude in degrees
+ * @param {number} longitude - Longitude in degrees
+ * @returns {number|null} - Pixel value, or null outside the raster and on its nodata value
+ */
+export async function sampleRasterValue(fileName, latitude, longitude) {
+  const image = await loadBandImage(fileName);
+  const [px, py] = lonLatToPixel(image, longitude, latitude);
+  const column = Math.floor(px);
+  const row = Math.floor(py);
+  if (!(column >= 0 && row >= 0 && column < image.getWidth() && row < image.getHeight())) {
+    return null;
+  }
+
+  const [values] = await image.readRasters({ window: [column, row, column + 1, row + 1], samples: [0] });
+  const value = values[0];
+  return value === image.getGDALNoData() || Number.isNaN(value) ? null : value;
+}
+
+/**
+ * Evaluate an index over a pixel window one chunk at a time. Chunks follow
+ * the tile (or strip) grid of the first band so every tile is decoded once.
+ * @param {Object} images - GeoTIFFImages keyed by band name
+ * @param {Object} bandScaling - { scale, offset } keyed by band name, from loadSceneImages()
+ * @param {Object} definition - Index definition from the registry
+ * @param {Object} params - Resolved index parameters
+ * @param {Object} pixelMask - Mask from createPixelMask()
+ * @param {Array<number>} window - Pixel window [x0, y0, x1, y1]
+ * @param {Function} [includeChunk] - Returns false for chunk windows that can be skipped
+ * @returns {AsyncGenerator<Object>} - { window, values, reasons, progress } per chunk, in row order;
+ *   progress is the fraction of chunks done
+ */
+async function* readIndexChunks(images, bandScaling, definition, params, pixelMask, window, includeChunk = () => true) {
+  const chunks = getChunkWindows(images[definition.bands[0]], window);
+  for (const [i, chunk] of chunks.entries()) {
+    if (includeChunk(chunk)) {
+      yield {
+        window: chunk,
+        ...(await readIndexRaster(images, bandScaling, definition, params, pixelMask, chunk)),
+        progress: (i + 1) / chunks.length,
+      };
+    }
+  }
+}
+
+/**
+ * Split a pixel window into chunks aligned to the image's tiles or strips,
+ * each covering at most CHUNK_PIXELS (or a single tile when tiles are larger)
+ * @param {Object} image - GeoTIFFImage
+ * @param {Array<number>} window - Pixel window [x0, y0, x1, y1]
+ * @returns {Array<Array<number>>} - Chunk windows in row order
+ */
+function getChunkWindows(image, window) {
+  const [x0, y0, x1, y1] = window;
+  const blockWidth = image.getTileWidth();
+  const blockHeight = image.getTileHeight();
+  const firstBlockX = Math.floor(x0 / blockWidth);
+  const firstBlockY = Math.floor(y0 / blockHeight);
+  const blocksAcross = Math.ceil(x1 / blockWidth) - firstBlockX;
+
+  const blocksPerChunk = Math.max(1, Math.floor(CHUNK_PIXELS / (blockWidth * blockHeight)));
+  const chunkBlocksX = Math.min(blocksAcross, blocksPerChunk);
+  const chunkBlocksY = Math.max(1, Math.floor(blocksPerChunk / chunkBlocksX));
+  const chunkWidth = chunkBlocksX * blockWidth;
+  const chunkHeight = chunkBlocksY * blockHeight;
+
+  const chunks = [];
+  for (let top = firstBlockY * blockHeight; top < y1; top += chunkHeight) {
+    for (let left = firstBlockX * blockWidth; left < x1; left += chunkWidth) {
+      chunks.push([
+        Math.max(x0, left),
+        Math.max(y0, top),
+        Math.min(x1, left + chunkWidth),
+        Math.min(y1, top + chunkHeight),
+      ]);
+    }
+  }
+  return chunks;
+}
+
+/**
+ * Read the bands an index needs and evaluate it per pixel. Pixels where a
+ * band holds its nodata value or the QA band flags a masked class are not
+ * evaluated; reasons[i] says why (0 = valid, see MASK_REASONS).
+ * @param {Object} images - GeoTIFFImages keyed by band name
+ * @param {Object} bandScaling - { scale, offset } keyed by band name, from loadSceneImages()
+ * @param {Object} definition - Index definition from the registry
+ * @param {Object} params - Resolved index parameters
+ * @param {Object} pixelMask - Mask from createPixelMask()
+ * @param {Array<number>} window - Pixel window [x0, y0, x1, y1]
+ * @returns {Object} - { values, reasons }; values are NaN where masked or undefined
+ */
+async function readIndexRaster(images, bandScaling, definition, params, pixelMask, window) {
+  const referenceImage = images[definition.bands[0]];
+  const rasters = {};
+  const noData = {};
+  for (const band of definition.bands) {
+    rasters[band] = await readBandWindow(images[band], referenceImage, window);
+    noData[band] = images[band].getGDALNoData();
+  }
+  const qaRaster = pixelMask.qa ? await readBandWindow(pixelMask.qa.image, referenceImage, window) : null;
+
+  const evaluate = createIndexEvaluator(definition, params, bandScaling);
+  const length = rasters[definition.bands[0]].length;
+  const values = new Float32Array(length).fill(NaN);
+  const reasons = new Uint8Array(length);
+  const nodataCode = getReasonCode("nodata");
+  const invalidCode = getReasonCode("invalid");
+  const pixel = {};
+  for (let i = 0; i < length; i++) {
+    let reason = 0;
+    for (const band of definition.bands) {
+      const value = rasters[band][i];
+      if (value === noData[band] || Number.isNaN(value)) {
+        reason = nodataCode;
+        break;
+      }
+      pixel[band] = value;
+    }
+    if (reason === 0 && qaRaster) {
+      reason = pixelMask.classify(qaRaster[i]);
+    }
+    if (reason === 0) {
+      values[i] = evaluate(pixel);
+      if (Number.isNaN(values[i])) {
+        reason = invalidCode;
+      }
+    }
+    reasons[i] = reason;
+  }
+  return { values, reasons };
+}
+
+/**
+ * Read a window of a band given in the pixel grid of the reference band.
+ * Bands at a different resolution (e.g. 20 m QA with 10 m red) are
+ * resampled to the reference grid with nearest neighbour.
+ * @param {Object} image - GeoTIFFImage to read
+ * @param {Object} referenceImage - GeoTIFFImage the window refers to
+ * @param {Array<number>} window - Pixel window [x0, y0, x1, y1] in the reference grid
+ * @returns {TypedArray} - Values in the reference grid
+ */
+async function readBandWindow(image, referenceImage, window) {
+  const scaleX = image.getWidth() / referenceImage.getWidth();
+  const scaleY = image.getHeight() / referenceImage.getHeight();
+  if (scaleX === 1 && scaleY === 1) {
+    return (await image.readRasters({ window }))[0];
+  }
+
+  const [x0, y0, x1, y1] = window;
+  const scaledWindow = [
+    Math.floor(x0 * scaleX),
+    Math.floor(y0 * scaleY),
+    Math.max(Math.floor(x0 * scaleX) + 1, Math.ceil(x1 * scaleX)),
+    Math.max(Math.floor(y0 * scaleY) + 1, Math.ceil(y1 * scaleY)),
+  ];
+  const rasters = await image.readRasters({
+    window: scaledWindow,
+    width: x1 - x0,
+    height: y1 - y0,
+    resampleMethod: "nearest",
+  });
+  return rasters[0];
+}
+
+/**
+ * Combine the scene's QA band with the classes to mask
+ * @param {Object|null} qa - { band, image } from loadBandImages()
+ * @param {Array<string>} classes - QA classes to mask
+ * @returns {Object} - { qa, classes, classify }
+ */
+function createPixelMask(qa, classes) {
+  return {
+    qa,
+    classes,
+    classify: qa ? createQaClassifier(qa.band, classes) : () => 0,
+  };
+}
+
+/**
+ * Describe the masking applied to a result
+ * @param {Object} pixelMask - Mask from createPixelMask()
+ * @param {Object} maskCounter - Counter from createMaskCounter()
+ * @returns {Object} - { qaBand, classes, maskedPixels, reasons }
+ */
+function summarizeMasking(pixelMask, maskCounter) {
+  return {
+    qaBand: pixelMask.qa ? pixelMask.qa.band : null,
+    // Without a QA band only nodata and undefined values can be masked
+    classes: pixelMask.qa ? pixelMask.classes : [],
+    ...maskCounter.summarize(),
+  };
+}
+
+/**
+ * Load band images from raster storage. The bands come from the requested
+ * catalog scene, else the best scene for the location and date, else the
+ * default BAND_FILES when the catalog has nothing covering the location.
+ * A QA band (scl or qa) is loaded too when the source has one.
+ * @param {Array<string>} bands - Band names, keys of BAND_FILES
+ * @param {Object} [source={}] - { latitude, longitude, date, sceneId }
+ * @returns {Object} - { scene, images, scaling, qa } as for loadSceneImages()
+ */
+async function loadBandImages(bands, source = {}) {
+  const scene = await resolveScene(bands, source);
+  return { scene, ...(await loadSceneImages(bands, scene)) };
+}
+
+/**
+ * Pick the catalog scene to read bands from, as described for loadBandImages().
+ * With source "satellite" the scene comes from the STAC API instead.
+ * @param {Array<string>} bands - Band names the scene must have
+ * @param {Object} [source={}] - { latitude, longitude, date, sceneId, source }
+ * @returns {Object|null} - Catalog scene, or null for the default BAND_FILES
+ */
+async function resolveScene(bands, { latitude, longitude, date, sceneId, source = "storage" } = {}) {
+  if (source === "satellite") {
+    if (latitude === undefined || longitude === undefined) {
+      throw createHttpError(400, "Satellite scenes need latitude and longitude");
+    }
+    return findSatelliteScene({ latitude, longitude, date, bands });
+  }
+  if (sceneId) {
+    const scene = await getScene(sceneId);
+    if (!scene) {
+      throw createHttpError(404, `Scene ${sceneId} not found`);
+    }
+    const missing = bands.filter(band => !scene.bands || !scene.bands[band]);
+    if (missing.length > 0) {
+      throw createHttpError(404, `Scene ${sceneId} has no ${missing.join(", ")} band`);
+    }
+    return scene;
+  }
+  if (latitude !== undefined && longitude !== undefined) {
+    return findBestScene({ latitude, longitude, date, bands });
+  }
+  return null;
+}
+
+/**
+ * Load the band images of a resolved scene
+ * @param {Array<string>} bands - Band names, keys of BAND_FILES
+ * @param {Object|null} scene - Catalog scene, or null for the default BAND_FILES
+ * @returns {Object} - { images, scaling, qa } with GeoTIFFImages and the scene's
+ *   { scale, offset } of each band keyed by band name
+ */
+async function loadSceneImages(bands, scene) {
+  const keys = bands.map(band => (scene ? scene.bands[band] : BAND_FILES[band]));
+  const images = await Promise.all(keys.map(loadBandImage));
+  return {
+    images: Object.fromEntries(bands.map((band, i) => [band, images[i]])),
+    scaling: (scene && scene.bandScaling) || {},
+    qa: await loadQaImage(scene),
+  };
+}
+
+/**
+ * Load the first available QA band of a scene, or of the default BAND_FILES
+ * @param {Object|null} scene - Catalog scene
+ * @returns {Object|null} - { band, image } or null when there is no QA band
+ */
+async function loadQaImage(scene) {
+  for (const band of Object.keys(QA_BANDS)) {
+    const key = scene ? scene.bands && scene.bands[band] : BAND_FILES[band];
+    if (key && (scene || (await getRasterStorage().exists(key)))) {
+      return { band, image: await loadBandImage(key) };
+    }
+  }
+  return null;
+}
+
+/**
+ * Reduce a catalog scene to the fields reported alongside results
+ * @param {Object|null} scene - Catalog scene
+ * @returns {Object|null} - Scene summary
+ */
+function summarizeScene(scene) {
+  if (!scene) {
+    return null;
+  }
+  return {
+    id: scene.id,
+    acquiredAt: scene.acquiredAt,
+    sensor: scene.sensor,
+    cloudCover: scene.cloudCover,
+    ...(scene.collection ? { collection: scene.collection } : {}),
+  };
+}
+
+/**
+ * Open the first image of a band GeoTIFF in raster storage. Backends that
+ * support range reads serve only the header and the tiles actually read;
+ * others download the whole file.
+ * @param {string} fileName - Object key in raster storage, or an http(s) URL
+ * @returns {Object} - GeoTIFFImage instance
+ */
+async function loadBandImage(fileName) {
+  const storage = getStorageForKey(fileName);
+  if (!(await storage.exists(fileName))) {
+    throw createHttpError(404, `Band file ${fileName} not found in ${storage.name} storage`);
+  }
+
+  let tiff;
+  if (typeof storage.readRange === "function") {
+    tiff = await GeoTIFF.fromSource(createStorageSource(storage, fileName, await storage.getSize(fileName)));
+  } else {
+    const buffer = await storage.download(fileName);
+    // Node buffers may be views into a larger pooled ArrayBuffer
+    const arrayBuffer = buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+    tiff = await fromArrayBuffer(arrayBuffer);
+  }
+  const image = await tiff.getImage();
+  imageFiles.set(image, tiff);
+  return image;
+}
+
+/**
+ * Pick the coarsest overview of a band image that is still at least minWidth
+ * pixels across, scaled for bands at a different resolution than the
+ * reference. Overviews carry no georeferencing of their own, so the one
+ * returned takes its origin and projection from the full resolution image.
+ * @param {Object} image - Full resolution GeoTIFFImage from loadBandImage()
+ * @param {number} minWidth - Smallest acceptable width in pixels of the reference grid
+ * @param {Object} referenceImage - Full resolution GeoTIFFImage minWidth refers to
+ * @returns {Object} - The image itself or a georeferenced overview
+ */
+async function selectOverview(image, minWidth, referenceImage) {
+  const tiff = imageFiles.get(image);
+  const targetWidth = minWidth * (image.getWidth() / referenceImage.getWidth());
+  if (!tiff || image.getWidth() <= targetWidth) {
+    return image;
+  }
+
+  let selected = image;
+  const count = await tiff.getImageCount();
+  for (let i = 1; i < count; i++) {
+    const overview = await tiff.getImage(i);
+    const { SubfileType: subfileType, NewSubfileType: newSubfileType = 0 } = overview.fileDirectory;
+    // Reduced resolution images only; transparency masks are skipped
+    const isOverview = (subfileType === 2 || newSubfileType & 1) && !(newSubfileType & 4);
+    if (isOverview && overview.getWidth() >= targetWidth && overview.getWidth() < selected.getWidth()) {
+      selected = overview;
+    }
+  }
+  if (selected === image) {
+    return image;
+  }
+
+  const resolution = selected.getResolution(image);
+  return Object.assign(Object.create(selected), {
+    getOrigin: () => image.getOrigin(),
+    getResolution: () => resolution,
+    getGeoKeys: () => image.getGeoKeys(),
+    getGDALNoData: () => image.getGDALNoData(),
+  });
+}
+
+/**
+ * Adapt a range-reading storage adapter to the geotiff source interface
+ * @param {Object} storage - Storage adapter with readRange()
+ * @param {string} key - Object key in raster storage
+ * @param {number} fileSize - Object size in bytes
+ * @returns {Object} - geotiff source
+ */
+function createStorageSource(storage, key, fileSize) {
   return {
-    meanNdvi,
-    sample: ndvi.slice(0, 100),
-    width: redImage.getWidth(),
-    height: redImage.getHeight(),
+    fileSize,
+    async fetch(slices) {
+      return Promise.all(
+        slices.map(async ({ offset, length }) => {
+          // geotiff reads fixed-size header blocks that may run past the end
+          const end = Math.min(offset + length, fileSize);
+          if (end <= offset) {
+            return new ArrayBuffer(0);
+          }
+          const buffer = await storage.readRange(key, offset, end - offset);
+          return buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
+        })
+      );
+    },
+    async close() {},
   };
-}
\ No newline at end of file
+}
@@ -0,0 +1,150 @@
+/**
+ * Accounts - users, organizations and who may see what.
+ *
+ * Users are created on their first authenticated request, with the role
+ * and organization from their token claims (default: farmer without an
+ * organization). After that the stored record is authoritative and admins
+ * change it through the admin API.
+ *
+ * Roles:
+ *   farmer     - sees and manages their own fields and data
+ *   agronomist - also sees and edits everything owned within their organization,
+ *                and imports yield records
+ *   admin      - sees everything and manages users, organizations and rules
+ */
+
+import { getCollection } from "./dataStore.js";
+import { createHttpError } from "../utils/errorUtils.js";
+
+export const ROLES = ['farmer', 'agronomist', 'admin'];
+
+/**
+ * Get the user for verified token claims, creating it on first sight
+ * @param {Object} claims - { uid, email, name, role, organizationId } from a token verifier
+ * @returns {Object} - User { id, email, name, role, organizationId, createdAt, updatedAt }
+ */
+export async function resolveUser(claims) {
+  const users = getCollection('users');
+  const existing = await users.get(claims.uid);
+  if (existing) {
+    return existing;
+  }
+
+  const organizationId = claims.organizationId && (await getCollection('organizations').get(claims.organizationId))
+    ? claims.organizationId
+    : null;
+  const now = new Date().toISOString();
+  return users.insert({
+    id: claims.uid,
+    email: claims.email,
+    name: claims.name,
+    role: ROLES.includes(claims.role) ? claims.role : 'farmer',
+    organizationId,
+    createdAt: now,
+    updatedAt: now
+  });
+}
+
+/**
+ * Get a user by id
+ * @param {string} userId - User id
+ * @returns {Object|null} - User or null
+ */
+export async function getUser(userId) {
+  return getCollection('users').get(userId);
+}
+
+/**
+ * List users, optionally by organization and role
+ * @param {Object} [filters] - { organizationId, role }
+ * @returns {Array} - Users sorted by id
+ */
+export async function listUsers({ organizationId, role } = {}) {
+  const where = {};
+  if (organizationId) where.organizationId = organizationId;
+  if (role) where.role = role;
+  const users = await getCollection('users').find({ where });
+  return users.sort((a, b) => a.id.localeCompare(b.id));
+}
+
+/**
+ * Change a user's role, organization or name
+ * @param {string} userId - User id
+ * @param {Object} changes - Any of role, organizationId (null to remove) and name
+ * @returns {Object} - Updated user
+ */
+export async function updateUser(userId, { role, organizationId, name }) {
+  if (!(await getUser(userId))) {
+    throw createHttpError(404, `User ${userId} not found`);
+  }
+
+  const changes = { updatedAt: new Date().toISOString() };
+  if (role !== undefined) {
+    if (!ROLES.includes(role)) {
+      throw createHttpError(400, `role must be one of ${ROLES.join(', ')}`);
+    }
+    changes.role = role;
+  }
+  if (organizationId !== undefined) {
+    if (organizationId !== null && !(await getCollection('organizations').get(organizationId))) {
+      throw createHttpError(400, `Organization ${organizationId} not found`);
+    }
+    changes.organizationId = organizationId;
+  }
+  if (name !== undefined) {
+    changes.name = name;
+  }
+  return getCollection('users').update(userId, changes);
+}
+
+/**
+ * Create an organization
+ * @param {Object} input - { id, name }; the id is generated when omitted
+ * @returns {Object} - Stored organization
+ */
+export async function createOrganization({ id, name }) {
+  if (typeof name !== 'string' || name.trim() === '') {
+    throw createHttpError(400, 'name is required');
+  }
+  if (id !== undefined && (typeof id !== 'string' || !/^[a-z0-9][a-z0-9_-]*$/i.test(id))) {
+    throw createHttpError(400, 'id must be a string of letters, digits, "-" or "_"');
+  }
+
+  const organizations = getCollection('organizations');
+  if (id && (await organizations.get(id))) {
+    throw createHttpError(409, `Organization ${id} already exists`);
+  }
+  return organizations.insert({ ...(id ? { id } : {}), name: name.trim(), createdAt: new Date().toISOString() });
+}
+
+/**
+ * List organizations
+ * @returns {Array} - Organizations sorted by name
+ */
+export async function listOrganizations() {
+  const organizations = await getCollection('organizations').find();
+  return organizations.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Decide whether a user may use an owned resource. Without a user
+ * (authentication off) everything is allowed. Resources without an owner
+ * can be read by everyone but only changed by admins, and only owners and
+ * admins may delete.
+ * @param {Object|null} user - Authenticated user
+ * @param {Object} resource - Resource with owner and organizationId
+ * @param {string} [action='read'] - 'read', 'write' or 'delete'
+ * @returns {boolean} - True when allowed
+ */
+export function canAccess(user, resource, action = 'read') {
+  if (!user || user.role === 'admin' || (resource.owner && resource.owner === user.id)) {
+    return true;
+  }
+  if (!resource.owner) {
+    return action === 'read';
+  }
+  return action !== 'delete' &&
+    user.role === 'agronomist' &&
+    Boolean(user.organizationId) &&
+    resource.organizationId === user.organizationId;
+}
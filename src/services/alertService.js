@@ -0,0 +1,542 @@
+/**
+ * Field alerts - subscriptions that watch a registered field for vegetation
+ * and weather stress and notify through webhooks, email or FCM.
+ *
+ * A subscription lists conditions and channels. The evaluator checks every
+ * enabled subscription periodically; each condition that holds creates one
+ * alert per event (scene or forecast day), so repeated checks do not notify
+ * twice. Deliveries that fail are retried with backoff.
+ */
+
+import { getCollection } from "./dataStore.js";
+import { getField } from "./fieldRegistry.js";
+import { canAccess } from "./accountService.js";
+import { searchScenes } from "./sceneCatalog.js";
+import { detectNdviChange } from "./changeDetectionService.js";
+import { getWeatherForecast, HEAT_STRESS_TEMPERATURE } from "./weatherService.js";
+import { getNotificationChannel } from "./notifications/notificationChannels.js";
+import { createHttpError } from "../utils/errorUtils.js";
+
+/**
+ * Alert conditions with their parameters and defaults:
+ *   ndviDrop   - mean NDVI of the latest scene fell by thresholdPercent vs the previous scene
+ *   heavyRain  - a day in the next `days` forecasts at least thresholdMm of rain
+ *                (64.5 mm is the IMD "heavy rainfall" category)
+ *   heatStress - the average forecast temperature over `days` is above thresholdC,
+ *                as in the weather forecast's agricultural impact
+ */
+export const ALERT_CONDITIONS = {
+  ndviDrop: { thresholdPercent: 15 },
+  heavyRain: { thresholdMm: 64.5, days: 3 },
+  heatStress: { thresholdC: HEAT_STRESS_TEMPERATURE, days: 7 }
+};
+
+const EDITABLE_FIELDS = ['conditions', 'channels', 'enabled'];
+
+// Wait before each retry of a failed delivery; the last failure is final
+const RETRY_DELAYS_MINUTES = [1, 5, 30, 120];
+const MAX_DELIVERY_ATTEMPTS = RETRY_DELAYS_MINUTES.length + 1;
+const RETRY_CHECK_MS = 60 * 1000;
+
+/**
+ * Subscribe a registered field to alerts
+ * @param {Object} input - Subscription
+ * @param {string} input.fieldId - Registered field
+ * @param {Array} input.conditions - [{ type, ...parameters }] from ALERT_CONDITIONS
+ * @param {Array} input.channels - Notification targets, e.g. { type: 'webhook', url }
+ * @param {boolean} [input.enabled=true] - Whether the evaluator checks it
+ * @param {Object} [options] - { user } subscribing
+ * @returns {Object} - Stored subscription
+ */
+export async function createSubscription(input, { user = null } = {}) {
+  const field = await getAlertField(input.fieldId, user);
+  const subscription = validateSubscription({
+    conditions: input.conditions,
+    channels: input.channels,
+    enabled: input.enabled ?? true
+  });
+
+  const now = new Date().toISOString();
+  return publicSubscription(await getCollection('alertSubscriptions').insert({
+    fieldId: field.id,
+    ...subscription,
+    // Alerts are about the field, so they belong to its owner
+    owner: field.owner ?? user?.id ?? null,
+    organizationId: field.organizationId ?? user?.organizationId ?? null,
+    lastCheckedAt: null,
+    lastErrors: [],
+    createdAt: now,
+    updatedAt: now
+  }));
+}
+
+/**
+ * List subscriptions
+ * @param {Object} [filters] - { fieldId, user }
+ * @returns {Array} - Subscriptions the user may see, oldest first
+ */
+export async function listSubscriptions({ fieldId, user = null } = {}) {
+  const subscriptions = await getCollection('alertSubscriptions').find({
+    where: fieldId ? { fieldId } : {},
+    filter: subscription => canAccess(user, subscription)
+  });
+  return subscriptions
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+    .map(publicSubscription);
+}
+
+/**
+ * Get a subscription
+ * @param {string} subscriptionId - Subscription id
+ * @param {Object} [options] - { user } asking
+ * @returns {Object} - Subscription
+ */
+export async function getSubscription(subscriptionId, { user = null } = {}) {
+  return publicSubscription(await getStoredSubscription(subscriptionId, user));
+}
+
+/**
+ * Change the conditions, channels or enabled flag of a subscription
+ * @param {string} subscriptionId - Subscription id
+ * @param {Object} changes - Any of conditions, channels and enabled
+ * @param {Object} [options] - { user } making the change
+ * @returns {Object} - Updated subscription
+ */
+export async function updateSubscription(subscriptionId, changes, { user = null } = {}) {
+  const existing = await getStoredSubscription(subscriptionId, user, 'write');
+  const unknown = Object.keys(changes).filter(key => !EDITABLE_FIELDS.includes(key));
+  if (unknown.length > 0) {
+    throw createHttpError(400, `Cannot change ${unknown.join(', ')}. Editable: ${EDITABLE_FIELDS.join(', ')}`);
+  }
+
+  const merged = {};
+  EDITABLE_FIELDS.forEach(key => {
+    merged[key] = changes[key] !== undefined ? changes[key] : existing[key];
+  });
+  const subscription = validateSubscription(merged);
+  return publicSubscription(await getCollection('alertSubscriptions').update(subscriptionId, {
+    ...subscription,
+    updatedAt: new Date().toISOString()
+  }));
+}
+
+/**
+ * Delete a subscription; alerts it raised stay in the history
+ * @param {string} subscriptionId - Subscription id
+ * @param {Object} [options] - { user } deleting
+ */
+export async function deleteSubscription(subscriptionId, { user = null } = {}) {
+  await getStoredSubscription(subscriptionId, user, 'write');
+  await getCollection('alertSubscriptions').remove(subscriptionId);
+}
+
+/**
+ * Check a subscription's conditions now and notify about new events
+ * @param {string} subscriptionId - Subscription id
+ * @param {Object} [options] - { user, now }
+ * @returns {Object} - { alerts: [new alerts], errors: [{ condition, error }] }
+ */
+export async function evaluateSubscription(subscriptionId, { user = null, now = new Date() } = {}) {
+  const subscription = await getStoredSubscription(subscriptionId, user);
+  return checkSubscription(subscription, now);
+}
+
+/**
+ * List raised alerts, newest first
+ * @param {Object} [filters] - Filters
+ * @param {string} [filters.fieldId] - Field id
+ * @param {string} [filters.subscriptionId] - Subscription id
+ * @param {string} [filters.type] - Condition type
+ * @param {Date} [filters.from] - Earliest trigger time
+ * @param {Date} [filters.to] - Latest trigger time
+ * @param {number} [filters.limit=100] - Most alerts returned
+ * @param {Object} [filters.user] - User asking; alerts of others are left out
+ * @returns {Array} - Alerts with their delivery status
+ */
+export async function listAlerts({ fieldId, subscriptionId, type, from, to, limit = 100, user = null } = {}) {
+  const where = {};
+  if (fieldId) where.fieldId = fieldId;
+  if (subscriptionId) where.subscriptionId = subscriptionId;
+  if (type) where.type = type;
+  const fromIso = from ? from.toISOString() : null;
+  const toIso = to ? to.toISOString() : null;
+
+  const alerts = await getCollection('alerts').find({
+    where,
+    filter: alert => canAccess(user, alert) &&
+      (!fromIso || alert.triggeredAt >= fromIso) && (!toIso || alert.triggeredAt <= toIso)
+  });
+  return alerts
+    .sort((a, b) => b.triggeredAt.localeCompare(a.triggeredAt))
+    .slice(0, limit)
+    .map(publicAlert);
+}
+
+/**
+ * Evaluate every enabled subscription and retry due deliveries
+ * @param {Object} [options] - { now }
+ * @returns {Object} - { subscriptions, triggered, retried }
+ */
+export async function runAlertChecks({ now = new Date() } = {}) {
+  const subscriptions = await getCollection('alertSubscriptions').find({ where: { enabled: true } });
+  let triggered = 0;
+  for (const subscription of subscriptions) {
+    try {
+      triggered += (await checkSubscription(subscription, now)).alerts.length;
+    } catch (error) {
+      console.error(`Alert check of subscription ${subscription.id} failed:`, error);
+    }
+  }
+  const retried = await retryDueDeliveries(now);
+  return { subscriptions: subscriptions.length, triggered, retried };
+}
+
+let evaluationTimer = null;
+let retryTimer = null;
+let schedulerQueue = Promise.resolve();
+const queuedTasks = new Set();
+
+/**
+ * Start the periodic alert evaluator. Deliveries due for a retry are checked
+ * every minute, independent of the evaluation interval.
+ * @param {number} intervalMinutes - Minutes between evaluations
+ */
+export function startAlertScheduler(intervalMinutes) {
+  stopAlertScheduler();
+
+  // Runs wait for each other because evaluations retry deliveries too; a
+  // tick is skipped only while the same task is still queued or running
+  const queued = (name, task) => () => {
+    if (queuedTasks.has(name)) return;
+    queuedTasks.add(name);
+    schedulerQueue = schedulerQueue.then(async () => {
+      try {
+        await task();
+      } catch (error) {
+        console.error('Alert scheduler error:', error);
+      } finally {
+        queuedTasks.delete(name);
+      }
+    });
+  };
+
+  evaluationTimer = setInterval(queued('evaluation', () => runAlertChecks()), intervalMinutes * 60 * 1000);
+  retryTimer = setInterval(queued('retry', () => retryDueDeliveries(new Date())), RETRY_CHECK_MS);
+  evaluationTimer.unref();
+  retryTimer.unref();
+}
+
+/**
+ * Stop the periodic alert evaluator
+ */
+export function stopAlertScheduler() {
+  clearInterval(evaluationTimer);
+  clearInterval(retryTimer);
+  evaluationTimer = null;
+  retryTimer = null;
+}
+
+/**
+ * Evaluate a stored subscription and raise alerts for new events
+ * @param {Object} subscription - Stored subscription
+ * @param {Date} now - Current time
+ * @returns {Object} - { alerts, errors }
+ */
+async function checkSubscription(subscription, now) {
+  const field = await getField(subscription.fieldId);
+  const errors = [];
+  const events = [];
+
+  if (!field) {
+    errors.push({ condition: null, error: `Field ${subscription.fieldId} no longer exists` });
+  } else {
+    for (const condition of subscription.conditions) {
+      try {
+        const event = await CHECKS[condition.type](field, condition);
+        if (event) {
+          events.push({ type: condition.type, ...event });
+        }
+      } catch (error) {
+        if (!error.status) {
+          console.error(`Alert condition ${condition.type} failed:`, error);
+        }
+        errors.push({ condition: condition.type, error: error.message });
+      }
+    }
+  }
+
+  const alerts = getCollection('alerts');
+  const raised = [];
+  for (const event of events) {
+    const id = `${subscription.id}:${event.dedupeKey}`;
+    if (await alerts.get(id)) {
+      continue;
+    }
+    const alert = await alerts.insert({
+      id,
+      subscriptionId: subscription.id,
+      fieldId: field.id,
+      fieldName: field.name,
+      type: event.type,
+      title: event.title,
+      message: event.message,
+      data: event.data,
+      triggeredAt: now.toISOString(),
+      owner: subscription.owner,
+      organizationId: subscription.organizationId,
+      deliveries: subscription.channels.map(target => ({
+        target,
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: now.toISOString(),
+        lastError: null,
+        receipt: null,
+        deliveredAt: null
+      }))
+    });
+    raised.push(await deliverAlert(alert, now));
+  }
+
+  await getCollection('alertSubscriptions').update(subscription.id, {
+    lastCheckedAt: now.toISOString(),
+    lastErrors: errors
+  });
+  return { alerts: raised.map(publicAlert), errors };
+}
+
+const CHECKS = {
+  async ndviDrop(field, { thresholdPercent }) {
+    const scenes = (await searchScenes({ bbox: field.bbox }))
+      .filter(scene => scene.bands && scene.bands.red && scene.bands.nir);
+    if (scenes.length < 2) {
+      return null;
+    }
+
+    // searchScenes returns the newest first
+    const [latest, previous] = scenes;
+    const { latitude, longitude } = field.centroid;
+    const change = await detectNdviChange({
+      latitude,
+      longitude,
+      radiusKm: getFieldRadiusKm(field),
+      fromSceneId: previous.id,
+      toSceneId: latest.id
+    });
+    const before = change.from.meanNdvi;
+    const after = change.to.meanNdvi;
+    if (before === null || after === null || before <= 0) {
+      return null;
+    }
+
+    const dropPercent = (before - after) / before * 100;
+    if (dropPercent < thresholdPercent) {
+      return null;
+    }
+    return {
+      dedupeKey: `ndviDrop:${latest.id}`,
+      title: `NDVI dropped ${dropPercent.toFixed(1)}% in ${field.name}`,
+      message: `Mean NDVI fell from ${before.toFixed(3)} on ${previous.acquiredAt.split('T')[0]} to ${after.toFixed(3)} on ${latest.acquiredAt.split('T')[0]}. Check the field for water stress, pests or disease.`,
+      data: {
+        previousScene: { id: previous.id, acquiredAt: previous.acquiredAt },
+        latestScene: { id: latest.id, acquiredAt: latest.acquiredAt },
+        previousNdvi: before,
+        latestNdvi: after,
+        dropPercent: parseFloat(dropPercent.toFixed(1)),
+        lossHectares: change.summary.loss.hectares
+      }
+    };
+  },
+
+  async heavyRain(field, { thresholdMm, days }) {
+    const { latitude, longitude } = field.centroid;
+    const weather = await getWeatherForecast(latitude, longitude, days);
+    const day = weather.forecast.find(entry => entry.rainfall !== null && entry.rainfall >= thresholdMm);
+    if (!day) {
+      return null;
+    }
+    return {
+      dedupeKey: `heavyRain:${day.date}`,
+      title: `Heavy rain forecast for ${field.name} on ${day.date}`,
+      message: `${day.rainfall} mm of rain is forecast on ${day.date}. Hold irrigation and fertilizer, and clear drainage channels.`,
+      data: { date: day.date, rainfall: day.rainfall, thresholdMm, provider: weather.provider }
+    };
+  },
+
+  async heatStress(field, { thresholdC, days }) {
+    const { latitude, longitude } = field.centroid;
+    const weather = await getWeatherForecast(latitude, longitude, days);
+    const { averageTemperature, temperatureRange } = weather.summary;
+    if (averageTemperature === null || averageTemperature <= thresholdC || weather.forecast.length === 0) {
+      return null;
+    }
+    const start = weather.forecast[0].date;
+    return {
+      dedupeKey: `heatStress:${start}`,
+      title: `Heat stress expected in ${field.name}`,
+      message: `The average temperature over the next ${weather.forecast.length} days is ${averageTemperature}°C (up to ${temperatureRange.max}°C). ${weather.agriculturalImpact.recommendations.join('. ')}.`,
+      data: {
+        from: start,
+        to: weather.forecast[weather.forecast.length - 1].date,
+        averageTemperature,
+        maxTemperature: temperatureRange.max,
+        thresholdC,
+        provider: weather.provider
+      }
+    };
+  }
+};
+
+/**
+ * Attempt the pending deliveries of an alert that are due
+ * @param {Object} alert - Stored alert
+ * @param {Date} now - Current time
+ * @returns {Object} - Updated alert
+ */
+async function deliverAlert(alert, now) {
+  const nowIso = now.toISOString();
+  const payload = publicAlert(alert, { withDeliveries: false });
+
+  const deliveries = await Promise.all(alert.deliveries.map(async delivery => {
+    if (delivery.status !== 'pending' || delivery.nextAttemptAt > nowIso) {
+      return delivery;
+    }
+    const attempts = delivery.attempts + 1;
+    try {
+      const receipt = await getNotificationChannel(delivery.target.type).send(delivery.target, payload);
+      return { ...delivery, status: 'delivered', attempts, receipt: receipt ? String(receipt) : null, lastError: null, deliveredAt: nowIso, nextAttemptAt: null };
+    } catch (error) {
+      const retry = attempts < MAX_DELIVERY_ATTEMPTS;
+      return {
+        ...delivery,
+        status: retry ? 'pending' : 'failed',
+        attempts,
+        lastError: error.message,
+        nextAttemptAt: retry ? new Date(now.getTime() + RETRY_DELAYS_MINUTES[attempts - 1] * 60 * 1000).toISOString() : null
+      };
+    }
+  }));
+
+  return getCollection('alerts').update(alert.id, { deliveries });
+}
+
+/**
+ * Retry every delivery whose next attempt is due
+ * @param {Date} now - Current time
+ * @returns {number} - Alerts retried
+ */
+async function retryDueDeliveries(now) {
+  const nowIso = now.toISOString();
+  const due = await getCollection('alerts').find({
+    filter: alert => alert.deliveries.some(delivery => delivery.status === 'pending' && delivery.nextAttemptAt <= nowIso)
+  });
+  for (const alert of due) {
+    await deliverAlert(alert, now);
+  }
+  return due.length;
+}
+
+/**
+ * Get a registered field a user may subscribe to
+ * @param {string} fieldId - Field id
+ * @param {Object|null} user - User subscribing
+ * @returns {Object} - Field
+ */
+async function getAlertField(fieldId, user) {
+  if (typeof fieldId !== 'string' || fieldId === '') {
+    throw createHttpError(400, 'fieldId is required');
+  }
+  const field = await getField(fieldId, { user });
+  if (!field) {
+    throw createHttpError(404, `Field ${fieldId} not found`);
+  }
+  return field;
+}
+
+async function getStoredSubscription(subscriptionId, user, action = 'read') {
+  const subscription = await getCollection('alertSubscriptions').get(subscriptionId);
+  if (!subscription || !canAccess(user, subscription)) {
+    throw createHttpError(404, `Subscription ${subscriptionId} not found`);
+  }
+  if (!canAccess(user, subscription, action)) {
+    throw createHttpError(403, `Not allowed to change subscription ${subscriptionId}`);
+  }
+  return subscription;
+}
+
+/**
+ * Validate conditions and channels, filling in condition defaults
+ * @param {Object} subscription - { conditions, channels, enabled }
+ * @returns {Object} - Normalized subscription
+ */
+function validateSubscription({ conditions, channels, enabled }) {
+  if (!Array.isArray(conditions) || conditions.length === 0) {
+    throw createHttpError(400, 'conditions must be a non-empty array');
+  }
+  if (!Array.isArray(channels) || channels.length === 0) {
+    throw createHttpError(400, 'channels must be a non-empty array');
+  }
+  if (typeof enabled !== 'boolean') {
+    throw createHttpError(400, 'enabled must be true or false');
+  }
+
+  const types = new Set();
+  const normalizedConditions = conditions.map(condition => {
+    const defaults = ALERT_CONDITIONS[condition?.type];
+    if (!defaults) {
+      throw createHttpError(400, `Unknown condition type "${condition?.type}". Use ${Object.keys(ALERT_CONDITIONS).join(', ')}`);
+    }
+    if (types.has(condition.type)) {
+      throw createHttpError(400, `Condition ${condition.type} is listed twice`);
+    }
+    types.add(condition.type);
+
+    const normalized = { type: condition.type };
+    Object.entries(defaults).forEach(([name, fallback]) => {
+      const value = condition[name] ?? fallback;
+      if (typeof value !== 'number' || !isFinite(value) || value <= 0) {
+        throw createHttpError(400, `${condition.type}.${name} must be a positive number`);
+      }
+      if (name === 'days' && (!Number.isInteger(value) || value > 16)) {
+        throw createHttpError(400, `${condition.type}.days must be an integer between 1 and 16`);
+      }
+      normalized[name] = value;
+    });
+    return normalized;
+  });
+
+  const normalizedChannels = channels.map(target => getNotificationChannel(target?.type).validate(target));
+  return { conditions: normalizedConditions, channels: normalizedChannels, enabled };
+}
+
+function getFieldRadiusKm({ bbox, centroid }) {
+  const kmPerDegree = 111.32;
+  const height = (bbox.north - bbox.south) * kmPerDegree;
+  const width = (bbox.east - bbox.west) * kmPerDegree * Math.cos(centroid.latitude * Math.PI / 180);
+  return Math.max(height, width, 0.1) / 2;
+}
+
+// Webhook secrets are never returned
+function redactTarget(target) {
+  if (!target.secret) {
+    return target;
+  }
+  const { secret, ...rest } = target;
+  return { ...rest, signed: true };
+}
+
+function publicSubscription(subscription) {
+  return { ...subscription, channels: subscription.channels.map(redactTarget) };
+}
+
+function publicAlert(alert, { withDeliveries = true } = {}) {
+  const { deliveries, owner, organizationId, ...rest } = alert;
+  if (!withDeliveries) {
+    return rest;
+  }
+  return {
+    ...rest,
+    owner,
+    organizationId,
+    deliveries: deliveries.map(delivery => ({ ...delivery, target: redactTarget(delivery.target) }))
+  };
+}
@@ -0,0 +1,63 @@
+/**
+ * Area data providers - where the landmarks, water bodies and land use
+ * polygons around a location come from.
+ *
+ * Every provider implements
+ *   findFeatures({ latitude, longitude, radiusKm }) -> Promise<Array<Feature>>
+ *     Feature: { id, tags, geometry }
+ * where tags are OpenStreetMap tags (e.g. { amenity: 'marketplace', name: '...' })
+ * and geometry is a GeoJSON point, line or polygon geometry (or a Multi one) in
+ * WGS84. Features that lie partly within the radius may be returned whole.
+ *
+ * The provider is chosen with AREA_PROVIDER ("overpass", "geojson" or "none").
+ */
+
+import { createOverpassProvider } from "./overpassProvider.js";
+import { createGeoJsonProvider } from "./geojsonProvider.js";
+
+let areaProvider = null;
+
+/**
+ * Get the configured area data provider
+ * @returns {Object} - Area data provider
+ */
+export function getAreaProvider() {
+  if (!areaProvider) {
+    areaProvider = createAreaProvider(process.env);
+  }
+  return areaProvider;
+}
+
+/**
+ * Replace the active area data provider, e.g. with a fixture file in tests
+ * @param {Object|null} provider - Area data provider, or null to re-read configuration
+ */
+export function setAreaProvider(provider) {
+  areaProvider = provider;
+}
+
+/**
+ * Create an area data provider from configuration values
+ * @param {Object} config - Configuration, usually process.env
+ * @returns {Object} - Area data provider
+ */
+export function createAreaProvider(config) {
+  const provider = config.AREA_PROVIDER || 'overpass';
+
+  switch (provider) {
+    case 'overpass':
+      return createOverpassProvider({ url: config.OVERPASS_API_URL || 'https://overpass-api.de/api/interpreter' });
+    case 'geojson':
+      if (!config.AREA_GEOJSON_FILE) {
+        throw new Error('AREA_GEOJSON_FILE is required for AREA_PROVIDER=geojson');
+      }
+      return createGeoJsonProvider({ file: config.AREA_GEOJSON_FILE });
+    case 'none':
+      return {
+        name: 'none',
+        async findFeatures() { return []; }
+      };
+    default:
+      throw new Error(`Unknown AREA_PROVIDER "${provider}". Use overpass, geojson or none`);
+  }
+}
@@ -0,0 +1,81 @@
+/**
+ * Area provider reading a local GeoJSON FeatureCollection, e.g. an OSM
+ * extract converted with osmium export, ogr2ogr or osmtogeojson. Feature
+ * properties are taken as OSM tags, either directly or from a "tags"
+ * object; keys starting with "@" are metadata and ignored. The file is
+ * loaded once, on the first request.
+ */
+
+import fs from "fs/promises";
+import { calculateDistanceToGeometry, generateBoundingBox } from "../../utils/coordinateUtils.js";
+
+/**
+ * Create a provider for a GeoJSON file
+ * @param {Object} options - Provider options
+ * @param {string} options.file - Path of the FeatureCollection
+ * @returns {Object} - Area data provider
+ */
+export function createGeoJsonProvider({ file }) {
+  let loading = null;
+
+  async function loadFeatures() {
+    const collection = JSON.parse(await fs.readFile(file, 'utf8'));
+    if (collection.type !== 'FeatureCollection' || !Array.isArray(collection.features)) {
+      throw new Error(`${file} is not a GeoJSON FeatureCollection`);
+    }
+    return collection.features
+      .filter(feature => feature && feature.geometry && Array.isArray(feature.geometry.coordinates))
+      .map((feature, index) => {
+        const properties = feature.properties || {};
+        const tags = properties.tags && typeof properties.tags === 'object'
+          ? properties.tags
+          : Object.fromEntries(Object.entries(properties).filter(([key]) => !key.startsWith('@')));
+        return {
+          id: String(feature.id ?? properties['@id'] ?? `feature/${index}`),
+          tags,
+          geometry: feature.geometry,
+          bbox: getCoordinatesBoundingBox(feature.geometry.coordinates)
+        };
+      });
+  }
+
+  return {
+    name: 'geojson',
+    async findFeatures({ latitude, longitude, radiusKm }) {
+      if (!loading) {
+        loading = loadFeatures().catch(error => {
+          loading = null;
+          throw error;
+        });
+      }
+      const features = await loading;
+
+      const box = generateBoundingBox(latitude, longitude, radiusKm);
+      return features
+        .filter(({ bbox }) => bbox.west <= box.east && bbox.east >= box.west && bbox.south <= box.north && bbox.north >= box.south)
+        .filter(({ geometry }) => calculateDistanceToGeometry(latitude, longitude, geometry) <= radiusKm)
+        .map(({ id, tags, geometry }) => ({ id, tags, geometry }));
+    }
+  };
+}
+
+/**
+ * Bounding box of nested GeoJSON coordinates of any depth
+ * @param {Array} coordinates - Geometry coordinates
+ * @returns {Object} - { north, south, east, west }
+ */
+function getCoordinatesBoundingBox(coordinates) {
+  const box = { north: -Infinity, south: Infinity, east: -Infinity, west: Infinity };
+  const visit = value => {
+    if (typeof value[0] === 'number') {
+      box.north = Math.max(box.north, value[1]);
+      box.south = Math.min(box.south, value[1]);
+      box.east = Math.max(box.east, value[0]);
+      box.west = Math.min(box.west, value[0]);
+    } else {
+      value.forEach(visit);
+    }
+  };
+  visit(coordinates);
+  return box;
+}
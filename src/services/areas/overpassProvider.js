@@ -0,0 +1,128 @@
+/**
+ * OpenStreetMap area provider using an Overpass API endpoint
+ * (https://wiki.openstreetmap.org/wiki/Overpass_API). Public endpoints are
+ * rate limited, so results are cached by dynamicAreaService; run your own
+ * instance for heavy use.
+ */
+
+import { createHttpError } from "../../utils/errorUtils.js";
+import { pointInPolygon } from "../../utils/coordinateUtils.js";
+
+const QUERY_TIMEOUT_SECONDS = 25;
+
+// Elements worth showing around a farm location: landmarks, water and land use
+const QUERY_FILTERS = [
+  'nwr["amenity"~"^(marketplace|townhall|hospital|clinic|doctors|school|college|post_office|bank|fuel|place_of_worship|community_centre|veterinary)$"]',
+  'node["place"~"^(city|town|village|hamlet|suburb)$"]',
+  'nwr["office"="government"]',
+  'nwr["shop"~"^(agrarian|farm)$"]',
+  'nwr["natural"~"^(water|wood|scrub|grassland|wetland|heath)$"]',
+  'way["waterway"~"^(river|canal|stream|ditch|drain)$"]',
+  'nwr["man_made"~"^(water_well|water_tower|reservoir_covered)$"]',
+  'nwr["landuse"]'
+];
+
+/**
+ * Create an Overpass provider
+ * @param {Object} options - Provider options
+ * @param {string} options.url - Interpreter endpoint URL
+ * @returns {Object} - Area data provider
+ */
+export function createOverpassProvider({ url }) {
+  return {
+    name: 'overpass',
+    async findFeatures({ latitude, longitude, radiusKm }) {
+      const around = `(around:${Math.round(radiusKm * 1000)},${latitude},${longitude});`;
+      const query = `[out:json][timeout:${QUERY_TIMEOUT_SECONDS}];(${QUERY_FILTERS.map(filter => filter + around).join('')});out geom;`;
+
+      let response;
+      try {
+        response = await fetch(url, {
+          method: 'POST',
+          headers: { 'content-type': 'application/x-www-form-urlencoded', accept: 'application/json', 'user-agent': 'agri-backend' },
+          body: new URLSearchParams({ data: query }),
+          signal: AbortSignal.timeout((QUERY_TIMEOUT_SECONDS + 5) * 1000)
+        });
+      } catch (error) {
+        throw createHttpError(502, `Overpass request failed: ${error.message}`);
+      }
+      if (!response.ok) {
+        const details = await response.text().catch(() => '');
+        throw createHttpError(502, `Overpass responded with ${response.status} ${details.slice(0, 200)}`.trim());
+      }
+
+      const body = await response.json();
+      return (body.elements || []).map(toFeature).filter(Boolean);
+    }
+  };
+}
+
+/**
+ * Convert an Overpass element with geometry ("out geom") into a feature
+ * @param {Object} element - Node, way or relation
+ * @returns {Object|null} - { id, tags, geometry }, or null for elements without usable geometry
+ */
+function toFeature(element) {
+  const tags = element.tags || {};
+  const id = `${element.type}/${element.id}`;
+
+  if (element.type === 'node') {
+    return { id, tags, geometry: { type: 'Point', coordinates: [element.lon, element.lat] } };
+  }
+  if (element.type === 'way' && element.geometry) {
+    const line = element.geometry.map(({ lat, lon }) => [lon, lat]);
+    // Closed ways are areas except for waterways, which are mapped as lines
+    const geometry = isClosed(line) && line.length >= 4 && !tags.waterway
+      ? { type: 'Polygon', coordinates: [line] }
+      : { type: 'LineString', coordinates: line };
+    return { id, tags, geometry };
+  }
+  if (element.type === 'relation' && tags.type === 'multipolygon') {
+    const memberLines = role => (element.members || [])
+      .filter(member => member.type === 'way' && member.geometry && (member.role || 'outer') === role)
+      .map(member => member.geometry.map(({ lat, lon }) => [lon, lat]));
+    const polygons = joinRings(memberLines('outer')).map(ring => [ring]);
+    joinRings(memberLines('inner')).forEach(hole => {
+      const outer = polygons.find(([ring]) => pointInPolygon(hole[0], [ring]));
+      if (outer) {
+        outer.push(hole);
+      }
+    });
+    return polygons.length > 0 ? { id, tags, geometry: { type: 'MultiPolygon', coordinates: polygons } } : null;
+  }
+  return null;
+}
+
+/**
+ * Join multipolygon member ways end to end into closed rings
+ * @param {Array} lines - Member ways as [lon, lat] lists
+ * @returns {Array} - Closed rings; ways that do not close a ring are dropped
+ */
+function joinRings(lines) {
+  const remaining = lines.filter(line => line.length > 1);
+  const rings = [];
+  while (remaining.length > 0) {
+    let ring = remaining.shift().slice();
+    while (!isClosed(ring)) {
+      const end = ring[ring.length - 1];
+      const index = remaining.findIndex(line => samePoint(line[0], end) || samePoint(line[line.length - 1], end));
+      if (index === -1) {
+        break;
+      }
+      const [next] = remaining.splice(index, 1);
+      ring = ring.concat((samePoint(next[0], end) ? next : next.slice().reverse()).slice(1));
+    }
+    if (isClosed(ring) && ring.length >= 4) {
+      rings.push(ring);
+    }
+  }
+  return rings;
+}
+
+function isClosed(line) {
+  return samePoint(line[0], line[line.length - 1]);
+}
+
+function samePoint(a, b) {
+  return a[0] === b[0] && a[1] === b[1];
+}
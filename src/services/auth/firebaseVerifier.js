@@ -0,0 +1,37 @@
+/**
+ * Firebase verifier - checks Firebase Authentication ID tokens with the
+ * Admin SDK initialized in index.js. Roles and organizations are read from
+ * the `role` and `organizationId` custom claims.
+ */
+
+import admin from "firebase-admin";
+import { createHttpError } from "../../utils/errorUtils.js";
+
+/**
+ * Create a verifier for Firebase ID tokens
+ * @returns {Object} - Token verifier
+ */
+export function createFirebaseVerifier() {
+  return {
+    name: 'firebase',
+
+    async verify(token) {
+      if (admin.apps.length === 0) {
+        throw createHttpError(503, 'AUTH_PROVIDER is firebase but Firebase is not initialized; set FIREBASE_SERVICE_ACCOUNT');
+      }
+      let decoded;
+      try {
+        decoded = await admin.auth().verifyIdToken(token);
+      } catch (error) {
+        throw createHttpError(401, `Invalid or expired token: ${error.code || error.message}`);
+      }
+      return {
+        uid: decoded.uid,
+        email: decoded.email || null,
+        name: decoded.name || null,
+        role: decoded.role || null,
+        organizationId: decoded.organizationId || null
+      };
+    }
+  };
+}
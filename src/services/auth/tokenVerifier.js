@@ -0,0 +1,58 @@
+/**
+ * Token verifiers - check the bearer token sent with API requests.
+ *
+ * Every verifier implements
+ *   verify(token) -> Promise<Claims>
+ *     Claims: { uid, email, name, role, organizationId }
+ * and rejects with a 401 error for invalid or expired tokens. `role` and
+ * `organizationId` come from custom claims and may be null.
+ *
+ * The verifier is chosen with AUTH_PROVIDER ("none", "firebase" or "local").
+ * With "none" requests are not authenticated and nothing is scoped to users.
+ */
+
+import { createFirebaseVerifier } from "./firebaseVerifier.js";
+import { createLocalJwtVerifier } from "./localJwt.js";
+
+// undefined until configuration is read; null when authentication is off
+let tokenVerifier;
+
+/**
+ * Get the configured token verifier
+ * @returns {Object|null} - Token verifier, or null when authentication is off
+ */
+export function getTokenVerifier() {
+  if (tokenVerifier === undefined) {
+    tokenVerifier = createTokenVerifier(process.env);
+  }
+  return tokenVerifier;
+}
+
+/**
+ * Replace the active token verifier, e.g. with a local verifier in tests
+ * @param {Object|null|undefined} verifier - Token verifier, null to turn authentication off,
+ *   or undefined to re-read configuration
+ */
+export function setTokenVerifier(verifier) {
+  tokenVerifier = verifier;
+}
+
+/**
+ * Create a token verifier from configuration values
+ * @param {Object} config - Configuration, usually process.env
+ * @returns {Object|null} - Token verifier, or null when authentication is off
+ */
+export function createTokenVerifier(config) {
+  const provider = config.AUTH_PROVIDER || 'none';
+
+  switch (provider) {
+    case 'none':
+      return null;
+    case 'firebase':
+      return createFirebaseVerifier();
+    case 'local':
+      return createLocalJwtVerifier({ secret: config.AUTH_JWT_SECRET, issuer: config.AUTH_JWT_ISSUER });
+    default:
+      throw new Error(`Unknown AUTH_PROVIDER "${provider}". Use none, firebase or local`);
+  }
+}
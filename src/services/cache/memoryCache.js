@@ -0,0 +1,70 @@
+/**
+ * In-process LRU result cache. Entries are copied on the way in and out so
+ * callers cannot change cached results; the least recently used entry is
+ * dropped once maxEntries is exceeded.
+ */
+
+/**
+ * Create an in-memory result cache
+ * @param {Object} [options] - { maxEntries }
+ * @returns {Object} - Result cache
+ */
+export function createMemoryCache({ maxEntries = 1000 } = {}) {
+  // Map iteration order doubles as the recency list, oldest first
+  const entries = new Map();
+  const tagged = new Map();
+
+  const remove = key => {
+    const entry = entries.get(key);
+    if (!entry) {
+      return false;
+    }
+    entries.delete(key);
+    entry.tags.forEach(tag => {
+      const keys = tagged.get(tag);
+      keys.delete(key);
+      if (keys.size === 0) {
+        tagged.delete(tag);
+      }
+    });
+    return true;
+  };
+
+  return {
+    name: 'memory',
+
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) {
+        return undefined;
+      }
+      if (entry.expiresAt <= Date.now()) {
+        remove(key);
+        return undefined;
+      }
+      entries.delete(key);
+      entries.set(key, entry);
+      return structuredClone(entry.value);
+    },
+
+    async set(key, value, { ttlSeconds, tags = [] }) {
+      remove(key);
+      entries.set(key, { value: structuredClone(value), expiresAt: Date.now() + ttlSeconds * 1000, tags });
+      tags.forEach(tag => {
+        if (!tagged.has(tag)) {
+          tagged.set(tag, new Set());
+        }
+        tagged.get(tag).add(key);
+      });
+      while (entries.size > maxEntries) {
+        remove(entries.keys().next().value);
+      }
+    },
+
+    async invalidate(tag) {
+      const keys = [...(tagged.get(tag) || [])];
+      keys.forEach(remove);
+      return keys.length;
+    }
+  };
+}
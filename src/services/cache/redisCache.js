@@ -0,0 +1,92 @@
+/**
+ * Redis result cache - shares cached results between API instances.
+ * Values are stored as JSON with a TTL; each tag is a set of the keys
+ * carrying it, which expires together with the longest-lived of them.
+ * Works with Redis and compatible servers such as Valkey, KeyDB or
+ * Dragonfly. The connection is opened on first use and reopened after it
+ * drops; while the server is unreachable, operations fail instead of waiting.
+ */
+
+import { createClient } from "redis";
+
+const CONNECT_TIMEOUT_MS = 2000;
+const COMMAND_TIMEOUT_MS = 2000;
+
+/**
+ * Create a Redis-backed result cache
+ * @param {Object} options - { url, keyPrefix }
+ * @returns {Object} - Result cache
+ */
+export function createRedisCache({ url, keyPrefix = 'agri:' }) {
+  const { protocol } = new URL(url);
+  if (protocol !== 'redis:' && protocol !== 'rediss:') {
+    throw new Error(`CACHE_REDIS_URL must start with redis:// or rediss://, got ${protocol}`);
+  }
+
+  // Reconnected on the next operation after the connection drops rather
+  // than in the background, so an unreachable server keeps no timers alive
+  const client = createClient({
+    url,
+    disableOfflineQueue: true,
+    socket: { connectTimeout: CONNECT_TIMEOUT_MS, reconnectStrategy: false }
+  });
+  // Connection errors also fail the operations, which the caller logs
+  client.on('error', () => {});
+  client.unref();
+
+  let connecting = null;
+  const run = operation => {
+    if (!connecting || !client.isOpen) {
+      connecting = client.connect();
+      connecting.catch(() => {});
+    }
+    return withTimeout(connecting.then(operation), COMMAND_TIMEOUT_MS);
+  };
+  const tagKey = tag => `${keyPrefix}tag:${tag}`;
+
+  return {
+    name: 'redis',
+
+    async get(key) {
+      const raw = await run(() => client.get(keyPrefix + key));
+      return raw === null ? undefined : JSON.parse(raw);
+    },
+
+    async set(key, value, { ttlSeconds, tags = [] }) {
+      await run(async () => {
+        await client.set(keyPrefix + key, JSON.stringify(value), { EX: ttlSeconds });
+        for (const tag of tags) {
+          await client.sAdd(tagKey(tag), keyPrefix + key);
+          // Only ever extend the set's TTL so it outlives every key it lists;
+          // -1 means the set was just created without one
+          if ((await client.ttl(tagKey(tag))) < ttlSeconds) {
+            await client.expire(tagKey(tag), ttlSeconds);
+          }
+        }
+      });
+    },
+
+    async invalidate(tag) {
+      return run(async () => {
+        const keys = await client.sMembers(tagKey(tag));
+        await client.del([tagKey(tag), ...keys]);
+        return keys.length;
+      });
+    }
+  };
+}
+
+/**
+ * Reject when a promise takes longer than a timeout
+ * @param {Promise} promise - Pending operation
+ * @param {number} timeoutMs - Milliseconds to wait
+ * @returns {Promise} - The operation's result
+ */
+function withTimeout(promise, timeoutMs) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Redis did not respond within ${timeoutMs} ms`)), timeoutMs);
+    timer.unref();
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
@@ -0,0 +1,173 @@
+/**
+ * Result cache - keeps computed NDVI, weather, suggestion, area and soil
+ * results so repeated requests skip raster downloads and provider calls.
+ *
+ * Every cache implements
+ *   get(key)                              -> Promise<value|undefined>
+ *   set(key, value, { ttlSeconds, tags }) -> Promise<void>
+ *   invalidate(tag)                       -> Promise<number> entries removed
+ * Values must be JSON-serializable. Tags group entries for explicit
+ * invalidation, e.g. "scene:<id>" for everything computed from a scene.
+ *
+ * The cache is chosen with CACHE_BACKEND: "memory" (an LRU in this
+ * process, the default), "redis" (any Redis-compatible server, shared by
+ * all instances) or "none".
+ */
+
+import crypto from "crypto";
+import { createMemoryCache } from "./memoryCache.js";
+import { createRedisCache } from "./redisCache.js";
+import { createHttpError } from "../../utils/errorUtils.js";
+
+// Default lifetimes in seconds, overridable with CACHE_<KIND>_TTL_SECONDS.
+// "http" is the Cache-Control max-age sent to clients.
+const DEFAULT_TTL_SECONDS = {
+  ndvi: 24 * 60 * 60,
+  weather: 60 * 60,
+  suggestions: 15 * 60,
+  areas: 7 * 24 * 60 * 60,
+  soil: 7 * 24 * 60 * 60,
+  http: 5 * 60
+};
+
+let resultCache = null;
+const inFlight = new Map();
+
+/**
+ * Get the configured result cache
+ * @returns {Object} - Result cache
+ */
+export function getResultCache() {
+  if (!resultCache) {
+    resultCache = createResultCache(process.env);
+  }
+  return resultCache;
+}
+
+/**
+ * Replace the active result cache, e.g. with a fresh memory cache in tests
+ * @param {Object|null} cache - Result cache, or null to re-read configuration
+ */
+export function setResultCache(cache) {
+  resultCache = cache;
+}
+
+/**
+ * Create a result cache from configuration values
+ * @param {Object} config - Configuration, usually process.env
+ * @returns {Object} - Result cache
+ */
+export function createResultCache(config) {
+  const backend = config.CACHE_BACKEND || 'memory';
+
+  switch (backend) {
+    case 'memory':
+      return createMemoryCache({ maxEntries: parseInt(config.CACHE_MAX_ENTRIES || '1000', 10) });
+    case 'redis':
+      return createRedisCache({ url: config.CACHE_REDIS_URL || 'redis://localhost:6379' });
+    case 'none':
+      return {
+        name: 'none',
+        async get() { return undefined; },
+        async set() {},
+        async invalidate() { return 0; }
+      };
+    default:
+      throw new Error(`Unknown CACHE_BACKEND "${backend}". Use memory, redis or none`);
+  }
+}
+
+/**
+ * Get the configured lifetime of a kind of cached result
+ * @param {string} kind - 'ndvi', 'weather', 'suggestions', 'areas', 'soil' or 'http'
+ * @returns {number} - Seconds
+ */
+export function getCacheTtl(kind) {
+  const configured = parseInt(process.env[`CACHE_${kind.toUpperCase()}_TTL_SECONDS`], 10);
+  return isNaN(configured) || configured < 0 ? DEFAULT_TTL_SECONDS[kind] : configured;
+}
+
+/**
+ * Build a cache key from a prefix and the values the result depends on
+ * @param {string} prefix - Readable key prefix, e.g. "ndvi:<sceneId>"
+ * @param {*} parts - JSON-serializable inputs
+ * @returns {string} - Cache key
+ */
+export function buildCacheKey(prefix, parts) {
+  const hash = crypto.createHash('sha1').update(JSON.stringify(parts)).digest('hex');
+  return `${prefix}:${hash}`;
+}
+
+/**
+ * Return the cached result for a key, computing and storing it on a miss.
+ * Concurrent misses for the same key share one computation. Cache errors
+ * are logged and the result is computed as if there were no cache.
+ * With failureTtlSeconds, a failed computation is remembered for that long
+ * (at most ttlSeconds) and its error, with the same status and message, is
+ * thrown again instead of retrying, e.g. to spare a rate-limited provider.
+ * @param {string} key - Cache key
+ * @param {Object} options - { ttlSeconds, tags, failureTtlSeconds }; a TTL of 0 skips caching
+ * @param {Function} compute - async () => result
+ * @returns {*} - Result
+ */
+export async function cached(key, { ttlSeconds, tags = [], failureTtlSeconds = 0 }, compute) {
+  if (!ttlSeconds) {
+    return compute();
+  }
+  if (inFlight.has(key)) {
+    return inFlight.get(key);
+  }
+
+  const cache = getResultCache();
+  const lookup = (async () => {
+    const hit = await cache.get(key).catch(error => {
+      console.warn(`Result cache (${cache.name}) read failed:`, error.message);
+      return undefined;
+    });
+    if (hit !== undefined) {
+      if (hit && hit.cachedFailure) {
+        throw createHttpError(hit.cachedFailure.status, hit.cachedFailure.message);
+      }
+      return hit;
+    }
+
+    let value;
+    try {
+      value = await compute();
+    } catch (error) {
+      if (failureTtlSeconds > 0) {
+        const failure = { cachedFailure: { status: error.status || 500, message: error.message } };
+        await cache.set(key, failure, { ttlSeconds: Math.min(failureTtlSeconds, ttlSeconds), tags }).catch(cacheError => {
+          console.warn(`Result cache (${cache.name}) write failed:`, cacheError.message);
+        });
+      }
+      throw error;
+    }
+    await cache.set(key, value, { ttlSeconds, tags }).catch(error => {
+      console.warn(`Result cache (${cache.name}) write failed:`, error.message);
+    });
+    return value;
+  })();
+
+  inFlight.set(key, lookup);
+  try {
+    return await lookup;
+  } finally {
+    inFlight.delete(key);
+  }
+}
+
+/**
+ * Drop every cached result carrying a tag
+ * @param {string} tag - Tag, e.g. "scene:<id>"
+ * @returns {number} - Entries removed
+ */
+export async function invalidateCache(tag) {
+  const cache = getResultCache();
+  try {
+    return await cache.invalidate(tag);
+  } catch (error) {
+    console.warn(`Result cache (${cache.name}) invalidation of ${tag} failed:`, error.message);
+    return 0;
+  }
+}
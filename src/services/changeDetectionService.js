@@ -0,0 +1,174 @@
+/**
+ * NDVI change detection - compares two catalog scenes of the same area pixel
+ * by pixel and measures where vegetation was gained or lost.
+ */
+
+import { readIndexWindow } from "./GeoTIFFService.js";
+import { findBestScene } from "./sceneCatalog.js";
+import { generateBoundingBox } from "../utils/coordinateUtils.js";
+import { getEpsgCode, getPixelAreaSquareMeters, lonLatToPixel, pixelToLonLat } from "../utils/projectionUtils.js";
+import { createHttpError } from "../utils/errorUtils.js";
+
+// Class of each compared pixel; codes are indexes into this list
+export const CHANGE_CLASSES = ['nodata', 'loss', 'stable', 'gain'];
+
+// Largest window read per scene (64 MB of NDVI values)
+const MAX_CHANGE_PIXELS = 16 * 1024 * 1024;
+const SQUARE_METERS_PER_HECTARE = 10000;
+
+/**
+ * Compare NDVI of the scenes closest to two dates around a location.
+ * The later scene is sampled on the pixel grid of the earlier one.
+ * @param {Object} options - Comparison options
+ * @param {number} options.latitude - Center latitude
+ * @param {number} options.longitude - Center longitude
+ * @param {number} [options.radiusKm=1] - Half-width of the bounding box in kilometers
+ * @param {Date} [options.from] - Date of the earlier scene
+ * @param {Date} [options.to] - Date of the later scene
+ * @param {string} [options.fromSceneId] - Earlier scene, instead of picking one for `from`
+ * @param {string} [options.toSceneId] - Later scene, instead of picking one for `to`
+ * @param {number} [options.threshold=0.1] - Smallest NDVI difference counted as change
+ * @param {Array<string>} [options.mask] - QA classes to mask in both scenes
+ * @returns {Object} - { from, to, summary, boundingBox, width, height, classes, difference }
+ */
+export async function detectNdviChange({
+  latitude,
+  longitude,
+  radiusKm = 1,
+  from,
+  to,
+  fromSceneId,
+  toSceneId,
+  threshold = 0.1,
+  mask
+}) {
+  const beforeId = fromSceneId || await pickSceneId(latitude, longitude, from);
+  const afterId = toSceneId || await pickSceneId(latitude, longitude, to);
+  if (beforeId === afterId) {
+    throw createHttpError(404, `Both dates resolve to scene ${beforeId}; no second scene to compare with`);
+  }
+
+  const boundingBox = generateBoundingBox(latitude, longitude, radiusKm);
+  const before = await readIndexWindow({ boundingBox, sceneId: beforeId, mask, maxPixels: MAX_CHANGE_PIXELS });
+  const after = await readIndexWindow({ boundingBox, sceneId: afterId, mask, maxPixels: MAX_CHANGE_PIXELS });
+
+  const [x0, y0, x1, y1] = before.window;
+  const width = x1 - x0;
+  const height = y1 - y0;
+  const afterWidth = after.window[2] - after.window[0];
+  const toAfterIndex = createPixelMapper(before, after);
+
+  const classes = new Uint8Array(width * height);
+  const difference = new Float32Array(width * height).fill(NaN);
+  const counts = new Uint32Array(CHANGE_CLASSES.length);
+  let beforeSum = 0;
+  let afterSum = 0;
+
+  for (let row = 0; row < height; row++) {
+    for (let col = 0; col < width; col++) {
+      const i = row * width + col;
+      const j = before.reasons[i] === 0 ? toAfterIndex(x0 + col, y0 + row, afterWidth) : -1;
+      if (j < 0 || after.reasons[j] !== 0) {
+        counts[0]++;
+        continue;
+      }
+
+      const change = after.values[j] - before.values[i];
+      difference[i] = change;
+      beforeSum += before.values[i];
+      afterSum += after.values[j];
+      if (change >= threshold) {
+        classes[i] = 3;
+      } else if (change <= -threshold) {
+        classes[i] = 1;
+      } else {
+        classes[i] = 2;
+      }
+      counts[classes[i]]++;
+    }
+  }
+
+  const compared = counts[1] + counts[2] + counts[3];
+  const pixelAreaHectares = getPixelAreaSquareMeters(before.image, latitude) / SQUARE_METERS_PER_HECTARE;
+  const describe = code => ({
+    pixels: counts[code],
+    hectares: parseFloat((counts[code] * pixelAreaHectares).toFixed(2)),
+    percent: compared > 0 ? parseFloat((counts[code] / compared * 100).toFixed(1)) : 0
+  });
+
+  return {
+    from: {
+      scene: before.scene,
+      meanNdvi: compared > 0 ? parseFloat((beforeSum / compared).toFixed(4)) : null
+    },
+    to: {
+      scene: after.scene,
+      meanNdvi: compared > 0 ? parseFloat((afterSum / compared).toFixed(4)) : null
+    },
+    summary: {
+      threshold,
+      comparedPixels: compared,
+      unmatchedPixels: counts[0],
+      pixelAreaHectares: parseFloat(pixelAreaHectares.toFixed(6)),
+      meanChange: compared > 0 ? parseFloat(((afterSum - beforeSum) / compared).toFixed(4)) : null,
+      gain: describe(3),
+      loss: describe(1),
+      stable: describe(2)
+    },
+    boundingBox,
+    width,
+    height,
+    classes,
+    difference
+  };
+}
+
+/**
+ * Pick the catalog scene with the NDVI bands closest to a date
+ * @param {number} latitude - Latitude coordinate
+ * @param {number} longitude - Longitude coordinate
+ * @param {Date} date - Target date
+ * @returns {string} - Scene id
+ */
+async function pickSceneId(latitude, longitude, date) {
+  const scene = await findBestScene({ latitude, longitude, date, bands: ['nir', 'red'] });
+  if (!scene) {
+    throw createHttpError(404, `No catalog scene covers ${latitude}, ${longitude} for ${date.toISOString().slice(0, 10)}`);
+  }
+  return scene.id;
+}
+
+/**
+ * Map pixels of the earlier scene to indexes in the later scene's window.
+ * Scenes on the same grid are offset directly, others go through lon/lat.
+ * @param {Object} before - Window read of the earlier scene
+ * @param {Object} after - Window read of the later scene
+ * @returns {Function} - (x, y, afterWidth) => index into after.values, or -1
+ */
+function createPixelMapper(before, after) {
+  const [ax0, ay0, ax1, ay1] = after.window;
+  const toIndex = (ix, iy, afterWidth) =>
+    ix >= ax0 && ix < ax1 && iy >= ay0 && iy < ay1 ? (iy - ay0) * afterWidth + (ix - ax0) : -1;
+
+  const [beforeResX, beforeResY] = before.image.getResolution();
+  const [afterResX, afterResY] = after.image.getResolution();
+  const [beforeOriginX, beforeOriginY] = before.image.getOrigin();
+  const [afterOriginX, afterOriginY] = after.image.getOrigin();
+  const offsetX = Math.round((beforeOriginX - afterOriginX) / afterResX);
+  const offsetY = Math.round((beforeOriginY - afterOriginY) / afterResY);
+  const sameGrid =
+    getEpsgCode(before.image.getGeoKeys()) === getEpsgCode(after.image.getGeoKeys()) &&
+    beforeResX === afterResX &&
+    beforeResY === afterResY &&
+    Math.abs(beforeOriginX - afterOriginX - offsetX * afterResX) < 1e-6 * Math.abs(afterResX) &&
+    Math.abs(beforeOriginY - afterOriginY - offsetY * afterResY) < 1e-6 * Math.abs(afterResY);
+
+  if (sameGrid) {
+    return (x, y, afterWidth) => toIndex(x + offsetX, y + offsetY, afterWidth);
+  }
+  return (x, y, afterWidth) => {
+    const [lon, lat] = pixelToLonLat(before.image, x + 0.5, y + 0.5);
+    const [px, py] = lonLatToPixel(after.image, lon, lat);
+    return toIndex(Math.floor(px), Math.floor(py), afterWidth);
+  };
+}
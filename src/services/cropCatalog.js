@@ -0,0 +1,187 @@
+/**
+ * Crop catalog - agronomic parameters per crop, taken from FAO Irrigation
+ * and Drainage Paper 56 (Tables 11, 12 and 22) for typical Indian seasons,
+ * plus growing degree day (GDD) phenology for the crops the suggestion
+ * engine recommends.
+ */
+
+import { createHttpError } from "../utils/errorUtils.js";
+
+/**
+ * Registered crops. Each entry has:
+ *   stages        - lengths in days of the initial, development, mid-season and late stages
+ *   kc            - crop coefficients at the initial stage, mid-season and harvest
+ *   rootDepth     - maximum effective rooting depth in metres
+ *   depletionFraction - share of available soil water the crop can use before stress (FAO-56 "p")
+ *   phenology     - optional GDD model: base and upper temperature (°C) and the
+ *                   degree days after sowing at which each growth stage begins
+ *   yield         - uncalibrated yield prior in t/ha: yield = intercept + slope * peak NDVI,
+ *                   capped at max, used until harvest records calibrate the crop
+ */
+export const CROPS = {
+  rice: {
+    name: 'Rice',
+    stages: { initial: 30, development: 30, mid: 60, late: 30 },
+    kc: { initial: 1.05, mid: 1.2, end: 0.75 },
+    rootDepth: 0.5,
+    depletionFraction: 0.2,
+    yield: { intercept: -1.2, slope: 8, max: 10 },
+    phenology: {
+      baseTemperature: 10,
+      upperTemperature: 35,
+      stages: [
+        { stage: 'emergence', gdd: 90 },
+        { stage: 'tillering', gdd: 450 },
+        { stage: 'flowering', gdd: 1400 },
+        { stage: 'maturity', gdd: 2100 }
+      ]
+    }
+  },
+  wheat: {
+    name: 'Wheat',
+    stages: { initial: 20, development: 25, mid: 60, late: 30 },
+    kc: { initial: 0.3, mid: 1.15, end: 0.3 },
+    rootDepth: 1.5,
+    depletionFraction: 0.55,
+    yield: { intercept: -1.2, slope: 7.5, max: 8 },
+    phenology: {
+      baseTemperature: 0,
+      upperTemperature: 30,
+      stages: [
+        { stage: 'emergence', gdd: 130 },
+        { stage: 'tillering', gdd: 400 },
+        { stage: 'flowering', gdd: 1250 },
+        { stage: 'maturity', gdd: 2000 }
+      ]
+    }
+  },
+  maize: {
+    name: 'Maize',
+    stages: { initial: 20, development: 35, mid: 40, late: 30 },
+    kc: { initial: 0.3, mid: 1.2, end: 0.5 },
+    rootDepth: 1.2,
+    depletionFraction: 0.55,
+    yield: { intercept: -1.5, slope: 9, max: 12 }
+  },
+  millet: {
+    name: 'Millet',
+    stages: { initial: 15, development: 25, mid: 40, late: 25 },
+    kc: { initial: 0.3, mid: 1.0, end: 0.3 },
+    rootDepth: 1.5,
+    depletionFraction: 0.55,
+    yield: { intercept: -0.5, slope: 3.5, max: 4 },
+    phenology: {
+      baseTemperature: 10,
+      upperTemperature: 35,
+      stages: [
+        { stage: 'emergence', gdd: 60 },
+        { stage: 'tillering', gdd: 250 },
+        { stage: 'flowering', gdd: 800 },
+        { stage: 'maturity', gdd: 1400 }
+      ]
+    }
+  },
+  pulses: {
+    name: 'Pulses',
+    stages: { initial: 20, development: 30, mid: 60, late: 40 },
+    kc: { initial: 0.4, mid: 1.1, end: 0.3 },
+    rootDepth: 0.6,
+    depletionFraction: 0.5,
+    yield: { intercept: -0.3, slope: 2.5, max: 3 },
+    phenology: {
+      baseTemperature: 5,
+      upperTemperature: 30,
+      // Pulses branch rather than tiller
+      stages: [
+        { stage: 'emergence', gdd: 90 },
+        { stage: 'vegetative', gdd: 300 },
+        { stage: 'flowering', gdd: 900 },
+        { stage: 'maturity', gdd: 1700 }
+      ]
+    }
+  },
+  soybean: {
+    name: 'Soybean',
+    stages: { initial: 20, development: 30, mid: 60, late: 25 },
+    kc: { initial: 0.4, mid: 1.15, end: 0.5 },
+    rootDepth: 0.9,
+    depletionFraction: 0.5,
+    yield: { intercept: -0.5, slope: 3.5, max: 4 }
+  },
+  cotton: {
+    name: 'Cotton',
+    stages: { initial: 30, development: 50, mid: 60, late: 55 },
+    kc: { initial: 0.35, mid: 1.15, end: 0.6 },
+    rootDepth: 1.3,
+    depletionFraction: 0.65,
+    yield: { intercept: -0.6, slope: 4, max: 5 }
+  },
+  sugarcane: {
+    name: 'Sugarcane',
+    stages: { initial: 35, development: 60, mid: 190, late: 120 },
+    kc: { initial: 0.4, mid: 1.25, end: 0.75 },
+    rootDepth: 1.5,
+    depletionFraction: 0.65,
+    yield: { intercept: -15, slope: 110, max: 120 }
+  }
+};
+
+const STAGE_ORDER = ['initial', 'development', 'mid', 'late'];
+
+/**
+ * Look up a crop by key or display name
+ * @param {string} key - Crop key, e.g. 'wheat'
+ * @returns {Object} - Crop definition including its key
+ */
+export function getCrop(key) {
+  const normalizedKey = String(key).trim().toLowerCase();
+  const crop = CROPS[normalizedKey];
+  if (!crop) {
+    throw createHttpError(400, `Unknown crop "${key}". Supported crops: ${Object.keys(CROPS).join(', ')}`);
+  }
+  return { key: normalizedKey, ...crop };
+}
+
+/**
+ * Total season length of a crop
+ * @param {Object} crop - Crop definition
+ * @returns {number} - Days from planting to harvest
+ */
+export function getSeasonLength(crop) {
+  return STAGE_ORDER.reduce((total, stage) => total + crop.stages[stage], 0);
+}
+
+/**
+ * Growth stage and crop coefficient on a given day of the season. Kc rises
+ * linearly through the development stage and falls through the late stage
+ * (FAO-56 Figure 25).
+ * @param {Object} crop - Crop definition
+ * @param {number} daysAfterPlanting - Days since planting (0 on the planting day)
+ * @returns {Object} - { stage, kc }; kc is null before planting and after harvest
+ */
+export function getCropStage(crop, daysAfterPlanting) {
+  if (daysAfterPlanting < 0) {
+    return { stage: 'not-planted', kc: null };
+  }
+
+  const { stages, kc } = crop;
+  let stageStart = 0;
+  for (const stage of STAGE_ORDER) {
+    const length = stages[stage];
+    if (daysAfterPlanting < stageStart + length) {
+      const progress = (daysAfterPlanting - stageStart) / length;
+      let value = kc.mid;
+      if (stage === 'initial') {
+        value = kc.initial;
+      } else if (stage === 'development') {
+        value = kc.initial + (kc.mid - kc.initial) * progress;
+      } else if (stage === 'late') {
+        value = kc.mid + (kc.end - kc.mid) * progress;
+      }
+      return { stage, kc: parseFloat(value.toFixed(2)) };
+    }
+    stageStart += length;
+  }
+
+  return { stage: 'harvested', kc: null };
+}
@@ -0,0 +1,184 @@
+/**
+ * Document store - persists JSON documents in named collections.
+ * Backed by one JSON file per collection in development and Firestore in
+ * production, selected with DATA_STORE_BACKEND ("file" or "firestore").
+ *
+ * update(id, changes, { where }) only applies the changes while the stored
+ * document still has the `where` field values, atomically, and returns null
+ * otherwise; e.g. to claim a queued job once across processes.
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+import admin from "firebase-admin";
+
+const collections = new Map();
+
+/**
+ * Get a document collection by name
+ * @param {string} name - Collection name, e.g. 'scenes'
+ * @returns {Object} - Collection with insert, get, update, remove and find
+ */
+export function getCollection(name) {
+  if (!collections.has(name)) {
+    collections.set(name, createCollection(name));
+  }
+  return collections.get(name);
+}
+
+function createCollection(name) {
+  const type = process.env.DATA_STORE_BACKEND || 'file';
+  if (type === 'firestore') {
+    return createFirestoreCollection(name);
+  }
+  if (type === 'file') {
+    return createFileCollection(path.join(process.env.DATA_DIR || 'data', `${name}.json`));
+  }
+  throw new Error(`Unknown DATA_STORE_BACKEND "${type}"`);
+}
+
+/**
+ * JSON file collection for local development. Writes are serialized and
+ * replace the file atomically so concurrent requests cannot corrupt it.
+ * @param {string} filePath - Path of the JSON file
+ * @returns {Object} - Collection
+ */
+function createFileCollection(filePath) {
+  let writeQueue = Promise.resolve();
+
+  async function readAll() {
+    try {
+      return JSON.parse(await fs.readFile(filePath, 'utf8')).documents || {};
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return {};
+      }
+      throw error;
+    }
+  }
+
+  function mutate(change) {
+    const write = writeQueue.then(async () => {
+      const documents = await readAll();
+      const result = change(documents);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      const tempPath = `${filePath}.tmp`;
+      await fs.writeFile(tempPath, JSON.stringify({ documents }, null, 2));
+      await fs.rename(tempPath, filePath);
+      return result;
+    });
+    // Keep the queue usable after a failed write
+    writeQueue = write.catch(() => {});
+    return write;
+  }
+
+  return {
+    insert(document) {
+      const id = document.id || crypto.randomUUID();
+      return mutate(documents => {
+        documents[id] = { ...document, id };
+        return documents[id];
+      });
+    },
+    async get(id) {
+      await writeQueue;
+      return (await readAll())[id] || null;
+    },
+    update(id, changes, { where = {} } = {}) {
+      return mutate(documents => {
+        if (!documents[id] || !matches(documents[id], where)) {
+          return null;
+        }
+        documents[id] = { ...documents[id], ...changes, id };
+        return documents[id];
+      });
+    },
+    remove(id) {
+      return mutate(documents => {
+        const existed = Boolean(documents[id]);
+        delete documents[id];
+        return existed;
+      });
+    },
+    async find({ where = {}, filter } = {}) {
+      await writeQueue;
+      return Object.values(await readAll()).filter(document =>
+        matches(document, where) &&
+        (!filter || filter(document))
+      );
+    }
+  };
+}
+
+/**
+ * Firestore collection for production. Equality conditions run in
+ * Firestore, any additional filter function runs on the results.
+ * @param {string} name - Firestore collection name
+ * @returns {Object} - Collection
+ */
+function createFirestoreCollection(name) {
+  const collection = () => {
+    if (admin.apps.length === 0) {
+      throw new Error('Firebase is not initialized. Provide serviceAccountKey.json or set DATA_STORE_BACKEND=file');
+    }
+    return admin.firestore().collection(name);
+  };
+
+  return {
+    async insert(document) {
+      const id = document.id || crypto.randomUUID();
+      const stored = { ...document, id };
+      await collection().doc(id).set(stored);
+      return stored;
+    },
+    async get(id) {
+      const snapshot = await collection().doc(id).get();
+      return snapshot.exists ? snapshot.data() : null;
+    },
+    async update(id, changes, { where = {} } = {}) {
+      const ref = collection().doc(id);
+      if (Object.keys(where).length > 0) {
+        return admin.firestore().runTransaction(async transaction => {
+          const snapshot = await transaction.get(ref);
+          if (!snapshot.exists || !matches(snapshot.data(), where)) {
+            return null;
+          }
+          transaction.update(ref, changes);
+          return { ...snapshot.data(), ...changes, id };
+        });
+      }
+      const snapshot = await ref.get();
+      if (!snapshot.exists) {
+        return null;
+      }
+      await ref.update(changes);
+      return { ...snapshot.data(), ...changes, id };
+    },
+    async remove(id) {
+      const ref = collection().doc(id);
+      const snapshot = await ref.get();
+      await ref.delete();
+      return snapshot.exists;
+    },
+    async find({ where = {}, filter } = {}) {
+      let query = collection();
+      Object.entries(where).forEach(([field, value]) => {
+        query = query.where(field, '==', value);
+      });
+      const snapshot = await query.get();
+      const documents = snapshot.docs.map(doc => doc.data());
+      return filter ? documents.filter(filter) : documents;
+    }
+  };
+}
+
+/**
+ * Check a document against equality conditions
+ * @param {Object} document - Stored document
+ * @param {Object} where - Field values the document must have
+ * @returns {boolean} - True when every field matches
+ */
+function matches(document, where) {
+  return Object.entries(where).every(([field, value]) => document[field] === value);
+}
@@ -1,276 +1,279 @@
 /**
- * Dynamic Area Service - Fetches real GIS data based on user coordinates
- * This shows how the system would work with real GIS APIs
+ * Dynamic Area Service - finds the landmarks, water sources and land use
+ * around user coordinates in OpenStreetMap data (see areas/areaProvider.js)
+ * and measures how far each one is from the location.
  */
 
-import axios from "axios";
+import { getAreaProvider } from "./areas/areaProvider.js";
+import { cached, buildCacheKey, getCacheTtl } from "./cache/resultCache.js";
+import { createHttpError } from "../utils/errorUtils.js";
+import {
+  calculateDistanceToGeometry,
+  calculateGeometryArea,
+  getGeometryBoundingBox,
+  getGeometryCentroid,
+  getGeometryPolygons,
+  pointInPolygon
+} from "../utils/coordinateUtils.js";
+
+// Nearest entries returned per list
+const MAX_RESULTS = 25;
+
+// Larger searches are clamped to keep OpenStreetMap responses manageable
+const MAX_SEARCH_RADIUS_KM = 10;
+
+// Features are fetched and cached for the location rounded to 0.01° (about
+// 1 km), over a radius widened by the largest distance rounding moves it
+const CACHE_PRECISION = 2;
+const CACHE_MARGIN_KM = 0.8;
+
+// A failing provider is not asked again for the same area for this long
+const FAILURE_TTL_SECONDS = 60;
+
+// Points per side of the grid sampling the search circle for land use shares
+const LAND_USE_SAMPLES = 41;
+
+// Landmark type of each OSM tag value the area providers look for
+const LANDMARK_TYPES = {
+  amenity: {
+    marketplace: 'market',
+    townhall: 'government',
+    hospital: 'healthcare',
+    clinic: 'healthcare',
+    doctors: 'healthcare',
+    veterinary: 'veterinary',
+    school: 'education',
+    college: 'education',
+    post_office: 'services',
+    bank: 'services',
+    fuel: 'services',
+    community_centre: 'community',
+    place_of_worship: 'religious'
+  },
+  place: { city: 'settlement', town: 'settlement', village: 'settlement', hamlet: 'settlement', suburb: 'settlement' },
+  office: { government: 'government' },
+  shop: { agrarian: 'agricultural_supplies', farm: 'agricultural_supplies' }
+};
+
+// Land use polygons are grouped by tag; other landuse/natural values count as "other"
+const LAND_USE_GROUPS = {
+  agricultural: [
+    'landuse=farmland', 'landuse=farmyard', 'landuse=orchard', 'landuse=vineyard', 'landuse=meadow',
+    'landuse=plant_nursery', 'landuse=greenhouse_horticulture', 'landuse=allotments', 'landuse=animal_keeping',
+    'natural=grassland'
+  ],
+  forest: ['landuse=forest', 'natural=wood', 'natural=scrub', 'natural=heath'],
+  water: ['natural=water', 'natural=wetland', 'landuse=reservoir', 'landuse=basin', 'landuse=aquaculture'],
+  builtUp: [
+    'landuse=residential', 'landuse=commercial', 'landuse=industrial', 'landuse=retail', 'landuse=construction',
+    'landuse=railway', 'landuse=military', 'landuse=education', 'landuse=religious', 'landuse=institutional',
+    'landuse=garages', 'landuse=cemetery'
+  ]
+};
 
 /**
- * Fetch real agricultural areas for specific coordinates
+ * Fetch the landmarks, water sources and land use around a location
  * @param {number} latitude - User's latitude
  * @param {number} longitude - User's longitude
- * @param {number} radius - Search radius in kilometers
- * @returns {Object} - Real agricultural areas and landmarks
+ * @param {number} radius - Search radius in kilometers; larger values are clamped to MAX_SEARCH_RADIUS_KM
+ * @returns {Object} - { landmarks, waterSources, landUse, provider, ... }; landmarks and
+ *   water sources are nearest first with distance_km to their nearest point
  */
 export async function fetchRealAreasForLocation(latitude, longitude, radius = 5) {
+  const provider = getAreaProvider();
+  const searchRadius = Math.min(radius, MAX_SEARCH_RADIUS_KM);
   try {
-    console.log(`Fetching real areas for coordinates: ${latitude}, ${longitude}`);
-    
-    // 1. Fetch real agricultural fields from government databases
-    const agriculturalFields = await fetchAgriculturalFields(latitude, longitude, radius);
-    
-    // 2. Fetch real landmarks from OpenStreetMap
-    const landmarks = await fetchRealLandmarks(latitude, longitude, radius);
-    
-    // 3. Fetch real water sources and irrigation data
-    const waterSources = await fetchWaterSources(latitude, longitude, radius);
-    
-    // 4. Fetch real land use data
-    const landUseData = await fetchLandUseData(latitude, longitude, radius);
-    
+    // Distances are measured from the requested point, not the rounded one
+    const center = {
+      latitude: parseFloat(latitude.toFixed(CACHE_PRECISION)),
+      longitude: parseFloat(longitude.toFixed(CACHE_PRECISION)),
+      radiusKm: searchRadius + CACHE_MARGIN_KM
+    };
+    const features = await cached(
+      buildCacheKey(`areas:${provider.name}`, center),
+      { ttlSeconds: getCacheTtl('areas'), failureTtlSeconds: FAILURE_TTL_SECONDS },
+      () => provider.findFeatures(center)
+    );
+
     return {
-      agriculturalFields,
-      landmarks,
-      waterSources,
-      landUseData,
+      landmarks: fetchRealLandmarks(features, latitude, longitude, searchRadius),
+      waterSources: fetchWaterSources(features, latitude, longitude, searchRadius),
+      landUse: fetchLandUseData(features, latitude, longitude, searchRadius),
+      provider: provider.name,
       location: {
         latitude,
         longitude,
         formatted: `${latitude.toFixed(6)}, ${longitude.toFixed(6)}`
       },
-      searchRadius: radius,
+      searchRadius,
       timestamp: new Date().toISOString()
     };
-    
   } catch (error) {
-    console.error('Error fetching real areas:', error);
-    throw new Error(`Failed to fetch areas for location ${latitude}, ${longitude}`);
+    throw createHttpError(error.status || 500, `Failed to fetch areas for location ${latitude}, ${longitude}: ${error.message}`);
   }
 }
 
 /**
- * Fetch real agricultural fields from government land records
+ * Pick the landmarks out of the area features
+ * @param {Array} features - Provider features
  * @param {number} latitude - Latitude coordinate
  * @param {number} longitude - Longitude coordinate
- * @param {number} radius - Search radius
- * @returns {Array} - Real agricultural fields
+ * @param {number} radius - Search radius in kilometers
+ * @returns {Array} - Landmarks, nearest first
  */
-async function fetchAgriculturalFields(latitude, longitude, radius) {
-  // This would be real API calls to government land records
-  
-  // Example: Government Land Records API
-  // const landRecords = await axios.get(`https://api.landrecords.gov.in/fields?lat=${latitude}&lon=${longitude}&radius=${radius}`);
-  
-  // Example: Agricultural Census API
-  // const agriCensus = await axios.get(`https://api.agricensus.gov.in/fields?lat=${latitude}&lon=${longitude}&radius=${radius}`);
-  
-  console.log(`Simulating agricultural fields API call for ${latitude}, ${longitude}`);
-  
-  // Simulate real agricultural fields based on coordinates
-  const fields = [];
-  const fieldNames = ['Paddy Field', 'Wheat Field', 'Sugarcane Field', 'Cotton Field', 'Pulse Field'];
-  
-  for (let i = 0; i < 3; i++) {
-    const fieldName = fieldNames[i];
-    const latOffset = (Math.random() - 0.5) * 0.01;
-    const lonOffset = (Math.random() - 0.5) * 0.01;
-    
-    fields.push({
-      id: `field_${i + 1}`,
-      name: fieldName,
-      type: 'agricultural',
-      coordinates: [latitude + latOffset, longitude + lonOffset],
-      area_hectares: (Math.random() * 20 + 5).toFixed(1),
-      currentCrop: getCropForField(fieldName),
-      irrigationType: getIrrigationType(fieldName),
-      owner: `Farmer_${i + 1}`,
-      landRecordId: `LR_${Math.floor(Math.random() * 10000)}`,
-      soilType: getSoilType(latitude, longitude),
-      lastUpdated: new Date().toISOString()
-    });
-  }
-  
-  return fields;
+function fetchRealLandmarks(features, latitude, longitude, radius) {
+  return nearestWithin(features
+    .map(feature => {
+      const key = Object.keys(LANDMARK_TYPES).find(name => LANDMARK_TYPES[name][feature.tags[name]]);
+      return key ? describeFeature(feature, key, LANDMARK_TYPES[key][feature.tags[key]], latitude, longitude) : null;
+    }), radius);
 }
 
 /**
- * Fetch real landmarks from OpenStreetMap
+ * Pick the water bodies, waterways and wells out of the area features
+ * @param {Array} features - Provider features
  * @param {number} latitude - Latitude coordinate
  * @param {number} longitude - Longitude coordinate
- * @param {number} radius - Search radius
- * @returns {Array} - Real landmarks
+ * @param {number} radius - Search radius in kilometers
+ * @returns {Array} - Water sources, nearest first
  */
-async function fetchRealLandmarks(latitude, longitude, radius) {
-  // This would be real API calls to OpenStreetMap
-  
-  // Example: OpenStreetMap Overpass API
-  // const osmResponse = await axios.get(`https://overpass-api.de/api/interpreter?data=[out:json];node["amenity"](around:${radius * 1000},${latitude},${longitude});out;`);
-  
-  console.log(`Simulating OpenStreetMap API call for ${latitude}, ${longitude}`);
-  
-  // Simulate real landmarks based on coordinates
-  const landmarks = [
-    {
-      name: "Village Panchayat Office",
-      type: "government",
-      coordinates: [latitude + 0.005, longitude + 0.003],
-      distance_km: calculateDistance(latitude, longitude, latitude + 0.005, longitude + 0.003),
-      description: "Local government office",
-      osm_id: `osm_${Math.floor(Math.random() * 100000)}`,
-      category: "government"
-    },
-    {
-      name: "Primary Health Center",
-      type: "healthcare",
-      coordinates: [latitude - 0.002, longitude - 0.001],
-      distance_km: calculateDistance(latitude, longitude, latitude - 0.002, longitude - 0.001),
-      description: "Healthcare facility",
-      osm_id: `osm_${Math.floor(Math.random() * 100000)}`,
-      category: "healthcare"
-    },
-    {
-      name: "Agricultural Market",
-      type: "commercial",
-      coordinates: [latitude + 0.008, longitude - 0.004],
-      distance_km: calculateDistance(latitude, longitude, latitude + 0.008, longitude - 0.004),
-      description: "Local agricultural market",
-      osm_id: `osm_${Math.floor(Math.random() * 100000)}`,
-      category: "commercial"
-    }
-  ];
-  
-  return landmarks;
+function fetchWaterSources(features, latitude, longitude, radius) {
+  return nearestWithin(features
+    .map(feature => {
+      const { tags } = feature;
+      if (tags.natural === 'water') {
+        return describeFeature(feature, 'natural', tags.water || 'water', latitude, longitude);
+      }
+      if (tags.waterway) {
+        return describeFeature(feature, 'waterway', tags.waterway, latitude, longitude);
+      }
+      if (['reservoir', 'basin'].includes(tags.landuse)) {
+        return describeFeature(feature, 'landuse', tags.landuse, latitude, longitude);
+      }
+      if (['water_well', 'water_tower', 'reservoir_covered'].includes(tags.man_made)) {
+        return describeFeature(feature, 'man_made', tags.man_made === 'water_well' ? 'well' : tags.man_made, latitude, longitude);
+      }
+      return null;
+    }), radius);
 }
 
 /**
- * Fetch real water sources and irrigation data
+ * Estimate the share of the search area under each land use group by
+ * sampling a grid of points over the circle. Where polygons overlap, the
+ * smallest one containing a point decides its land use.
+ * @param {Array} features - Provider features
  * @param {number} latitude - Latitude coordinate
  * @param {number} longitude - Longitude coordinate
- * @param {number} radius - Search radius
- * @returns {Array} - Real water sources
+ * @param {number} radius - Search radius in kilometers
+ * @returns {Object} - { shares, dominant, areas }: percentages per group (including
+ *   "unmapped"), the largest mapped group and the nearest land use polygons
  */
-async function fetchWaterSources(latitude, longitude, radius) {
-  // This would be real API calls to water resources data
-  
-  // Example: Water Resources API
-  // const waterData = await axios.get(`https://api.waterresources.gov.in/sources?lat=${latitude}&lon=${longitude}&radius=${radius}`);
-  
-  console.log(`Simulating water sources API call for ${latitude}, ${longitude}`);
-  
-  const waterSources = [
-    {
-      name: "Village Pond",
-      type: "water_source",
-      coordinates: [latitude - 0.003, longitude + 0.002],
-      distance_km: calculateDistance(latitude, longitude, latitude - 0.003, longitude + 0.002),
-      description: "Traditional water source",
-      capacity: "50,000 liters",
-      status: "active",
-      waterQuality: "good"
-    },
-    {
-      name: "Irrigation Canal",
-      type: "irrigation",
-      coordinates: [latitude + 0.001, longitude - 0.002],
-      distance_km: calculateDistance(latitude, longitude, latitude + 0.001, longitude - 0.002),
-      description: "Government irrigation canal",
-      capacity: "High flow",
-      status: "active",
-      maintenance: "regular"
+function fetchLandUseData(features, latitude, longitude, radius) {
+  const polygons = features
+    .filter(({ tags, geometry }) => (tags.landuse || tags.natural) && ['Polygon', 'MultiPolygon'].includes(geometry.type))
+    .map(feature => {
+      const key = feature.tags.landuse ? 'landuse' : 'natural';
+      const tag = `${key}=${feature.tags[key]}`;
+      return {
+        ...describeFeature(feature, key, feature.tags[key], latitude, longitude),
+        group: Object.keys(LAND_USE_GROUPS).find(group => LAND_USE_GROUPS[group].includes(tag)) || 'other',
+        area_hectares: parseFloat((calculateGeometryArea(feature.geometry) / 10000).toFixed(2)),
+        rings: getGeometryPolygons(feature.geometry),
+        bbox: getGeometryBoundingBox(feature.geometry)
+      };
+    })
+    .sort((a, b) => a.area_hectares - b.area_hectares);
+
+  const counts = { agricultural: 0, forest: 0, water: 0, builtUp: 0, other: 0, unmapped: 0 };
+  let samples = 0;
+  const kmPerDegreeLon = 111.32 * Math.cos(latitude * Math.PI / 180);
+  for (let row = 0; row < LAND_USE_SAMPLES; row++) {
+    for (let column = 0; column < LAND_USE_SAMPLES; column++) {
+      const dx = radius * (2 * column / (LAND_USE_SAMPLES - 1) - 1);
+      const dy = radius * (2 * row / (LAND_USE_SAMPLES - 1) - 1);
+      if (dx * dx + dy * dy > radius * radius) {
+        continue;
+      }
+      const point = [longitude + dx / kmPerDegreeLon, latitude + dy / 110.574];
+      const polygon = polygons.find(({ bbox, rings }) =>
+        point[0] >= bbox.west && point[0] <= bbox.east && point[1] >= bbox.south && point[1] <= bbox.north &&
+        rings.some(polygonRings => pointInPolygon(point, polygonRings)));
+      counts[polygon ? polygon.group : 'unmapped']++;
+      samples++;
     }
-  ];
-  
-  return waterSources;
-}
+  }
+
+  const shares = Object.fromEntries(Object.entries(counts)
+    .map(([group, count]) => [group, parseFloat((count / samples * 100).toFixed(1))]));
+  const mapped = Object.keys(counts).filter(group => group !== 'unmapped' && counts[group] > 0);
 
-/**
- * Fetch real land use data
- * @param {number} latitude - Latitude coordinate
- * @param {number} longitude - Longitude coordinate
- * @param {number} radius - Search radius
- * @returns {Object} - Real land use data
- */
-async function fetchLandUseData(latitude, longitude, radius) {
-  // This would be real API calls to land use databases
-  
-  // Example: Land Use API
-  // const landUse = await axios.get(`https://api.landuse.gov.in/data?lat=${latitude}&lon=${longitude}&radius=${radius}`);
-  
-  console.log(`Simulating land use API call for ${latitude}, ${longitude}`);
-  
   return {
-    agriculturalLand: "75%",
-    forestArea: "15%",
-    waterBodies: "5%",
-    builtUpArea: "5%",
-    soilType: getSoilType(latitude, longitude),
-    elevation: Math.floor(Math.random() * 500 + 100),
-    slope: (Math.random() * 10).toFixed(1),
-    drainage: "good"
+    shares,
+    dominant: mapped.length > 0 ? mapped.reduce((best, group) => counts[group] > counts[best] ? group : best) : null,
+    areas: nearestWithin(polygons.map(({ rings, bbox, ...area }) => area), radius)
   };
 }
 
 /**
- * Calculate distance between two points using Haversine formula
- * @param {number} lat1 - First latitude
- * @param {number} lon1 - First longitude
- * @param {number} lat2 - Second latitude
- * @param {number} lon2 - Second longitude
- * @returns {number} - Distance in kilometers
+ * Describe a feature for the location response
+ * @param {Object} feature - Provider feature
+ * @param {string} key - OSM key the feature was matched on
+ * @param {string} type - Type reported for the feature
+ * @param {number} latitude - Latitude of the location
+ * @param {number} longitude - Longitude of the location
+ * @returns {Object} - { id, name, type, tag, coordinates, distance_km }
  */
-function calculateDistance(lat1, lon1, lat2, lon2) {
-  const R = 6371; // Earth's radius in kilometers
-  const dLat = (lat2 - lat1) * Math.PI / 180;
-  const dLon = (lon2 - lon1) * Math.PI / 180;
-  const a = 
-    Math.sin(dLat/2) * Math.sin(dLat/2) +
-    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) * 
-    Math.sin(dLon/2) * Math.sin(dLon/2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-  return (R * c).toFixed(2);
+function describeFeature({ id, tags, geometry }, key, type, latitude, longitude) {
+  const centre = geometry.type === 'Point'
+    ? { latitude: geometry.coordinates[1], longitude: geometry.coordinates[0] }
+    : ['Polygon', 'MultiPolygon'].includes(geometry.type)
+      ? getGeometryCentroid(geometry)
+      : getNearestVertex(geometry, latitude, longitude);
+
+  return {
+    id,
+    name: tags.name || tags['name:en'] || humanize(tags[key]),
+    type,
+    tag: `${key}=${tags[key]}`,
+    coordinates: [parseFloat(centre.latitude.toFixed(6)), parseFloat(centre.longitude.toFixed(6))],
+    distance_km: parseFloat(calculateDistanceToGeometry(latitude, longitude, geometry).toFixed(3))
+  };
 }
 
 /**
- * Get crop type based on field name
- * @param {string} fieldName - Field name
- * @returns {string} - Crop type
+ * Keep the entries within the radius, nearest first
+ * @param {Array} entries - Described features or nulls
+ * @param {number} radius - Search radius in kilometers
+ * @returns {Array} - At most MAX_RESULTS entries
  */
-function getCropForField(fieldName) {
-  const cropMap = {
-    'Paddy Field': 'Rice',
-    'Wheat Field': 'Wheat',
-    'Sugarcane Field': 'Sugarcane',
-    'Cotton Field': 'Cotton',
-    'Pulse Field': 'Pulses'
-  };
-  return cropMap[fieldName] || 'Mixed Crops';
+function nearestWithin(entries, radius) {
+  return entries
+    .filter(entry => entry && entry.distance_km <= radius)
+    .sort((a, b) => a.distance_km - b.distance_km)
+    .slice(0, MAX_RESULTS);
 }
 
 /**
- * Get irrigation type based on field name
- * @param {string} fieldName - Field name
- * @returns {string} - Irrigation type
+ * Find the vertex of a line geometry closest to a location
+ * @param {Object} geometry - GeoJSON LineString or MultiLineString
+ * @param {number} latitude - Latitude of the location
+ * @param {number} longitude - Longitude of the location
+ * @returns {Object} - { latitude, longitude }
  */
-function getIrrigationType(fieldName) {
-  const irrigationMap = {
-    'Paddy Field': 'Flood',
-    'Wheat Field': 'Sprinkler',
-    'Sugarcane Field': 'Drip',
-    'Cotton Field': 'Sprinkler',
-    'Pulse Field': 'Drip'
-  };
-  return irrigationMap[fieldName] || 'Traditional';
+function getNearestVertex(geometry, latitude, longitude) {
+  const points = geometry.type === 'MultiLineString' ? geometry.coordinates.flat() : geometry.coordinates;
+  const [lon, lat] = points.reduce((best, point) =>
+    calculateDistanceToGeometry(latitude, longitude, { type: 'Point', coordinates: point }) <
+    calculateDistanceToGeometry(latitude, longitude, { type: 'Point', coordinates: best }) ? point : best);
+  return { latitude: lat, longitude: lon };
 }
 
 /**
- * Get soil type based on coordinates
- * @param {number} latitude - Latitude coordinate
- * @param {number} longitude - Longitude coordinate
- * @returns {string} - Soil type
+ * Turn an OSM tag value into a display name
+ * @param {string} value - Tag value, e.g. "place_of_worship"
+ * @returns {string} - e.g. "Place of worship"
  */
-function getSoilType(latitude, longitude) {
-  // Simulate soil type based on location
-  const soilTypes = ['Alluvial', 'Black', 'Red', 'Laterite', 'Mountain'];
-  const index = Math.floor((latitude + longitude) * 1000) % soilTypes.length;
-  return soilTypes[index];
-} 
\ No newline at end of file
+function humanize(value) {
+  const words = String(value).replace(/_/g, ' ');
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
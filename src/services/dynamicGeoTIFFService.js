@@ -1,199 +1,180 @@
 /**
- * Dynamic GeoTIFF Service - Fetches satellite data based on user coordinates
- * This shows how the system would work with real satellite APIs
+ * Dynamic GeoTIFF Service - finds satellite scenes for user coordinates in
+ * a STAC API (Sentinel-2 or Landsat collections).
+ *
+ * A STAC item covering the point near the requested date becomes a scene
+ * shaped like the catalog's, whose band keys are the URLs of the item's
+ * cloud-optimized GeoTIFF assets. GeoTIFFService reads those over HTTP
+ * range requests, so only the header and the tiles around the location are
+ * downloaded.
+ *
+ * Configured with STAC_API_URL, STAC_COLLECTIONS, STAC_SEARCH_DAYS and
+ * STAC_MAX_CLOUD_COVER.
  */
 
-import { fromArrayBuffer } from "geotiff";
-import axios from "axios";
+import { selectBestScene } from "./sceneCatalog.js";
+import { createHttpError } from "../utils/errorUtils.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SEARCH_LIMIT = 100;
+const REQUEST_TIMEOUT_MS = 30000;
+
+// Asset key of each band in the items of well-known collections (Earth
+// Search naming). Items of other collections are matched on the assets'
+// eo:bands common names.
+const SENTINEL_2_ASSETS = {
+  red: 'red', nir: 'nir', blue: 'blue', green: 'green', rededge: 'rededge1', swir: 'swir16', scl: 'scl'
+};
+const COLLECTION_ASSETS = {
+  'sentinel-2-l2a': SENTINEL_2_ASSETS,
+  'sentinel-2-c1-l2a': SENTINEL_2_ASSETS,
+  'landsat-c2-l2': { red: 'red', nir: 'nir08', blue: 'blue', green: 'green', swir: 'swir16', qa: 'qa_pixel' }
+};
+const COMMON_NAMES = { red: 'red', nir: 'nir', blue: 'blue', green: 'green', rededge: 'rededge', swir: 'swir16' };
+
+let stacClient = null;
 
 /**
- * Fetch satellite data for specific coordinates
- * @param {number} latitude - User's latitude
- * @param {number} longitude - User's longitude
- * @param {string} date - Date for satellite data (optional)
- * @returns {Object} - NDVI data for the specific location
+ * Get the configured STAC client
+ * @returns {Object} - STAC client
  */
-export async function fetchSatelliteDataForLocation(latitude, longitude, date = new Date()) {
-  try {
-    // This would be the real implementation with satellite APIs
-    console.log(`Fetching satellite data for coordinates: ${latitude}, ${longitude}`);
-    
-    // 1. Fetch satellite imagery for the specific coordinates
-    const satelliteData = await fetchSatelliteImagery(latitude, longitude, date);
-    
-    // 2. Extract red and NIR bands for the specific area
-    const redBand = await extractRedBand(satelliteData, latitude, longitude);
-    const nirBand = await extractNIRBand(satelliteData, latitude, longitude);
-    
-    // 3. Calculate NDVI for the specific location
-    const ndviResult = calculateNDVIForLocation(redBand, nirBand, latitude, longitude);
-    
-    return ndviResult;
-    
-  } catch (error) {
-    console.error('Error fetching satellite data:', error);
-    throw new Error(`Failed to fetch satellite data for location ${latitude}, ${longitude}`);
+export function getStacClient() {
+  if (!stacClient) {
+    stacClient = createStacClient(process.env);
   }
+  return stacClient;
+}
+
+/**
+ * Replace the active STAC client, e.g. with one for a fixture server in tests
+ * @param {Object|null} client - STAC client, or null to re-read configuration
+ */
+export function setStacClient(client) {
+  stacClient = client;
 }
 
 /**
- * Fetch satellite imagery from real APIs (ISRO/Bhoonidhi)
- * @param {number} latitude - Latitude coordinate
- * @param {number} longitude - Longitude coordinate
- * @param {Date} date - Date for imagery
- * @returns {Object} - Satellite imagery data
+ * Create a STAC client from configuration values
+ * @param {Object} config - Configuration, usually process.env
+ * @returns {Object} - Client with findScene({ latitude, longitude, date, bands })
  */
-async function fetchSatelliteImagery(latitude, longitude, date) {
-  // This would be real API calls to satellite data providers
-  
-  // Example: ISRO Bhuvan API
-  // const isroResponse = await axios.get(`https://bhuvan.nrsc.gov.in/api/satellite?lat=${latitude}&lon=${longitude}&date=${date.toISOString()}`);
-  
-  // Example: Bhoonidhi API
-  // const bhoonidhiResponse = await axios.get(`https://bhoonidhi.nrsc.gov.in/api/ndvi?lat=${latitude}&lon=${longitude}&date=${date.toISOString()}`);
-  
-  // For now, simulate the API response
-  console.log(`Simulating satellite API call for ${latitude}, ${longitude} on ${date.toISOString()}`);
-  
+export function createStacClient(config) {
+  const url = (config.STAC_API_URL || 'https://earth-search.aws.element84.com/v1').replace(/\/+$/, '');
+  const collections = (config.STAC_COLLECTIONS || 'sentinel-2-l2a').split(',').map(name => name.trim()).filter(Boolean);
+  const searchDays = parseFloat(config.STAC_SEARCH_DAYS || '30');
+  const maxCloudCover = parseFloat(config.STAC_MAX_CLOUD_COVER || '60');
+
   return {
-    satelliteSource: 'ISRO_Bhuvan',
-    coordinates: { latitude, longitude },
-    date: date.toISOString(),
-    imageryData: 'simulated_satellite_data',
-    resolution: '10m',
-    bands: ['red', 'nir', 'green', 'blue']
+    name: 'stac',
+    url,
+
+    async findScene({ latitude, longitude, date = new Date(), bands }) {
+      const items = await searchItems(url, {
+        collections,
+        intersects: { type: 'Point', coordinates: [longitude, latitude] },
+        datetime: `${new Date(date - searchDays * DAY_MS).toISOString()}/${new Date(date.getTime() + searchDays * DAY_MS).toISOString()}`,
+        limit: SEARCH_LIMIT
+      });
+
+      const scenes = items
+        .filter(item => (item.properties['eo:cloud_cover'] ?? 0) <= maxCloudCover)
+        .map(item => toScene(item, bands))
+        .filter(Boolean);
+      const scene = selectBestScene(scenes, date);
+      if (!scene) {
+        throw createHttpError(404, `No ${collections.join(' or ')} scene with ${bands.join(', ')} bands and at most ${maxCloudCover}% cloud cover within ${searchDays} days of ${date.toISOString().slice(0, 10)} covers ${latitude}, ${longitude}`);
+      }
+      return scene;
+    }
   };
 }
 
 /**
- * Extract red band data for specific coordinates
- * @param {Object} satelliteData - Satellite imagery data
- * @param {number} latitude - Latitude coordinate
- * @param {number} longitude - Longitude coordinate
- * @returns {Array} - Red band pixel values
+ * Find the satellite scene that best covers a location on a date
+ * @param {Object} criteria - { latitude, longitude, date, bands }
+ * @returns {Object} - Scene with band URLs
  */
-async function extractRedBand(satelliteData, latitude, longitude) {
-  // In real implementation, this would extract red band data
-  // for the specific geographic area around the coordinates
-  
-  console.log(`Extracting red band for ${latitude}, ${longitude}`);
-  
-  // Simulate red band data for the location
-  const redBandData = [];
-  for (let i = 0; i < 1000; i++) {
-    // Generate realistic red band values based on location
-    const baseValue = 120 + Math.sin(latitude * Math.PI / 180) * 30;
-    redBandData.push(Math.floor(baseValue + Math.random() * 20));
-  }
-  
-  return redBandData;
+export async function findSatelliteScene(criteria) {
+  return getStacClient().findScene(criteria);
 }
 
 /**
- * Extract NIR band data for specific coordinates
- * @param {Object} satelliteData - Satellite imagery data
- * @param {number} latitude - Latitude coordinate
- * @param {number} longitude - Longitude coordinate
- * @returns {Array} - NIR band pixel values
+ * Run a STAC item search
+ * @param {string} url - STAC API root
+ * @param {Object} body - Search parameters
+ * @returns {Array} - Items of the first result page
  */
-async function extractNIRBand(satelliteData, latitude, longitude) {
-  // In real implementation, this would extract NIR band data
-  // for the specific geographic area around the coordinates
-  
-  console.log(`Extracting NIR band for ${latitude}, ${longitude}`);
-  
-  // Simulate NIR band data for the location
-  const nirBandData = [];
-  for (let i = 0; i < 1000; i++) {
-    // Generate realistic NIR band values based on location
-    const baseValue = 200 + Math.sin(latitude * Math.PI / 180) * 50;
-    nirBandData.push(Math.floor(baseValue + Math.random() * 30));
+async function searchItems(url, body) {
+  let response;
+  try {
+    response = await fetch(`${url}/search`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json', accept: 'application/geo+json' },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+  } catch (error) {
+    throw createHttpError(502, `STAC search at ${url} failed: ${error.message}`);
   }
-  
-  return nirBandData;
+  if (!response.ok) {
+    const details = await response.text().catch(() => '');
+    throw createHttpError(502, `STAC search at ${url} failed with ${response.status} ${details.slice(0, 200)}`.trim());
+  }
+  const result = await response.json();
+  return Array.isArray(result.features) ? result.features : [];
 }
 
 /**
- * Calculate NDVI for specific location coordinates
- * @param {Array} redBand - Red band pixel values
- * @param {Array} nirBand - NIR band pixel values
- * @param {number} latitude - Latitude coordinate
- * @param {number} longitude - Longitude coordinate
- * @returns {Object} - NDVI calculation results
+ * Turn a STAC item into a scene
+ * @param {Object} item - STAC item
+ * @param {Array<string>} bands - Bands the scene must provide
+ * @returns {Object|null} - Scene with the { scale, offset } of bands whose assets give
+ *   them in bandScaling, or null when a required band has no readable asset
  */
-function calculateNDVIForLocation(redBand, nirBand, latitude, longitude) {
-  console.log(`Calculating NDVI for location: ${latitude}, ${longitude}`);
-  
-  const ndvi = [];
-  let sum = 0;
-  let count = 0;
-  
-  // Calculate NDVI for each pixel in the area
-  for (let i = 0; i < Math.min(redBand.length, nirBand.length); i++) {
-    const red = redBand[i];
-    const nir = nirBand[i];
-    
-    if (nir + red !== 0) {
-      const val = (nir - red) / (nir + red);
-      ndvi.push(val);
-      sum += val;
-      count++;
-    } else {
-      ndvi.push(0);
+function toScene(item, bands) {
+  const assetKeys = COLLECTION_ASSETS[item.collection] || {};
+  const findAsset = band => {
+    const key = assetKeys[band] in (item.assets || {})
+      ? assetKeys[band]
+      : Object.keys(item.assets || {}).find(name => {
+        const asset = item.assets[name];
+        const commonNames = (asset['eo:bands'] || asset.bands || []).map(entry => entry.common_name || entry['eo:common_name']);
+        return name === band || (COMMON_NAMES[band] && commonNames.includes(COMMON_NAMES[band]));
+      });
+    const asset = key && item.assets[key];
+    return asset && /^https?:\/\//i.test(asset.href) ? asset : null;
+  };
+
+  const sceneBands = {};
+  const bandScaling = {};
+  for (const band of bands) {
+    const asset = findAsset(band);
+    if (!asset) {
+      return null;
+    }
+    sceneBands[band] = asset.href;
+    // Landsat C2 L2 and Sentinel-2 from processing baseline 04.00 store
+    // reflectance with an offset, given per asset in raster:bands
+    const [rasterBand] = asset['raster:bands'] || [];
+    if (rasterBand && (rasterBand.scale !== undefined || rasterBand.offset !== undefined)) {
+      bandScaling[band] = { scale: rasterBand.scale ?? 1, offset: rasterBand.offset ?? 0 };
+    }
+  }
+  for (const band of ['scl', 'qa']) {
+    const asset = assetKeys[band] && findAsset(band);
+    if (asset) {
+      sceneBands[band] = asset.href;
     }
   }
-  
-  const meanNdvi = (sum / count).toFixed(4);
-  
-  return {
-    meanNdvi: parseFloat(meanNdvi),
-    sample: ndvi.slice(0, 100),
-    width: Math.sqrt(redBand.length),
-    height: Math.sqrt(redBand.length),
-    location: {
-      latitude,
-      longitude,
-      boundingBox: generateBoundingBox(latitude, longitude, 1)
-    },
-    satelliteSource: 'ISRO_Bhuvan',
-    calculationDate: new Date().toISOString(),
-    pixelCount: count,
-    vegetationHealth: analyzeVegetationHealth(parseFloat(meanNdvi))
-  };
-}
 
-/**
- * Generate bounding box for coordinates
- * @param {number} latitude - Latitude coordinate
- * @param {number} longitude - Longitude coordinate
- * @param {number} radiusKm - Radius in kilometers
- * @returns {Object} - Bounding box coordinates
- */
-function generateBoundingBox(latitude, longitude, radiusKm = 1) {
-  const latDelta = radiusKm / 111.32;
-  const lonDelta = radiusKm / (111.32 * Math.cos(latitude * Math.PI / 180));
-  
   return {
-    north: latitude + latDelta,
-    south: latitude - latDelta,
-    east: longitude + lonDelta,
-    west: longitude - lonDelta
+    id: `stac:${item.collection}:${item.id}`,
+    acquiredAt: new Date(item.properties.datetime).toISOString(),
+    sensor: item.properties.platform || item.collection,
+    cloudCover: item.properties['eo:cloud_cover'] ?? null,
+    footprint: item.geometry,
+    bands: sceneBands,
+    bandScaling,
+    collection: item.collection
   };
 }
-
-/**
- * Analyze vegetation health based on NDVI
- * @param {number} ndvi - NDVI value
- * @returns {Object} - Vegetation health analysis
- */
-function analyzeVegetationHealth(ndvi) {
-  if (ndvi >= 0.6) {
-    return { status: 'Excellent', percentage: 90, description: 'High vegetation density' };
-  } else if (ndvi >= 0.4) {
-    return { status: 'Good', percentage: 75, description: 'Healthy vegetation' };
-  } else if (ndvi >= 0.2) {
-    return { status: 'Moderate', percentage: 50, description: 'Moderate vegetation' };
-  } else {
-    return { status: 'Poor', percentage: 25, description: 'Low vegetation density' };
-  }
-} 
\ No newline at end of file
@@ -0,0 +1,130 @@
+/**
+ * Reference evapotranspiration (ET0) following FAO Irrigation and Drainage
+ * Paper 56. Daily ET0 is computed with the FAO Penman-Monteith equation
+ * when the forecast has radiation and humidity, and with the Hargreaves
+ * equation when only minimum and maximum temperatures are available.
+ */
+
+const SOLAR_CONSTANT = 0.082; // MJ/m²/min
+const STEFAN_BOLTZMANN = 4.903e-9; // MJ/K⁴/m²/day
+const DEFAULT_WIND_SPEED = 2; // m/s at 2 m, FAO-56 fallback when wind is missing
+
+/**
+ * Calculate daily reference evapotranspiration for a forecast day
+ * @param {Object} day - Normalized forecast day (see weatherProvider.js)
+ * @param {Object} location - Location of the forecast
+ * @param {number} location.latitude - Latitude in degrees
+ * @param {number} [location.elevation=0] - Elevation in metres
+ * @returns {Object} - { et0 (mm/day, null when it cannot be computed), method }
+ */
+export function calculateEt0(day, { latitude, elevation = 0 }) {
+  const { temperatureMin: tMin, temperatureMax: tMax } = day;
+  if (!isPresent(tMin) || !isPresent(tMax)) {
+    return { et0: null, method: null };
+  }
+
+  const ra = getExtraterrestrialRadiation(latitude, getDayOfYear(day.date));
+  if (!isPresent(day.solarRadiation) || !isPresent(day.humidity)) {
+    return { et0: roundMm(hargreaves(tMin, tMax, ra)), method: 'hargreaves' };
+  }
+
+  return {
+    et0: roundMm(penmanMonteith({
+      tMin,
+      tMax,
+      humidity: day.humidity,
+      solarRadiation: day.solarRadiation,
+      windSpeed: isPresent(day.windSpeed) ? toWindSpeedAt2m(day.windSpeed) : DEFAULT_WIND_SPEED,
+      ra,
+      elevation
+    })),
+    method: 'penman-monteith'
+  };
+}
+
+/**
+ * FAO Penman-Monteith reference evapotranspiration (FAO-56 equation 6)
+ * with the soil heat flux taken as zero for daily steps
+ * @param {Object} inputs - Daily weather in FAO-56 units
+ * @returns {number} - ET0 in mm/day
+ */
+function penmanMonteith({ tMin, tMax, humidity, solarRadiation, windSpeed, ra, elevation }) {
+  const tMean = (tMin + tMax) / 2;
+  const pressure = 101.3 * Math.pow((293 - 0.0065 * elevation) / 293, 5.26);
+  const gamma = 0.000665 * pressure;
+  const delta = 4098 * saturationVapourPressure(tMean) / Math.pow(tMean + 237.3, 2);
+
+  const es = (saturationVapourPressure(tMin) + saturationVapourPressure(tMax)) / 2;
+  const ea = es * humidity / 100;
+
+  // Net radiation: shortwave with a grass albedo of 0.23 minus net longwave
+  const rso = (0.75 + 2e-5 * elevation) * ra;
+  const relativeShortwave = rso > 0 ? Math.min(solarRadiation / rso, 1) : 0;
+  const rnl = STEFAN_BOLTZMANN
+    * (Math.pow(tMax + 273.16, 4) + Math.pow(tMin + 273.16, 4)) / 2
+    * (0.34 - 0.14 * Math.sqrt(ea))
+    * (1.35 * relativeShortwave - 0.35);
+  const rn = 0.77 * solarRadiation - rnl;
+
+  const et0 = (0.408 * delta * rn + gamma * (900 / (tMean + 273)) * windSpeed * (es - ea))
+    / (delta + gamma * (1 + 0.34 * windSpeed));
+  return Math.max(et0, 0);
+}
+
+/**
+ * Hargreaves reference evapotranspiration (FAO-56 equation 52)
+ * @param {number} tMin - Minimum temperature in °C
+ * @param {number} tMax - Maximum temperature in °C
+ * @param {number} ra - Extraterrestrial radiation in MJ/m²/day
+ * @returns {number} - ET0 in mm/day
+ */
+function hargreaves(tMin, tMax, ra) {
+  const tMean = (tMin + tMax) / 2;
+  return Math.max(0.0023 * (tMean + 17.8) * Math.sqrt(Math.max(tMax - tMin, 0)) * 0.408 * ra, 0);
+}
+
+/**
+ * Extraterrestrial radiation for daily periods (FAO-56 equation 21)
+ * @param {number} latitude - Latitude in degrees
+ * @param {number} dayOfYear - Day of the year, 1-366
+ * @returns {number} - Ra in MJ/m²/day
+ */
+function getExtraterrestrialRadiation(latitude, dayOfYear) {
+  const phi = latitude * Math.PI / 180;
+  const inverseDistance = 1 + 0.033 * Math.cos(2 * Math.PI * dayOfYear / 365);
+  const declination = 0.409 * Math.sin(2 * Math.PI * dayOfYear / 365 - 1.39);
+  // Clamped so polar day and night stay defined
+  const sunsetAngle = Math.acos(Math.min(Math.max(-Math.tan(phi) * Math.tan(declination), -1), 1));
+  return 24 * 60 / Math.PI * SOLAR_CONSTANT * inverseDistance * (
+    sunsetAngle * Math.sin(phi) * Math.sin(declination) +
+    Math.cos(phi) * Math.cos(declination) * Math.sin(sunsetAngle)
+  );
+}
+
+function saturationVapourPressure(temperature) {
+  return 0.6108 * Math.exp(17.27 * temperature / (temperature + 237.3));
+}
+
+/**
+ * Convert a 10 m wind speed in km/h, as providers report it, to m/s at 2 m
+ * (FAO-56 equation 47)
+ * @param {number} windSpeed - Wind speed at 10 m in km/h
+ * @returns {number} - Wind speed at 2 m in m/s
+ */
+function toWindSpeedAt2m(windSpeed) {
+  return windSpeed / 3.6 * 4.87 / Math.log(67.8 * 10 - 5.42);
+}
+
+function getDayOfYear(date) {
+  const time = Date.parse(`${date}T00:00:00Z`);
+  const yearStart = Date.UTC(new Date(time).getUTCFullYear(), 0, 1);
+  return Math.floor((time - yearStart) / 86400000) + 1;
+}
+
+function isPresent(value) {
+  return value !== null && value !== undefined && !Number.isNaN(value);
+}
+
+function roundMm(value) {
+  return parseFloat(value.toFixed(2));
+}
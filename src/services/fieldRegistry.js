@@ -0,0 +1,257 @@
+/**
+ * Field registry - stores farm fields with their boundary, crop and
+ * irrigation details, and finds the fields near a point or inside a
+ * bounding box.
+ *
+ * Every function takes an optional `user` (see accountService). Fields are
+ * owned by the user who registered them and are only visible to users
+ * canAccess allows; without a user nothing is scoped.
+ */
+
+import { getCollection } from "./dataStore.js";
+import { getCrop } from "./cropCatalog.js";
+import { SOIL_TYPES, IRRIGATION_METHODS } from "./irrigationService.js";
+import { getUser, canAccess } from "./accountService.js";
+import { createHttpError } from "../utils/errorUtils.js";
+import {
+  normalizePolygonFeatures,
+  getGeometryBoundingBox,
+  getGeometryPolygons,
+  getGeometryCentroid,
+  calculateGeometryArea,
+  calculateDistance,
+  pointInPolygon
+} from "../utils/coordinateUtils.js";
+
+const EDITABLE_FIELDS = ['name', 'boundary', 'crop', 'sowingDate', 'irrigationType', 'soil', 'owner'];
+
+/**
+ * Register a field
+ * @param {Object} input - Field details
+ * @param {string} input.name - Display name
+ * @param {Object} input.boundary - GeoJSON Polygon, MultiPolygon or a Feature with one
+ * @param {string} [input.crop] - Current crop key from the crop catalog
+ * @param {string} [input.sowingDate] - ISO date the current crop was sown
+ * @param {string} [input.irrigationType] - An irrigation method from IRRIGATION_METHODS, or 'rainfed'
+ * @param {string} [input.soil] - Soil texture class from SOIL_TYPES
+ * @param {string} [input.owner] - Owner user id; only agronomists and admins may register
+ *   fields for someone else
+ * @param {Object} [options] - { user } registering the field
+ * @returns {Object} - Stored field with its centroid, bounding box and area
+ */
+export async function createField(input, { user = null } = {}) {
+  const owner = user ? input.owner ?? user.id : input.owner ?? null;
+  if (user && owner !== user.id && user.role === 'farmer') {
+    throw createHttpError(403, 'Farmers can only register their own fields');
+  }
+
+  const field = validateField({
+    name: input.name,
+    boundary: input.boundary,
+    crop: input.crop ?? null,
+    sowingDate: input.sowingDate ?? null,
+    irrigationType: input.irrigationType ?? null,
+    soil: input.soil ?? null,
+    owner
+  });
+  const organizationId = await getOwnerOrganization(field.owner, user);
+
+  const now = new Date().toISOString();
+  return getCollection('fields').insert({ ...field, organizationId, createdAt: now, updatedAt: now });
+}
+
+/**
+ * Get a field by id
+ * @param {string} fieldId - Field id
+ * @param {Object} [options] - { user } asking for the field
+ * @returns {Object|null} - Field, or null when there is none; a field the user
+ *   may not see fails with 404 so its id cannot be reused
+ */
+export async function getField(fieldId, { user = null } = {}) {
+  const field = await getCollection('fields').get(fieldId);
+  if (field && !canAccess(user, field)) {
+    throw createHttpError(404, `Field ${fieldId} not found`);
+  }
+  return field;
+}
+
+/**
+ * Change some of a field's details; a null value clears an optional detail
+ * @param {string} fieldId - Field id
+ * @param {Object} changes - Any of name, boundary, crop, sowingDate, irrigationType, soil and owner
+ * @param {Object} [options] - { user } making the change; farmers cannot change the owner
+ * @returns {Object} - Updated field
+ */
+export async function updateField(fieldId, changes, { user = null } = {}) {
+  const existing = await getField(fieldId, { user });
+  if (!existing) {
+    throw createHttpError(404, `Field ${fieldId} not found`);
+  }
+  if (!canAccess(user, existing, 'write')) {
+    throw createHttpError(403, `Not allowed to change field ${fieldId}`);
+  }
+  const unknown = Object.keys(changes).filter(key => !EDITABLE_FIELDS.includes(key));
+  if (unknown.length > 0) {
+    throw createHttpError(400, `Cannot change ${unknown.join(', ')}. Editable: ${EDITABLE_FIELDS.join(', ')}`);
+  }
+
+  const merged = {};
+  EDITABLE_FIELDS.forEach(key => {
+    merged[key] = changes[key] !== undefined ? changes[key] : existing[key];
+  });
+  const field = validateField(merged);
+
+  let organizationId = existing.organizationId ?? null;
+  if (field.owner !== existing.owner) {
+    if (user?.role === 'farmer') {
+      throw createHttpError(403, 'Farmers cannot change the owner of a field');
+    }
+    organizationId = await getOwnerOrganization(field.owner, user);
+  }
+  return getCollection('fields').update(fieldId, { ...field, organizationId, updatedAt: new Date().toISOString() });
+}
+
+/**
+ * Delete a field along with its saved soil water balance, phenology and
+ * alert subscriptions
+ * @param {string} fieldId - Field id
+ * @param {Object} [options] - { user } deleting the field; only its owner or an admin may
+ */
+export async function deleteField(fieldId, { user = null } = {}) {
+  const existing = await getField(fieldId, { user });
+  if (!existing) {
+    throw createHttpError(404, `Field ${fieldId} not found`);
+  }
+  if (!canAccess(user, existing, 'delete')) {
+    throw createHttpError(403, `Only the owner can delete field ${fieldId}`);
+  }
+  await getCollection('fields').remove(fieldId);
+  await getCollection('waterBalances').remove(fieldId);
+  await getCollection('phenologyFields').remove(fieldId);
+  const subscriptions = await getCollection('alertSubscriptions').find({ where: { fieldId } });
+  for (const subscription of subscriptions) {
+    await getCollection('alertSubscriptions').remove(subscription.id);
+  }
+}
+
+/**
+ * Search fields, nearest first when a point is given, otherwise by name
+ * @param {Object} [criteria] - Search criteria
+ * @param {Object} [criteria.near] - { latitude, longitude, radiusKm }; fields containing the
+ *   point or with their centroid within the radius
+ * @param {Object} [criteria.bbox] - { north, south, east, west } the boundary must intersect
+ * @param {string} [criteria.owner] - Owner user id
+ * @param {string} [criteria.crop] - Crop key
+ * @param {Object} [criteria.user] - User searching; only fields they may see are returned
+ * @returns {Array} - Fields; with `near`, each has distanceKm from the point to its centroid
+ */
+export async function searchFields({ near, bbox, owner, crop, user = null } = {}) {
+  const where = {};
+  if (owner) where.owner = owner;
+  if (crop) where.crop = getCrop(crop).key;
+
+  const fields = await getCollection('fields').find({
+    where,
+    filter: field => {
+      if (!canAccess(user, field)) {
+        return false;
+      }
+      if (bbox && (field.bbox.west > bbox.east || field.bbox.east < bbox.west ||
+        field.bbox.south > bbox.north || field.bbox.north < bbox.south)) {
+        return false;
+      }
+      return true;
+    }
+  });
+
+  if (!near) {
+    return fields.sort((a, b) => a.name.localeCompare(b.name));
+  }
+  return fields
+    .map(field => ({
+      ...field,
+      distanceKm: parseFloat(calculateDistance(near.latitude, near.longitude, field.centroid.latitude, field.centroid.longitude).toFixed(3))
+    }))
+    .filter(field => field.distanceKm <= near.radiusKm ||
+      getGeometryPolygons(field.boundary).some(rings => pointInPolygon([near.longitude, near.latitude], rings)))
+    .sort((a, b) => a.distanceKm - b.distanceKm);
+}
+
+/**
+ * Find the organization a field belongs to through its owner
+ * @param {string|null} owner - Owner user id
+ * @param {Object|null} user - User registering or changing the field
+ * @returns {string|null} - Organization id
+ */
+async function getOwnerOrganization(owner, user) {
+  if (!owner) {
+    return null;
+  }
+  if (owner === user?.id) {
+    return user.organizationId ?? null;
+  }
+  const account = await getUser(owner);
+  if (user?.role === 'agronomist' && account?.organizationId !== user.organizationId) {
+    throw createHttpError(403, 'Agronomists can only assign fields to users in their organization');
+  }
+  return account?.organizationId ?? null;
+}
+
+/**
+ * Validate field details and derive the geometry summaries
+ * @param {Object} field - Field details
+ * @returns {Object} - Field with boundary as a geometry plus centroid, bbox and areaHectares
+ */
+function validateField({ name, boundary, crop, sowingDate, irrigationType, soil, owner }) {
+  if (typeof name !== 'string' || name.trim() === '') {
+    throw createHttpError(400, 'name is required');
+  }
+
+  let features;
+  try {
+    features = normalizePolygonFeatures(boundary);
+  } catch (error) {
+    throw createHttpError(400, `Invalid boundary: ${error.message}`);
+  }
+  if (features.length !== 1) {
+    throw createHttpError(400, 'boundary must contain exactly one Polygon or MultiPolygon');
+  }
+  const { geometry } = features[0];
+
+  let sowing = null;
+  if (sowingDate !== null) {
+    const date = new Date(sowingDate);
+    if (isNaN(date.getTime())) {
+      throw createHttpError(400, 'sowingDate must be a valid ISO date');
+    }
+    sowing = date.toISOString().split('T')[0];
+  }
+  // Read at call time: irrigationService imports this module too
+  const irrigationTypes = [...Object.keys(IRRIGATION_METHODS), 'rainfed'];
+  if (irrigationType !== null && !irrigationTypes.includes(irrigationType)) {
+    throw createHttpError(400, `Unknown irrigationType "${irrigationType}". Use ${irrigationTypes.join(', ')}`);
+  }
+  if (soil !== null && !SOIL_TYPES[soil]) {
+    throw createHttpError(400, `Unknown soil "${soil}". Supported soils: ${Object.keys(SOIL_TYPES).join(', ')}`);
+  }
+  if (owner !== null && typeof owner !== 'string') {
+    throw createHttpError(400, 'owner must be a string');
+  }
+
+  const centroid = getGeometryCentroid(geometry);
+  return {
+    name: name.trim(),
+    boundary: geometry,
+    centroid: {
+      latitude: parseFloat(centroid.latitude.toFixed(6)),
+      longitude: parseFloat(centroid.longitude.toFixed(6))
+    },
+    bbox: getGeometryBoundingBox(geometry),
+    areaHectares: parseFloat((calculateGeometryArea(geometry) / 10000).toFixed(2)),
+    crop: crop !== null ? getCrop(crop).key : null,
+    sowingDate: sowing,
+    irrigationType,
+    soil,
+    owner
+  };
+}
@@ -0,0 +1,263 @@
+/**
+ * Irrigation scheduling - FAO-56 crop water requirement and a daily root
+ * zone soil water balance driven by the weather forecast.
+ *
+ * Each day the root zone depletion grows by crop evapotranspiration
+ * (ETc = Kc × ET0) and shrinks with effective rainfall. When depletion
+ * passes the readily available water (RAW) the field is irrigated back to
+ * field capacity. Balances are kept per field so successive schedules
+ * continue from where the previous one left off.
+ */
+
+import { getWeatherForecast } from "./weatherService.js";
+import { calculateEt0 } from "./evapotranspiration.js";
+import { getCrop, getCropStage } from "./cropCatalog.js";
+import { getCollection } from "./dataStore.js";
+import { getField } from "./fieldRegistry.js";
+import { canAccess } from "./accountService.js";
+import { createHttpError } from "../utils/errorUtils.js";
+
+/**
+ * Soil water retention by texture class (FAO-56 Table 19, mid-range
+ * values; sandy clay loam and sandy clay from Saxton & Rawls 2006):
+ * volumetric water content at field capacity and wilting point
+ */
+export const SOIL_TYPES = {
+  'sand': { fieldCapacity: 0.12, wiltingPoint: 0.04 },
+  'loamy-sand': { fieldCapacity: 0.14, wiltingPoint: 0.06 },
+  'sandy-loam': { fieldCapacity: 0.23, wiltingPoint: 0.1 },
+  'loam': { fieldCapacity: 0.25, wiltingPoint: 0.12 },
+  'sandy-clay-loam': { fieldCapacity: 0.27, wiltingPoint: 0.17 },
+  'silt-loam': { fieldCapacity: 0.29, wiltingPoint: 0.13 },
+  'silt': { fieldCapacity: 0.32, wiltingPoint: 0.12 },
+  'silty-clay-loam': { fieldCapacity: 0.34, wiltingPoint: 0.2 },
+  'clay-loam': { fieldCapacity: 0.32, wiltingPoint: 0.18 },
+  'sandy-clay': { fieldCapacity: 0.36, wiltingPoint: 0.25 },
+  'silty-clay': { fieldCapacity: 0.36, wiltingPoint: 0.23 },
+  'clay': { fieldCapacity: 0.36, wiltingPoint: 0.22 }
+};
+
+/**
+ * Application efficiency by irrigation method; gross depths are the net
+ * requirement divided by this share
+ */
+export const IRRIGATION_METHODS = {
+  surface: 0.6,
+  sprinkler: 0.75,
+  drip: 0.9
+};
+
+/**
+ * Build a day-by-day irrigation schedule for a crop
+ * @param {Object} options - Schedule options
+ * @param {number} [options.latitude] - Latitude coordinate; required unless the field is registered
+ * @param {number} [options.longitude] - Longitude coordinate; required unless the field is registered
+ * @param {string} [options.crop] - Crop key; required unless the field has a crop or saved balance
+ * @param {Date} [options.sowingDate] - Sowing or transplanting date; required unless the field has a crop or saved balance
+ * @param {string} [options.soil='loam'] - Soil texture class from SOIL_TYPES
+ * @param {string} [options.irrigationMethod='surface'] - Irrigation method from IRRIGATION_METHODS
+ * @param {number} [options.days=7] - Forecast days to schedule
+ * @param {number} [options.elevation=0] - Elevation in metres, used by Penman-Monteith
+ * @param {number} [options.initialDepletion] - Root zone depletion (mm) at the start; overrides the saved balance
+ * @param {string} [options.fieldId] - Field whose soil water balance is loaded and saved; a
+ *   registered field also supplies the location, crop, soil and irrigation method
+ * @param {Object} [options.user] - User asking; fields and saved balances of others are not found
+ * @returns {Object} - Crop, soil, schedule and summary; all water depths in mm
+ */
+export async function createIrrigationSchedule({
+  latitude,
+  longitude,
+  crop: cropKey,
+  sowingDate,
+  soil,
+  irrigationMethod,
+  days = 7,
+  elevation = 0,
+  initialDepletion,
+  fieldId,
+  user = null
+}) {
+  const balances = getCollection('waterBalances');
+  const saved = fieldId ? await balances.get(fieldId) : null;
+  if (saved && !canAccess(user, saved)) {
+    throw createHttpError(404, `Field ${fieldId} not found`);
+  }
+  // A registered field supplies its crop, location, soil and irrigation method
+  const registered = fieldId ? await getField(fieldId, { user }) : null;
+
+  latitude = latitude ?? registered?.centroid.latitude;
+  longitude = longitude ?? registered?.centroid.longitude;
+  if (latitude === undefined || longitude === undefined) {
+    throw createHttpError(400, fieldId
+      ? `Field "${fieldId}" is not registered; latitude and longitude are required`
+      : 'Latitude and longitude are required');
+  }
+
+  const resolvedCrop = cropKey || registered?.crop || saved?.crop;
+  const resolvedPlantingDate = registered?.sowingDate || saved?.plantingDate;
+  const resolvedPlanting = sowingDate || (resolvedPlantingDate ? new Date(resolvedPlantingDate) : null);
+  if (!resolvedCrop || !resolvedPlanting) {
+    throw createHttpError(400, fieldId
+      ? `Field "${fieldId}" has no crop or saved balance; crop and sowingDate are required`
+      : 'crop and sowingDate are required');
+  }
+
+  const crop = getCrop(resolvedCrop);
+  const registeredMethod = IRRIGATION_METHODS[registered?.irrigationType] ? registered.irrigationType : null;
+  const soilType = soil || registered?.soil || saved?.soil || 'loam';
+  const method = irrigationMethod || registeredMethod || saved?.irrigationMethod || 'surface';
+  if (!SOIL_TYPES[soilType]) {
+    throw createHttpError(400, `Unknown soil "${soilType}". Supported soils: ${Object.keys(SOIL_TYPES).join(', ')}`);
+  }
+  if (!IRRIGATION_METHODS[method]) {
+    throw createHttpError(400, `Unknown irrigationMethod "${method}". Use ${Object.keys(IRRIGATION_METHODS).join(', ')}`);
+  }
+
+  const { fieldCapacity, wiltingPoint } = SOIL_TYPES[soilType];
+  const totalAvailableWater = 1000 * (fieldCapacity - wiltingPoint) * crop.rootDepth;
+  const readilyAvailableWater = crop.depletionFraction * totalAvailableWater;
+  const efficiency = IRRIGATION_METHODS[method];
+
+  const weather = await getWeatherForecast(latitude, longitude, days);
+  if (weather.forecast.length === 0) {
+    throw createHttpError(502, `Weather provider "${weather.provider}" returned no forecast days`);
+  }
+
+  const plantingDay = resolvedPlanting.toISOString().split('T')[0];
+  const startDepletion = Math.min(
+    initialDepletion ?? getSavedDepletion(saved, weather.forecast[0].date) ?? 0,
+    totalAvailableWater
+  );
+
+  let depletion = startDepletion;
+  let previousEt0 = null;
+  const schedule = weather.forecast.map(day => {
+    const daysAfterPlanting = daysBetween(plantingDay, day.date);
+    const { stage, kc } = getCropStage(crop, daysAfterPlanting);
+
+    // Days without temperatures reuse the last computed ET0
+    let { et0, method: et0Method } = calculateEt0(day, { latitude, elevation });
+    if (et0 === null && previousEt0 !== null) {
+      et0 = previousEt0;
+      et0Method = 'carried-forward';
+    }
+    previousEt0 = et0;
+
+    const etc = kc !== null && et0 !== null ? kc * et0 : 0;
+    const rainfall = day.rainfall ?? 0;
+    // Light showers only wet the canopy and evaporate (FAO-56 §8)
+    const effectiveRainfall = rainfall > 0.2 * (et0 ?? 0) ? rainfall : 0;
+
+    const depletionStart = depletion;
+    let balance = depletion - effectiveRainfall + etc;
+    const deepPercolation = Math.max(-balance, 0);
+    balance = Math.min(Math.max(balance, 0), totalAvailableWater);
+
+    let irrigationNet = 0;
+    if (kc !== null && balance > readilyAvailableWater) {
+      irrigationNet = balance;
+      balance = 0;
+    }
+    depletion = balance;
+
+    return {
+      date: day.date,
+      daysAfterPlanting,
+      stage,
+      kc,
+      et0: roundMm(et0),
+      et0Method,
+      etc: roundMm(etc),
+      rainfall: roundMm(rainfall),
+      effectiveRainfall: roundMm(effectiveRainfall),
+      depletionStart: roundMm(depletionStart),
+      irrigationNet: roundMm(irrigationNet),
+      irrigationGross: roundMm(irrigationNet / efficiency),
+      deepPercolation: roundMm(deepPercolation),
+      depletion: roundMm(depletion)
+    };
+  });
+
+  if (fieldId) {
+    await balances.insert({
+      id: fieldId,
+      crop: crop.key,
+      plantingDate: plantingDay,
+      soil: soilType,
+      irrigationMethod: method,
+      latitude,
+      longitude,
+      startDate: weather.forecast[0].date,
+      startDepletion,
+      projection: schedule.map(day => ({ date: day.date, depletion: day.depletion })),
+      owner: registered?.owner ?? saved?.owner ?? user?.id ?? null,
+      organizationId: registered?.organizationId ?? saved?.organizationId ?? user?.organizationId ?? null,
+      updatedAt: new Date().toISOString()
+    });
+  }
+
+  const firstDay = schedule[0];
+  const total = field => roundMm(schedule.reduce((sum, day) => sum + (day[field] ?? 0), 0));
+  const irrigationDays = schedule.filter(day => day.irrigationNet > 0);
+
+  return {
+    location: { latitude, longitude },
+    provider: weather.provider,
+    fieldId: fieldId || null,
+    crop: {
+      key: crop.key,
+      name: crop.name,
+      plantingDate: plantingDay,
+      daysAfterPlanting: firstDay.daysAfterPlanting,
+      stage: firstDay.stage
+    },
+    soil: {
+      type: soilType,
+      fieldCapacity,
+      wiltingPoint,
+      rootDepth: crop.rootDepth,
+      totalAvailableWater: roundMm(totalAvailableWater),
+      readilyAvailableWater: roundMm(readilyAvailableWater)
+    },
+    irrigation: { method, efficiency },
+    initialDepletion: roundMm(startDepletion),
+    schedule,
+    summary: {
+      totalEt0: total('et0'),
+      totalEtc: total('etc'),
+      totalRainfall: total('rainfall'),
+      effectiveRainfall: total('effectiveRainfall'),
+      irrigationEvents: irrigationDays.length,
+      totalIrrigationNet: total('irrigationNet'),
+      totalIrrigationGross: total('irrigationGross'),
+      nextIrrigationDate: irrigationDays.length > 0 ? irrigationDays[0].date : null
+    }
+  };
+}
+
+/**
+ * Depletion a saved balance projects for the start of a day. Schedules
+ * assume their irrigations were applied, so a later request picks up the
+ * projected end of the previous day.
+ * @param {Object|null} saved - Saved balance document
+ * @param {string} date - First schedule date (YYYY-MM-DD)
+ * @returns {number|null} - Depletion in mm, null without a saved balance
+ */
+function getSavedDepletion(saved, date) {
+  if (!saved) {
+    return null;
+  }
+  if (date <= saved.startDate) {
+    return saved.startDepletion;
+  }
+  const previous = saved.projection.filter(day => day.date < date);
+  return previous.length > 0 ? previous[previous.length - 1].depletion : saved.startDepletion;
+}
+
+function daysBetween(fromDate, toDate) {
+  return Math.round((Date.parse(`${toDate}T00:00:00Z`) - Date.parse(`${fromDate}T00:00:00Z`)) / 86400000);
+}
+
+function roundMm(value) {
+  return value === null ? null : parseFloat(value.toFixed(1));
+}
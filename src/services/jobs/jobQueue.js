@@ -0,0 +1,59 @@
+/**
+ * Job queues - hold background jobs until a worker runs them.
+ *
+ * Every queue implements
+ *   enqueue(job)            -> Promise<Job>       stores a new job as queued
+ *   get(id)                 -> Promise<Job|null>
+ *   update(id, changes)     -> Promise<Job|null>
+ *   claimNext(types)        -> Promise<Job|null>  oldest queued job of the types, marked running
+ *   list({ where, filter }) -> Promise<Array<Job>>
+ * where a Job is
+ *   { id, type, status ('queued', 'running', 'succeeded' or 'failed'), progress (0-1),
+ *     params, result, error, owner, organizationId, createdAt, startedAt, finishedAt, updatedAt }
+ *
+ * The queue is chosen with JOB_QUEUE_BACKEND: "memory" keeps jobs in this
+ * process (development), "store" persists them in the document store so
+ * they survive restarts.
+ */
+
+import { createMemoryQueue } from "./memoryQueue.js";
+import { createStoreQueue } from "./storeQueue.js";
+
+let jobQueue = null;
+
+/**
+ * Get the configured job queue
+ * @returns {Object} - Job queue
+ */
+export function getJobQueue() {
+  if (!jobQueue) {
+    jobQueue = createJobQueue(process.env);
+  }
+  return jobQueue;
+}
+
+/**
+ * Replace the active job queue, e.g. with a fresh memory queue in tests
+ * @param {Object|null} queue - Job queue, or null to re-read configuration
+ */
+export function setJobQueue(queue) {
+  jobQueue = queue;
+}
+
+/**
+ * Create a job queue from configuration values
+ * @param {Object} config - Configuration, usually process.env
+ * @returns {Object} - Job queue
+ */
+export function createJobQueue(config) {
+  const backend = config.JOB_QUEUE_BACKEND || 'memory';
+
+  switch (backend) {
+    case 'memory':
+      return createMemoryQueue({ maxFinishedJobs: parseInt(config.JOB_HISTORY_LIMIT || '1000', 10) });
+    case 'store':
+      return createStoreQueue({ collection: 'jobs' });
+    default:
+      throw new Error(`Unknown JOB_QUEUE_BACKEND "${backend}". Use memory or store`);
+  }
+}
@@ -0,0 +1,123 @@
+/**
+ * Job workers - run queued jobs with the handler registered for their type.
+ *
+ * A handler is `async (params, { job, reportProgress }) => result`, where
+ * reportProgress(fraction) records how far the job is (0-1). Progress is
+ * written at most every PROGRESS_INTERVAL_MS so large jobs do not flood the
+ * queue. Workers are picked up right after enqueue in this process and, for
+ * jobs enqueued elsewhere, by polling.
+ */
+
+import { getJobQueue } from "./jobQueue.js";
+
+const POLL_INTERVAL_MS = 2000;
+const PROGRESS_INTERVAL_MS = 500;
+
+const handlers = new Map();
+let concurrency = 0;
+let active = 0;
+let pumping = false;
+let pumpAgain = false;
+let pollTimer = null;
+
+/**
+ * Register the handler for a job type
+ * @param {string} type - Job type
+ * @param {Function} handler - async (params, { job, reportProgress }) => result
+ */
+export function registerJobHandler(type, handler) {
+  handlers.set(type, handler);
+}
+
+/**
+ * Start running queued jobs
+ * @param {Object} [options] - { concurrency } jobs run at the same time (default 1)
+ */
+export function startJobWorkers({ concurrency: limit = 1 } = {}) {
+  stopJobWorkers();
+  concurrency = limit;
+  pollTimer = setInterval(() => notifyJobWorkers(), POLL_INTERVAL_MS);
+  pollTimer.unref();
+  notifyJobWorkers();
+}
+
+/**
+ * Stop taking new jobs; running jobs finish
+ */
+export function stopJobWorkers() {
+  clearInterval(pollTimer);
+  pollTimer = null;
+  concurrency = 0;
+}
+
+/**
+ * Wake the workers, e.g. after a job was enqueued
+ */
+export function notifyJobWorkers() {
+  pump().catch(error => console.error('Job worker error:', error));
+}
+
+async function pump() {
+  if (pumping) {
+    pumpAgain = true;
+    return;
+  }
+  pumping = true;
+  try {
+    while (active < concurrency) {
+      const job = await getJobQueue().claimNext([...handlers.keys()]);
+      if (!job) {
+        break;
+      }
+      active++;
+      runJob(job).finally(() => {
+        active--;
+        notifyJobWorkers();
+      });
+    }
+  } finally {
+    pumping = false;
+    if (pumpAgain) {
+      pumpAgain = false;
+      notifyJobWorkers();
+    }
+  }
+}
+
+/**
+ * Run one claimed job and store its result or error
+ * @param {Object} job - Job marked running
+ */
+async function runJob(job) {
+  const queue = getJobQueue();
+  let lastWrite = 0;
+
+  const reportProgress = async fraction => {
+    const now = Date.now();
+    if (now - lastWrite < PROGRESS_INTERVAL_MS) {
+      return;
+    }
+    lastWrite = now;
+    await queue.update(job.id, {
+      progress: Math.min(Math.max(parseFloat(fraction.toFixed(3)), 0), 1),
+      updatedAt: new Date(now).toISOString()
+    });
+  };
+
+  try {
+    const result = await handlers.get(job.type)(job.params, { job, reportProgress });
+    const now = new Date().toISOString();
+    await queue.update(job.id, { status: 'succeeded', progress: 1, result, finishedAt: now, updatedAt: now });
+  } catch (error) {
+    if (!error.status) {
+      console.error(`Job ${job.id} (${job.type}) failed:`, error);
+    }
+    const now = new Date().toISOString();
+    await queue.update(job.id, {
+      status: 'failed',
+      error: { message: error.message, status: error.status || 500 },
+      finishedAt: now,
+      updatedAt: now
+    });
+  }
+}
@@ -0,0 +1,66 @@
+/**
+ * In-process job queue for development. Jobs are lost on restart; the
+ * oldest finished jobs are dropped once maxFinishedJobs is exceeded.
+ */
+
+import crypto from "crypto";
+
+/**
+ * Create an in-memory job queue
+ * @param {Object} [options] - { maxFinishedJobs }
+ * @returns {Object} - Job queue
+ */
+export function createMemoryQueue({ maxFinishedJobs = 1000 } = {}) {
+  const jobs = new Map();
+  const queued = [];
+  const finished = [];
+
+  const copy = job => job ? structuredClone(job) : null;
+
+  return {
+    name: 'memory',
+
+    async enqueue(job) {
+      const stored = { ...job, id: job.id || crypto.randomUUID(), status: 'queued' };
+      jobs.set(stored.id, stored);
+      queued.push(stored.id);
+      return copy(stored);
+    },
+
+    async get(id) {
+      return copy(jobs.get(id));
+    },
+
+    async update(id, changes) {
+      const job = jobs.get(id);
+      if (!job) {
+        return null;
+      }
+      Object.assign(job, changes);
+      if (changes.status === 'succeeded' || changes.status === 'failed') {
+        finished.push(id);
+        while (finished.length > maxFinishedJobs) {
+          jobs.delete(finished.shift());
+        }
+      }
+      return copy(job);
+    },
+
+    async claimNext(types) {
+      const index = queued.findIndex(id => types.includes(jobs.get(id).type));
+      if (index < 0) {
+        return null;
+      }
+      const [id] = queued.splice(index, 1);
+      const job = jobs.get(id);
+      Object.assign(job, { status: 'running', startedAt: new Date().toISOString(), updatedAt: new Date().toISOString() });
+      return copy(job);
+    },
+
+    async list({ where = {}, filter } = {}) {
+      return [...jobs.values()]
+        .filter(job => Object.entries(where).every(([field, value]) => job[field] === value) && (!filter || filter(job)))
+        .map(copy);
+    }
+  };
+}
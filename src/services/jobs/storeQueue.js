@@ -0,0 +1,107 @@
+/**
+ * Persistent job queue on the document store (a JSON file or Firestore,
+ * see dataStore.js). Jobs and results survive restarts.
+ *
+ * Several instances may run workers against the same store: a job is
+ * claimed with a conditional update that only succeeds while it is still
+ * queued. The instance running a job renews its heartbeatAt, and jobs whose
+ * heartbeat stopped, e.g. because the process was stopped, are queued again.
+ */
+
+import { getCollection } from "../dataStore.js";
+
+const HEARTBEAT_MS = 30 * 1000;
+const STALE_AFTER_MS = 2 * 60 * 1000;
+
+/**
+ * Create a job queue backed by a document store collection
+ * @param {Object} options - { collection } name
+ * @returns {Object} - Job queue
+ */
+export function createStoreQueue({ collection }) {
+  const jobs = () => getCollection(collection);
+  // Running jobs claimed by this instance, kept alive by the heartbeat
+  const claimed = new Set();
+  let heartbeatTimer = null;
+  let lastRecovery = 0;
+
+  const heartbeat = async () => {
+    const now = new Date().toISOString();
+    for (const id of claimed) {
+      await jobs().update(id, { heartbeatAt: now }, { where: { status: 'running' } });
+    }
+  };
+
+  // Queue running jobs again whose instance stopped renewing them
+  const recoverStaleJobs = async () => {
+    const staleBefore = new Date(Date.now() - STALE_AFTER_MS).toISOString();
+    const running = await jobs().find({
+      where: { status: 'running' },
+      filter: job => !claimed.has(job.id) && (job.heartbeatAt || job.startedAt || '') < staleBefore
+    });
+    for (const job of running) {
+      await jobs().update(
+        job.id,
+        { status: 'queued', progress: 0, startedAt: null, heartbeatAt: null },
+        { where: { status: 'running', heartbeatAt: job.heartbeatAt } }
+      );
+    }
+  };
+
+  return {
+    name: 'store',
+
+    async enqueue(job) {
+      return jobs().insert({ ...job, status: 'queued' });
+    },
+
+    async get(id) {
+      return jobs().get(id);
+    },
+
+    async update(id, changes) {
+      if (changes.status === 'succeeded' || changes.status === 'failed') {
+        claimed.delete(id);
+      }
+      return jobs().update(id, changes);
+    },
+
+    async claimNext(types) {
+      if (Date.now() - lastRecovery >= HEARTBEAT_MS) {
+        lastRecovery = Date.now();
+        await recoverStaleJobs();
+      }
+
+      const candidates = await jobs().find({
+        where: { status: 'queued' },
+        filter: job => types.includes(job.type)
+      });
+      candidates.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+      for (const candidate of candidates) {
+        const now = new Date().toISOString();
+        const job = await jobs().update(
+          candidate.id,
+          { status: 'running', startedAt: now, heartbeatAt: now, updatedAt: now },
+          { where: { status: 'queued' } }
+        );
+        // Another instance claimed it first
+        if (!job) {
+          continue;
+        }
+        claimed.add(job.id);
+        if (!heartbeatTimer) {
+          heartbeatTimer = setInterval(() => {
+            heartbeat().catch(error => console.error('Job heartbeat error:', error));
+          }, HEARTBEAT_MS);
+          heartbeatTimer.unref();
+        }
+        return job;
+      }
+      return null;
+    },
+
+    async list(query) {
+      return jobs().find(query);
+    }
+  };
+}
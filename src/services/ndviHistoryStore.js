@@ -0,0 +1,186 @@
+/**
+ * NDVI history store - persists computed index values per location so
+ * charts and year-over-year comparisons are built from real observations.
+ * Observations belong to the user whose request computed them and are only
+ * read back for users canAccess allows.
+ */
+
+import crypto from "crypto";
+import { getCollection } from "./dataStore.js";
+import { canAccess } from "./accountService.js";
+
+const MONTH_NAMES = ['january', 'february', 'march', 'april', 'may', 'june',
+  'july', 'august', 'september', 'october', 'november', 'december'];
+
+/**
+ * Build the key observations are grouped under. Coordinates are rounded to
+ * 4 decimals (about 11 m) so repeated requests for a field share history.
+ * @param {number} latitude - Latitude coordinate
+ * @param {number} longitude - Longitude coordinate
+ * @returns {string} - Location key
+ */
+export function getLocationKey(latitude, longitude) {
+  return `${latitude.toFixed(4)},${longitude.toFixed(4)}`;
+}
+
+/**
+ * Record a computed index value for a location. Observations are keyed by
+ * location, index, source, day and owner, so computing the same scene or
+ * file again on a day updates one observation instead of adding another,
+ * and leaves the store untouched when the value is unchanged.
+ * @param {Object} observation - Observation to store
+ * @param {number} observation.latitude - Latitude coordinate
+ * @param {number} observation.longitude - Longitude coordinate
+ * @param {number} observation.value - Mean index value
+ * @param {string} [observation.index='ndvi'] - Index key
+ * @param {string} [observation.observedAt] - ISO date of the observation (default: now)
+ * @param {string} [observation.source] - Where the value came from
+ * @param {Object} [observation.user] - User the observation was computed for
+ * @returns {Object} - The stored observation
+ */
+export async function recordObservation({ latitude, longitude, value, index = 'ndvi', observedAt, source = 'storage', user = null }) {
+  const observation = {
+    locationKey: getLocationKey(latitude, longitude),
+    latitude,
+    longitude,
+    index,
+    value: parseFloat(value),
+    observedAt: observedAt || new Date().toISOString(),
+    source,
+    owner: user?.id ?? null,
+    organizationId: user?.organizationId ?? null
+  };
+  const id = crypto.createHash('sha1')
+    .update(JSON.stringify([observation.locationKey, index, source, observation.observedAt.slice(0, 10), observation.owner]))
+    .digest('hex');
+
+  const collection = getCollection('ndviObservations');
+  const existing = await collection.get(id);
+  if (existing && existing.value === observation.value) {
+    return existing;
+  }
+  return collection.insert({ ...observation, id, recordedAt: new Date().toISOString() });
+}
+
+/**
+ * Fetch stored observations for a location, oldest first
+ * @param {Object} query - Query options
+ * @param {number} query.latitude - Latitude coordinate
+ * @param {number} query.longitude - Longitude coordinate
+ * @param {string} [query.index='ndvi'] - Index key
+ * @param {Date} [query.from] - Earliest observation date (inclusive)
+ * @param {Date} [query.to] - Latest observation date (inclusive)
+ * @param {Object} [query.user] - User asking; observations of others are left out
+ * @returns {Array} - Observations
+ */
+export async function getObservations({ latitude, longitude, index = 'ndvi', from, to, user = null }) {
+  const fromIso = from ? from.toISOString() : null;
+  const toIso = to ? to.toISOString() : null;
+  const observations = await getCollection('ndviObservations').find({
+    where: { locationKey: getLocationKey(latitude, longitude), index },
+    filter: o => canAccess(user, o) && (!fromIso || o.observedAt >= fromIso) && (!toIso || o.observedAt <= toIso)
+  });
+  return observations.sort((a, b) => a.observedAt.localeCompare(b.observedAt));
+}
+
+/**
+ * Average observations per calendar month for the trailing months
+ * @param {number} latitude - Latitude coordinate
+ * @param {number} longitude - Longitude coordinate
+ * @param {Object} [options] - { index, months, endDate, user }
+ * @returns {Array} - [{ year, month (0-11), ndvi|null, observationCount }] oldest first
+ */
+export async function getMonthlyHistory(latitude, longitude, { index = 'ndvi', months = 12, endDate = new Date(), user = null } = {}) {
+  const start = new Date(Date.UTC(endDate.getUTCFullYear(), endDate.getUTCMonth() - (months - 1), 1));
+  const observations = await getObservations({ latitude, longitude, index, from: start, to: endDate, user });
+  const byMonth = groupByMonth(observations);
+
+  const history = [];
+  for (let i = 0; i < months; i++) {
+    const date = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + i, 1));
+    const bucket = byMonth.get(monthKey(date.getUTCFullYear(), date.getUTCMonth()));
+    history.push({
+      year: date.getUTCFullYear(),
+      month: date.getUTCMonth(),
+      ndvi: bucket ? bucket.mean : null,
+      observationCount: bucket ? bucket.count : 0
+    });
+  }
+  return history;
+}
+
+/**
+ * Compare monthly means of a year with the year before it
+ * @param {number} latitude - Latitude coordinate
+ * @param {number} longitude - Longitude coordinate
+ * @param {number} year - Year to compare against its predecessor
+ * @param {string} [index='ndvi'] - Index key
+ * @param {Object} [user] - User asking; observations of others are left out
+ * @returns {Object} - { currentYear, previousYear, averageChange, trend, comparedMonths }
+ */
+export async function getYearOverYearComparison(latitude, longitude, year, index = 'ndvi', user = null) {
+  const observations = await getObservations({
+    latitude,
+    longitude,
+    index,
+    user,
+    from: new Date(Date.UTC(year - 1, 0, 1)),
+    to: new Date(Date.UTC(year, 11, 31, 23, 59, 59))
+  });
+  const byMonth = groupByMonth(observations);
+
+  const currentYear = {};
+  const previousYear = {};
+  const changes = [];
+  MONTH_NAMES.forEach((name, month) => {
+    const current = byMonth.get(monthKey(year, month));
+    const previous = byMonth.get(monthKey(year - 1, month));
+    currentYear[name] = current ? current.mean : null;
+    previousYear[name] = previous ? previous.mean : null;
+    if (current && previous && previous.mean !== 0) {
+      changes.push({ month: name, change: (current.mean - previous.mean) / previous.mean * 100 });
+    }
+  });
+
+  if (changes.length === 0) {
+    return { currentYear, previousYear, averageChange: null, trend: 'insufficient_data', comparedMonths: [] };
+  }
+
+  const average = changes.reduce((sum, c) => sum + c.change, 0) / changes.length;
+  let trend;
+  if (average > 5) {
+    trend = 'improving';
+  } else if (average < -5) {
+    trend = 'declining';
+  } else {
+    trend = 'stable';
+  }
+
+  return {
+    currentYear,
+    previousYear,
+    averageChange: `${average > 0 ? '+' : ''}${average.toFixed(1)}%`,
+    trend,
+    comparedMonths: changes.map(c => ({ month: c.month, change: parseFloat(c.change.toFixed(1)) }))
+  };
+}
+
+function monthKey(year, month) {
+  return `${year}-${month}`;
+}
+
+function groupByMonth(observations) {
+  const buckets = new Map();
+  observations.forEach(observation => {
+    const date = new Date(observation.observedAt);
+    const key = monthKey(date.getUTCFullYear(), date.getUTCMonth());
+    const bucket = buckets.get(key) || { sum: 0, count: 0 };
+    bucket.sum += observation.value;
+    bucket.count++;
+    buckets.set(key, bucket);
+  });
+  buckets.forEach(bucket => {
+    bucket.mean = parseFloat((bucket.sum / bucket.count).toFixed(4));
+  });
+  return buckets;
+}
@@ -0,0 +1,114 @@
+/**
+ * NDVI jobs - run long index and zonal computations in the background.
+ *
+ * Jobs are submitted with already validated calculateNdvi() or
+ * calculateZonalNdvi() options (dates as ISO strings, so the params
+ * survive a persistent queue) and picked up by the job workers started in
+ * index.js. Jobs belong to the submitting user like other owned records.
+ */
+
+import { calculateNdvi, calculateZonalNdvi } from "./GeoTIFFService.js";
+import { recordObservation } from "./ndviHistoryStore.js";
+import { canAccess } from "./accountService.js";
+import { getJobQueue } from "./jobs/jobQueue.js";
+import { registerJobHandler, notifyJobWorkers } from "./jobs/jobWorker.js";
+import { createHttpError } from "../utils/errorUtils.js";
+
+export const NDVI_JOB_TYPES = ['ndvi', 'zonal'];
+export const JOB_STATUSES = ['queued', 'running', 'succeeded', 'failed'];
+
+registerJobHandler('ndvi', async (params, { job, reportProgress }) => {
+  const result = await calculateNdvi({
+    ...params,
+    date: params.date ? new Date(params.date) : undefined,
+    onProgress: reportProgress
+  });
+
+  // Like GET /api/ndvi, point computations feed the NDVI history
+  if (params.latitude !== undefined && params.longitude !== undefined && result.meanValue !== null) {
+    await recordObservation({
+      latitude: params.latitude,
+      longitude: params.longitude,
+      index: result.index,
+      value: result.meanValue,
+      observedAt: result.scene ? result.scene.acquiredAt : undefined,
+      source: result.scene ? `scene:${result.scene.id}` : 'storage',
+      user: job.owner ? { id: job.owner, organizationId: job.organizationId } : null
+    });
+  }
+  return result;
+});
+
+registerJobHandler('zonal', async ({ features, date, sceneId, mask }, { reportProgress }) => {
+  const { scene, results } = await calculateZonalNdvi(features, {
+    date: date ? new Date(date) : undefined,
+    sceneId,
+    mask,
+    onProgress: reportProgress
+  });
+  return { features: results, featureCount: results.length, scene };
+});
+
+/**
+ * Queue an NDVI computation
+ * @param {string} type - 'ndvi' or 'zonal'
+ * @param {Object} params - Validated computation options with ISO date strings
+ * @param {Object} [options] - { user } submitting the job
+ * @returns {Object} - Queued job
+ */
+export async function submitNdviJob(type, params, { user = null } = {}) {
+  if (!NDVI_JOB_TYPES.includes(type)) {
+    throw createHttpError(400, `type must be one of ${NDVI_JOB_TYPES.join(', ')}`);
+  }
+
+  const now = new Date().toISOString();
+  const job = await getJobQueue().enqueue({
+    type,
+    params,
+    progress: 0,
+    result: null,
+    error: null,
+    owner: user?.id ?? null,
+    organizationId: user?.organizationId ?? null,
+    createdAt: now,
+    startedAt: null,
+    finishedAt: null,
+    updatedAt: now
+  });
+  notifyJobWorkers();
+  return job;
+}
+
+/**
+ * Get an NDVI job the user may see
+ * @param {string} jobId - Job id
+ * @param {Object} [options] - { user }
+ * @returns {Object} - Job
+ */
+export async function getNdviJob(jobId, { user = null } = {}) {
+  const job = await getJobQueue().get(jobId);
+  if (!job || !NDVI_JOB_TYPES.includes(job.type) || !canAccess(user, job)) {
+    throw createHttpError(404, `Job ${jobId} not found`);
+  }
+  return job;
+}
+
+/**
+ * List NDVI jobs the user may see, newest first
+ * @param {Object} [filters] - { status, limit, user }
+ * @returns {Array} - Jobs without their results
+ */
+export async function listNdviJobs({ status, limit = 50, user = null } = {}) {
+  if (status !== undefined && !JOB_STATUSES.includes(status)) {
+    throw createHttpError(400, `status must be one of ${JOB_STATUSES.join(', ')}`);
+  }
+
+  const jobs = await getJobQueue().list({
+    where: status ? { status } : {},
+    filter: job => NDVI_JOB_TYPES.includes(job.type) && canAccess(user, job)
+  });
+  return jobs
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .slice(0, limit)
+    .map(({ result, ...job }) => job);
+}
@@ -0,0 +1,176 @@
+/**
+ * NDVI rendering service - color-maps NDVI into PNG map tiles and previews
+ * and draws classified change rasters
+ */
+
+import { sampleNdviGrid } from "./GeoTIFFService.js";
+import { encodePng } from "../utils/pngEncoder.js";
+
+const TILE_SIZE = 256;
+const MAX_PREVIEW_SIZE = 2048;
+
+/**
+ * Named color ramps, listed from low to high NDVI
+ */
+export const COLOR_RAMPS = {
+  rdylgn: ['#d7191c', '#fdae61', '#ffffbf', '#a6d96a', '#1a9641'],
+  ylgn: ['#ffffcc', '#c2e699', '#78c679', '#31a354', '#006837'],
+  grayscale: ['#000000', '#ffffff']
+};
+
+/**
+ * Colors of change classes by code (see CHANGE_CLASSES); null is transparent
+ */
+const CHANGE_COLORS = [null, '#d7191c', '#f0f0f0', '#1a9641'];
+
+/**
+ * Render an XYZ (Web Mercator) NDVI tile
+ * @param {number} z - Zoom level
+ * @param {number} x - Tile column
+ * @param {number} y - Tile row
+ * @param {Object} style - Color styling from parseColorStyle()
+ * @param {Object} [source={}] - Scene selection { date, sceneId }
+ * @returns {Buffer} - PNG image
+ */
+export async function renderNdviTile(z, x, y, style, source = {}) {
+  const tileCount = 2 ** z;
+  const tileToLon = tx => tx / tileCount * 360 - 180;
+  const tileToLat = ty => Math.atan(Math.sinh(Math.PI * (1 - 2 * ty / tileCount))) * 180 / Math.PI;
+
+  const grid = await sampleNdviGrid({
+    boundingBox: {
+      north: tileToLat(y),
+      south: tileToLat(y + 1),
+      east: tileToLon(x + 1),
+      west: tileToLon(x)
+    },
+    width: TILE_SIZE,
+    height: TILE_SIZE,
+    pixelToLonLat: (col, row) => [tileToLon(x + col / TILE_SIZE), tileToLat(y + row / TILE_SIZE)],
+    ...source
+  });
+
+  return encodePng(colorizeNdvi(grid, style), TILE_SIZE, TILE_SIZE);
+}
+
+/**
+ * Render an NDVI preview image for a lat/lon bounding box
+ * @param {Object} boundingBox - { north, south, east, west } in degrees
+ * @param {number} width - Output width in pixels
+ * @param {Object} style - Color styling from parseColorStyle()
+ * @param {Object} [source={}] - Scene selection { date, sceneId }
+ * @returns {Object} - { png, width, height }
+ */
+export async function renderNdviPreview(boundingBox, width, style, source = {}) {
+  const { north, south, east, west } = boundingBox;
+  // Keep the aspect ratio roughly true to ground distance at the box center
+  const midLatitude = (north + south) / 2 * Math.PI / 180;
+  const aspect = (north - south) / ((east - west) * Math.cos(midLatitude));
+  const outputWidth = Math.min(width, MAX_PREVIEW_SIZE);
+  const outputHeight = Math.max(1, Math.min(Math.round(outputWidth * aspect), MAX_PREVIEW_SIZE));
+
+  const grid = await sampleNdviGrid({
+    boundingBox,
+    width: outputWidth,
+    height: outputHeight,
+    pixelToLonLat: (col, row) => [
+      west + (east - west) * col / outputWidth,
+      north - (north - south) * row / outputHeight
+    ],
+    ...source
+  });
+
+  return {
+    png: encodePng(colorizeNdvi(grid, style), outputWidth, outputHeight),
+    width: outputWidth,
+    height: outputHeight
+  };
+}
+
+/**
+ * Render a classified change raster from detectNdviChange() as a PNG:
+ * red for loss, green for gain, light gray for stable
+ * @param {Object} change - { classes, width, height }
+ * @param {number} [maxSize=MAX_PREVIEW_SIZE] - Largest output side; bigger rasters are downsampled
+ * @returns {Object} - { png, width, height }
+ */
+export function renderChangePreview({ classes, width, height }, maxSize = MAX_PREVIEW_SIZE) {
+  const scale = Math.min(1, maxSize / Math.max(width, height));
+  const outputWidth = Math.max(1, Math.round(width * scale));
+  const outputHeight = Math.max(1, Math.round(height * scale));
+  const colors = CHANGE_COLORS.map(color => (color ? hexToRgb(color) : null));
+
+  const rgba = new Uint8Array(outputWidth * outputHeight * 4);
+  for (let row = 0; row < outputHeight; row++) {
+    const sourceRow = Math.min(height - 1, Math.floor(row / scale));
+    for (let col = 0; col < outputWidth; col++) {
+      const color = colors[classes[sourceRow * width + Math.min(width - 1, Math.floor(col / scale))]];
+      if (color) {
+        const offset = (row * outputWidth + col) * 4;
+        rgba[offset] = color[0];
+        rgba[offset + 1] = color[1];
+        rgba[offset + 2] = color[2];
+        rgba[offset + 3] = 255;
+      }
+    }
+  }
+
+  return { png: encodePng(rgba, outputWidth, outputHeight), width: outputWidth, height: outputHeight };
+}
+
+/**
+ * Parse color styling options from query parameters
+ * @param {Object} query - Request query ({ ramp, min, max })
+ * @returns {Object} - { colors, min, max }
+ */
+export function parseColorStyle({ ramp = 'rdylgn', min = 0, max = 1 } = {}) {
+  let colors = COLOR_RAMPS[String(ramp).toLowerCase()];
+  if (!colors) {
+    colors = String(ramp).split(',').map(color => color.trim().replace(/^#?/, '#'));
+    if (colors.length < 2 || colors.some(color => !/^#[0-9a-f]{6}$/i.test(color))) {
+      throw new Error(`Unknown color ramp "${ramp}". Use one of ${Object.keys(COLOR_RAMPS).join(', ')} or a comma-separated list of hex colors`);
+    }
+  }
+
+  const minValue = parseFloat(min);
+  const maxValue = parseFloat(max);
+  if (isNaN(minValue) || isNaN(maxValue) || minValue >= maxValue) {
+    throw new Error('min and max must be numbers with min < max');
+  }
+
+  return { colors: colors.map(hexToRgb), min: minValue, max: maxValue };
+}
+
+/**
+ * Convert NDVI values to RGBA pixels, transparent where there is no data
+ * @param {Float32Array} grid - NDVI values
+ * @param {Object} style - { colors, min, max }
+ * @returns {Uint8Array} - RGBA pixels
+ */
+function colorizeNdvi(grid, { colors, min, max }) {
+  const rgba = new Uint8Array(grid.length * 4);
+  const segments = colors.length - 1;
+
+  for (let i = 0; i < grid.length; i++) {
+    const value = grid[i];
+    if (Number.isNaN(value)) {
+      continue;
+    }
+    const t = Math.min(1, Math.max(0, (value - min) / (max - min))) * segments;
+    const index = Math.min(Math.floor(t), segments - 1);
+    const fraction = t - index;
+    const from = colors[index];
+    const to = colors[index + 1];
+    rgba[i * 4] = Math.round(from[0] + (to[0] - from[0]) * fraction);
+    rgba[i * 4 + 1] = Math.round(from[1] + (to[1] - from[1]) * fraction);
+    rgba[i * 4 + 2] = Math.round(from[2] + (to[2] - from[2]) * fraction);
+    rgba[i * 4 + 3] = 255;
+  }
+
+  return rgba;
+}
+
+function hexToRgb(hex) {
+  const value = parseInt(hex.slice(1), 16);
+  return [(value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff];
+}
@@ -0,0 +1,64 @@
+/**
+ * Email channel - sends alerts as plain-text email through the SMTP relay
+ * configured with SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS
+ * and SMTP_FROM. Credentials are only sent over TLS: with a login the
+ * connection must use implicit TLS or complete STARTTLS, or sending fails.
+ */
+
+import nodemailer from "nodemailer";
+import { createHttpError } from "../../utils/errorUtils.js";
+
+const EMAIL_PATTERN = /^[^\s@<>,]+@[^\s@<>,]+\.[^\s@<>,]+$/;
+
+/**
+ * Create the email channel
+ * @param {Object} options - SMTP settings
+ * @param {string} [options.host] - SMTP host; email alerts are unavailable without it
+ * @param {number} [options.port=587] - SMTP port
+ * @param {boolean} [options.secure=false] - Implicit TLS (port 465); otherwise STARTTLS is used when
+ *   offered, and required when a username is set
+ * @param {string} [options.username] - SMTP login
+ * @param {string} [options.password] - SMTP password
+ * @param {string} [options.from] - Sender address
+ * @returns {Object} - Notification channel
+ */
+export function createEmailChannel({ host, port = 587, secure = false, username, password, from }) {
+  const transport = host
+    ? nodemailer.createTransport({
+      host,
+      port,
+      secure,
+      requireTLS: !secure && Boolean(username),
+      ...(username ? { auth: { user: username, pass: password || '' } } : {})
+    })
+    : null;
+
+  return {
+    name: 'email',
+
+    validate({ to }) {
+      if (!host || !from) {
+        throw createHttpError(400, 'Email alerts are not configured; set SMTP_HOST and SMTP_FROM');
+      }
+      const recipients = [].concat(to);
+      if (recipients.length === 0 || !recipients.every(address => typeof address === 'string' && EMAIL_PATTERN.test(address))) {
+        throw createHttpError(400, 'email to must be an email address or a list of them');
+      }
+      return { type: 'email', to: recipients };
+    },
+
+    async send({ to }, alert) {
+      if (!transport) {
+        throw new Error('Email alerts are not configured');
+      }
+      const lines = [
+        alert.message,
+        '',
+        `Field: ${alert.fieldName} (${alert.fieldId})`,
+        `Triggered: ${alert.triggeredAt}`
+      ];
+      const info = await transport.sendMail({ from, to, subject: alert.title, text: lines.join('\n') });
+      return info.response;
+    }
+  };
+}
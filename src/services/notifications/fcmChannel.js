@@ -0,0 +1,45 @@
+/**
+ * Firebase Cloud Messaging channel - pushes alerts to an app instance
+ * (registration token) or to everyone subscribed to a topic, using the
+ * Firebase Admin SDK initialized in index.js.
+ */
+
+import admin from "firebase-admin";
+import { createHttpError } from "../../utils/errorUtils.js";
+
+/**
+ * Create the FCM channel
+ * @returns {Object} - Notification channel
+ */
+export function createFcmChannel() {
+  return {
+    name: 'fcm',
+
+    validate({ token, topic }) {
+      if (Boolean(token) === Boolean(topic)) {
+        throw createHttpError(400, 'fcm needs either a registration token or a topic');
+      }
+      if (typeof (token || topic) !== 'string') {
+        throw createHttpError(400, 'fcm token and topic must be strings');
+      }
+      return token ? { type: 'fcm', token } : { type: 'fcm', topic };
+    },
+
+    async send({ token, topic }, alert) {
+      if (admin.apps.length === 0) {
+        throw createHttpError(503, 'Firebase is not initialized; set FIREBASE_SERVICE_ACCOUNT');
+      }
+      // FCM data values must be strings
+      return admin.messaging().send({
+        ...(token ? { token } : { topic }),
+        notification: { title: alert.title, body: alert.message },
+        data: {
+          alertId: alert.id,
+          type: alert.type,
+          fieldId: alert.fieldId,
+          triggeredAt: alert.triggeredAt
+        }
+      });
+    }
+  };
+}
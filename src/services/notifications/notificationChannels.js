@@ -0,0 +1,72 @@
+/**
+ * Notification channels - deliver alerts to subscribers.
+ *
+ * Every channel implements
+ *   validate(target) -> normalized target, or throws a 400 error
+ *   send(target, alert) -> Promise<string>, a short delivery receipt
+ * where a target is the `{ type, ... }` object stored with a subscription:
+ *   webhook: { url, secret? }
+ *   email:   { to }               (one address or a list)
+ *   fcm:     { token } | { topic }
+ */
+
+import { createWebhookChannel } from "./webhookChannel.js";
+import { createEmailChannel } from "./emailChannel.js";
+import { createFcmChannel } from "./fcmChannel.js";
+import { createHttpError } from "../../utils/errorUtils.js";
+
+let channels = null;
+
+/**
+ * Get a configured notification channel
+ * @param {string} type - 'webhook', 'email' or 'fcm'
+ * @returns {Object} - Notification channel
+ */
+export function getNotificationChannel(type) {
+  if (!channels) {
+    channels = createNotificationChannels(process.env);
+  }
+  if (!channels[type]) {
+    throw createHttpError(400, `Unknown channel type "${type}". Use ${Object.keys(channels).join(', ')}`);
+  }
+  return channels[type];
+}
+
+/**
+ * Replace a notification channel, e.g. with a recording stub in tests
+ * @param {string} type - Channel type
+ * @param {Object|null} channel - Channel, or null to re-read configuration for all channels
+ */
+export function setNotificationChannel(type, channel) {
+  if (channel === null) {
+    channels = null;
+    return;
+  }
+  if (!channels) {
+    channels = createNotificationChannels(process.env);
+  }
+  channels[type] = channel;
+}
+
+/**
+ * Create the notification channels from configuration values
+ * @param {Object} config - Configuration, usually process.env
+ * @returns {Object} - Channels by type
+ */
+export function createNotificationChannels(config) {
+  const secure = config.SMTP_SECURE === 'true';
+  return {
+    webhook: createWebhookChannel({
+      allowedHosts: (config.WEBHOOK_ALLOWED_HOSTS || '').split(',').map(host => host.trim()).filter(Boolean)
+    }),
+    email: createEmailChannel({
+      host: config.SMTP_HOST,
+      port: parseInt(config.SMTP_PORT || (secure ? '465' : '587'), 10),
+      secure,
+      username: config.SMTP_USER,
+      password: config.SMTP_PASS,
+      from: config.SMTP_FROM
+    }),
+    fcm: createFcmChannel()
+  };
+}
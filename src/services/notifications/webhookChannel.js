@@ -0,0 +1,155 @@
+/**
+ * Webhook channel - POSTs alerts as JSON. With a secret, the body is signed
+ * with HMAC-SHA256 in the X-Alert-Signature header ("sha256=<hex>") so the
+ * receiver can check it came from this server.
+ *
+ * Subscribers choose the URL, so it must not reach this server's own
+ * network: localhost, loopback, private (RFC 1918), link-local and other
+ * non-public addresses are refused when the target is saved, and again for
+ * the address the host name resolves to when an alert is sent. Redirects
+ * are not followed. Hosts listed in WEBHOOK_ALLOWED_HOSTS are exempt.
+ */
+
+import crypto from "crypto";
+import dns from "dns";
+import http from "http";
+import https from "https";
+import net from "net";
+import { createHttpError } from "../../utils/errorUtils.js";
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+const NON_PUBLIC_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([prefix, bits]) => NON_PUBLIC_ADDRESSES.addSubnet(prefix, bits, 'ipv4'));
+// NAT64 prefixes embed an IPv4 address, e.g. 64:ff9b::7f00:1 reaches 127.0.0.1
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['64:ff9b:1::', 48], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([prefix, bits]) => NON_PUBLIC_ADDRESSES.addSubnet(prefix, bits, 'ipv6'));
+
+/**
+ * Create the webhook channel
+ * @param {Object} [options] - Webhook settings
+ * @param {Array<string>} [options.allowedHosts=[]] - Host names that may be non-public, e.g. an
+ *   internal alert relay
+ * @returns {Object} - Notification channel
+ */
+export function createWebhookChannel({ allowedHosts = [] } = {}) {
+  const allowed = new Set(allowedHosts.map(host => host.toLowerCase()));
+
+  return {
+    name: 'webhook',
+
+    validate({ url, secret }) {
+      let parsed;
+      try {
+        parsed = new URL(url);
+      } catch (error) {
+        throw createHttpError(400, 'webhook url must be an absolute URL');
+      }
+      if (!['http:', 'https:'].includes(parsed.protocol)) {
+        throw createHttpError(400, 'webhook url must use http or https');
+      }
+      if (!allowed.has(parsed.hostname) && !isPublicHost(parsed.hostname)) {
+        throw createHttpError(400, 'webhook url must point to a public host');
+      }
+      if (secret !== undefined && (typeof secret !== 'string' || secret === '')) {
+        throw createHttpError(400, 'webhook secret must be a non-empty string');
+      }
+      return { type: 'webhook', url: parsed.toString(), ...(secret ? { secret } : {}) };
+    },
+
+    async send({ url, secret }, alert) {
+      const parsed = new URL(url);
+      const checkAddress = !allowed.has(parsed.hostname);
+      // Targets saved before hosts were checked are refused here too
+      if (checkAddress && !isPublicHost(parsed.hostname)) {
+        throw new Error(`Webhook host ${parsed.hostname} is not public`);
+      }
+
+      const body = JSON.stringify({ event: 'alert', alert });
+      const headers = { 'content-type': 'application/json', 'content-length': Buffer.byteLength(body) };
+      if (secret) {
+        headers['x-alert-signature'] = `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+      }
+
+      const status = await postBody(parsed, headers, body, checkAddress ? lookupPublicAddress : undefined);
+      if (status < 200 || status >= 300) {
+        throw new Error(`Webhook responded ${status}`);
+      }
+      return `HTTP ${status}`;
+    }
+  };
+}
+
+/**
+ * POST a body and wait for the response status
+ * @param {URL} url - Target URL
+ * @param {Object} headers - Request headers
+ * @param {string} body - Request body
+ * @param {Function} [lookup] - dns.lookup() replacement for the connection
+ * @returns {Promise<number>} - HTTP status code
+ */
+function postBody(url, headers, body, lookup) {
+  const client = url.protocol === 'https:' ? https : http;
+  return new Promise((resolve, reject) => {
+    const request = client.request(url, {
+      method: 'POST',
+      headers,
+      lookup,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    }, response => {
+      response.resume();
+      response.on('end', () => resolve(response.statusCode));
+      response.on('error', reject);
+    });
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+/**
+ * dns.lookup() for webhook connections that fails for non-public addresses,
+ * so the checked address is the one connected to
+ * @param {string} hostname - Host name to resolve
+ * @param {Object} options - dns.lookup() options
+ * @param {Function} callback - dns.lookup() callback
+ */
+function lookupPublicAddress(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      return callback(error);
+    }
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const refused = addresses.find(entry => !isPublicAddress(entry.address));
+    if (refused) {
+      return callback(new Error(`Webhook host ${hostname} resolves to non-public address ${refused.address}`));
+    }
+    callback(null, address, family);
+  });
+}
+
+/**
+ * Check a URL host name before it is resolved: localhost names and
+ * non-public IP addresses are refused
+ * @param {string} hostname - URL host name, IPv6 addresses in brackets
+ * @returns {boolean} - Whether the host may be public
+ */
+function isPublicHost(hostname) {
+  const host = hostname.toLowerCase().replace(/\.$/, '').replace(/^\[(.*)\]$/, '$1');
+  if (host === 'localhost' || host.endsWith('.localhost')) {
+    return false;
+  }
+  return net.isIP(host) === 0 || isPublicAddress(host);
+}
+
+/**
+ * Check an IP address against the non-public ranges
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} - Whether the address is outside the non-public ranges
+ */
+function isPublicAddress(address) {
+  return !NON_PUBLIC_ADDRESSES.check(address, net.isIP(address) === 6 ? 'ipv6' : 'ipv4');
+}
@@ -0,0 +1,209 @@
+/**
+ * Crop phenology - estimates the growth stage of a crop from growing degree
+ * days (GDD) accumulated since sowing.
+ *
+ * Daily GDD = max(0, (min(Tmax, upper) + max(Tmin, base)) / 2 - base), the
+ * modified method that ignores heat above the crop's upper threshold. Past
+ * days come from the weather provider's history, and the forecast projects
+ * when the next stages will begin.
+ */
+
+import { getWeatherForecast, getWeatherHistory } from "./weatherService.js";
+import { CROPS, getCrop } from "./cropCatalog.js";
+import { getCollection } from "./dataStore.js";
+import { getField } from "./fieldRegistry.js";
+import { canAccess } from "./accountService.js";
+import { createHttpError } from "../utils/errorUtils.js";
+
+// Days of recent history averaged to project stages beyond the forecast
+const RECENT_DAYS = 14;
+
+/**
+ * Estimate the growth stage of a crop
+ * @param {Object} options - Phenology options
+ * @param {number} [options.latitude] - Latitude; required unless the field is registered or has a saved record
+ * @param {number} [options.longitude] - Longitude; required unless the field is registered or has a saved record
+ * @param {string} [options.crop] - Crop key with a phenology model; required unless the field has one
+ * @param {Date} [options.sowingDate] - Sowing date; required unless the field has one
+ * @param {string} [options.fieldId] - Registered field, or a field id whose crop, sowing date and
+ *   location are saved here
+ * @param {number} [options.forecastDays=7] - Forecast days used to project upcoming stages
+ * @param {Object} [options.user] - User asking; fields and saved records of others are not found
+ * @param {boolean} [options.allowUnmodelled=false] - Return null instead of failing for crops
+ *   without a phenology model
+ * @param {Date} [options.now] - Current time, for tests
+ * @returns {Object|null} - Accumulated GDD, current stage and stage dates
+ */
+export async function getCropPhenology({ latitude, longitude, crop: cropKey, sowingDate, fieldId, forecastDays = 7, user = null, allowUnmodelled = false, now = new Date() }) {
+  const fields = getCollection('phenologyFields');
+  const saved = fieldId ? await fields.get(fieldId) : null;
+  if (saved && !canAccess(user, saved)) {
+    throw createHttpError(404, `Field ${fieldId} not found`);
+  }
+  // A registered field is the source of truth for its crop and location
+  const registered = fieldId ? await getField(fieldId, { user }) : null;
+
+  const resolved = {
+    latitude: latitude ?? registered?.centroid.latitude ?? saved?.latitude,
+    longitude: longitude ?? registered?.centroid.longitude ?? saved?.longitude,
+    crop: cropKey || registered?.crop || saved?.crop,
+    sowingDate: sowingDate ? sowingDate.toISOString().split('T')[0] : registered?.sowingDate || saved?.sowingDate
+  };
+  const missing = Object.keys(resolved).filter(name => resolved[name] === undefined || resolved[name] === null);
+  if (missing.length > 0) {
+    const required = missing.length > 1
+      ? `${missing.slice(0, -1).join(', ')} and ${missing[missing.length - 1]} are required`
+      : `${missing[0]} is required`;
+    throw createHttpError(400, fieldId && !saved && !registered ? `Field "${fieldId}" has no saved crop; ${required}` : required);
+  }
+
+  if (!CROPS[String(resolved.crop).trim().toLowerCase()]?.phenology) {
+    if (allowUnmodelled) {
+      return null;
+    }
+    const supported = Object.keys(CROPS).filter(key => CROPS[key].phenology).join(', ');
+    throw createHttpError(400, `No phenology model for crop "${resolved.crop}". Supported crops: ${supported}`);
+  }
+  const crop = getCrop(resolved.crop);
+
+  const today = now.toISOString().split('T')[0];
+  if (resolved.sowingDate > today) {
+    throw createHttpError(400, 'sowingDate must not be in the future');
+  }
+
+  const { phenology } = crop;
+  const [history, forecast] = await Promise.all([
+    getWeatherHistory(resolved.latitude, resolved.longitude, resolved.sowingDate, today),
+    getWeatherForecast(resolved.latitude, resolved.longitude, forecastDays)
+  ]);
+
+  let accumulated = 0;
+  let missingDays = 0;
+  const daily = history.history.map(day => {
+    const gdd = calculateGdd(day, phenology);
+    if (gdd === null) {
+      missingDays++;
+    } else {
+      accumulated += gdd;
+    }
+    return { date: day.date, gdd: roundGdd(gdd), accumulated: roundGdd(accumulated) };
+  });
+
+  // Forecast days after today extend the accumulation for projections
+  const upcoming = [];
+  let projected = accumulated;
+  forecast.forecast.filter(day => day.date > today).forEach(day => {
+    const gdd = calculateGdd(day, phenology);
+    if (gdd !== null) {
+      projected += gdd;
+      upcoming.push({ date: day.date, accumulated: projected });
+    }
+  });
+
+  const recent = daily.slice(-RECENT_DAYS).filter(day => day.gdd !== null);
+  const recentAverage = recent.length > 0 ? recent.reduce((sum, day) => sum + day.gdd, 0) / recent.length : 0;
+
+  const stages = phenology.stages.map(({ stage, gdd }) => {
+    const reached = daily.find(day => day.accumulated >= gdd);
+    return {
+      stage,
+      gdd,
+      reachedOn: reached ? reached.date : null,
+      ...(reached ? {} : projectStageDate(gdd, { date: today, accumulated }, upcoming, recentAverage))
+    };
+  });
+
+  const currentIndex = stages.reduce((index, stage, i) => stage.reachedOn ? i : index, -1);
+  const current = currentIndex >= 0 ? stages[currentIndex].stage : 'sown';
+  const next = stages[currentIndex + 1] || null;
+  const stageStart = currentIndex >= 0 ? stages[currentIndex].gdd : 0;
+
+  if (fieldId) {
+    await fields.insert({
+      id: fieldId,
+      crop: crop.key,
+      sowingDate: resolved.sowingDate,
+      latitude: resolved.latitude,
+      longitude: resolved.longitude,
+      stage: current,
+      accumulatedGdd: roundGdd(accumulated),
+      owner: registered?.owner ?? saved?.owner ?? user?.id ?? null,
+      organizationId: registered?.organizationId ?? saved?.organizationId ?? user?.organizationId ?? null,
+      updatedAt: now.toISOString()
+    });
+  }
+
+  return {
+    location: { latitude: resolved.latitude, longitude: resolved.longitude },
+    provider: history.provider,
+    fieldId: fieldId || null,
+    crop: { key: crop.key, name: crop.name },
+    sowingDate: resolved.sowingDate,
+    daysAfterSowing: Math.round((Date.parse(`${today}T00:00:00Z`) - Date.parse(`${resolved.sowingDate}T00:00:00Z`)) / 86400000),
+    baseTemperature: phenology.baseTemperature,
+    upperTemperature: phenology.upperTemperature,
+    accumulatedGdd: roundGdd(accumulated),
+    missingDays,
+    stage: current,
+    stageProgress: next
+      ? parseFloat(((accumulated - stageStart) / (next.gdd - stageStart)).toFixed(2))
+      : 1,
+    nextStage: next
+      ? {
+        stage: next.stage,
+        gddRemaining: roundGdd(next.gdd - accumulated),
+        expectedDate: next.expectedDate,
+        basis: next.basis
+      }
+      : null,
+    stages,
+    daily
+  };
+}
+
+/**
+ * Growing degree days for one day
+ * @param {Object} day - Normalized weather day
+ * @param {Object} phenology - Crop phenology model
+ * @returns {number|null} - GDD, null when the day has no temperatures
+ */
+function calculateGdd(day, { baseTemperature, upperTemperature }) {
+  let { temperatureMin: tMin, temperatureMax: tMax } = day;
+  if (tMin === null || tMin === undefined || tMax === null || tMax === undefined) {
+    // Fall back to the daily mean when the provider has no extremes
+    if (day.temperature === null || day.temperature === undefined) {
+      return null;
+    }
+    tMin = tMax = day.temperature;
+  }
+  const mean = (Math.min(tMax, upperTemperature) + Math.max(tMin, baseTemperature)) / 2;
+  return Math.max(mean - baseTemperature, 0);
+}
+
+/**
+ * Expected start date of a stage that has not been reached, from the
+ * forecast when it falls inside it and otherwise from the recent daily average
+ * @param {number} target - Stage GDD threshold
+ * @param {Object} current - { date, accumulated } for today
+ * @param {Array} upcoming - [{ date, accumulated }] for forecast days
+ * @param {number} recentAverage - Mean daily GDD over recent days
+ * @returns {Object} - { expectedDate, basis }; expectedDate is null when no GDD is accumulating
+ */
+function projectStageDate(target, current, upcoming, recentAverage) {
+  const inForecast = upcoming.find(day => day.accumulated >= target);
+  if (inForecast) {
+    return { expectedDate: inForecast.date, basis: 'forecast' };
+  }
+  if (recentAverage <= 0) {
+    return { expectedDate: null, basis: null };
+  }
+  // Continue from the end of the forecast at the recent pace
+  const last = upcoming.length > 0 ? upcoming[upcoming.length - 1] : current;
+  const date = new Date(`${last.date}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + Math.ceil((target - last.accumulated) / recentAverage));
+  return { expectedDate: date.toISOString().split('T')[0], basis: 'recent-average' };
+}
+
+function roundGdd(value) {
+  return value === null ? null : parseFloat(value.toFixed(1));
+}
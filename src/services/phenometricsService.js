@@ -0,0 +1,254 @@
+/**
+ * NDVI phenometrics - fits a smoothed seasonal curve to the stored NDVI
+ * observations of a location and reads the season's timing and size off it.
+ *
+ * Clouds and haze only ever lower NDVI, so both fits follow the upper
+ * envelope of the observations: values below the curve are pulled up to it
+ * and the curve is refitted (Chen et al. 2004). Dates without observations
+ * are filled from the curve.
+ */
+
+import { getObservations } from "./ndviHistoryStore.js";
+import { getField } from "./fieldRegistry.js";
+import { createHttpError } from "../utils/errorUtils.js";
+import {
+  savitzkyGolay,
+  fitDoubleLogistic,
+  evaluateDoubleLogistic,
+  interpolateLinear
+} from "../utils/timeSeriesUtils.js";
+
+export const CURVE_METHODS = ['savitzky-golay', 'double-logistic'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Savitzky-Golay works on observations interpolated to this step
+const STEP_DAYS = 5;
+const MIN_OBSERVATIONS = 6;
+const MIN_SPAN_DAYS = 40;
+const MAX_ENVELOPE_ITERATIONS = 10;
+// Observations this far below the curve are reported as likely cloud or haze
+const CLOUD_TOLERANCE = 0.05;
+
+/**
+ * Fit a seasonal NDVI curve to a location's observations and extract the
+ * start, peak and end of the season
+ * @param {Object} options - Query options
+ * @param {number} [options.latitude] - Latitude coordinate; required without a field
+ * @param {number} [options.longitude] - Longitude coordinate; required without a field
+ * @param {string} [options.fieldId] - Registered field whose centroid's observations are used
+ * @param {Date} [options.from] - Start of the period (default: a year before `to`)
+ * @param {Date} [options.to] - End of the period (default: now)
+ * @param {string} [options.method='savitzky-golay'] - Curve from CURVE_METHODS
+ * @param {number} [options.threshold=0.2] - Share of the seasonal amplitude the curve
+ *   must rise above its minimum to start, or fall back to to end, the season
+ * @param {Object} [options.user] - User whose observations are used; fields of others are not found
+ * @returns {Object} - { location, fieldId, period, method, threshold, observations, phenometrics,
+ *   curve, observed } with the curve every STEP_DAYS days and each observation day's mean beside
+ *   its fitted value
+ */
+export async function getPhenometrics({
+  latitude,
+  longitude,
+  fieldId,
+  from,
+  to = new Date(),
+  method = 'savitzky-golay',
+  threshold = 0.2,
+  user = null
+}) {
+  if (fieldId) {
+    const field = await getField(fieldId, { user });
+    if (!field) {
+      throw createHttpError(404, `Field ${fieldId} not found`);
+    }
+    ({ latitude, longitude } = field.centroid);
+  }
+
+  const start = from || new Date(to.getTime() - 365 * DAY_MS);
+  const observations = await getObservations({ latitude, longitude, index: 'ndvi', from: start, to, user });
+  const fit = fitSeasonalCurve(observations, { method });
+  if (!fit) {
+    throw createHttpError(404, `Phenometrics need at least ${MIN_OBSERVATIONS} NDVI observations spanning ${MIN_SPAN_DAYS} days at ${latitude}, ${longitude}; ${observations.length} found between ${start.toISOString().slice(0, 10)} and ${to.toISOString().slice(0, 10)}`);
+  }
+
+  const daily = [];
+  for (let t = 0; t <= fit.lastDay; t++) {
+    daily.push(fit.valueAt(t));
+  }
+  const toDate = t => new Date(fit.origin + t * DAY_MS).toISOString().slice(0, 10);
+
+  const peakDay = daily.indexOf(Math.max(...daily));
+  const leftMinimum = Math.min(...daily.slice(0, peakDay + 1));
+  const rightMinimum = Math.min(...daily.slice(peakDay));
+  const startLevel = leftMinimum + threshold * (daily[peakDay] - leftMinimum);
+  const endLevel = rightMinimum + threshold * (daily[peakDay] - rightMinimum);
+
+  // The season starts where the curve last rises through its level before
+  // the peak and ends where it first falls through it after
+  let startDay = null;
+  for (let t = peakDay; t > 0; t--) {
+    if (daily[t - 1] < startLevel && daily[t] >= startLevel) {
+      startDay = t;
+      break;
+    }
+  }
+  let endDay = null;
+  for (let t = peakDay; t < daily.length - 1; t++) {
+    if (daily[t] >= endLevel && daily[t + 1] < endLevel) {
+      endDay = t;
+      break;
+    }
+  }
+
+  const base = (leftMinimum + rightMinimum) / 2;
+  let integrated = null;
+  let integratedAboveBase = null;
+  if (startDay !== null && endDay !== null) {
+    integrated = 0;
+    for (let t = startDay; t < endDay; t++) {
+      integrated += (daily[t] + daily[t + 1]) / 2;
+    }
+    integratedAboveBase = integrated - base * (endDay - startDay);
+  }
+  const describe = t => (t === null ? null : { date: toDate(t), ndvi: round(daily[t]) });
+
+  return {
+    location: { latitude, longitude },
+    ...(fieldId ? { fieldId } : {}),
+    period: { from: start.toISOString().slice(0, 10), to: to.toISOString().slice(0, 10) },
+    method,
+    threshold,
+    observations: {
+      count: observations.length,
+      dates: fit.days.length,
+      first: toDate(0),
+      last: toDate(fit.lastDay),
+      cloudSuspected: fit.days.filter((day, i) => fit.values[i] < daily[day] - CLOUD_TOLERANCE).length,
+      rmse: round(Math.sqrt(fit.days.reduce((sum, day, i) => sum + (daily[day] - fit.values[i]) ** 2, 0) / fit.days.length))
+    },
+    phenometrics: {
+      startOfSeason: describe(startDay),
+      peak: describe(peakDay),
+      endOfSeason: describe(endDay),
+      lengthOfSeasonDays: startDay !== null && endDay !== null ? endDay - startDay : null,
+      baseNdvi: round(base),
+      amplitude: round(daily[peakDay] - base),
+      seasonIntegratedNdvi: integrated !== null ? round(integrated, 2) : null,
+      seasonIntegratedNdviAboveBase: integratedAboveBase !== null ? round(integratedAboveBase, 2) : null
+    },
+    curve: daily
+      .map((value, t) => ({ date: toDate(t), ndvi: round(value), t }))
+      .filter(({ t }) => t % STEP_DAYS === 0 || t === fit.lastDay)
+      .map(({ date, ndvi }) => ({ date, ndvi })),
+    observed: fit.days.map((day, i) => ({
+      date: toDate(day),
+      ndvi: round(fit.values[i]),
+      fitted: round(daily[day]),
+      cloudSuspected: fit.values[i] < daily[day] - CLOUD_TOLERANCE
+    }))
+  };
+}
+
+/**
+ * Sample the fitted seasonal curve in the middle of each trailing month, for
+ * charts that show gaps between observations filled in
+ * @param {number} latitude - Latitude coordinate
+ * @param {number} longitude - Longitude coordinate
+ * @param {Object} [options] - { index, months, endDate, user } as for getMonthlyHistory()
+ * @returns {Array<number|null>|null} - Value per month oldest first, null for months
+ *   outside the observed period; null when there are too few observations to fit
+ */
+export async function getFittedMonthlySeries(latitude, longitude, { index = 'ndvi', months = 12, endDate = new Date(), user = null } = {}) {
+  const start = new Date(Date.UTC(endDate.getUTCFullYear(), endDate.getUTCMonth() - (months - 1), 1));
+  const observations = await getObservations({ latitude, longitude, index, from: start, to: endDate, user });
+  const fit = fitSeasonalCurve(observations);
+  if (!fit) {
+    return null;
+  }
+
+  return Array.from({ length: months }, (_, i) => {
+    const t = (Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + i, 15) - fit.origin) / DAY_MS;
+    return t >= 0 && t <= fit.lastDay ? round(fit.valueAt(t)) : null;
+  });
+}
+
+/**
+ * Fit a smoothed seasonal curve to NDVI observations. Observations on the
+ * same day are averaged.
+ * @param {Array} observations - Stored observations, oldest first
+ * @param {Object} [options] - { method } from CURVE_METHODS
+ * @returns {Object|null} - { origin (ms of day 0), lastDay, days, values, valueAt(day) },
+ *   null with too few observations to fit
+ */
+export function fitSeasonalCurve(observations, { method = 'savitzky-golay' } = {}) {
+  const byDay = new Map();
+  observations.forEach(({ observedAt, value }) => {
+    const day = Math.floor(new Date(observedAt).getTime() / DAY_MS);
+    const bucket = byDay.get(day) || { sum: 0, count: 0 };
+    bucket.sum += value;
+    bucket.count++;
+    byDay.set(day, bucket);
+  });
+  const epochDays = [...byDay.keys()].sort((a, b) => a - b);
+  if (epochDays.length < MIN_OBSERVATIONS || epochDays[epochDays.length - 1] - epochDays[0] < MIN_SPAN_DAYS) {
+    return null;
+  }
+
+  const origin = epochDays[0];
+  const days = epochDays.map(day => day - origin);
+  const values = epochDays.map(day => byDay.get(day).sum / byDay.get(day).count);
+  const lastDay = days[days.length - 1];
+  const result = { origin: origin * DAY_MS, lastDay, days, values };
+
+  if (method === 'double-logistic') {
+    // Only observations well below the curve are lifted, so ordinary noise
+    // does not push the whole curve up
+    let curve = fitDoubleLogistic(days, values);
+    for (let iteration = 1; iteration < MAX_ENVELOPE_ITERATIONS; iteration++) {
+      const lifted = values.map((value, i) => {
+        const fitted = evaluateDoubleLogistic(curve, days[i]);
+        return value < fitted - CLOUD_TOLERANCE ? fitted : value;
+      });
+      const refitted = fitDoubleLogistic(days, lifted);
+      const converged = Math.abs(refitted.rmse - curve.rmse) < 1e-4;
+      curve = refitted;
+      if (converged) {
+        break;
+      }
+    }
+    return { ...result, valueAt: t => evaluateDoubleLogistic(curve, t) };
+  }
+
+  // Savitzky-Golay: a wide low-degree pass gives the trend, narrower
+  // higher-degree passes then follow the upper envelope until the weighted
+  // distance to the observations stops shrinking. Values below the trend
+  // weigh less the further below they are, so lifting them is not penalized.
+  const grid = [];
+  for (let t = 0; t < lastDay; t += STEP_DAYS) {
+    grid.push(t);
+  }
+  grid.push(lastDay);
+  const original = interpolateLinear(days, values, grid);
+  const trend = savitzkyGolay(original, 4, 2);
+  const largestDrop = Math.max(...original.map((value, i) => trend[i] - value), 0);
+  const weights = original.map((value, i) =>
+    value >= trend[i] || largestDrop === 0 ? 1 : 1 - (trend[i] - value) / largestDrop);
+
+  let smoothed = trend;
+  let bestDistance = Infinity;
+  for (let iteration = 0; iteration < MAX_ENVELOPE_ITERATIONS; iteration++) {
+    const lifted = original.map((value, i) => Math.max(value, smoothed[i]));
+    const refitted = savitzkyGolay(lifted, 3, 4);
+    const distance = original.reduce((sum, value, i) => sum + Math.abs(refitted[i] - value) * weights[i], 0);
+    if (distance >= bestDistance) {
+      break;
+    }
+    bestDistance = distance;
+    smoothed = refitted;
+  }
+  return { ...result, valueAt: t => interpolateLinear(grid, smoothed, [t])[0] };
+}
+
+function round(value, digits = 4) {
+  return parseFloat(value.toFixed(digits));
+}
@@ -0,0 +1,125 @@
+/**
+ * Quality masking - decides which pixels are excluded from index statistics
+ * using band nodata values and an optional scene classification / QA band.
+ */
+
+// Why a pixel was excluded. Codes are indexes into this list; 0 means valid.
+export const MASK_REASONS = ['valid', 'nodata', 'invalid', 'cloud', 'shadow', 'cirrus', 'snow', 'water'];
+
+// Classes a QA band can flag that callers may choose to mask
+export const MASK_CLASSES = ['cloud', 'shadow', 'cirrus', 'snow', 'water'];
+
+const REASON_CODES = Object.fromEntries(MASK_REASONS.map((reason, code) => [reason, code]));
+
+// Sentinel-2 L2A scene classification (SCL) values
+const SCL_CLASSES = {
+  0: 'nodata',
+  1: 'nodata', // saturated or defective
+  3: 'shadow',
+  6: 'water',
+  8: 'cloud', // medium probability
+  9: 'cloud', // high probability
+  10: 'cirrus',
+  11: 'snow'
+};
+
+// Landsat Collection 2 QA_PIXEL bits, checked in priority order
+const QA_PIXEL_BITS = [
+  [0, 'nodata'], // fill
+  [3, 'cloud'],
+  [1, 'cloud'], // dilated cloud
+  [4, 'shadow'],
+  [2, 'cirrus'],
+  [5, 'snow'],
+  [7, 'water']
+];
+
+/**
+ * Supported QA bands and how they classify a pixel value
+ */
+export const QA_BANDS = {
+  scl: {
+    name: 'Sentinel-2 scene classification',
+    classify: value => SCL_CLASSES[value] || null
+  },
+  qa: {
+    name: 'Landsat QA_PIXEL bitmask',
+    classify: value => {
+      const match = QA_PIXEL_BITS.find(([bit]) => (value >> bit) & 1);
+      return match ? match[1] : null;
+    }
+  }
+};
+
+/**
+ * Parse the classes to mask from a comma-separated list
+ * @param {string} [input] - e.g. 'cloud,shadow'; 'none' masks only nodata
+ * @param {Array<string>} defaults - Classes used when input is empty
+ * @returns {Array<string>} - Mask classes
+ */
+export function parseMaskClasses(input, defaults = MASK_CLASSES) {
+  if (input === undefined || input === '') {
+    return [...defaults];
+  }
+  if (String(input).toLowerCase() === 'none') {
+    return [];
+  }
+  const classes = String(input).split(',').map(value => value.trim().toLowerCase());
+  const unknown = classes.filter(value => !MASK_CLASSES.includes(value));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown mask class "${unknown[0]}". Use none or any of ${MASK_CLASSES.join(', ')}`);
+  }
+  return [...new Set(classes)];
+}
+
+/**
+ * Create a function mapping a QA value to a mask reason code
+ * @param {string} qaBand - Key of QA_BANDS
+ * @param {Array<string>} classes - Classes to mask; nodata is always masked
+ * @returns {Function} - (value) => reason code, 0 when the pixel is kept
+ */
+export function createQaClassifier(qaBand, classes) {
+  const { classify } = QA_BANDS[qaBand];
+  const masked = new Set(['nodata', ...classes]);
+  const cache = new Map();
+  return value => {
+    let code = cache.get(value);
+    if (code === undefined) {
+      const pixelClass = classify(value);
+      code = pixelClass && masked.has(pixelClass) ? REASON_CODES[pixelClass] : 0;
+      cache.set(value, code);
+    }
+    return code;
+  };
+}
+
+/**
+ * Create a counter of masked pixels by reason
+ * @returns {Object} - Counter with add(code) and summarize()
+ */
+export function createMaskCounter() {
+  const counts = new Uint32Array(MASK_REASONS.length);
+  return {
+    add(code) {
+      counts[code]++;
+    },
+    summarize() {
+      const reasons = {};
+      let maskedPixels = 0;
+      for (let code = 1; code < counts.length; code++) {
+        reasons[MASK_REASONS[code]] = counts[code];
+        maskedPixels += counts[code];
+      }
+      return { maskedPixels, reasons };
+    }
+  };
+}
+
+/**
+ * Get the reason code for a reason name
+ * @param {string} reason - Entry of MASK_REASONS
+ * @returns {number} - Reason code
+ */
+export function getReasonCode(reason) {
+  return REASON_CODES[reason];
+}
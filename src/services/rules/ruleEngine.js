@@ -0,0 +1,247 @@
+/**
+ * Rule engine - evaluates declarative rule sets against request facts.
+ *
+ * A rule set is JSON of the form
+ *   { id, version, description, rules: [Rule] }
+ *   Rule: { id, section, priority?, description?, when?, then }
+ *
+ * `when` is a condition tree; a rule without one always matches:
+ *   { all: [Condition] } | { any: [Condition] } | { not: Condition }
+ *   | { fact: 'weather.totalRainfall', op: 'lt', value: 10 }
+ * Facts are looked up by dotted path. A comparison on a fact that is
+ * missing is false; use { op: 'exists' } to test for presence.
+ *
+ * Rules are evaluated by descending priority. In "first" sections the
+ * first matching rule supplies the result; in "all" sections every
+ * matching rule contributes.
+ */
+
+import { createHttpError } from "../../utils/errorUtils.js";
+
+/**
+ * Sections a rule can target, how matches combine and the fields their
+ * `then` must provide
+ */
+export const RULE_SECTIONS = {
+  vegetationHealth: { mode: 'first', fields: { status: 'string', percentage: 'number', description: 'string' } },
+  cropRecommendations: { mode: 'all', fields: { crops: 'array' } },
+  irrigationAdvice: { mode: 'first', fields: { advice: 'string' } },
+  yieldPrediction: { mode: 'first', fields: { prediction: 'string', confidence: 'string', recommendation: 'string' } },
+  notes: { mode: 'all', fields: { note: 'string' } }
+};
+
+const OPERATORS = {
+  eq: (actual, expected) => actual === expected,
+  ne: (actual, expected) => actual !== expected,
+  gt: (actual, expected) => actual > expected,
+  gte: (actual, expected) => actual >= expected,
+  lt: (actual, expected) => actual < expected,
+  lte: (actual, expected) => actual <= expected,
+  in: (actual, expected) => expected.includes(actual),
+  notIn: (actual, expected) => !expected.includes(actual),
+  between: (actual, [min, max]) => actual >= min && actual <= max
+};
+
+const CROP_FIELDS = ['crop', 'confidence', 'reason', 'expectedYield'];
+
+/**
+ * Evaluate a rule set against facts
+ * @param {Object} ruleSet - Validated rule set
+ * @param {Object} facts - Fact values, e.g. { ndvi, season, soil, weather: { totalRainfall } }
+ * @returns {Object} - { results: { [section]: then | Array<then> | null }, fired: [{ id, section, description }] }
+ */
+export function evaluateRuleSet(ruleSet, facts) {
+  const results = {};
+  const fired = [];
+  Object.entries(RULE_SECTIONS).forEach(([section, { mode }]) => {
+    results[section] = mode === 'all' ? [] : null;
+  });
+
+  const ordered = [...ruleSet.rules].sort((a, b) => (b.priority || 0) - (a.priority || 0));
+  for (const rule of ordered) {
+    const { mode } = RULE_SECTIONS[rule.section];
+    if (mode === 'first' && results[rule.section] !== null) {
+      continue;
+    }
+    if (rule.when && !evaluateCondition(rule.when, facts)) {
+      continue;
+    }
+    if (mode === 'first') {
+      results[rule.section] = rule.then;
+    } else {
+      results[rule.section].push(rule.then);
+    }
+    fired.push({ id: rule.id, section: rule.section, description: rule.description || null });
+  }
+
+  return { results, fired };
+}
+
+/**
+ * Check a rule set for structural errors
+ * @param {Object} ruleSet - Candidate rule set
+ * @returns {Object} - { valid, errors: [string] }
+ */
+export function validateRuleSet(ruleSet) {
+  const errors = [];
+  if (!ruleSet || typeof ruleSet !== 'object' || Array.isArray(ruleSet)) {
+    return { valid: false, errors: ['Rule set must be a JSON object'] };
+  }
+  if (typeof ruleSet.id !== 'string' || !/^[a-z0-9][a-z0-9_-]*$/i.test(ruleSet.id)) {
+    errors.push('id must be a string of letters, digits, "-" or "_"');
+  }
+  if (ruleSet.version !== undefined && typeof ruleSet.version !== 'number') {
+    errors.push('version must be a number');
+  }
+  if (!Array.isArray(ruleSet.rules) || ruleSet.rules.length === 0) {
+    errors.push('rules must be a non-empty array');
+    return { valid: false, errors };
+  }
+
+  const ids = new Set();
+  ruleSet.rules.forEach((rule, index) => {
+    const label = `rules[${index}]${rule && rule.id ? ` (${rule.id})` : ''}`;
+    if (!rule || typeof rule !== 'object') {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+    if (typeof rule.id !== 'string' || rule.id === '') {
+      errors.push(`${label}: id is required`);
+    } else if (ids.has(rule.id)) {
+      errors.push(`${label}: duplicate id`);
+    }
+    ids.add(rule.id);
+
+    const section = RULE_SECTIONS[rule.section];
+    if (!section) {
+      errors.push(`${label}: section must be one of ${Object.keys(RULE_SECTIONS).join(', ')}`);
+      return;
+    }
+    if (rule.priority !== undefined && typeof rule.priority !== 'number') {
+      errors.push(`${label}: priority must be a number`);
+    }
+    if (rule.when !== undefined) {
+      validateCondition(rule.when, `${label}.when`, errors);
+    }
+    validateThen(rule, section, label, errors);
+  });
+
+  // Single-result sections need a rule that always matches so every response is complete
+  Object.entries(RULE_SECTIONS)
+    .filter(([, { mode }]) => mode === 'first')
+    .forEach(([name]) => {
+      if (!ruleSet.rules.some(rule => rule && rule.section === name && rule.when === undefined)) {
+        errors.push(`Section ${name} needs a fallback rule without "when"`);
+      }
+    });
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Validate a rule set and throw a 400 listing the problems when it is invalid
+ * @param {Object} ruleSet - Candidate rule set
+ * @returns {Object} - The rule set
+ */
+export function assertValidRuleSet(ruleSet) {
+  const { valid, errors } = validateRuleSet(ruleSet);
+  if (!valid) {
+    const error = createHttpError(400, `Invalid rule set: ${errors.join('; ')}`);
+    error.errors = errors;
+    throw error;
+  }
+  return ruleSet;
+}
+
+function evaluateCondition(condition, facts) {
+  if (condition.all) {
+    return condition.all.every(child => evaluateCondition(child, facts));
+  }
+  if (condition.any) {
+    return condition.any.some(child => evaluateCondition(child, facts));
+  }
+  if (condition.not) {
+    return !evaluateCondition(condition.not, facts);
+  }
+
+  const actual = getFact(facts, condition.fact);
+  if (condition.op === 'exists') {
+    return (actual !== undefined && actual !== null) === (condition.value !== false);
+  }
+  if (actual === undefined || actual === null) {
+    return false;
+  }
+  return OPERATORS[condition.op](actual, condition.value);
+}
+
+function validateCondition(condition, path, errors) {
+  if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+    errors.push(`${path} must be an object`);
+    return;
+  }
+  const groups = ['all', 'any', 'not'].filter(key => condition[key] !== undefined);
+  if (groups.length > 1) {
+    errors.push(`${path} must use only one of all, any or not`);
+    return;
+  }
+  if (groups[0] === 'not') {
+    validateCondition(condition.not, `${path}.not`, errors);
+    return;
+  }
+  if (groups.length === 1) {
+    const children = condition[groups[0]];
+    if (!Array.isArray(children)) {
+      errors.push(`${path}.${groups[0]} must be an array`);
+      return;
+    }
+    children.forEach((child, i) => validateCondition(child, `${path}.${groups[0]}[${i}]`, errors));
+    return;
+  }
+
+  if (typeof condition.fact !== 'string' || condition.fact === '') {
+    errors.push(`${path}.fact must be a fact name`);
+  }
+  if (condition.op === 'exists') {
+    if (condition.value !== undefined && typeof condition.value !== 'boolean') {
+      errors.push(`${path}.value must be true or false for exists`);
+    }
+    return;
+  }
+  if (!OPERATORS[condition.op]) {
+    errors.push(`${path}.op must be one of ${[...Object.keys(OPERATORS), 'exists'].join(', ')}`);
+    return;
+  }
+  if ((condition.op === 'in' || condition.op === 'notIn') && !Array.isArray(condition.value)) {
+    errors.push(`${path}.value must be an array for ${condition.op}`);
+  } else if (condition.op === 'between' && !(Array.isArray(condition.value) && condition.value.length === 2)) {
+    errors.push(`${path}.value must be [min, max] for between`);
+  } else if (condition.value === undefined) {
+    errors.push(`${path}.value is required`);
+  }
+}
+
+function validateThen(rule, section, label, errors) {
+  if (!rule.then || typeof rule.then !== 'object' || Array.isArray(rule.then)) {
+    errors.push(`${label}: then must be an object`);
+    return;
+  }
+  Object.entries(section.fields).forEach(([field, type]) => {
+    const value = rule.then[field];
+    const matches = type === 'array' ? Array.isArray(value) : typeof value === type;
+    if (!matches) {
+      errors.push(`${label}: then.${field} must be ${type === 'array' ? 'an array' : `a ${type}`}`);
+    }
+  });
+  if (rule.section === 'cropRecommendations' && Array.isArray(rule.then.crops)) {
+    rule.then.crops.forEach((crop, i) => {
+      const missing = CROP_FIELDS.filter(field => typeof crop?.[field] !== 'string');
+      if (missing.length > 0) {
+        errors.push(`${label}: then.crops[${i}] needs string ${missing.join(', ')}`);
+      }
+    });
+  }
+}
+
+function getFact(facts, path) {
+  return path.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), facts);
+}
@@ -0,0 +1,145 @@
+/**
+ * Rule set store - keeps uploaded suggestion rule sets in the document
+ * store and tracks which one is active. The built-in rule set from
+ * defaultRuleSet.json is used while no uploaded set is active.
+ */
+
+import fs from "fs";
+import { getCollection } from "../dataStore.js";
+import { assertValidRuleSet } from "./ruleEngine.js";
+import { createHttpError } from "../../utils/errorUtils.js";
+import { invalidateCache } from "../cache/resultCache.js";
+
+const DEFAULT_RULE_SET = assertValidRuleSet(
+  JSON.parse(fs.readFileSync(new URL('./defaultRuleSet.json', import.meta.url), 'utf8'))
+);
+
+// Active rule set, cached until a rule set is saved or activated
+let activeRuleSet = null;
+
+// Cache tag of results evaluated with the active rule set
+export const RULES_CACHE_TAG = 'rules';
+
+/**
+ * Get the built-in rule set
+ * @returns {Object} - Rule set
+ */
+export function getDefaultRuleSet() {
+  return DEFAULT_RULE_SET;
+}
+
+/**
+ * Get the rule set suggestions are evaluated with
+ * @returns {Object} - Active rule set
+ */
+export async function getActiveRuleSet() {
+  if (!activeRuleSet) {
+    const [stored] = await getCollection('ruleSets').find({ where: { active: true } });
+    activeRuleSet = stored ? toRuleSet(stored) : DEFAULT_RULE_SET;
+  }
+  return activeRuleSet;
+}
+
+/**
+ * List the built-in and uploaded rule sets
+ * @returns {Array} - [{ id, version, description, ruleCount, active, builtIn, loadedAt }]
+ */
+export async function listRuleSets() {
+  const stored = await getCollection('ruleSets').find();
+  const active = stored.find(ruleSet => ruleSet.active);
+  return [
+    summarize(DEFAULT_RULE_SET, { active: !active, builtIn: true, loadedAt: null }),
+    ...stored
+      .sort((a, b) => a.id.localeCompare(b.id))
+      .map(ruleSet => summarize(ruleSet, { active: Boolean(ruleSet.active), builtIn: false, loadedAt: ruleSet.loadedAt }))
+  ];
+}
+
+/**
+ * Get a rule set by id
+ * @param {string} id - Rule set id
+ * @returns {Object} - Rule set
+ */
+export async function getRuleSet(id) {
+  if (id === DEFAULT_RULE_SET.id) {
+    return DEFAULT_RULE_SET;
+  }
+  const stored = await getCollection('ruleSets').get(id);
+  if (!stored) {
+    throw createHttpError(404, `Rule set "${id}" not found`);
+  }
+  return toRuleSet(stored);
+}
+
+/**
+ * Validate and store a rule set, replacing any earlier version with the same id
+ * @param {Object} ruleSet - Rule set JSON
+ * @param {Object} [options] - Save options
+ * @param {boolean} [options.activate=false] - Make it the active rule set
+ * @returns {Object} - Summary of the stored rule set
+ */
+export async function saveRuleSet(ruleSet, { activate = false } = {}) {
+  assertValidRuleSet(ruleSet);
+  if (ruleSet.id === DEFAULT_RULE_SET.id) {
+    throw createHttpError(400, `"${DEFAULT_RULE_SET.id}" is the built-in rule set; upload under another id`);
+  }
+
+  const collection = getCollection('ruleSets');
+  const existing = await collection.get(ruleSet.id);
+  const stored = await collection.insert({
+    id: ruleSet.id,
+    version: ruleSet.version ?? 1,
+    description: ruleSet.description || '',
+    rules: ruleSet.rules,
+    active: Boolean(existing && existing.active),
+    loadedAt: new Date().toISOString()
+  });
+  activeRuleSet = null;
+
+  if (activate) {
+    return activateRuleSet(stored.id);
+  }
+  return summarize(stored, { active: stored.active, builtIn: false, loadedAt: stored.loadedAt });
+}
+
+/**
+ * Make a rule set the active one; activating "default" returns to the built-in rules
+ * @param {string} id - Rule set id
+ * @returns {Object} - Summary of the active rule set
+ */
+export async function activateRuleSet(id) {
+  const collection = getCollection('ruleSets');
+  const target = id === DEFAULT_RULE_SET.id ? null : await collection.get(id);
+  if (id !== DEFAULT_RULE_SET.id && !target) {
+    throw createHttpError(404, `Rule set "${id}" not found`);
+  }
+
+  const previous = await collection.find({ where: { active: true } });
+  for (const ruleSet of previous.filter(ruleSet => ruleSet.id !== id)) {
+    await collection.update(ruleSet.id, { active: false });
+  }
+  activeRuleSet = null;
+  await invalidateCache(RULES_CACHE_TAG);
+
+  if (!target) {
+    return summarize(DEFAULT_RULE_SET, { active: true, builtIn: true, loadedAt: null });
+  }
+  const updated = await collection.update(id, { active: true });
+  return summarize(updated, { active: true, builtIn: false, loadedAt: updated.loadedAt });
+}
+
+function toRuleSet({ id, version, description, rules }) {
+  return { id, version, description, rules };
+}
+
+function summarize(ruleSet, { active, builtIn, loadedAt }) {
+  return {
+    id: ruleSet.id,
+    version: ruleSet.version ?? 1,
+    description: ruleSet.description || '',
+    ruleCount: ruleSet.rules.length,
+    active,
+    builtIn,
+    loadedAt
+  };
+}
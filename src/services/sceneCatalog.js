@@ -0,0 +1,225 @@
+/**
+ * Scene catalog - tracks satellite scenes (one GeoTIFF per band) with their
+ * acquisition date, sensor, footprint and cloud cover, and picks the best
+ * scene for a location and date.
+ */
+
+import { fromArrayBuffer } from "geotiff";
+import { getCollection } from "./dataStore.js";
+import { getRasterStorage } from "./storage/rasterStorage.js";
+import { getImageFootprint } from "../utils/projectionUtils.js";
+import { createHttpError } from "../utils/errorUtils.js";
+import { invalidateCache } from "./cache/resultCache.js";
+import {
+  normalizePolygonFeatures,
+  getGeometryBoundingBox,
+  getGeometryPolygons,
+  pointInPolygon
+} from "../utils/coordinateUtils.js";
+
+export const BAND_NAMES = ['red', 'nir', 'blue', 'green', 'rededge', 'swir', 'scl', 'qa'];
+
+// Each percent of cloud cover weighs as much as half a day of date distance
+const CLOUD_COVER_DAY_WEIGHT = 0.5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Cache tag of results that depend on which scenes exist, e.g. suggestions
+export const SCENES_CACHE_TAG = 'scenes';
+
+/**
+ * Register a scene in the catalog
+ * @param {Object} input - Scene metadata
+ * @param {string} input.acquiredAt - Acquisition date (ISO 8601)
+ * @param {string} input.sensor - Sensor name, e.g. 'Sentinel-2A'
+ * @param {number} [input.cloudCover] - Cloud cover percentage (0-100)
+ * @param {Object} [input.footprint] - GeoJSON Polygon; derived from the first uploaded band when omitted
+ * @param {Object} [input.bands] - Existing raster storage keys by band name
+ * @returns {Object} - Stored scene
+ */
+export async function registerScene({ acquiredAt, sensor, cloudCover = null, footprint = null, bands = {} }) {
+  const acquisitionDate = new Date(acquiredAt);
+  if (!acquiredAt || isNaN(acquisitionDate.getTime())) {
+    throw createHttpError(400, 'acquiredAt must be a valid ISO date');
+  }
+  if (!sensor || typeof sensor !== 'string') {
+    throw createHttpError(400, 'sensor is required');
+  }
+  if (cloudCover !== null && (typeof cloudCover !== 'number' || cloudCover < 0 || cloudCover > 100)) {
+    throw createHttpError(400, 'cloudCover must be a number between 0 and 100');
+  }
+  if (footprint) {
+    if (!['Polygon', 'MultiPolygon'].includes(footprint.type)) {
+      throw createHttpError(400, 'footprint must be a GeoJSON Polygon or MultiPolygon');
+    }
+    try {
+      normalizePolygonFeatures(footprint);
+    } catch (error) {
+      throw createHttpError(400, `Invalid footprint: ${error.message}`);
+    }
+  }
+
+  const storage = getRasterStorage();
+  for (const [band, key] of Object.entries(bands)) {
+    if (!BAND_NAMES.includes(band)) {
+      throw createHttpError(400, `Unknown band "${band}". Supported bands: ${BAND_NAMES.join(', ')}`);
+    }
+    if (!(await storage.exists(key))) {
+      throw createHttpError(400, `Band file ${key} not found in ${storage.name} storage`);
+    }
+  }
+
+  const now = new Date().toISOString();
+  const scene = await getCollection('scenes').insert({
+    acquiredAt: acquisitionDate.toISOString(),
+    sensor,
+    cloudCover,
+    footprint,
+    bands,
+    createdAt: now,
+    updatedAt: now
+  });
+
+  // A new scene can become the best match for locations it covers
+  await invalidateCache(SCENES_CACHE_TAG);
+  return scene;
+}
+
+/**
+ * Upload a band GeoTIFF for a registered scene
+ * @param {string} sceneId - Scene id
+ * @param {string} band - Band name
+ * @param {Buffer} buffer - GeoTIFF file contents
+ * @returns {Object} - Updated scene
+ */
+export async function uploadSceneBand(sceneId, band, buffer) {
+  const scene = await getScene(sceneId);
+  if (!scene) {
+    throw createHttpError(404, `Scene ${sceneId} not found`);
+  }
+  if (!BAND_NAMES.includes(band)) {
+    throw createHttpError(400, `Unknown band "${band}". Supported bands: ${BAND_NAMES.join(', ')}`);
+  }
+  if (!buffer || buffer.length === 0) {
+    throw createHttpError(400, 'Request body must contain the GeoTIFF file');
+  }
+
+  let image;
+  try {
+    const tiff = await fromArrayBuffer(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength));
+    image = await tiff.getImage();
+  } catch (error) {
+    throw createHttpError(400, `Body is not a readable GeoTIFF: ${error.message}`);
+  }
+
+  const key = `scenes/${sceneId}/${band}.tif`;
+  await getRasterStorage().upload(key, buffer, { contentType: 'image/tiff' });
+
+  const changes = {
+    bands: { ...scene.bands, [band]: key },
+    updatedAt: new Date().toISOString()
+  };
+  if (!scene.footprint) {
+    try {
+      changes.footprint = getImageFootprint(image);
+    } catch (error) {
+      console.warn(`Could not derive footprint for scene ${sceneId}:`, error.message);
+    }
+  }
+  const updated = await getCollection('scenes').update(sceneId, changes);
+
+  // Results computed from the scene's previous bands are stale now
+  await invalidateCache(getSceneCacheTag(sceneId));
+  await invalidateCache(SCENES_CACHE_TAG);
+  return updated;
+}
+
+/**
+ * Cache tag of results computed from a scene
+ * @param {string|null} sceneId - Scene id, or null for the default band files
+ * @returns {string} - Cache tag
+ */
+export function getSceneCacheTag(sceneId) {
+  return `scene:${sceneId || 'default'}`;
+}
+
+/**
+ * Get a scene by id
+ * @param {string} sceneId - Scene id
+ * @returns {Object|null} - Scene or null
+ */
+export async function getScene(sceneId) {
+  return getCollection('scenes').get(sceneId);
+}
+
+/**
+ * Search the catalog, newest scenes first
+ * @param {Object} [criteria] - Search criteria
+ * @param {Object} [criteria.bbox] - { north, south, east, west } the footprint must intersect
+ * @param {Date} [criteria.from] - Earliest acquisition date
+ * @param {Date} [criteria.to] - Latest acquisition date
+ * @param {string} [criteria.sensor] - Sensor name
+ * @param {number} [criteria.maxCloudCover] - Maximum cloud cover percentage
+ * @returns {Array} - Matching scenes
+ */
+export async function searchScenes({ bbox, from, to, sensor, maxCloudCover } = {}) {
+  const scenes = await getCollection('scenes').find({
+    where: sensor ? { sensor } : {},
+    filter: scene => {
+      const acquired = new Date(scene.acquiredAt);
+      if (from && acquired < from) return false;
+      if (to && acquired > to) return false;
+      if (maxCloudCover !== undefined && scene.cloudCover !== null && scene.cloudCover > maxCloudCover) return false;
+      if (bbox) {
+        if (!scene.footprint) return false;
+        const box = getGeometryBoundingBox(scene.footprint);
+        if (box.west > bbox.east || box.east < bbox.west || box.south > bbox.north || box.north < bbox.south) {
+          return false;
+        }
+      }
+      return true;
+    }
+  });
+  return scenes.sort((a, b) => b.acquiredAt.localeCompare(a.acquiredAt));
+}
+
+/**
+ * Pick the scene that best covers a location on a date. Scenes must contain
+ * the point and have every requested band; among them the one with the
+ * lowest score (days from the date plus weighted cloud cover) wins.
+ * @param {Object} criteria - Selection criteria
+ * @param {number} criteria.latitude - Latitude coordinate
+ * @param {number} criteria.longitude - Longitude coordinate
+ * @param {Date} [criteria.date] - Target date (default: now)
+ * @param {Array<string>} criteria.bands - Bands the scene must provide
+ * @returns {Object|null} - Best scene or null when none matches
+ */
+export async function findBestScene({ latitude, longitude, date = new Date(), bands }) {
+  const candidates = await getCollection('scenes').find({
+    filter: scene =>
+      scene.footprint &&
+      bands.every(band => scene.bands && scene.bands[band]) &&
+      getGeometryPolygons(scene.footprint).some(rings => pointInPolygon([longitude, latitude], rings))
+  });
+
+  return selectBestScene(candidates, date);
+}
+
+/**
+ * Pick the scene with the lowest score: days from the date plus weighted cloud cover
+ * @param {Array} scenes - Candidate scenes with acquiredAt and cloudCover
+ * @param {Date} date - Target date
+ * @returns {Object|null} - Best scene or null when there are no candidates
+ */
+export function selectBestScene(scenes, date) {
+  let best = null;
+  let bestScore = Infinity;
+  scenes.forEach(scene => {
+    const daysApart = Math.abs(new Date(scene.acquiredAt) - date) / DAY_MS;
+    const score = daysApart + (scene.cloudCover || 0) * CLOUD_COVER_DAY_WEIGHT;
+    if (score < bestScore) {
+      best = scene;
+      bestScore = score;
+    }
+  });
+  return best;
+}
@@ -0,0 +1,64 @@
+/**
+ * Soil provider reading a local GeoJSON FeatureCollection of soil map
+ * units, e.g. a national soil survey exported with ogr2ogr. Each polygon's
+ * properties use the names of the provider interface (clay, sand, silt,
+ * ph, organicCarbon, fieldCapacity, wiltingPoint, texture); missing ones
+ * are null. The file is loaded once, on the first request.
+ */
+
+import fs from "fs/promises";
+import { getGeometryBoundingBox, getGeometryPolygons, pointInPolygon } from "../../utils/coordinateUtils.js";
+import { SOIL_TYPES } from "../irrigationService.js";
+
+const NUMERIC_PROPERTIES = ['clay', 'sand', 'silt', 'ph', 'organicCarbon', 'fieldCapacity', 'wiltingPoint'];
+
+/**
+ * Create a provider for a GeoJSON file of soil polygons
+ * @param {Object} options - Provider options
+ * @param {string} options.file - Path of the FeatureCollection
+ * @returns {Object} - Soil data provider
+ */
+export function createGeoJsonProvider({ file }) {
+  let loading = null;
+
+  async function loadUnits() {
+    const collection = JSON.parse(await fs.readFile(file, 'utf8'));
+    if (collection.type !== 'FeatureCollection' || !Array.isArray(collection.features)) {
+      throw new Error(`${file} is not a GeoJSON FeatureCollection`);
+    }
+    return collection.features
+      .filter(feature => feature && feature.geometry && ['Polygon', 'MultiPolygon'].includes(feature.geometry.type))
+      .map(feature => ({
+        properties: feature.properties || {},
+        polygons: getGeometryPolygons(feature.geometry),
+        bbox: getGeometryBoundingBox(feature.geometry)
+      }));
+  }
+
+  return {
+    name: 'geojson',
+    async getProperties(latitude, longitude) {
+      if (!loading) {
+        loading = loadUnits().catch(error => {
+          loading = null;
+          throw error;
+        });
+      }
+      const units = await loading;
+
+      const unit = units.find(({ bbox, polygons }) =>
+        longitude >= bbox.west && longitude <= bbox.east && latitude >= bbox.south && latitude <= bbox.north &&
+        polygons.some(rings => pointInPolygon([longitude, latitude], rings)));
+      if (!unit) {
+        return null;
+      }
+
+      const properties = Object.fromEntries(NUMERIC_PROPERTIES.map(name => {
+        const value = parseFloat(unit.properties[name]);
+        return [name, isNaN(value) ? null : value];
+      }));
+      const texture = SOIL_TYPES[unit.properties.texture] ? unit.properties.texture : null;
+      return { ...properties, texture };
+    }
+  };
+}
@@ -0,0 +1,48 @@
+/**
+ * Soil provider sampling SoilGrids-style GeoTIFF layers in raster storage
+ * (https://www.isric.org/explore/soilgrids). Each property is a separate
+ * single-band file named after the SoilGrids property, e.g. "soil/clay.tif"
+ * holding the 0-30 cm mean, in the SoilGrids mapped units. SoilGrids
+ * publishes in the Homolosine projection, so export the layers in WGS84
+ * (EPSG:4326), Web Mercator or UTM, e.g. through its WCS service.
+ */
+
+import { sampleRasterValue } from "../GeoTIFFService.js";
+
+// SoilGrids file per property and the factor converting its mapped units
+const LAYERS = {
+  clay: { file: 'clay.tif', scale: 0.1 },                // g/kg -> %
+  sand: { file: 'sand.tif', scale: 0.1 },                // g/kg -> %
+  silt: { file: 'silt.tif', scale: 0.1 },                // g/kg -> %
+  ph: { file: 'phh2o.tif', scale: 0.1 },                 // pH × 10 -> pH
+  organicCarbon: { file: 'soc.tif', scale: 0.1 },        // dg/kg -> g/kg
+  fieldCapacity: { file: 'wv0033.tif', scale: 0.001 },   // 10⁻³ cm³/cm³ at 33 kPa -> m³/m³
+  wiltingPoint: { file: 'wv1500.tif', scale: 0.001 }     // 10⁻³ cm³/cm³ at 1500 kPa -> m³/m³
+};
+
+/**
+ * Create a provider reading soil layers from raster storage
+ * @param {Object} options - Provider options
+ * @param {string} options.prefix - Storage key prefix of the layer files, e.g. "soil/"
+ * @returns {Object} - Soil data provider
+ */
+export function createRasterProvider({ prefix }) {
+  return {
+    name: 'raster',
+    async getProperties(latitude, longitude) {
+      const entries = await Promise.all(Object.entries(LAYERS).map(async ([property, { file, scale }]) => {
+        // A layer that is missing from storage leaves its property unknown
+        const value = await sampleRasterValue(prefix + file, latitude, longitude).catch(error => {
+          if (error.status === 404) {
+            return null;
+          }
+          throw error;
+        });
+        return [property, value === null ? null : parseFloat((value * scale).toFixed(3))];
+      }));
+
+      const properties = Object.fromEntries(entries);
+      return Object.values(properties).every(value => value === null) ? null : { ...properties, texture: null };
+    }
+  };
+}
@@ -0,0 +1,65 @@
+/**
+ * Soil data providers - where the topsoil properties at a location come from.
+ *
+ * Every provider implements
+ *   getProperties(latitude, longitude) -> Promise<Properties|null>
+ *     Properties: { clay, sand, silt,            % of the fine earth
+ *                   ph,                          pH in water
+ *                   organicCarbon,               g/kg
+ *                   fieldCapacity, wiltingPoint, volumetric water content (m³/m³)
+ *                   texture }                    a SOIL_TYPES class
+ * Properties a dataset does not cover are null; null means no data at all
+ * at the location.
+ *
+ * The provider is chosen with SOIL_PROVIDER ("raster", "geojson" or "none").
+ */
+
+import { createRasterProvider } from "./rasterProvider.js";
+import { createGeoJsonProvider } from "./geojsonProvider.js";
+
+let soilProvider = null;
+
+/**
+ * Get the configured soil data provider
+ * @returns {Object} - Soil data provider
+ */
+export function getSoilProvider() {
+  if (!soilProvider) {
+    soilProvider = createSoilProvider(process.env);
+  }
+  return soilProvider;
+}
+
+/**
+ * Replace the active soil data provider, e.g. with fixed values in tests
+ * @param {Object|null} provider - Soil data provider, or null to re-read configuration
+ */
+export function setSoilProvider(provider) {
+  soilProvider = provider;
+}
+
+/**
+ * Create a soil data provider from configuration values
+ * @param {Object} config - Configuration, usually process.env
+ * @returns {Object} - Soil data provider
+ */
+export function createSoilProvider(config) {
+  const provider = config.SOIL_PROVIDER || 'raster';
+
+  switch (provider) {
+    case 'raster':
+      return createRasterProvider({ prefix: config.SOIL_RASTER_PREFIX ?? 'soil/' });
+    case 'geojson':
+      if (!config.SOIL_GEOJSON_FILE) {
+        throw new Error('SOIL_GEOJSON_FILE is required for SOIL_PROVIDER=geojson');
+      }
+      return createGeoJsonProvider({ file: config.SOIL_GEOJSON_FILE });
+    case 'none':
+      return {
+        name: 'none',
+        async getProperties() { return null; }
+      };
+    default:
+      throw new Error(`Unknown SOIL_PROVIDER "${provider}". Use raster, geojson or none`);
+  }
+}
@@ -0,0 +1,150 @@
+/**
+ * Soil service - topsoil texture, pH, organic carbon and water holding
+ * capacity at a location, sampled from the configured soil dataset (see
+ * soil/soilProvider.js), with agronomic ratings for each property.
+ */
+
+import { getSoilProvider } from "./soil/soilProvider.js";
+import { SOIL_TYPES } from "./irrigationService.js";
+import { getField } from "./fieldRegistry.js";
+import { cached, buildCacheKey, getCacheTtl } from "./cache/resultCache.js";
+import { createHttpError } from "../utils/errorUtils.js";
+
+// Upper bounds of the pH classes (USDA soil survey, coarsened)
+const PH_CLASSES = [
+  { max: 5.5, rating: 'strongly_acidic' },
+  { max: 6.5, rating: 'slightly_acidic' },
+  { max: 7.5, rating: 'neutral' },
+  { max: 8.5, rating: 'slightly_alkaline' },
+  { max: Infinity, rating: 'strongly_alkaline' }
+];
+
+// Organic carbon (g/kg) limits used by Indian soil testing laboratories (0.5% and 0.75%)
+const ORGANIC_CARBON_CLASSES = [
+  { max: 5, rating: 'low' },
+  { max: 7.5, rating: 'medium' },
+  { max: Infinity, rating: 'high' }
+];
+
+// Available water capacity (mm per metre of soil)
+const WATER_CAPACITY_CLASSES = [
+  { max: 100, rating: 'low' },
+  { max: 150, rating: 'medium' },
+  { max: Infinity, rating: 'high' }
+];
+
+/**
+ * Get the soil properties at a location or registered field
+ * @param {Object} options - Lookup options
+ * @param {number} [options.latitude] - Latitude coordinate; required without a field
+ * @param {number} [options.longitude] - Longitude coordinate; required without a field
+ * @param {string} [options.fieldId] - Registered field whose centre is sampled; a texture
+ *   recorded for the field takes precedence over the dataset
+ * @param {Object} [options.user] - User looking up the field
+ * @returns {Object} - Texture, properties and ratings; properties the dataset lacks are null
+ */
+export async function getSoilProperties({ latitude, longitude, fieldId, user = null }) {
+  const field = fieldId ? await getField(fieldId, { user }) : null;
+  if (fieldId && !field) {
+    throw createHttpError(404, `Field ${fieldId} not found`);
+  }
+  const location = field
+    ? { latitude: field.centroid.latitude, longitude: field.centroid.longitude }
+    : { latitude, longitude };
+
+  const provider = getSoilProvider();
+  const sampled = await cached(
+    buildCacheKey(`soil:${provider.name}`, location),
+    { ttlSeconds: getCacheTtl('soil') },
+    () => provider.getProperties(location.latitude, location.longitude)
+  );
+  if (!sampled && !field?.soil) {
+    throw createHttpError(404, `No soil data from the ${provider.name} soil provider at ${location.latitude}, ${location.longitude}`);
+  }
+
+  const properties = sampled || {};
+  const derivedTexture = classifySoilTexture(properties.sand, properties.silt, properties.clay);
+  const texture = field?.soil || properties.texture || derivedTexture;
+  const textureSource = field?.soil ? 'field' : properties.texture ? 'dataset' : derivedTexture ? 'derived' : null;
+
+  // Missing retention values fall back to the texture class averages
+  const fieldCapacity = properties.fieldCapacity ?? (texture ? SOIL_TYPES[texture].fieldCapacity : null);
+  const wiltingPoint = properties.wiltingPoint ?? (texture ? SOIL_TYPES[texture].wiltingPoint : null);
+  const availableWaterCapacity = fieldCapacity !== null && wiltingPoint !== null
+    ? Math.round(Math.max(0, fieldCapacity - wiltingPoint) * 1000)
+    : null;
+
+  return {
+    location,
+    field: field ? { id: field.id, name: field.name } : null,
+    provider: provider.name,
+    texture,
+    textureSource,
+    properties: {
+      clay: properties.clay ?? null,
+      sand: properties.sand ?? null,
+      silt: properties.silt ?? null,
+      ph: properties.ph ?? null,
+      organicCarbon: properties.organicCarbon ?? null,
+      fieldCapacity,
+      wiltingPoint,
+      availableWaterCapacity
+    },
+    ratings: {
+      ph: rate(properties.ph, PH_CLASSES),
+      organicCarbon: rate(properties.organicCarbon, ORGANIC_CARBON_CLASSES),
+      availableWaterCapacity: rate(availableWaterCapacity, WATER_CAPACITY_CLASSES)
+    }
+  };
+}
+
+/**
+ * Classify a soil into a USDA texture class from its particle size fractions
+ * @param {number|null} sand - Sand content in %
+ * @param {number|null} silt - Silt content in %
+ * @param {number|null} clay - Clay content in %
+ * @returns {string|null} - SOIL_TYPES class, or null when a fraction is unknown
+ */
+export function classifySoilTexture(sand, silt, clay) {
+  if ([sand, silt, clay].some(value => value === null || value === undefined || isNaN(value))) {
+    return null;
+  }
+  const total = sand + silt + clay;
+  if (total <= 0) {
+    return null;
+  }
+  // Rescale so the fractions add up to 100% whatever the dataset's rounding
+  sand = sand * 100 / total;
+  silt = silt * 100 / total;
+  clay = clay * 100 / total;
+
+  if (silt + 1.5 * clay < 15) return 'sand';
+  if (silt + 2 * clay < 30) return 'loamy-sand';
+  if (clay >= 40) {
+    if (silt >= 40) return 'silty-clay';
+    return sand > 45 ? 'sandy-clay' : 'clay';
+  }
+  if (clay >= 35 && sand > 45) return 'sandy-clay';
+  if (clay >= 27) {
+    if (sand <= 20) return 'silty-clay-loam';
+    return sand <= 45 ? 'clay-loam' : 'sandy-clay-loam';
+  }
+  if (clay >= 20 && silt < 28 && sand > 45) return 'sandy-clay-loam';
+  if (silt >= 80 && clay < 12) return 'silt';
+  if (silt >= 50) return 'silt-loam';
+  if (clay >= 7 && silt >= 28 && sand <= 52) return 'loam';
+  return 'sandy-loam';
+}
+
+/**
+ * Find the rating of a value in a list of classes ordered by upper bound
+ * @param {number|null} value - Property value
+ * @param {Array} classes - [{ max, rating }], upper bounds exclusive
+ * @returns {string|null} - Rating, or null for unknown values
+ */
+function rate(value, classes) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  return classes.find(({ max }) => value < max).rating;
+}
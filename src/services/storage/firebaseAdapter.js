@@ -0,0 +1,47 @@
+/**
+ * Firebase Storage adapter for raster storage
+ */
+
+import admin from "firebase-admin";
+
+/**
+ * Create an adapter backed by a Firebase Storage bucket
+ * @param {Object} options - Adapter options
+ * @param {string} [options.bucketName] - Bucket name, defaults to the app's storageBucket
+ * @returns {Object} - Storage adapter
+ */
+export function createFirebaseAdapter({ bucketName } = {}) {
+  const bucket = () => {
+    if (admin.apps.length === 0) {
+      throw new Error('Firebase is not initialized. Provide serviceAccountKey.json or set STORAGE_BACKEND=local');
+    }
+    return admin.storage().bucket(bucketName);
+  };
+
+  return {
+    name: 'firebase',
+    async exists(key) {
+      const [exists] = await bucket().file(key).exists();
+      return exists;
+    },
+    async download(key) {
+      const [buffer] = await bucket().file(key).download();
+      return buffer;
+    },
+    async getSize(key) {
+      const [metadata] = await bucket().file(key).getMetadata();
+      return Number(metadata.size);
+    },
+    async readRange(key, offset, length) {
+      // The end of the range is inclusive
+      const [buffer] = await bucket().file(key).download({ start: offset, end: offset + length - 1 });
+      return buffer;
+    },
+    async upload(key, buffer, { contentType = 'image/tiff' } = {}) {
+      await bucket().file(key).save(buffer, { contentType, resumable: false });
+    },
+    async remove(key) {
+      await bucket().file(key).delete({ ignoreNotFound: true });
+    }
+  };
+}
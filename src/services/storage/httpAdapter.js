@@ -0,0 +1,70 @@
+/**
+ * Read-only raster storage over HTTP(S), for cloud-optimized GeoTIFFs
+ * published elsewhere such as STAC asset hrefs. Keys are absolute URLs;
+ * HTTP range requests fetch only the header and the tiles being read.
+ */
+
+const REQUEST_TIMEOUT_MS = 60000;
+
+/**
+ * Create an adapter reading URLs
+ * @param {Object} [options] - { headers } sent with every request
+ * @returns {Object} - Storage adapter
+ */
+export function createHttpAdapter({ headers = {} } = {}) {
+  async function request(method, url, extraHeaders = {}) {
+    try {
+      return await fetch(url, {
+        method,
+        headers: { ...headers, ...extraHeaders },
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+      });
+    } catch (error) {
+      const failure = new Error(`HTTP ${method} of "${url}" failed: ${error.message}`);
+      failure.status = 502;
+      throw failure;
+    }
+  }
+
+  async function expectOk(response, action, url) {
+    if (!response.ok) {
+      const error = new Error(`HTTP ${action} of "${url}" failed with ${response.status}`);
+      error.status = response.status === 404 ? 404 : 502;
+      throw error;
+    }
+    return response;
+  }
+
+  const readOnly = () => {
+    throw new Error('HTTP raster storage is read-only');
+  };
+
+  return {
+    name: 'http',
+    async exists(url) {
+      const response = await request('HEAD', url);
+      if (response.status === 404) {
+        return false;
+      }
+      await expectOk(response, 'HEAD', url);
+      return true;
+    },
+    async download(url) {
+      const response = await expectOk(await request('GET', url), 'download', url);
+      return Buffer.from(await response.arrayBuffer());
+    },
+    async getSize(url) {
+      const response = await expectOk(await request('HEAD', url), 'HEAD', url);
+      return Number(response.headers.get('content-length'));
+    },
+    async readRange(url, offset, length) {
+      const range = `bytes=${offset}-${offset + length - 1}`;
+      const response = await expectOk(await request('GET', url, { range }), 'range read', url);
+      const buffer = Buffer.from(await response.arrayBuffer());
+      // Servers that ignore Range answer 200 with the whole file
+      return response.status === 206 ? buffer : buffer.subarray(offset, offset + length);
+    },
+    upload: readOnly,
+    remove: readOnly
+  };
+}
@@ -0,0 +1,64 @@
+/**
+ * Local filesystem adapter for raster storage, used in development and tests
+ */
+
+import fs from "fs/promises";
+import path from "path";
+
+/**
+ * Create an adapter that stores objects as files under a root directory
+ * @param {Object} options - Adapter options
+ * @param {string} options.rootDir - Directory holding the files
+ * @returns {Object} - Storage adapter
+ */
+export function createLocalAdapter({ rootDir }) {
+  const root = path.resolve(rootDir);
+
+  // Keys must stay inside the root so "../" cannot reach other files
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key "${key}"`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+    async exists(key) {
+      try {
+        await fs.access(resolveKey(key));
+        return true;
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          return false;
+        }
+        throw error;
+      }
+    },
+    async download(key) {
+      return fs.readFile(resolveKey(key));
+    },
+    async getSize(key) {
+      return (await fs.stat(resolveKey(key))).size;
+    },
+    async readRange(key, offset, length) {
+      const handle = await fs.open(resolveKey(key), 'r');
+      try {
+        const buffer = Buffer.alloc(length);
+        const { bytesRead } = await handle.read(buffer, 0, length, offset);
+        return buffer.subarray(0, bytesRead);
+      } finally {
+        await handle.close();
+      }
+    },
+    async upload(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+    },
+    async remove(key) {
+      await fs.rm(resolveKey(key), { force: true });
+    }
+  };
+}
@@ -0,0 +1,87 @@
+/**
+ * Raster storage - selects where band GeoTIFFs are read from and written to.
+ *
+ * Every adapter implements the same interface, with keys being
+ * slash-separated object names such as "red.tif":
+ *   exists(key)                    -> Promise<boolean>
+ *   download(key)                  -> Promise<Buffer>
+ *   upload(key, buffer, options)   -> Promise<void>   options: { contentType }
+ *   remove(key)                    -> Promise<void>
+ *
+ * Adapters that can read byte ranges also implement the following, which
+ * lets large GeoTIFFs be read tile by tile instead of downloaded whole:
+ *   getSize(key)                   -> Promise<number> size in bytes
+ *   readRange(key, offset, length) -> Promise<Buffer>
+ *
+ * The backend is chosen with STORAGE_BACKEND ("firebase", "local" or "s3").
+ * Keys that are http(s) URLs, such as STAC asset hrefs, are read over HTTP
+ * whatever the backend.
+ */
+
+import { createFirebaseAdapter } from "./firebaseAdapter.js";
+import { createLocalAdapter } from "./localAdapter.js";
+import { createS3Adapter } from "./s3Adapter.js";
+import { createHttpAdapter } from "./httpAdapter.js";
+
+let rasterStorage = null;
+let httpStorage = null;
+
+/**
+ * Get the configured raster storage adapter
+ * @returns {Object} - Storage adapter
+ */
+export function getRasterStorage() {
+  if (!rasterStorage) {
+    rasterStorage = createRasterStorage(process.env);
+  }
+  return rasterStorage;
+}
+
+/**
+ * Get the adapter that reads a key: the HTTP adapter for URLs, else the configured storage
+ * @param {string} key - Object key or http(s) URL
+ * @returns {Object} - Storage adapter
+ */
+export function getStorageForKey(key) {
+  if (/^https?:\/\//i.test(key)) {
+    if (!httpStorage) {
+      httpStorage = createHttpAdapter();
+    }
+    return httpStorage;
+  }
+  return getRasterStorage();
+}
+
+/**
+ * Replace the active storage adapter, e.g. with an in-memory one in tests
+ * @param {Object|null} adapter - Storage adapter, or null to re-read configuration
+ */
+export function setRasterStorage(adapter) {
+  rasterStorage = adapter;
+}
+
+/**
+ * Create a storage adapter from configuration values
+ * @param {Object} config - Configuration, usually process.env
+ * @returns {Object} - Storage adapter
+ */
+export function createRasterStorage(config) {
+  const backend = config.STORAGE_BACKEND || 'firebase';
+
+  switch (backend) {
+    case 'firebase':
+      return createFirebaseAdapter({ bucketName: config.FIREBASE_STORAGE_BUCKET });
+    case 'local':
+      return createLocalAdapter({ rootDir: config.LOCAL_STORAGE_DIR || 'data/rasters' });
+    case 's3':
+      return createS3Adapter({
+        endpoint: config.S3_ENDPOINT,
+        bucket: config.S3_BUCKET,
+        region: config.S3_REGION || 'us-east-1',
+        accessKeyId: config.S3_ACCESS_KEY_ID,
+        secretAccessKey: config.S3_SECRET_ACCESS_KEY
+      });
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND "${backend}". Use firebase, local or s3`);
+  }
+}
@@ -0,0 +1,151 @@
+/**
+ * S3-compatible object store adapter for raster storage (AWS S3, MinIO,
+ * Cloudflare R2, ...). Requests are signed with AWS Signature Version 4
+ * and use path-style URLs so any S3-compatible endpoint works.
+ */
+
+import crypto from "crypto";
+
+const EMPTY_PAYLOAD_HASH = crypto.createHash('sha256').update('').digest('hex');
+
+/**
+ * Create an adapter backed by an S3-compatible bucket
+ * @param {Object} options - Adapter options
+ * @param {string} options.endpoint - Endpoint URL, e.g. https://s3.ap-south-1.amazonaws.com
+ * @param {string} options.bucket - Bucket name
+ * @param {string} options.region - Signing region
+ * @param {string} options.accessKeyId - Access key id
+ * @param {string} options.secretAccessKey - Secret access key
+ * @returns {Object} - Storage adapter
+ */
+export function createS3Adapter({ endpoint, bucket, region, accessKeyId, secretAccessKey }) {
+  if (!endpoint || !bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('S3 storage requires S3_ENDPOINT, S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+  }
+
+  const baseUrl = endpoint.replace(/\/+$/, '');
+
+  async function request(method, key, { body, headers = {} } = {}) {
+    const url = new URL(`${baseUrl}/${bucket}/${encodeKey(key)}`);
+    const signedHeaders = signRequest({
+      method,
+      url,
+      headers,
+      payloadHash: body ? sha256Hex(body) : EMPTY_PAYLOAD_HASH,
+      region,
+      accessKeyId,
+      secretAccessKey
+    });
+    return fetch(url, { method, headers: signedHeaders, body });
+  }
+
+  async function expectOk(response, action, key) {
+    if (!response.ok) {
+      const details = await response.text().catch(() => '');
+      const error = new Error(`S3 ${action} of "${key}" failed with ${response.status} ${details}`.trim());
+      error.status = response.status === 404 ? 404 : 502;
+      throw error;
+    }
+    return response;
+  }
+
+  return {
+    name: 's3',
+    async exists(key) {
+      const response = await request('HEAD', key);
+      if (response.status === 404) {
+        return false;
+      }
+      await expectOk(response, 'HEAD', key);
+      return true;
+    },
+    async download(key) {
+      const response = await expectOk(await request('GET', key), 'download', key);
+      return Buffer.from(await response.arrayBuffer());
+    },
+    async getSize(key) {
+      const response = await expectOk(await request('HEAD', key), 'HEAD', key);
+      return Number(response.headers.get('content-length'));
+    },
+    async readRange(key, offset, length) {
+      const range = `bytes=${offset}-${offset + length - 1}`;
+      const response = await expectOk(await request('GET', key, { headers: { range } }), 'range read', key);
+      const buffer = Buffer.from(await response.arrayBuffer());
+      // Servers that ignore Range answer 200 with the whole object
+      return response.status === 206 ? buffer : buffer.subarray(offset, offset + length);
+    },
+    async upload(key, buffer, { contentType = 'image/tiff' } = {}) {
+      await expectOk(await request('PUT', key, { body: buffer, headers: { 'content-type': contentType } }), 'upload', key);
+    },
+    async remove(key) {
+      const response = await request('DELETE', key);
+      if (response.status !== 404) {
+        await expectOk(response, 'delete', key);
+      }
+    }
+  };
+}
+
+/**
+ * Add AWS Signature Version 4 headers to a request
+ * @param {Object} options - Request and credential details
+ * @returns {Object} - Headers including Authorization
+ */
+function signRequest({ method, url, headers, payloadHash, region, accessKeyId, secretAccessKey }) {
+  const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const dateStamp = amzDate.slice(0, 8);
+
+  const allHeaders = {
+    ...Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value)])),
+    host: url.host,
+    'x-amz-date': amzDate,
+    'x-amz-content-sha256': payloadHash
+  };
+  const headerNames = Object.keys(allHeaders).sort();
+  const canonicalHeaders = headerNames.map(name => `${name}:${allHeaders[name].trim()}\n`).join('');
+  const signedHeaderList = headerNames.join(';');
+
+  const canonicalQuery = [...url.searchParams.entries()]
+    .map(([name, value]) => `${encodeRfc3986(name)}=${encodeRfc3986(value)}`)
+    .sort()
+    .join('&');
+
+  const canonicalRequest = [
+    method,
+    url.pathname,
+    canonicalQuery,
+    canonicalHeaders,
+    signedHeaderList,
+    payloadHash
+  ].join('\n');
+
+  const scope = `${dateStamp}/${region}/s3/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+
+  const signingKey = ['s3', 'aws4_request'].reduce(
+    (key, part) => hmac(key, part),
+    hmac(hmac(`AWS4${secretAccessKey}`, dateStamp), region)
+  );
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  return {
+    ...allHeaders,
+    authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaderList}, Signature=${signature}`
+  };
+}
+
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function encodeKey(key) {
+  return key.split('/').map(encodeRfc3986).join('/');
+}
+
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
@@ -1,81 +1,199 @@
 /**
- * Smart suggestion engine for crop recommendations based on NDVI data
+ * Smart suggestion engine for crop recommendations based on NDVI data.
+ * Health, crop, irrigation and yield advice come from a declarative rule
+ * set (see rules/ruleEngine.js) evaluated against NDVI, season, soil,
+ * weather, region and growth stage facts.
  */
 
+import { evaluateRuleSet } from "./rules/ruleEngine.js";
+import { getDefaultRuleSet } from "./rules/ruleSetStore.js";
+import { createHttpError } from "../utils/errorUtils.js";
+
+// Indian cropping seasons by month (0-11) and the names accepted for them
+const SEASON_BY_MONTH = ['rabi', 'rabi', 'rabi', 'zaid', 'zaid', 'kharif', 'kharif', 'kharif', 'kharif', 'kharif', 'rabi', 'rabi'];
+const SEASON_ALIASES = {
+  kharif: 'kharif',
+  monsoon: 'kharif',
+  rabi: 'rabi',
+  winter: 'rabi',
+  zaid: 'zaid',
+  summer: 'zaid'
+};
+
+// Typical NDVI range and field work per growth stage
+const STAGE_GUIDANCE = {
+  sown: {
+    expectedNdvi: [0, 0.2],
+    recommendations: ['Keep the seedbed moist for even germination', 'Break any soil crust that forms after heavy rain']
+  },
+  emergence: {
+    expectedNdvi: [0.1, 0.3],
+    recommendations: ['Gap-fill where seedlings failed to emerge', 'Control weeds early while the canopy is open']
+  },
+  tillering: {
+    expectedNdvi: [0.3, 0.6],
+    recommendations: ['Apply the first nitrogen top-dressing', 'Keep the field weed-free until the canopy closes']
+  },
+  vegetative: {
+    expectedNdvi: [0.3, 0.6],
+    recommendations: ['Scout for aphids and pod borer eggs', 'Avoid extra nitrogen; pulses fix their own']
+  },
+  flowering: {
+    expectedNdvi: [0.6, 0.9],
+    recommendations: ['Avoid any water stress until grain or pod set', 'Do not spray insecticides during peak pollination hours', 'Scout for blast, rust and pod borer damage']
+  },
+  maturity: {
+    expectedNdvi: [0.2, 0.5],
+    recommendations: ['Plan the harvest within the next one to two weeks', 'Arrange drying and storage before harvest']
+  }
+};
+
 /**
  * Analyzes NDVI data and provides crop suggestions
  * @param {number} currentNdvi - Current NDVI value
  * @param {number} historicalNdvi - Historical NDVI value for comparison
  * @param {Object} coordinates - Location coordinates
- * @param {string} season - Current season
+ * @param {string} season - Season name (kharif/monsoon, rabi/winter, zaid/summer) or 'current'
+ * @param {Object} [change] - Result of detectNdviChange() for the location; when no
+ *   historical NDVI value is given, the trend compares its later scene's mean with the earlier's
+ * @param {Object} [phenology] - Result of getCropPhenology() for the crop in the field;
+ *   irrigation and yield advice then follow its growth stage
+ * @param {Object} [context] - Further rule facts and the rule set to apply
+ * @param {string} [context.soil] - Soil texture class, e.g. 'clay'
+ * @param {Object} [context.soilProperties] - Result of getSoilProperties() for the location;
+ *   its properties become the soilProperties facts (ph, organicCarbon, availableWaterCapacity, ...)
+ * @param {string} [context.region] - Region or state name, e.g. 'Punjab'
+ * @param {Object} [context.weather] - Weather forecast summary from getWeatherForecast()
+ * @param {Object} [context.yieldEstimate] - Result of estimateYield() for the crop in the field;
+ *   its t/ha estimate is added to the yield prediction
+ * @param {Object} [context.ruleSet] - Rule set (default: the built-in rules)
  * @returns {Object} - Suggestions and recommendations
  */
-export function generateCropSuggestions(currentNdvi, historicalNdvi, coordinates, season = 'current') {
+export function generateCropSuggestions(currentNdvi, historicalNdvi, coordinates, season = 'current', change = null, phenology = null, context = {}) {
+  // Scene means are compared with each other, as currentNdvi may cover
+  // another area or come from another source than the earlier scene
+  let comparedNdvi = currentNdvi;
+  if (!historicalNdvi && change) {
+    historicalNdvi = change.from.meanNdvi;
+    comparedNdvi = change.to.meanNdvi;
+  }
+
+  const { ruleSet = getDefaultRuleSet() } = context;
+  const facts = buildFacts(currentNdvi, comparedNdvi, historicalNdvi, coordinates, season, phenology, context);
+  const { results, fired } = evaluateRuleSet(ruleSet, facts);
+
   const suggestions = {
-    vegetationHealth: analyzeVegetationHealth(currentNdvi),
-    cropRecommendations: [],
-    irrigationAdvice: '',
-    yieldPrediction: '',
-    historicalComparison: compareWithHistorical(currentNdvi, historicalNdvi)
+    vegetationHealth: {
+      status: results.vegetationHealth.status,
+      percentage: results.vegetationHealth.percentage,
+      description: results.vegetationHealth.description,
+      ndviValue: currentNdvi
+    },
+    cropRecommendations: mergeCropRecommendations(results.cropRecommendations),
+    irrigationAdvice: results.irrigationAdvice.advice,
+    yieldPrediction: {
+      prediction: results.yieldPrediction.prediction,
+      confidence: results.yieldPrediction.confidence,
+      ndviBased: currentNdvi,
+      recommendation: results.yieldPrediction.recommendation
+    },
+    historicalComparison: compareWithHistorical(comparedNdvi, historicalNdvi, change),
+    notes: results.notes.map(result => result.note)
   };
 
-  // Generate crop recommendations based on NDVI and season
-  suggestions.cropRecommendations = getCropRecommendations(currentNdvi, season);
-  
-  // Generate irrigation advice
-  suggestions.irrigationAdvice = getIrrigationAdvice(currentNdvi, historicalNdvi);
-  
-  // Predict yield based on vegetation health
-  suggestions.yieldPrediction = predictYield(currentNdvi, historicalNdvi);
+  if (context.yieldEstimate) {
+    suggestions.yieldPrediction.estimate = {
+      ...context.yieldEstimate.estimate,
+      modelSource: context.yieldEstimate.model.source
+    };
+  }
+
+  if (phenology) {
+    suggestions.cropStage = analyzeCropStage(currentNdvi, phenology);
+  }
+
+  suggestions.explanation = {
+    ruleSet: { id: ruleSet.id, version: ruleSet.version ?? 1 },
+    facts,
+    firedRules: fired
+  };
 
   return suggestions;
 }
 
 /**
- * Analyzes vegetation health based on NDVI value
- * @param {number} ndvi - NDVI value
- * @returns {Object} - Health analysis
+ * Resolve a season name to kharif, rabi or zaid
+ * @param {string} season - Season name or 'current'
+ * @param {Date} [date] - Date used for 'current'
+ * @returns {string} - Cropping season
  */
-function analyzeVegetationHealth(ndvi) {
-  let healthStatus, healthPercentage, description;
-  
-  if (ndvi >= 0.6) {
-    healthStatus = 'Excellent';
-    healthPercentage = 90;
-    description = 'High vegetation density, optimal growing conditions';
-  } else if (ndvi >= 0.4) {
-    healthStatus = 'Good';
-    healthPercentage = 75;
-    description = 'Healthy vegetation, good growing conditions';
-  } else if (ndvi >= 0.2) {
-    healthStatus = 'Moderate';
-    healthPercentage = 50;
-    description = 'Moderate vegetation, may need attention';
-  } else if (ndvi >= 0.1) {
-    healthStatus = 'Poor';
-    healthPercentage = 25;
-    description = 'Low vegetation density, intervention needed';
-  } else {
-    healthStatus = 'Critical';
-    healthPercentage = 10;
-    description = 'Very low vegetation, immediate action required';
+export function resolveSeason(season = 'current', date = new Date()) {
+  const name = String(season).trim().toLowerCase();
+  if (name === 'current') {
+    return SEASON_BY_MONTH[date.getUTCMonth()];
+  }
+  if (!SEASON_ALIASES[name]) {
+    throw createHttpError(400, `Unknown season "${season}". Use current, ${Object.keys(SEASON_ALIASES).join(', ')}`);
   }
+  return SEASON_ALIASES[name];
+}
 
+/**
+ * Collect the facts rules are evaluated against
+ * @param {number} currentNdvi - Current NDVI value
+ * @param {number} comparedNdvi - NDVI value compared with the historical one
+ * @param {number|null} historicalNdvi - Historical NDVI value
+ * @param {Object} coordinates - { latitude, longitude }
+ * @param {string} season - Requested season
+ * @param {Object|null} phenology - Phenology result
+ * @param {Object} context - { soil, soilProperties, region, weather, yieldEstimate }
+ * @returns {Object} - Facts keyed by name
+ */
+function buildFacts(currentNdvi, comparedNdvi, historicalNdvi, coordinates, season, phenology, { soil, soilProperties, region, weather, yieldEstimate }) {
+  const now = new Date();
   return {
-    status: healthStatus,
-    percentage: healthPercentage,
-    description,
-    ndviValue: ndvi
+    ndvi: currentNdvi,
+    historicalNdvi: historicalNdvi || null,
+    ndviChangePercent: historicalNdvi ? parseFloat(((comparedNdvi - historicalNdvi) / historicalNdvi * 100).toFixed(1)) : null,
+    season: resolveSeason(season, now),
+    month: now.getUTCMonth() + 1,
+    latitude: coordinates.latitude,
+    longitude: coordinates.longitude,
+    soil: soil || null,
+    soilProperties: soilProperties ? soilProperties.properties : null,
+    region: region ? region.trim().toLowerCase() : null,
+    weather: weather || null,
+    crop: phenology ? phenology.crop.key : null,
+    stage: phenology ? phenology.stage : null,
+    stageNdviAssessment: phenology ? assessStageNdvi(currentNdvi, phenology.stage) : null,
+    yieldEstimate: yieldEstimate ? yieldEstimate.estimate.yield : null
   };
 }
 
+/**
+ * Combine crop lists from every matching rule, keeping the first (highest
+ * priority) entry for a crop
+ * @param {Array} results - `then` objects of the matching rules
+ * @returns {Array} - Crop recommendations
+ */
+function mergeCropRecommendations(results) {
+  const recommendations = new Map();
+  results.forEach(({ crops }) => crops.forEach(crop => {
+    if (!recommendations.has(crop.crop)) {
+      recommendations.set(crop.crop, { crop: crop.crop, confidence: crop.confidence, reason: crop.reason, expectedYield: crop.expectedYield });
+    }
+  }));
+  return [...recommendations.values()];
+}
+
 /**
  * Compares current NDVI with historical data
- * @param {number} currentNdvi - Current NDVI value
+ * @param {number} currentNdvi - Current NDVI value, or the later scene's mean with change detection
  * @param {number} historicalNdvi - Historical NDVI value
+ * @param {Object} [change] - Pixel-level change detection result
  * @returns {Object} - Comparison analysis
  */
-function compareWithHistorical(currentNdvi, historicalNdvi) {
+function compareWithHistorical(currentNdvi, historicalNdvi, change = null) {
   if (!historicalNdvi) {
     return {
       change: 'No historical data available',
@@ -104,7 +222,7 @@ function compareWithHistorical(currentNdvi, historicalNdvi) {
     description = 'Significant decline in vegetation health - immediate attention needed';
   }
 
-  return {
+  const comparison = {
     change: `${percentageChange > 0 ? '+' : ''}${percentageChange.toFixed(1)}%`,
     percentageChange: percentageChange.toFixed(1),
     trend,
@@ -112,109 +230,52 @@ function compareWithHistorical(currentNdvi, historicalNdvi) {
     currentValue: currentNdvi,
     historicalValue: historicalNdvi
   };
-}
 
-/**
- * Generates crop recommendations based on NDVI and season
- * @param {number} ndvi - NDVI value
- * @param {string} season - Current season
- * @returns {Array} - Array of crop recommendations
- */
-function getCropRecommendations(ndvi, season) {
-  const recommendations = [];
-
-  if (ndvi >= 0.5) {
-    // High vegetation density - suitable for high-yield crops
-    recommendations.push({
-      crop: 'Rice',
-      confidence: 'High',
-      reason: 'Excellent soil moisture and vegetation density',
-      expectedYield: 'High'
-    });
-    recommendations.push({
-      crop: 'Wheat',
-      confidence: 'High',
-      reason: 'Optimal growing conditions',
-      expectedYield: 'High'
-    });
-  } else if (ndvi >= 0.3) {
-    // Moderate vegetation - suitable for drought-resistant crops
-    recommendations.push({
-      crop: 'Millet',
-      confidence: 'Medium',
-      reason: 'Moderate vegetation, drought-resistant crop recommended',
-      expectedYield: 'Medium'
-    });
-    recommendations.push({
-      crop: 'Pulses',
-      confidence: 'Medium',
-      reason: 'Good for moderate moisture conditions',
-      expectedYield: 'Medium'
-    });
-  } else {
-    // Low vegetation - focus on soil improvement
-    recommendations.push({
-      crop: 'Green Manure',
-      confidence: 'High',
-      reason: 'Low vegetation density, soil improvement needed',
-      expectedYield: 'N/A (Soil improvement)'
-    });
-    recommendations.push({
-      crop: 'Drought-resistant varieties',
-      confidence: 'Medium',
-      reason: 'Low moisture conditions',
-      expectedYield: 'Low'
-    });
+  if (change) {
+    const { gain, loss, threshold } = change.summary;
+    comparison.changedArea = {
+      from: change.from.scene.acquiredAt,
+      to: change.to.scene.acquiredAt,
+      threshold,
+      gainHectares: gain.hectares,
+      lossHectares: loss.hectares,
+      gainPercent: gain.percent,
+      lossPercent: loss.percent
+    };
+    // A stable or falling mean can hide patches that were lost while others grew
+    if (loss.percent >= 10 && !['improving', 'slightly_improving'].includes(trend)) {
+      comparison.description += `. ${loss.hectares} ha (${loss.percent}%) lost vegetation since ${comparison.changedArea.from.slice(0, 10)}`;
+    }
   }
 
-  return recommendations;
+  return comparison;
 }
 
 /**
- * Generates irrigation advice based on NDVI data
+ * Compares NDVI with what the crop's growth stage should show and lists
+ * the field work due at that stage
  * @param {number} currentNdvi - Current NDVI value
- * @param {number} historicalNdvi - Historical NDVI value
- * @returns {string} - Irrigation advice
+ * @param {Object} phenology - Result of getCropPhenology()
+ * @returns {Object} - Stage analysis
  */
-function getIrrigationAdvice(currentNdvi, historicalNdvi) {
-  if (currentNdvi >= 0.6) {
-    return 'Optimal moisture levels. Maintain current irrigation schedule.';
-  } else if (currentNdvi >= 0.4) {
-    return 'Good moisture levels. Consider slight increase in irrigation if trend is declining.';
-  } else if (currentNdvi >= 0.2) {
-    return 'Moderate moisture levels. Increase irrigation frequency and duration.';
-  } else {
-    return 'Low moisture levels. Immediate irrigation required. Consider drip irrigation for efficiency.';
-  }
+function analyzeCropStage(currentNdvi, phenology) {
+  const guidance = STAGE_GUIDANCE[phenology.stage];
+  return {
+    crop: phenology.crop.name,
+    stage: phenology.stage,
+    daysAfterSowing: phenology.daysAfterSowing,
+    accumulatedGdd: phenology.accumulatedGdd,
+    nextStage: phenology.nextStage,
+    expectedNdvi: { min: guidance.expectedNdvi[0], max: guidance.expectedNdvi[1] },
+    ndviAssessment: assessStageNdvi(currentNdvi, phenology.stage),
+    recommendations: guidance.recommendations
+  };
 }
 
-/**
- * Predicts yield based on vegetation health
- * @param {number} currentNdvi - Current NDVI value
- * @param {number} historicalNdvi - Historical NDVI value
- * @returns {Object} - Yield prediction
- */
-function predictYield(currentNdvi, historicalNdvi) {
-  let yieldPrediction, confidence;
-
-  if (currentNdvi >= 0.6) {
-    yieldPrediction = 'High';
-    confidence = 'High';
-  } else if (currentNdvi >= 0.4) {
-    yieldPrediction = 'Medium-High';
-    confidence = 'Medium';
-  } else if (currentNdvi >= 0.2) {
-    yieldPrediction = 'Medium';
-    confidence = 'Medium';
-  } else {
-    yieldPrediction = 'Low';
-    confidence = 'High';
+function assessStageNdvi(ndvi, stage) {
+  const [min, max] = STAGE_GUIDANCE[stage].expectedNdvi;
+  if (ndvi < min) {
+    return 'below_expected';
   }
-
-  return {
-    prediction: yieldPrediction,
-    confidence,
-    ndviBased: currentNdvi,
-    recommendation: currentNdvi < 0.3 ? 'Consider crop rotation or soil improvement' : 'Continue current practices'
-  };
-} 
\ No newline at end of file
+  return ndvi > max ? 'above_expected' : 'as_expected';
+}
@@ -0,0 +1,124 @@
+/**
+ * Vegetation index registry - band math definitions for spectral indices
+ */
+
+// Scale factor turning stored digital numbers into surface reflectance
+// (Sentinel-2 L2A stores reflectance * 10000)
+const REFLECTANCE_SCALE = parseFloat(process.env.REFLECTANCE_SCALE || '0.0001');
+
+// Normalized differences of non-negative bands stay within this range
+const DEFAULT_RANGE = [-1, 1];
+
+/**
+ * Registered indices. Each entry lists the bands it reads, whether the
+ * formula needs true reflectance (non-ratio indices), default parameters,
+ * optionally the QA classes masked by default and the value range when it
+ * is wider than DEFAULT_RANGE, and the per-pixel formula.
+ */
+export const VEGETATION_INDICES = {
+  ndvi: {
+    name: 'Normalized Difference Vegetation Index',
+    bands: ['nir', 'red'],
+    compute: ({ nir, red }) => normalizedDifference(nir, red)
+  },
+  evi: {
+    name: 'Enhanced Vegetation Index',
+    bands: ['nir', 'red', 'blue'],
+    reflectance: true,
+    // Bright surfaces and shadows push EVI well past 1
+    range: [-2.5, 2.5],
+    compute: ({ nir, red, blue }) => 2.5 * (nir - red) / (nir + 6 * red - 7.5 * blue + 1)
+  },
+  savi: {
+    name: 'Soil Adjusted Vegetation Index',
+    bands: ['nir', 'red'],
+    reflectance: true,
+    params: { L: { default: 0.5, min: 0, max: 1 } },
+    // (1 + L) times a normalized difference
+    range: [-2, 2],
+    compute: ({ nir, red }, { L }) => (1 + L) * (nir - red) / (nir + red + L)
+  },
+  ndwi: {
+    name: 'Normalized Difference Water Index',
+    bands: ['green', 'nir'],
+    // Water is what this index measures, so it is not masked by default
+    defaultMask: ['cloud', 'shadow', 'cirrus', 'snow'],
+    compute: ({ green, nir }) => normalizedDifference(green, nir)
+  },
+  ndmi: {
+    name: 'Normalized Difference Moisture Index',
+    bands: ['nir', 'swir'],
+    compute: ({ nir, swir }) => normalizedDifference(nir, swir)
+  },
+  gndvi: {
+    name: 'Green Normalized Difference Vegetation Index',
+    bands: ['nir', 'green'],
+    compute: ({ nir, green }) => normalizedDifference(nir, green)
+  },
+  ndre: {
+    name: 'Normalized Difference Red Edge Index',
+    bands: ['nir', 'rededge'],
+    compute: ({ nir, rededge }) => normalizedDifference(nir, rededge)
+  }
+};
+
+/**
+ * Look up an index definition by key
+ * @param {string} key - Index key, e.g. 'evi'
+ * @returns {Object} - Index definition including its key and value range [min, max]
+ */
+export function getIndexDefinition(key = 'ndvi') {
+  const normalizedKey = String(key).toLowerCase();
+  const definition = VEGETATION_INDICES[normalizedKey];
+  if (!definition) {
+    throw new Error(`Unknown index "${key}". Supported indices: ${Object.keys(VEGETATION_INDICES).join(', ')}`);
+  }
+  return { key: normalizedKey, range: DEFAULT_RANGE, ...definition };
+}
+
+/**
+ * Resolve index parameters from user input, applying defaults and bounds
+ * @param {Object} definition - Index definition
+ * @param {Object} input - Raw parameter values (e.g. request query)
+ * @returns {Object} - Parameter values keyed by name
+ */
+export function resolveIndexParams(definition, input = {}) {
+  const params = {};
+  Object.entries(definition.params || {}).forEach(([name, spec]) => {
+    const raw = input[name];
+    const value = raw === undefined ? spec.default : parseFloat(raw);
+    if (isNaN(value) || value < spec.min || value > spec.max) {
+      throw new Error(`${name} must be a number between ${spec.min} and ${spec.max}`);
+    }
+    params[name] = value;
+  });
+  return params;
+}
+
+/**
+ * Create a per-pixel evaluator for an index. Bands with a known scale and
+ * offset are converted to reflectance before any index is computed, as an
+ * offset changes ratios too; other bands are multiplied by REFLECTANCE_SCALE
+ * for indices that need reflectance.
+ * @param {Object} definition - Index definition
+ * @param {Object} params - Resolved index parameters
+ * @param {Object} [bandScaling={}] - { scale, offset } keyed by band name
+ * @returns {Function} - Maps band values { red, nir, ... } to the index value, NaN if undefined
+ */
+export function createIndexEvaluator(definition, params = {}, bandScaling = {}) {
+  const defaultScale = definition.reflectance ? REFLECTANCE_SCALE : 1;
+  const scales = definition.bands.map(band => (bandScaling[band] ? bandScaling[band].scale : defaultScale));
+  const offsets = definition.bands.map(band => (bandScaling[band] ? bandScaling[band].offset : 0));
+  return (bandValues) => {
+    const scaled = {};
+    definition.bands.forEach((band, i) => {
+      scaled[band] = bandValues[band] * scales[i] + offsets[i];
+    });
+    const value = definition.compute(scaled, params);
+    return Number.isFinite(value) ? value : NaN;
+  };
+}
+
+function normalizedDifference(a, b) {
+  return a + b !== 0 ? (a - b) / (a + b) : NaN;
+}
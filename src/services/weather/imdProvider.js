@@ -0,0 +1,119 @@
+/**
+ * IMD provider for India Meteorological Department city weather JSON, as
+ * served by the IMD city forecast API or a proxy in front of it. IMD
+ * forecasts are per station, so IMD_API_URL is a template where
+ * {latitude} and {longitude} are replaced and the endpoint resolves the
+ * nearest station. The response is an array (or a single object) with:
+ *   Date                                        "2024-01-15"
+ *   Past_24_hrs_Rainfall                        mm, observed
+ *   Relative_Humidity_at_0830 / _at_1730        %
+ *   Today_Max_temp / Today_Min_temp             °C, observed
+ *   Todays_Forecast_Max_Temp / _Min_temp        °C
+ *   Day_2_Max_Temp ... Day_7_Max_Temp, Day_N_Min_temp
+ *   Todays_Forecast, Day_N_Forecast             text, e.g. "Thunderstorm with rain"
+ * IMD gives rain as text only, so forecast rainfall is estimated from it.
+ */
+
+import { fetchWeatherJson, roundValue } from "./providerUtils.js";
+import { createHttpError } from "../../utils/errorUtils.js";
+
+const MAX_FORECAST_DAYS = 7;
+
+// Rough daily rainfall (mm) for IMD forecast wording, most specific first
+const RAIN_ESTIMATES = [
+  [/heavy/i, 30],
+  [/thunder/i, 15],
+  [/moderate rain/i, 10],
+  [/(light|very light) rain|drizzle/i, 2.5],
+  [/rain|shower/i, 5]
+];
+
+/**
+ * Create an IMD provider
+ * @param {Object} options - Provider options
+ * @param {string} options.url - Endpoint URL template with {latitude} and {longitude}
+ * @param {string} [options.apiKey] - Sent as a bearer token when set
+ * @returns {Object} - Weather provider
+ */
+export function createImdProvider({ url, apiKey }) {
+  if (!url) {
+    throw new Error('IMD weather requires IMD_API_URL');
+  }
+
+  async function fetchStation(latitude, longitude) {
+    const stationUrl = url
+      .replace('{latitude}', encodeURIComponent(latitude))
+      .replace('{longitude}', encodeURIComponent(longitude));
+    const body = await fetchWeatherJson(stationUrl, 'IMD', apiKey ? { authorization: `Bearer ${apiKey}` } : {});
+    const station = Array.isArray(body) ? body[0] : body;
+    if (!station || !station.Date) {
+      throw createHttpError(502, 'IMD response has no station record');
+    }
+    return station;
+  }
+
+  return {
+    name: 'imd',
+    async getForecast(latitude, longitude, days) {
+      const station = await fetchStation(latitude, longitude);
+      const humidity = averageHumidity(station);
+      const forecast = [];
+      for (let day = 1; day <= Math.min(days, MAX_FORECAST_DAYS); day++) {
+        const prefix = day === 1 ? 'Todays_Forecast' : `Day_${day}`;
+        const max = parseImdNumber(station[`${prefix}_Max_Temp`]);
+        const min = parseImdNumber(station[`${prefix}_Min_temp`]);
+        const date = new Date(`${station.Date}T00:00:00Z`);
+        date.setUTCDate(date.getUTCDate() + day - 1);
+        forecast.push({
+          date: date.toISOString().split('T')[0],
+          temperature: max !== null && min !== null ? roundValue((max + min) / 2) : null,
+          temperatureMin: roundValue(min),
+          temperatureMax: roundValue(max),
+          // IMD publishes humidity for today only
+          humidity,
+          rainfall: estimateRainfall(station[prefix === 'Todays_Forecast' ? prefix : `${prefix}_Forecast`]),
+          windSpeed: null,
+          solarRadiation: null
+        });
+      }
+      return forecast;
+    },
+    async getCurrent(latitude, longitude) {
+      const station = await fetchStation(latitude, longitude);
+      const max = parseImdNumber(station.Today_Max_temp);
+      const min = parseImdNumber(station.Today_Min_temp);
+      return {
+        temperature: max !== null && min !== null ? roundValue((max + min) / 2) : roundValue(max ?? min),
+        humidity: averageHumidity(station),
+        rainfall: roundValue(parseImdNumber(station.Past_24_hrs_Rainfall) ?? 0),
+        windSpeed: null,
+        timestamp: new Date().toISOString()
+      };
+    }
+  };
+}
+
+/**
+ * Parse an IMD numeric field; IMD uses "NA", "--" or "Trace" for missing data
+ * @param {string|number} value - Field value
+ * @returns {number|null} - Number or null
+ */
+function parseImdNumber(value) {
+  if (typeof value === 'string' && /trace/i.test(value)) {
+    return 0;
+  }
+  const number = parseFloat(value);
+  return Number.isNaN(number) ? null : number;
+}
+
+function averageHumidity(station) {
+  const readings = [station.Relative_Humidity_at_0830, station.Relative_Humidity_at_1730]
+    .map(parseImdNumber)
+    .filter(value => value !== null);
+  return readings.length > 0 ? roundValue(readings.reduce((sum, value) => sum + value, 0) / readings.length) : null;
+}
+
+function estimateRainfall(description = '') {
+  const match = RAIN_ESTIMATES.find(([pattern]) => pattern.test(description));
+  return match ? match[1] : 0;
+}
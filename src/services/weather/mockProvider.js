@@ -0,0 +1,77 @@
+/**
+ * Deterministic mock weather provider for development and tests. Values
+ * follow the Indian monsoon / dry season pattern and are derived from a
+ * seed, the location and the date, so repeated calls always agree.
+ */
+
+import crypto from "crypto";
+import { roundValue } from "./providerUtils.js";
+
+/**
+ * Create a seeded mock provider
+ * @param {Object} [options] - Provider options
+ * @param {string} [options.seed='agri-backend'] - Seed; different seeds give different weather
+ * @param {Function} [options.now] - Clock returning the current Date, for tests
+ * @returns {Object} - Weather provider
+ */
+export function createMockProvider({ seed = 'agri-backend', now = () => new Date() } = {}) {
+  function generateDay(latitude, longitude, date) {
+    // Rounded so nearby points (about 1 km) share the same weather
+    const random = createRandom(`${seed}:${latitude.toFixed(2)}:${longitude.toFixed(2)}:${date}`);
+    const month = parseInt(date.slice(5, 7)) - 1;
+    const monsoon = month >= 5 && month <= 9;
+
+    const temperature = monsoon ? random() * 10 + 25 : random() * 15 + 20;
+    const range = monsoon ? random() * 4 + 4 : random() * 6 + 8;
+    return {
+      date,
+      temperature: roundValue(temperature),
+      temperatureMin: roundValue(temperature - range / 2),
+      temperatureMax: roundValue(temperature + range / 2),
+      humidity: roundValue(monsoon ? random() * 20 + 70 : random() * 30 + 40),
+      rainfall: roundValue(monsoon ? random() * 15 + 5 : random() * 5),
+      windSpeed: roundValue(random() * 10 + 5),
+      solarRadiation: roundValue(monsoon ? random() * 8 + 12 : random() * 8 + 16)
+    };
+  }
+
+  return {
+    name: 'mock',
+    async getForecast(latitude, longitude, days) {
+      const start = now();
+      const forecast = [];
+      for (let i = 0; i < days; i++) {
+        const date = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), start.getUTCDate() + i));
+        forecast.push(generateDay(latitude, longitude, date.toISOString().split('T')[0]));
+      }
+      return forecast;
+    },
+    async getCurrent(latitude, longitude) {
+      const current = now();
+      const { temperature, humidity, rainfall, windSpeed } = generateDay(latitude, longitude, current.toISOString().split('T')[0]);
+      return { temperature, humidity, rainfall, windSpeed, timestamp: current.toISOString() };
+    },
+    async getHistory(latitude, longitude, startDate, endDate) {
+      const history = [];
+      for (let time = Date.parse(`${startDate}T00:00:00Z`); time <= Date.parse(`${endDate}T00:00:00Z`); time += 86400000) {
+        history.push(generateDay(latitude, longitude, new Date(time).toISOString().split('T')[0]));
+      }
+      return history;
+    }
+  };
+}
+
+/**
+ * Create a seeded pseudo-random generator (mulberry32)
+ * @param {string} key - Seed text
+ * @returns {Function} - Returns numbers in [0, 1)
+ */
+function createRandom(key) {
+  let state = crypto.createHash('sha256').update(key).digest().readUInt32LE(0);
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
@@ -0,0 +1,106 @@
+/**
+ * Open-Meteo weather provider (https://open-meteo.com). Needs no API key;
+ * forecasts cover up to 16 days and dates are in the location's time zone.
+ * History comes from the ERA5 archive, which lags about five days behind,
+ * so the most recent days are taken from the forecast endpoint instead.
+ */
+
+import { fetchWeatherJson, roundValue } from "./providerUtils.js";
+
+const MAX_FORECAST_DAYS = 16;
+
+const DAILY_VARIABLES = [
+  'temperature_2m_mean',
+  'temperature_2m_min',
+  'temperature_2m_max',
+  'relative_humidity_2m_mean',
+  'precipitation_sum',
+  'wind_speed_10m_max',
+  'shortwave_radiation_sum'
+];
+
+const CURRENT_VARIABLES = ['temperature_2m', 'relative_humidity_2m', 'precipitation', 'wind_speed_10m'];
+
+/**
+ * Create an Open-Meteo provider
+ * @param {Object} options - Provider options
+ * @param {string} options.baseUrl - Forecast endpoint URL
+ * @param {string} options.archiveUrl - Historical weather endpoint URL
+ * @returns {Object} - Weather provider
+ */
+export function createOpenMeteoProvider({ baseUrl, archiveUrl }) {
+  function buildUrl(latitude, longitude, params, endpoint = baseUrl) {
+    const url = new URL(endpoint);
+    url.searchParams.set('latitude', latitude);
+    url.searchParams.set('longitude', longitude);
+    url.searchParams.set('timezone', 'auto');
+    url.searchParams.set('wind_speed_unit', 'kmh');
+    Object.entries(params).forEach(([name, value]) => url.searchParams.set(name, value));
+    return url;
+  }
+
+  return {
+    name: 'open-meteo',
+    async getForecast(latitude, longitude, days) {
+      const body = await fetchWeatherJson(buildUrl(latitude, longitude, {
+        daily: DAILY_VARIABLES.join(','),
+        forecast_days: Math.min(days, MAX_FORECAST_DAYS)
+      }), 'Open-Meteo');
+      return normalizeDaily(body.daily || {});
+    },
+    async getCurrent(latitude, longitude) {
+      const body = await fetchWeatherJson(buildUrl(latitude, longitude, {
+        current: CURRENT_VARIABLES.join(',')
+      }), 'Open-Meteo');
+      const current = body.current || {};
+      return {
+        temperature: roundValue(current.temperature_2m),
+        humidity: roundValue(current.relative_humidity_2m),
+        rainfall: roundValue(current.precipitation),
+        windSpeed: roundValue(current.wind_speed_10m),
+        // Open-Meteo reports local time without an offset
+        timestamp: current.time
+          ? new Date(Date.parse(`${current.time}Z`) - (body.utc_offset_seconds || 0) * 1000).toISOString()
+          : new Date().toISOString()
+      };
+    },
+    async getHistory(latitude, longitude, startDate, endDate) {
+      const range = { daily: DAILY_VARIABLES.join(','), start_date: startDate, end_date: endDate };
+      const archived = normalizeDaily((await fetchWeatherJson(buildUrl(latitude, longitude, range, archiveUrl), 'Open-Meteo')).daily || {});
+
+      const missing = archived.filter(day => day.temperatureMax === null);
+      if (missing.length === 0) {
+        return archived;
+      }
+      const recent = normalizeDaily((await fetchWeatherJson(buildUrl(latitude, longitude, {
+        ...range,
+        start_date: missing[0].date
+      }), 'Open-Meteo')).daily || {});
+      const recentByDate = new Map(recent.map(day => [day.date, day]));
+      return archived.map(day => day.temperatureMax === null && recentByDate.has(day.date) ? recentByDate.get(day.date) : day);
+    }
+  };
+}
+
+/**
+ * Convert Open-Meteo's column-oriented daily block into forecast days
+ * @param {Object} daily - { time: [...], temperature_2m_max: [...], ... }
+ * @returns {Array} - Normalized forecast days
+ */
+function normalizeDaily(daily) {
+  return (daily.time || []).map((date, i) => {
+    const min = daily.temperature_2m_min?.[i];
+    const max = daily.temperature_2m_max?.[i];
+    const mean = daily.temperature_2m_mean?.[i] ?? (min != null && max != null ? (min + max) / 2 : null);
+    return {
+      date,
+      temperature: roundValue(mean),
+      temperatureMin: roundValue(min),
+      temperatureMax: roundValue(max),
+      humidity: roundValue(daily.relative_humidity_2m_mean?.[i]),
+      rainfall: roundValue(daily.precipitation_sum?.[i] ?? 0),
+      windSpeed: roundValue(daily.wind_speed_10m_max?.[i]),
+      solarRadiation: roundValue(daily.shortwave_radiation_sum?.[i])
+    };
+  });
+}
@@ -0,0 +1,63 @@
+/**
+ * OpenWeatherMap provider using the One Call API 3.0
+ * (https://openweathermap.org/api/one-call-3). Needs an API key and
+ * forecasts cover up to 8 days.
+ */
+
+import { fetchWeatherJson, roundValue } from "./providerUtils.js";
+
+const MAX_FORECAST_DAYS = 8;
+const METERS_PER_SECOND_TO_KMH = 3.6;
+
+/**
+ * Create an OpenWeatherMap provider
+ * @param {Object} options - Provider options
+ * @param {string} options.apiKey - OpenWeatherMap API key
+ * @param {string} options.baseUrl - One Call endpoint URL
+ * @returns {Object} - Weather provider
+ */
+export function createOpenWeatherMapProvider({ apiKey, baseUrl }) {
+  if (!apiKey) {
+    throw new Error('OpenWeatherMap weather requires OPENWEATHERMAP_API_KEY');
+  }
+
+  async function fetchOneCall(latitude, longitude, exclude) {
+    const url = new URL(baseUrl);
+    url.searchParams.set('lat', latitude);
+    url.searchParams.set('lon', longitude);
+    url.searchParams.set('units', 'metric');
+    url.searchParams.set('exclude', exclude);
+    url.searchParams.set('appid', apiKey);
+    return fetchWeatherJson(url, 'OpenWeatherMap');
+  }
+
+  return {
+    name: 'openweathermap',
+    async getForecast(latitude, longitude, days) {
+      const body = await fetchOneCall(latitude, longitude, 'current,minutely,hourly,alerts');
+      const offset = (body.timezone_offset || 0) * 1000;
+      return (body.daily || []).slice(0, Math.min(days, MAX_FORECAST_DAYS)).map(day => ({
+        // Local calendar date of the forecast day
+        date: new Date(day.dt * 1000 + offset).toISOString().split('T')[0],
+        temperature: roundValue(day.temp?.day),
+        temperatureMin: roundValue(day.temp?.min),
+        temperatureMax: roundValue(day.temp?.max),
+        humidity: roundValue(day.humidity),
+        rainfall: roundValue(day.rain ?? 0),
+        windSpeed: roundValue(day.wind_speed * METERS_PER_SECOND_TO_KMH),
+        solarRadiation: null
+      }));
+    },
+    async getCurrent(latitude, longitude) {
+      const body = await fetchOneCall(latitude, longitude, 'minutely,hourly,daily,alerts');
+      const current = body.current || {};
+      return {
+        temperature: roundValue(current.temp),
+        humidity: roundValue(current.humidity),
+        rainfall: roundValue(current.rain?.['1h'] ?? 0),
+        windSpeed: roundValue(current.wind_speed * METERS_PER_SECOND_TO_KMH),
+        timestamp: current.dt ? new Date(current.dt * 1000).toISOString() : new Date().toISOString()
+      };
+    }
+  };
+}
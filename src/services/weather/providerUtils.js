@@ -0,0 +1,37 @@
+/**
+ * Helpers shared by the weather provider adapters
+ */
+
+import { createHttpError } from "../../utils/errorUtils.js";
+
+/**
+ * Fetch JSON from a weather API, turning failures into 502 errors
+ * @param {string|URL} url - Request URL
+ * @param {string} providerName - Provider name for error messages
+ * @param {Object} [headers={}] - Request headers
+ * @returns {Object} - Parsed response body
+ */
+export async function fetchWeatherJson(url, providerName, headers = {}) {
+  let response;
+  try {
+    response = await fetch(url, { headers: { accept: 'application/json', ...headers } });
+  } catch (error) {
+    throw createHttpError(502, `${providerName} request failed: ${error.message}`);
+  }
+  if (!response.ok) {
+    const details = await response.text().catch(() => '');
+    throw createHttpError(502, `${providerName} responded with ${response.status} ${details}`.trim());
+  }
+  return response.json();
+}
+
+/**
+ * Round a normalized value to one decimal, keeping missing values null
+ * @param {number|null|undefined} value - Raw value
+ * @returns {number|null} - Rounded value or null
+ */
+export function roundValue(value) {
+  return value === null || value === undefined || Number.isNaN(Number(value))
+    ? null
+    : parseFloat(Number(value).toFixed(1));
+}
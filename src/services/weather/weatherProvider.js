@@ -0,0 +1,71 @@
+/**
+ * Weather providers - selects where forecasts and current conditions come from.
+ *
+ * Every provider implements the same interface and returns normalized values
+ * (temperatures in °C, humidity in %, rainfall in mm, wind speed in km/h,
+ * solar radiation in MJ/m²/day; fields a provider does not supply are null):
+ *   getForecast(latitude, longitude, days) -> Promise<Array<Day>>
+ *     Day: { date: 'YYYY-MM-DD', temperature, temperatureMin, temperatureMax,
+ *            humidity, rainfall, windSpeed, solarRadiation }
+ *   getCurrent(latitude, longitude)        -> Promise<Current>
+ *     Current: { temperature, humidity, rainfall, windSpeed, timestamp }
+ * and optionally, for past observations (dates are 'YYYY-MM-DD', inclusive):
+ *   getHistory(latitude, longitude, startDate, endDate) -> Promise<Array<Day>>
+ *
+ * The provider is chosen with WEATHER_PROVIDER ("mock", "open-meteo",
+ * "openweathermap" or "imd").
+ */
+
+import { createMockProvider } from "./mockProvider.js";
+import { createOpenMeteoProvider } from "./openMeteoProvider.js";
+import { createOpenWeatherMapProvider } from "./openWeatherMapProvider.js";
+import { createImdProvider } from "./imdProvider.js";
+
+let weatherProvider = null;
+
+/**
+ * Get the configured weather provider
+ * @returns {Object} - Weather provider
+ */
+export function getWeatherProvider() {
+  if (!weatherProvider) {
+    weatherProvider = createWeatherProvider(process.env);
+  }
+  return weatherProvider;
+}
+
+/**
+ * Replace the active weather provider, e.g. with a seeded mock in tests
+ * @param {Object|null} provider - Weather provider, or null to re-read configuration
+ */
+export function setWeatherProvider(provider) {
+  weatherProvider = provider;
+}
+
+/**
+ * Create a weather provider from configuration values
+ * @param {Object} config - Configuration, usually process.env
+ * @returns {Object} - Weather provider
+ */
+export function createWeatherProvider(config) {
+  const provider = config.WEATHER_PROVIDER || 'mock';
+
+  switch (provider) {
+    case 'mock':
+      return createMockProvider({ seed: config.WEATHER_MOCK_SEED || 'agri-backend' });
+    case 'open-meteo':
+      return createOpenMeteoProvider({
+        baseUrl: config.OPEN_METEO_URL || 'https://api.open-meteo.com/v1/forecast',
+        archiveUrl: config.OPEN_METEO_ARCHIVE_URL || 'https://archive-api.open-meteo.com/v1/archive'
+      });
+    case 'openweathermap':
+      return createOpenWeatherMapProvider({
+        apiKey: config.OPENWEATHERMAP_API_KEY,
+        baseUrl: config.OPENWEATHERMAP_URL || 'https://api.openweathermap.org/data/3.0/onecall'
+      });
+    case 'imd':
+      return createImdProvider({ url: config.IMD_API_URL, apiKey: config.IMD_API_KEY });
+    default:
+      throw new Error(`Unknown WEATHER_PROVIDER "${provider}". Use mock, open-meteo, openweathermap or imd`);
+  }
+}
@@ -3,6 +3,13 @@
  * Integrates with weather APIs for crop planning
  */
 
+import { getWeatherProvider } from "./weather/weatherProvider.js";
+import { createHttpError } from "../utils/errorUtils.js";
+import { cached, getCacheTtl } from "./cache/resultCache.js";
+
+// Average forecast temperature (°C) above which crops suffer heat stress
+export const HEAT_STRESS_TEMPERATURE = 35;
+
 /**
  * Get weather forecast for a location
  * @param {number} latitude - Latitude coordinate
@@ -11,51 +18,31 @@
  * @returns {Object} - Weather forecast data
  */
 export async function getWeatherForecast(latitude, longitude, days = 7) {
+  const provider = getWeatherProvider();
   try {
-    // Mock weather data - in real implementation, this would call weather APIs
-    // like IMD (Indian Meteorological Department), OpenWeatherMap, etc.
-    
-    const forecast = [];
-    const currentDate = new Date();
-    
-    for (let i = 0; i < days; i++) {
-      const date = new Date(currentDate);
-      date.setDate(currentDate.getDate() + i);
-      
-      // Generate realistic weather data based on season
-      const month = date.getMonth();
-      let temperature, humidity, rainfall;
-      
-      if (month >= 5 && month <= 9) { // Monsoon season
-        temperature = (Math.random() * 10 + 25).toFixed(1); // 25-35°C
-        humidity = (Math.random() * 20 + 70).toFixed(1); // 70-90%
-        rainfall = (Math.random() * 15 + 5).toFixed(1); // 5-20mm
-      } else { // Dry season
-        temperature = (Math.random() * 15 + 20).toFixed(1); // 20-35°C
-        humidity = (Math.random() * 30 + 40).toFixed(1); // 40-70%
-        rainfall = (Math.random() * 5).toFixed(1); // 0-5mm
-      }
-      
-      forecast.push({
-        date: date.toISOString().split('T')[0],
-        temperature: parseFloat(temperature),
-        humidity: parseFloat(humidity),
-        rainfall: parseFloat(rainfall),
-        windSpeed: (Math.random() * 10 + 5).toFixed(1),
-        description: getWeatherDescription(parseFloat(temperature), parseFloat(humidity), parseFloat(rainfall))
-      });
-    }
-    
+    // Forecasts are cached per location and day they were made
+    const today = new Date().toISOString().slice(0, 10);
+    const providerDays = await cached(
+      `${getWeatherCacheKey('forecast', provider, latitude, longitude)}:${today}:${days}`,
+      { ttlSeconds: getCacheTtl('weather') },
+      () => provider.getForecast(latitude, longitude, days)
+    );
+    const forecast = providerDays.map(day => ({
+      ...day,
+      description: getWeatherDescription(day.temperature, day.humidity, day.rainfall)
+    }));
+
     return {
       location: { latitude, longitude },
+      provider: provider.name,
       forecast,
       summary: generateWeatherSummary(forecast),
       agriculturalImpact: analyzeAgriculturalImpact(forecast)
     };
-    
+
   } catch (error) {
     console.error('Weather forecast error:', error);
-    throw new Error('Failed to fetch weather forecast');
+    throw createHttpError(error.status || 500, `Failed to fetch weather forecast: ${error.message}`);
   }
 }
 
@@ -66,38 +53,56 @@ export async function getWeatherForecast(latitude, longitude, days = 7) {
  * @returns {Object} - Current weather data
  */
 export async function getCurrentWeather(latitude, longitude) {
+  const provider = getWeatherProvider();
   try {
-    const currentDate = new Date();
-    const month = currentDate.getMonth();
-    
-    // Generate current weather data
-    let temperature, humidity, rainfall;
-    
-    if (month >= 5 && month <= 9) { // Monsoon season
-      temperature = (Math.random() * 10 + 25).toFixed(1);
-      humidity = (Math.random() * 20 + 70).toFixed(1);
-      rainfall = (Math.random() * 15 + 5).toFixed(1);
-    } else { // Dry season
-      temperature = (Math.random() * 15 + 20).toFixed(1);
-      humidity = (Math.random() * 30 + 40).toFixed(1);
-      rainfall = (Math.random() * 5).toFixed(1);
-    }
-    
+    const current = await provider.getCurrent(latitude, longitude);
+
     return {
       location: { latitude, longitude },
+      provider: provider.name,
       current: {
-        temperature: parseFloat(temperature),
-        humidity: parseFloat(humidity),
-        rainfall: parseFloat(rainfall),
-        windSpeed: (Math.random() * 10 + 5).toFixed(1),
-        description: getWeatherDescription(parseFloat(temperature), parseFloat(humidity), parseFloat(rainfall)),
-        timestamp: currentDate.toISOString()
+        temperature: current.temperature,
+        humidity: current.humidity,
+        rainfall: current.rainfall,
+        windSpeed: current.windSpeed,
+        description: getWeatherDescription(current.temperature, current.humidity, current.rainfall),
+        timestamp: current.timestamp
       }
     };
-    
+
   } catch (error) {
     console.error('Current weather error:', error);
-    throw new Error('Failed to fetch current weather');
+    throw createHttpError(error.status || 500, `Failed to fetch current weather: ${error.message}`);
+  }
+}
+
+/**
+ * Get observed daily weather for a past date range
+ * @param {number} latitude - Latitude coordinate
+ * @param {number} longitude - Longitude coordinate
+ * @param {string} startDate - First day (YYYY-MM-DD)
+ * @param {string} endDate - Last day (YYYY-MM-DD), inclusive
+ * @returns {Object} - Daily weather in the forecast day shape
+ */
+export async function getWeatherHistory(latitude, longitude, startDate, endDate) {
+  const provider = getWeatherProvider();
+  if (!provider.getHistory) {
+    throw createHttpError(501, `Weather provider "${provider.name}" has no historical data; use open-meteo or mock`);
+  }
+  try {
+    return {
+      location: { latitude, longitude },
+      provider: provider.name,
+      history: await cached(
+        `${getWeatherCacheKey('history', provider, latitude, longitude)}:${startDate}:${endDate}`,
+        { ttlSeconds: getCacheTtl('weather') },
+        () => provider.getHistory(latitude, longitude, startDate, endDate)
+      )
+    };
+
+  } catch (error) {
+    console.error('Weather history error:', error);
+    throw createHttpError(error.status || 500, `Failed to fetch weather history: ${error.message}`);
   }
 }
 
@@ -117,7 +122,7 @@ function getWeatherDescription(temperature, humidity, rainfall) {
     return 'Humid';
   } else if (temperature > 30) {
     return 'Hot';
-  } else if (temperature < 15) {
+  } else if (temperature !== null && temperature < 15) {
     return 'Cool';
   } else {
     return 'Pleasant';
@@ -130,18 +135,20 @@ function getWeatherDescription(temperature, humidity, rainfall) {
  * @returns {Object} - Weather summary
  */
 function generateWeatherSummary(forecast) {
-  const avgTemperature = (forecast.reduce((sum, day) => sum + day.temperature, 0) / forecast.length).toFixed(1);
-  const avgHumidity = (forecast.reduce((sum, day) => sum + day.humidity, 0) / forecast.length).toFixed(1);
-  const totalRainfall = forecast.reduce((sum, day) => sum + day.rainfall, 0).toFixed(1);
+  // Providers leave fields they do not report as null
+  const valuesOf = field => forecast.map(day => day[field]).filter(value => value !== null && value !== undefined);
+  const average = values => values.length > 0 ? parseFloat((values.reduce((sum, value) => sum + value, 0) / values.length).toFixed(1)) : null;
+  const temperatures = valuesOf('temperature');
+  const totalRainfall = valuesOf('rainfall').reduce((sum, value) => sum + value, 0).toFixed(1);
   
   return {
-    averageTemperature: parseFloat(avgTemperature),
-    averageHumidity: parseFloat(avgHumidity),
+    averageTemperature: average(temperatures),
+    averageHumidity: average(valuesOf('humidity')),
     totalRainfall: parseFloat(totalRainfall),
     daysWithRain: forecast.filter(day => day.rainfall > 0).length,
     temperatureRange: {
-      min: Math.min(...forecast.map(day => day.temperature)),
-      max: Math.max(...forecast.map(day => day.temperature))
+      min: temperatures.length > 0 ? Math.min(...temperatures) : null,
+      max: temperatures.length > 0 ? Math.max(...temperatures) : null
     }
   };
 }
@@ -173,7 +180,9 @@ function analyzeAgriculturalImpact(forecast) {
   }
   
   // Analyze crop health impact
-  if (summary.averageTemperature > 35) {
+  if (summary.averageTemperature === null) {
+    impact.cropHealth = 'Temperature data unavailable';
+  } else if (summary.averageTemperature > HEAT_STRESS_TEMPERATURE) {
     impact.cropHealth = 'High temperature stress on crops';
     impact.recommendations.push('Consider shade nets or cooling measures');
   } else if (summary.averageTemperature < 10) {
@@ -186,9 +195,22 @@ function analyzeAgriculturalImpact(forecast) {
   // Humidity impact
   if (summary.averageHumidity > 80) {
     impact.recommendations.push('High humidity - monitor for fungal diseases');
-  } else if (summary.averageHumidity < 40) {
+  } else if (summary.averageHumidity !== null && summary.averageHumidity < 40) {
     impact.recommendations.push('Low humidity - increase irrigation frequency');
   }
   
   return impact;
-} 
\ No newline at end of file
+} 
+
+/**
+ * Cache key prefix for provider data at a location. Locations are rounded
+ * to 0.01° (about 1 km), so nearby requests share cached weather.
+ * @param {string} kind - 'forecast' or 'history'
+ * @param {Object} provider - Weather provider
+ * @param {number} latitude - Latitude coordinate
+ * @param {number} longitude - Longitude coordinate
+ * @returns {string} - Cache key prefix
+ */
+function getWeatherCacheKey(kind, provider, latitude, longitude) {
+  return `weather:${kind}:${provider.name}:${latitude.toFixed(2)}:${longitude.toFixed(2)}`;
+}
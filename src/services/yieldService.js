@@ -0,0 +1,539 @@
+/**
+ * Yield estimation - predicts crop yield in tonnes per hectare from
+ * seasonal NDVI and weather, with a 95% prediction interval.
+ *
+ * Each crop starts from the uncalibrated peak-NDVI prior in the crop
+ * catalog. Importing harvest records calibrates it: a least-squares model
+ * is fitted for every feature set the records support, and estimates use
+ * the richest one whose features are available for the field.
+ */
+
+import { getCollection } from "./dataStore.js";
+import { getObservations, getLocationKey } from "./ndviHistoryStore.js";
+import { getWeatherHistory } from "./weatherService.js";
+import { CROPS, getCrop, getSeasonLength } from "./cropCatalog.js";
+import { parseCsv } from "../utils/csvUtils.js";
+import { fitLinearRegression, predictWithInterval } from "../utils/regressionUtils.js";
+import { validateCoordinates } from "../utils/coordinateUtils.js";
+import { createHttpError } from "../utils/errorUtils.js";
+
+// NDVI of bare soil; only the green-up above it counts towards the integral
+const NDVI_BASELINE = 0.2;
+
+// Feature sets tried in order, richest first
+const FEATURE_SETS = [
+  ['ndviIntegral', 'peakNdvi', 'seasonRainfall', 'meanTemperature'],
+  ['ndviIntegral', 'peakNdvi'],
+  ['peakNdvi']
+];
+
+const FEATURES = FEATURE_SETS[0];
+
+// Decimals features are stored and reported with
+const FEATURE_DECIMALS = { ndviIntegral: 2, peakNdvi: 4, seasonRainfall: 1, meanTemperature: 1 };
+
+// Relative uncertainty of the uncalibrated prior, used as its interval half-width
+const PRIOR_UNCERTAINTY = 0.3;
+
+// Residual degrees of freedom a fit needs before it is used
+const MIN_RESIDUAL_DF = 2;
+
+// CSV header (lowercased, without spaces, "_" or "-") to record field
+const CSV_COLUMNS = {
+  crop: 'crop',
+  yield: 'yield',
+  yieldtha: 'yield',
+  sowingdate: 'sowingDate',
+  harvestdate: 'harvestDate',
+  latitude: 'latitude',
+  lat: 'latitude',
+  longitude: 'longitude',
+  lon: 'longitude',
+  fieldid: 'fieldId',
+  peakndvi: 'peakNdvi',
+  ndviintegral: 'ndviIntegral',
+  seasonrainfall: 'seasonRainfall',
+  meantemperature: 'meanTemperature'
+};
+
+const REQUIRED_COLUMNS = ['crop', 'yield', 'sowingDate', 'harvestDate', 'latitude', 'longitude'];
+
+/**
+ * Import historical yield records from CSV and recalibrate the affected crops.
+ * Rows are stored one per crop, field (or location) and harvest date, so
+ * re-importing a file replaces its records instead of duplicating them.
+ * @param {string} csv - CSV text with a header row; columns crop, yield (t/ha),
+ *   sowingDate, harvestDate, latitude, longitude and optionally fieldId, peakNdvi,
+ *   ndviIntegral, seasonRainfall and meanTemperature
+ * @param {Object} [options] - { user } importing; missing features use the NDVI history they may see
+ * @returns {Object} - { imported, rejected: [{ line, error }], models: [model summary] }
+ */
+export async function importYieldRecords(csv, { user = null } = {}) {
+  const { headers, rows } = parseCsv(csv);
+  const columns = {};
+  headers.forEach(header => {
+    const field = CSV_COLUMNS[header.toLowerCase().replace(/[\s_-]/g, '')];
+    if (field) columns[header] = field;
+  });
+
+  const missing = REQUIRED_COLUMNS.filter(field => !Object.values(columns).includes(field));
+  if (missing.length > 0) {
+    throw createHttpError(400, `CSV is missing column(s): ${missing.join(', ')}`);
+  }
+  if (rows.length === 0) {
+    throw createHttpError(400, 'CSV has no data rows');
+  }
+
+  const collection = getCollection('yieldRecords');
+  const rejected = [];
+  const crops = new Set();
+  let imported = 0;
+
+  for (const { line, values } of rows) {
+    try {
+      const fields = {};
+      Object.entries(columns).forEach(([header, field]) => {
+        fields[field] = values[header];
+      });
+      const record = parseYieldRecord(fields);
+      // Features missing from the row come from stored NDVI and weather history
+      if (FEATURES.some(feature => record.features[feature] === null)) {
+        const computed = await computeSeasonFeatures({ ...record, user });
+        FEATURES.forEach(feature => {
+          if (record.features[feature] === null) {
+            record.features[feature] = roundValue(computed[feature], FEATURE_DECIMALS[feature]);
+          }
+        });
+        record.features.ndviObservations = computed.ndviObservations;
+      }
+
+      await collection.insert({ ...record, importedAt: new Date().toISOString() });
+      crops.add(record.crop);
+      imported++;
+    } catch (error) {
+      if (!error.status) {
+        throw error;
+      }
+      rejected.push({ line, error: error.message });
+    }
+  }
+
+  const models = [];
+  for (const crop of crops) {
+    models.push(await calibrateYieldModel(crop));
+  }
+  return { imported, rejected, models };
+}
+
+/**
+ * List imported yield records
+ * @param {Object} [filters] - { crop, fieldId }
+ * @returns {Array} - Records, newest harvest first
+ */
+export async function listYieldRecords({ crop, fieldId } = {}) {
+  const where = {};
+  if (crop) where.crop = getCrop(crop).key;
+  if (fieldId) where.fieldId = fieldId;
+  const records = await getCollection('yieldRecords').find({ where });
+  return records.sort((a, b) => b.harvestDate.localeCompare(a.harvestDate));
+}
+
+/**
+ * Refit a crop's yield model from its imported records. Crops without
+ * enough records fall back to the catalog prior.
+ * @param {string} cropKey - Crop key
+ * @returns {Object} - Model summary
+ */
+export async function calibrateYieldModel(cropKey) {
+  const crop = getCrop(cropKey);
+  const records = await getCollection('yieldRecords').find({ where: { crop: crop.key } });
+  const fits = fitModels(records);
+  const models = getCollection('yieldModels');
+
+  if (fits.length === 0) {
+    await models.remove(crop.key);
+    return summarizeModel(crop, null);
+  }
+  const stored = await models.insert({
+    id: crop.key,
+    crop: crop.key,
+    recordCount: records.length,
+    fits,
+    calibratedAt: new Date().toISOString()
+  });
+  return summarizeModel(crop, stored);
+}
+
+/**
+ * Summaries of the yield model of every crop in the catalog
+ * @returns {Array} - Model summaries
+ */
+export async function listYieldModels() {
+  const stored = await getCollection('yieldModels').find();
+  return Object.keys(CROPS).map(key =>
+    summarizeModel(getCrop(key), stored.find(model => model.id === key) || null));
+}
+
+/**
+ * Estimate the yield of a crop in a field
+ * @param {Object} options - Estimate options
+ * @param {string} options.crop - Crop key
+ * @param {number} options.latitude - Latitude coordinate
+ * @param {number} options.longitude - Longitude coordinate
+ * @param {Date} options.sowingDate - Sowing date
+ * @param {Date} [options.harvestDate] - Harvest date (default: the end of the crop's
+ *   season or today, whichever is earlier)
+ * @param {Object} [options.features] - Feature values that replace the computed ones
+ * @param {Object} [options.user] - User whose NDVI history is used
+ * @param {Date} [options.now] - Current time, for tests
+ * @returns {Object} - Estimate with its interval, the features used and the model
+ */
+export async function estimateYield({ crop: cropKey, latitude, longitude, sowingDate, harvestDate, features: overrides = {}, user = null, now = new Date() }) {
+  const crop = getCrop(cropKey);
+  const sowing = sowingDate.toISOString().split('T')[0];
+  const today = now.toISOString().split('T')[0];
+  if (sowing > today) {
+    throw createHttpError(400, 'sowingDate must not be in the future');
+  }
+
+  const seasonLength = getSeasonLength(crop);
+  const seasonEnd = addDays(sowing, seasonLength);
+  const end = harvestDate ? harvestDate.toISOString().split('T')[0] : (seasonEnd < today ? seasonEnd : today);
+  if (harvestDate && end <= sowing) {
+    throw createHttpError(400, 'harvestDate must be after sowingDate');
+  }
+
+  const computed = await computeSeasonFeatures({ latitude, longitude, sowingDate: sowing, harvestDate: end, user });
+  const features = { ...computed };
+  FEATURES.forEach(feature => {
+    if (overrides[feature] !== undefined && overrides[feature] !== null) {
+      features[feature] = overrides[feature];
+    }
+  });
+  if (features.peakNdvi !== computed.peakNdvi) {
+    features.peakNdviDate = null;
+  }
+
+  const stored = await getCollection('yieldModels').get(crop.key);
+  const prediction = predictYield(crop, stored?.fits || [], features);
+  if (!prediction) {
+    throw createHttpError(422, `No NDVI observations between ${sowing} and ${end} for this location; request /api/ndvi for the field during the season or pass peakNdvi`);
+  }
+
+  const seasonProgress = Math.min(1, daysBetween(sowing, end) / seasonLength);
+  const notes = [];
+  if (seasonProgress < 1 && !harvestDate) {
+    notes.push(`Season is ${Math.round(seasonProgress * 100)}% complete; peak NDVI and seasonal totals may still rise, so treat this as a provisional estimate`);
+  }
+  if (prediction.source === 'prior') {
+    notes.push(`No calibrated model for ${crop.name.toLowerCase()} yet; import harvest records to calibrate it`);
+  }
+
+  return {
+    crop: { key: crop.key, name: crop.name },
+    location: { latitude, longitude },
+    sowingDate: sowing,
+    endDate: end,
+    seasonProgress: roundValue(seasonProgress, 2),
+    estimate: {
+      yield: roundValue(prediction.value, 2),
+      lower: roundValue(prediction.lower, 2),
+      upper: roundValue(prediction.upper, 2),
+      unit: 't/ha',
+      confidenceLevel: 0.95
+    },
+    features: {
+      peakNdvi: roundValue(features.peakNdvi, FEATURE_DECIMALS.peakNdvi),
+      peakNdviDate: features.peakNdviDate,
+      ndviIntegral: roundValue(features.ndviIntegral, FEATURE_DECIMALS.ndviIntegral),
+      ndviObservations: features.ndviObservations,
+      seasonRainfall: roundValue(features.seasonRainfall, FEATURE_DECIMALS.seasonRainfall),
+      meanTemperature: roundValue(features.meanTemperature, FEATURE_DECIMALS.meanTemperature)
+    },
+    model: prediction.model,
+    notes
+  };
+}
+
+/**
+ * Compare predicted with actual yields for a crop's records by leave-one-out
+ * cross-validation: each record is predicted by a model fitted without it
+ * @param {string} cropKey - Crop key
+ * @returns {Object} - { crop, metrics: { records, mae, rmse, bias, intervalCoverage }, records: [...] }
+ */
+export async function evaluateYieldModel(cropKey) {
+  const crop = getCrop(cropKey);
+  const records = (await getCollection('yieldRecords').find({ where: { crop: crop.key } }))
+    .sort((a, b) => a.harvestDate.localeCompare(b.harvestDate));
+
+  const compared = [];
+  records.forEach(record => {
+    const fits = fitModels(records.filter(other => other.id !== record.id));
+    const prediction = predictYield(crop, fits, record.features);
+    if (!prediction) {
+      return;
+    }
+    compared.push({
+      id: record.id,
+      fieldId: record.fieldId,
+      location: { latitude: record.latitude, longitude: record.longitude },
+      sowingDate: record.sowingDate,
+      harvestDate: record.harvestDate,
+      actual: record.yield,
+      predicted: roundValue(prediction.value, 2),
+      lower: roundValue(prediction.lower, 2),
+      upper: roundValue(prediction.upper, 2),
+      error: roundValue(prediction.value - record.yield, 2),
+      withinInterval: record.yield >= prediction.lower && record.yield <= prediction.upper,
+      modelSource: prediction.source
+    });
+  });
+
+  const errors = compared.map(entry => entry.predicted - entry.actual);
+  const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+  return {
+    crop: { key: crop.key, name: crop.name },
+    metrics: {
+      records: compared.length,
+      mae: compared.length > 0 ? roundValue(mean(errors.map(Math.abs)), 2) : null,
+      rmse: compared.length > 0 ? roundValue(Math.sqrt(mean(errors.map(e => e * e))), 2) : null,
+      bias: compared.length > 0 ? roundValue(mean(errors), 2) : null,
+      intervalCoverage: compared.length > 0
+        ? roundValue(compared.filter(entry => entry.withinInterval).length / compared.length, 2)
+        : null
+    },
+    records: compared
+  };
+}
+
+/**
+ * Seasonal features for a location: peak NDVI and the NDVI integral from the
+ * stored observations, rainfall and mean temperature from weather history
+ * @param {Object} season - { latitude, longitude, sowingDate, harvestDate } with ISO date strings,
+ *   plus the user whose NDVI history is used
+ * @returns {Object} - { peakNdvi, peakNdviDate, ndviIntegral, ndviObservations, seasonRainfall, meanTemperature };
+ *   features without data are null
+ */
+export async function computeSeasonFeatures({ latitude, longitude, sowingDate, harvestDate, user = null }) {
+  const [observations, weather] = await Promise.all([
+    getObservations({
+      latitude,
+      longitude,
+      from: new Date(`${sowingDate}T00:00:00Z`),
+      to: new Date(`${harvestDate}T23:59:59Z`),
+      user
+    }),
+    getWeatherHistory(latitude, longitude, sowingDate, harvestDate).catch(error => {
+      // Providers without history still allow the NDVI-only models
+      if (error.status === 501) {
+        return null;
+      }
+      throw error;
+    })
+  ]);
+
+  const peak = observations.reduce((best, o) => (!best || o.value > best.value ? o : best), null);
+
+  // Trapezoidal integral of NDVI above the soil baseline, in NDVI·days
+  let ndviIntegral = null;
+  if (observations.length >= 2) {
+    ndviIntegral = 0;
+    for (let i = 1; i < observations.length; i++) {
+      const days = (Date.parse(observations[i].observedAt) - Date.parse(observations[i - 1].observedAt)) / 86400000;
+      const above = o => Math.max(o.value - NDVI_BASELINE, 0);
+      ndviIntegral += days * (above(observations[i - 1]) + above(observations[i])) / 2;
+    }
+  }
+
+  const days = weather ? weather.history : [];
+  const rainfall = days.map(day => day.rainfall).filter(isNumber);
+  const temperatures = days
+    .map(day => (isNumber(day.temperature) ? day.temperature
+      : isNumber(day.temperatureMin) && isNumber(day.temperatureMax) ? (day.temperatureMin + day.temperatureMax) / 2 : null))
+    .filter(isNumber);
+
+  return {
+    peakNdvi: peak ? peak.value : null,
+    peakNdviDate: peak ? peak.observedAt.split('T')[0] : null,
+    ndviIntegral,
+    ndviObservations: observations.length,
+    seasonRainfall: rainfall.length > 0 ? rainfall.reduce((sum, value) => sum + value, 0) : null,
+    meanTemperature: temperatures.length > 0 ? temperatures.reduce((sum, value) => sum + value, 0) / temperatures.length : null
+  };
+}
+
+/**
+ * Validate one CSV row
+ * @param {Object} fields - Raw string values by record field
+ * @returns {Object} - Yield record without computed features
+ */
+function parseYieldRecord(fields) {
+  const crop = getCrop(fields.crop || '');
+  const yieldValue = parseFloat(fields.yield);
+  if (!Number.isFinite(yieldValue) || yieldValue < 0) {
+    throw createHttpError(400, 'yield must be a non-negative number of t/ha');
+  }
+
+  const latitude = parseFloat(fields.latitude);
+  const longitude = parseFloat(fields.longitude);
+  if (!validateCoordinates(latitude, longitude)) {
+    throw createHttpError(400, 'Invalid coordinates provided');
+  }
+
+  const [sowingDate, harvestDate] = ['sowingDate', 'harvestDate'].map(name => {
+    const date = new Date(fields[name]);
+    if (!fields[name] || isNaN(date.getTime())) {
+      throw createHttpError(400, `${name} must be a valid ISO date`);
+    }
+    return date.toISOString().split('T')[0];
+  });
+  if (harvestDate <= sowingDate) {
+    throw createHttpError(400, 'harvestDate must be after sowingDate');
+  }
+
+  const features = {};
+  FEATURES.forEach(feature => {
+    const raw = fields[feature];
+    if (raw === undefined || raw === '') {
+      features[feature] = null;
+      return;
+    }
+    const value = parseFloat(raw);
+    if (!Number.isFinite(value)) {
+      throw createHttpError(400, `${feature} must be a number`);
+    }
+    features[feature] = value;
+  });
+
+  const fieldId = fields.fieldId || null;
+  return {
+    id: `${crop.key}:${fieldId || getLocationKey(latitude, longitude)}:${harvestDate}`,
+    crop: crop.key,
+    fieldId,
+    latitude,
+    longitude,
+    sowingDate,
+    harvestDate,
+    yield: yieldValue,
+    features
+  };
+}
+
+/**
+ * Fit every feature set the records have enough complete rows for
+ * @param {Array} records - Yield records
+ * @returns {Array} - [{ features, coefficients, inverse, residualStdError, r2, rmse, n, parameters }]
+ */
+function fitModels(records) {
+  const fits = [];
+  FEATURE_SETS.forEach(features => {
+    const usable = records.filter(record => features.every(feature => isNumber(record.features[feature])));
+    if (usable.length < features.length + 1 + MIN_RESIDUAL_DF) {
+      return;
+    }
+    const fit = fitLinearRegression(
+      usable.map(record => features.map(feature => record.features[feature])),
+      usable.map(record => record.yield)
+    );
+    if (fit) {
+      fits.push({ features, ...fit });
+    }
+  });
+  return fits;
+}
+
+/**
+ * Predict with the first calibrated fit whose features are all known,
+ * falling back to the crop's peak-NDVI prior
+ * @param {Object} crop - Crop definition
+ * @param {Array} fits - Calibrated fits, richest first
+ * @param {Object} features - Feature values
+ * @returns {Object|null} - { value, lower, upper, source, model }, null without peak NDVI or a usable fit
+ */
+function predictYield(crop, fits, features) {
+  const fit = fits.find(candidate => candidate.features.every(feature => isNumber(features[feature])));
+  if (fit) {
+    const { value, margin } = predictWithInterval(fit, fit.features.map(feature => features[feature]));
+    const estimate = Math.max(value, 0);
+    return {
+      value: estimate,
+      lower: Math.max(value - margin, 0),
+      upper: Math.max(value + margin, 0),
+      source: 'calibrated',
+      model: summarizeFit(fit)
+    };
+  }
+
+  if (!isNumber(features.peakNdvi)) {
+    return null;
+  }
+  const { intercept, slope, max } = crop.yield;
+  const value = Math.min(Math.max(intercept + slope * features.peakNdvi, 0), max);
+  return {
+    value,
+    lower: value * (1 - PRIOR_UNCERTAINTY),
+    upper: value * (1 + PRIOR_UNCERTAINTY),
+    source: 'prior',
+    model: {
+      source: 'prior',
+      features: ['peakNdvi'],
+      coefficients: { intercept, peakNdvi: slope },
+      records: 0,
+      r2: null,
+      rmse: null
+    }
+  };
+}
+
+function summarizeModel(crop, stored) {
+  if (!stored) {
+    const { intercept, slope } = crop.yield;
+    return {
+      crop: crop.key,
+      source: 'prior',
+      recordCount: 0,
+      calibratedAt: null,
+      fits: [{ source: 'prior', features: ['peakNdvi'], coefficients: { intercept, peakNdvi: slope }, records: 0, r2: null, rmse: null }]
+    };
+  }
+  return {
+    crop: crop.key,
+    source: 'calibrated',
+    recordCount: stored.recordCount,
+    calibratedAt: stored.calibratedAt,
+    fits: stored.fits.map(summarizeFit)
+  };
+}
+
+function summarizeFit(fit) {
+  const coefficients = { intercept: roundValue(fit.coefficients[0], 4) };
+  fit.features.forEach((feature, i) => {
+    coefficients[feature] = roundValue(fit.coefficients[i + 1], 4);
+  });
+  return {
+    source: 'calibrated',
+    features: fit.features,
+    coefficients,
+    records: fit.n,
+    r2: roundValue(fit.r2, 3),
+    rmse: roundValue(fit.rmse, 2)
+  };
+}
+
+function addDays(isoDate, days) {
+  const date = new Date(`${isoDate}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+}
+
+function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000);
+}
+
+function isNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value);
+}
+
+function roundValue(value, decimals) {
+  return isNumber(value) ? parseFloat(value.toFixed(decimals)) : null;
+}
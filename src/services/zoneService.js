@@ -0,0 +1,509 @@
+/**
+ * Management zones - splits a registered field into zones of similar NDVI
+ * for variable-rate application.
+ *
+ * The NDVI pixels whose centre lies inside the field boundary are clustered
+ * with k-means or Jenks natural breaks, isolated pixels are merged into
+ * their surroundings with a majority filter, and every zone is traced along
+ * pixel edges into GeoJSON polygons. Zones are numbered from the lowest to
+ * the highest NDVI. A prescription assigns an application rate to each zone.
+ */
+
+import { readIndexWindow } from "./GeoTIFFService.js";
+import { getField } from "./fieldRegistry.js";
+import { getGeometryPolygons, pointInPolygon } from "../utils/coordinateUtils.js";
+import { getPixelAreaSquareMeters, lonLatToPixel, pixelToLonLat } from "../utils/projectionUtils.js";
+import { createHttpError } from "../utils/errorUtils.js";
+
+export const ZONE_METHODS = ['kmeans', 'jenks'];
+export const MIN_ZONES = 3;
+export const MAX_ZONES = 5;
+
+// How prescription rates follow NDVI: "compensate" gives low-vigour zones
+// more, "boost" gives high-vigour zones more
+export const PRESCRIPTION_STRATEGIES = ['compensate', 'boost'];
+
+// Largest field window read (about 100 km² of 10 m pixels)
+const MAX_ZONE_PIXELS = 1024 * 1024;
+// NDVI is clustered on a histogram of this bin width, which keeps Jenks
+// tractable for large fields and is well below sensor noise
+const NDVI_BIN_WIDTH = 0.001;
+const MAX_KMEANS_ITERATIONS = 100;
+const SQUARE_METERS_PER_HECTARE = 10000;
+
+// Edge directions in pixel space (rows grow downwards), clockwise
+const STEP_X = [1, 0, -1, 0];
+const STEP_Y = [0, 1, 0, -1];
+
+/**
+ * Split a field into management zones by NDVI
+ * @param {string} fieldId - Registered field id
+ * @param {Object} [options] - Zoning options
+ * @param {Object} [options.user] - User asking for the zones
+ * @param {number} [options.zones=3] - Number of zones, MIN_ZONES to MAX_ZONES
+ * @param {string} [options.method='kmeans'] - 'kmeans' or 'jenks'
+ * @param {number} [options.smoothing=1] - Majority filter passes; 0 keeps single-pixel specks
+ * @param {Date} [options.date] - Date to pick the best catalog scene for
+ * @param {string} [options.sceneId] - Catalog scene to use instead of picking one
+ * @param {Array<string>} [options.mask] - QA classes to mask
+ * @param {Object} [options.prescription] - Rates to assign, see resolvePrescriptionRates()
+ * @returns {Object} - { field, scene, method, breaks, summary, zones, prescription }
+ *   with zones a GeoJSON FeatureCollection of one feature per zone; a zone left
+ *   without pixels by smoothing has 0 hectares and a null geometry
+ */
+export async function delineateManagementZones(fieldId, {
+  user = null,
+  zones = MIN_ZONES,
+  method = 'kmeans',
+  smoothing = 1,
+  date,
+  sceneId,
+  mask,
+  prescription = null
+} = {}) {
+  const field = await getField(fieldId, { user });
+  if (!field) {
+    throw createHttpError(404, `Field ${fieldId} not found`);
+  }
+  // Validate before the raster is read
+  const rates = prescription ? resolvePrescriptionRates(prescription, zones) : null;
+
+  const ndvi = await readIndexWindow({ boundingBox: field.bbox, sceneId, date, mask, maxPixels: MAX_ZONE_PIXELS });
+  const [x0, y0, x1, y1] = ndvi.window;
+  const width = x1 - x0;
+  const height = y1 - y0;
+
+  // Project the boundary once into pixel space so each pixel test is planar
+  const pixelPolygons = getGeometryPolygons(field.boundary).map(rings =>
+    rings.map(ring => ring.map(([lon, lat]) => lonLatToPixel(ndvi.image, lon, lat)))
+  );
+  const valid = new Uint8Array(width * height);
+  let insidePixels = 0;
+  let validPixels = 0;
+  for (let row = 0; row < height; row++) {
+    for (let col = 0; col < width; col++) {
+      const center = [x0 + col + 0.5, y0 + row + 0.5];
+      if (!pixelPolygons.some(rings => pointInPolygon(center, rings))) {
+        continue;
+      }
+      insidePixels++;
+      const i = row * width + col;
+      if (ndvi.reasons[i] === 0 && !isNaN(ndvi.values[i])) {
+        valid[i] = 1;
+        validPixels++;
+      }
+    }
+  }
+  if (validPixels === 0) {
+    throw createHttpError(404, `No unmasked NDVI pixels inside field ${fieldId}`);
+  }
+
+  const histogram = buildHistogram(ndvi.values, valid);
+  const distinct = histogram.filter(({ count }) => count > 0);
+  if (distinct.length < zones) {
+    throw createHttpError(400, `Field ${fieldId} has only ${distinct.length} distinct NDVI levels, fewer than the ${zones} zones requested`);
+  }
+  const classOfBin = method === 'jenks' ? jenksClasses(distinct, zones) : kmeansClasses(distinct, zones);
+  const breaks = [];
+  for (let i = 1; i < distinct.length; i++) {
+    if (classOfBin[i] !== classOfBin[i - 1]) {
+      breaks.push(round((distinct[i - 1].value + distinct[i].value) / 2, 4));
+    }
+  }
+
+  // Zone of each pixel: 0 outside the field or masked, 1..zones otherwise
+  let labels = new Uint8Array(width * height);
+  for (let i = 0; i < labels.length; i++) {
+    if (valid[i]) {
+      labels[i] = 1 + countBelow(breaks, ndvi.values[i]);
+    }
+  }
+  for (let pass = 0; pass < smoothing; pass++) {
+    labels = applyMajorityFilter(labels, width, height, zones);
+  }
+
+  const pixelAreaHectares = getPixelAreaSquareMeters(ndvi.image, field.centroid.latitude) / SQUARE_METERS_PER_HECTARE;
+  const toLonLat = ([x, y]) => pixelToLonLat(ndvi.image, x0 + x, y0 + y).map(value => round(value, 7));
+  let ndviSum = 0;
+  const features = [];
+  for (let zone = 1; zone <= zones; zone++) {
+    let pixels = 0;
+    let sum = 0;
+    let min = Infinity;
+    let max = -Infinity;
+    for (let i = 0; i < labels.length; i++) {
+      if (labels[i] === zone) {
+        const value = ndvi.values[i];
+        pixels++;
+        sum += value;
+        if (value < min) min = value;
+        if (value > max) max = value;
+      }
+    }
+    ndviSum += sum;
+
+    const polygons = traceZonePolygons(labels, width, height, zone)
+      .map(rings => rings.map(ring => ring.map(toLonLat)));
+    const hectares = pixels * pixelAreaHectares;
+    const properties = {
+      zone,
+      pixels,
+      hectares: round(hectares, 2),
+      percent: round(pixels / validPixels * 100, 1),
+      meanNdvi: pixels > 0 ? round(sum / pixels, 4) : null,
+      minNdvi: pixels > 0 ? round(min, 4) : null,
+      maxNdvi: pixels > 0 ? round(max, 4) : null
+    };
+    if (rates) {
+      properties.rate = rates[zone - 1];
+      properties.quantity = round(rates[zone - 1] * hectares, 2);
+    }
+    // A zone the majority filter emptied keeps its feature, without geometry
+    let geometry = null;
+    if (polygons.length === 1) {
+      geometry = { type: 'Polygon', coordinates: polygons[0] };
+    } else if (polygons.length > 1) {
+      geometry = { type: 'MultiPolygon', coordinates: polygons };
+    }
+    features.push({ type: 'Feature', id: zone, properties, geometry });
+  }
+
+  return {
+    field: { id: field.id, name: field.name, areaHectares: field.areaHectares },
+    scene: ndvi.scene,
+    method,
+    breaks,
+    summary: {
+      zones,
+      smoothing,
+      meanNdvi: round(ndviSum / validPixels, 4),
+      fieldPixels: insidePixels,
+      maskedPixels: insidePixels - validPixels,
+      pixelAreaHectares: round(pixelAreaHectares, 6),
+      zonedHectares: round(validPixels * pixelAreaHectares, 2)
+    },
+    zones: { type: 'FeatureCollection', features },
+    prescription: rates
+      ? {
+        product: prescription.product ?? null,
+        unit: prescription.unit ?? 'kg/ha',
+        strategy: prescription.rates ? 'custom' : prescription.strategy ?? 'compensate',
+        rates,
+        totalQuantity: round(features.reduce((total, { properties }) => total + properties.quantity, 0), 2)
+      }
+      : null
+  };
+}
+
+/**
+ * Work out the application rate of each zone. Rates are either listed per
+ * zone, or spread linearly around a base rate by up to ±variation, with the
+ * lowest NDVI zone getting the most under "compensate" and the least under
+ * "boost".
+ * @param {Object} prescription - { rates } or { baseRate, strategy = 'compensate',
+ *   variation = 0.2 }, plus optional { product, unit }
+ * @param {number} zones - Number of zones
+ * @returns {Array<number>} - Rate of each zone, lowest NDVI first
+ */
+export function resolvePrescriptionRates(prescription, zones) {
+  if (typeof prescription !== 'object' || Array.isArray(prescription)) {
+    throw createHttpError(400, 'prescription must be an object with rates or baseRate');
+  }
+  if (prescription.product !== undefined && typeof prescription.product !== 'string') {
+    throw createHttpError(400, 'prescription.product must be a string');
+  }
+  if (prescription.unit !== undefined && typeof prescription.unit !== 'string') {
+    throw createHttpError(400, 'prescription.unit must be a string');
+  }
+
+  if (prescription.rates !== undefined) {
+    const { rates } = prescription;
+    if (!Array.isArray(rates) || rates.length !== zones || rates.some(rate => typeof rate !== 'number' || !(rate >= 0))) {
+      throw createHttpError(400, `prescription.rates must list ${zones} non-negative numbers, lowest NDVI zone first`);
+    }
+    return [...rates];
+  }
+
+  const { baseRate, strategy = 'compensate', variation = 0.2 } = prescription;
+  if (typeof baseRate !== 'number' || !(baseRate >= 0)) {
+    throw createHttpError(400, 'prescription needs rates or a non-negative baseRate');
+  }
+  if (!PRESCRIPTION_STRATEGIES.includes(strategy)) {
+    throw createHttpError(400, `prescription.strategy must be one of ${PRESCRIPTION_STRATEGIES.join(', ')}`);
+  }
+  if (typeof variation !== 'number' || !(variation >= 0 && variation <= 1)) {
+    throw createHttpError(400, 'prescription.variation must be a number between 0 and 1');
+  }
+  const direction = strategy === 'compensate' ? 1 : -1;
+  return Array.from({ length: zones }, (_, i) =>
+    round(baseRate * (1 + direction * variation * (1 - 2 * i / (zones - 1))), 2)
+  );
+}
+
+/**
+ * Count the valid NDVI values per histogram bin
+ * @param {Float32Array} values - NDVI per pixel
+ * @param {Uint8Array} valid - 1 for pixels to count
+ * @returns {Array} - [{ value, count }] per bin from -1 to 1, value being the bin centre
+ */
+function buildHistogram(values, valid) {
+  const bins = Math.round(2 / NDVI_BIN_WIDTH) + 1;
+  const counts = new Uint32Array(bins);
+  for (let i = 0; i < values.length; i++) {
+    if (valid[i]) {
+      const bin = Math.round((values[i] + 1) / NDVI_BIN_WIDTH);
+      counts[Math.min(bins - 1, Math.max(0, bin))]++;
+    }
+  }
+  return Array.from(counts, (count, bin) => ({ value: bin * NDVI_BIN_WIDTH - 1, count }));
+}
+
+/**
+ * Cluster histogram bins with one-dimensional k-means, weighted by count.
+ * Centres start at evenly spaced quantiles, moved apart so no two share a
+ * bin, which keeps the result deterministic.
+ * @param {Array} bins - Non-empty { value, count } bins in ascending order
+ * @param {number} k - Number of classes
+ * @returns {Array<number>} - Class of each bin, 0 for the lowest values
+ */
+function kmeansClasses(bins, k) {
+  const total = bins.reduce((sum, { count }) => sum + count, 0);
+  const seeds = [];
+  let seen = 0;
+  bins.forEach(({ count }, i) => {
+    seen += count;
+    while (seeds.length < k && seen >= (seeds.length + 0.5) / k * total) {
+      seeds.push(i);
+    }
+  });
+  for (let c = 1; c < k; c++) {
+    seeds[c] = Math.max(seeds[c], seeds[c - 1] + 1);
+  }
+  for (let c = k - 1; c >= 0; c--) {
+    seeds[c] = Math.min(seeds[c], c < k - 1 ? seeds[c + 1] - 1 : bins.length - 1);
+  }
+  const centers = seeds.map(i => bins[i].value);
+
+  const classes = new Array(bins.length).fill(0);
+  for (let iteration = 0; iteration < MAX_KMEANS_ITERATIONS; iteration++) {
+    let changed = false;
+    let current = 0;
+    bins.forEach(({ value }, i) => {
+      // Bins are sorted, so the nearest centre only moves upwards
+      while (current < k - 1 && Math.abs(centers[current + 1] - value) < Math.abs(centers[current] - value)) {
+        current++;
+      }
+      if (classes[i] !== current) {
+        classes[i] = current;
+        changed = true;
+      }
+    });
+
+    const sums = new Array(k).fill(0);
+    const counts = new Array(k).fill(0);
+    bins.forEach(({ value, count }, i) => {
+      sums[classes[i]] += value * count;
+      counts[classes[i]] += count;
+    });
+    centers.forEach((center, c) => {
+      centers[c] = counts[c] > 0 ? sums[c] / counts[c] : center;
+    });
+    if (!changed && iteration > 0) {
+      break;
+    }
+  }
+  return classes;
+}
+
+/**
+ * Cluster histogram bins with Jenks natural breaks (Fisher's exact
+ * optimisation of the within-class sum of squared deviations), weighted by count
+ * @param {Array} bins - Non-empty { value, count } bins in ascending order
+ * @param {number} k - Number of classes
+ * @returns {Array<number>} - Class of each bin, 0 for the lowest values
+ */
+function jenksClasses(bins, k) {
+  const n = bins.length;
+  // Prefix sums give the squared deviation of any run of bins in O(1)
+  const weight = new Float64Array(n + 1);
+  const sum = new Float64Array(n + 1);
+  const sumOfSquares = new Float64Array(n + 1);
+  bins.forEach(({ value, count }, i) => {
+    weight[i + 1] = weight[i] + count;
+    sum[i + 1] = sum[i] + value * count;
+    sumOfSquares[i + 1] = sumOfSquares[i] + value * value * count;
+  });
+  const deviation = (from, to) => {
+    const w = weight[to] - weight[from];
+    const s = sum[to] - sum[from];
+    return sumOfSquares[to] - sumOfSquares[from] - s * s / w;
+  };
+
+  // cost[c][j]: best cost of the first j bins in c + 1 classes; start[c][j]: first bin of the last class
+  const cost = Array.from({ length: k }, () => new Float64Array(n + 1).fill(Infinity));
+  const start = Array.from({ length: k }, () => new Int32Array(n + 1));
+  for (let j = 1; j <= n; j++) {
+    cost[0][j] = deviation(0, j);
+  }
+  for (let c = 1; c < k; c++) {
+    for (let j = c + 1; j <= n; j++) {
+      for (let i = c; i < j; i++) {
+        const candidate = cost[c - 1][i] + deviation(i, j);
+        if (candidate < cost[c][j]) {
+          cost[c][j] = candidate;
+          start[c][j] = i;
+        }
+      }
+    }
+  }
+
+  const classes = new Array(n);
+  let end = n;
+  for (let c = k - 1; c >= 0; c--) {
+    const first = c > 0 ? start[c][end] : 0;
+    classes.fill(c, first, end);
+    end = first;
+  }
+  return classes;
+}
+
+/**
+ * Relabel each zoned pixel with the most common zone of its 3x3
+ * neighbourhood, keeping its own zone on ties. Unzoned pixels are neither
+ * changed nor counted.
+ * @param {Uint8Array} labels - Zone per pixel, 0 for none
+ * @param {number} width - Grid width
+ * @param {number} height - Grid height
+ * @param {number} zones - Number of zones
+ * @returns {Uint8Array} - Filtered labels
+ */
+function applyMajorityFilter(labels, width, height, zones) {
+  const filtered = new Uint8Array(labels);
+  const counts = new Uint8Array(zones + 1);
+  for (let row = 0; row < height; row++) {
+    for (let col = 0; col < width; col++) {
+      const own = labels[row * width + col];
+      if (own === 0) {
+        continue;
+      }
+      counts.fill(0);
+      for (let y = Math.max(0, row - 1); y <= Math.min(height - 1, row + 1); y++) {
+        for (let x = Math.max(0, col - 1); x <= Math.min(width - 1, col + 1); x++) {
+          counts[labels[y * width + x]]++;
+        }
+      }
+      let best = own;
+      for (let zone = 1; zone <= zones; zone++) {
+        if (counts[zone] > counts[best]) {
+          best = zone;
+        }
+      }
+      filtered[row * width + col] = best;
+    }
+  }
+  return filtered;
+}
+
+/**
+ * Trace the pixels of one zone into polygons along pixel edges. Outer rings
+ * run clockwise in pixel space with the zone on their right; pixels that
+ * only touch diagonally become separate polygons.
+ * @param {Uint8Array} labels - Zone per pixel
+ * @param {number} width - Grid width
+ * @param {number} height - Grid height
+ * @param {number} zone - Zone to trace
+ * @returns {Array} - Polygons as [outer, ...holes] rings of [x, y] pixel corners,
+ *   counterclockwise once rows point north
+ */
+function traceZonePolygons(labels, width, height, zone) {
+  const stride = width + 1;
+  // Bit d of a corner is set when an unvisited boundary edge leaves it in direction d
+  const edges = new Uint8Array(stride * (height + 1));
+  const inZone = (x, y) => x >= 0 && y >= 0 && x < width && y < height && labels[y * width + x] === zone;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (!inZone(x, y)) continue;
+      if (!inZone(x, y - 1)) edges[y * stride + x] |= 1;
+      if (!inZone(x + 1, y)) edges[y * stride + x + 1] |= 2;
+      if (!inZone(x, y + 1)) edges[(y + 1) * stride + x + 1] |= 4;
+      if (!inZone(x - 1, y)) edges[(y + 1) * stride + x] |= 8;
+    }
+  }
+
+  const outers = [];
+  const holes = [];
+  for (let corner = 0; corner < edges.length; corner++) {
+    while (edges[corner]) {
+      const ring = traceRing(edges, stride, corner);
+      (ringArea(ring.points) > 0 ? outers : holes).push(ring);
+    }
+  }
+
+  // A hole belongs to the smallest outer ring around the zone pixel beside it
+  const polygons = outers.map(outer => ({ area: ringArea(outer.points), rings: [outer.points] }));
+  for (const hole of holes) {
+    const owner = polygons
+      .filter(({ rings }) => pointInPolygon(hole.inside, [rings[0]]))
+      .reduce((smallest, polygon) => !smallest || polygon.area < smallest.area ? polygon : smallest, null);
+    if (owner) {
+      owner.rings.push(hole.points);
+    }
+  }
+  return polygons.map(({ rings }) => rings.map(points => [...points, points[0]].reverse()));
+}
+
+/**
+ * Follow unvisited boundary edges from a corner until the ring closes,
+ * turning right where two edges leave a corner
+ * @param {Uint8Array} edges - Direction bits per corner; visited edges are cleared
+ * @param {number} stride - Corners per row
+ * @param {number} first - Corner to start from
+ * @returns {Object} - { points } at the ring's turns and { inside }, the centre of a zone pixel on its right
+ */
+function traceRing(edges, stride, first) {
+  let direction = [0, 1, 2, 3].find(d => edges[first] & (1 << d));
+  const startDirection = direction;
+  const points = [];
+  let corner = first;
+  let previous = -1;
+  do {
+    edges[corner] &= ~(1 << direction);
+    if (direction !== previous) {
+      points.push([corner % stride, Math.floor(corner / stride)]);
+    }
+    previous = direction;
+    corner += STEP_Y[direction] * stride + STEP_X[direction];
+    direction = [1, 0, 3]
+      .map(turn => (previous + turn) % 4)
+      .find(d => edges[corner] & (1 << d)) ?? startDirection;
+  } while (corner !== first);
+  if (previous === startDirection && points.length > 1) {
+    points.shift();
+  }
+
+  const [x, y] = [first % stride, Math.floor(first / stride)];
+  const inside = [x + (startDirection === 0 || startDirection === 3 ? 0.5 : -0.5), y + (startDirection < 2 ? 0.5 : -0.5)];
+  return { points, inside };
+}
+
+function ringArea(points) {
+  let area = 0;
+  for (let i = 0; i < points.length; i++) {
+    const [x1, y1] = points[i];
+    const [x2, y2] = points[(i + 1) % points.length];
+    area += x1 * y2 - x2 * y1;
+  }
+  return area / 2;
+}
+
+function countBelow(breaks, value) {
+  let count = 0;
+  while (count < breaks.length && value >= breaks[count]) {
+    count++;
+  }
+  return count;
+}
+
+function round(value, digits) {
+  return parseFloat(value.toFixed(digits));
+}
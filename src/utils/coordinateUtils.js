@@ -68,4 +68,231 @@ export function generateBoundingBox(latitude, longitude, radiusKm = 1) {
     east: longitude + lonDelta,
     west: longitude - lonDelta
   };
-} 
\ No newline at end of file
+} 
+
+/**
+ * Normalizes GeoJSON input into a list of polygon features
+ * @param {Object} geojson - Polygon, MultiPolygon, Feature or FeatureCollection
+ * @returns {Array} - Features with Polygon or MultiPolygon geometry
+ */
+export function normalizePolygonFeatures(geojson) {
+  if (!geojson || typeof geojson !== 'object') {
+    throw new Error('GeoJSON object is required');
+  }
+
+  let features;
+  if (geojson.type === 'FeatureCollection') {
+    features = geojson.features || [];
+  } else if (geojson.type === 'Feature') {
+    features = [geojson];
+  } else {
+    features = [{ type: 'Feature', properties: {}, geometry: geojson }];
+  }
+
+  if (features.length === 0) {
+    throw new Error('GeoJSON contains no features');
+  }
+
+  return features.map((feature, index) => {
+    const geometry = feature && feature.geometry;
+    if (!geometry || !['Polygon', 'MultiPolygon'].includes(geometry.type)) {
+      throw new Error(`Feature ${index} must have a Polygon or MultiPolygon geometry`);
+    }
+    getGeometryPolygons(geometry).forEach(rings => {
+      if (!Array.isArray(rings) || rings.length === 0 || rings.some(ring => !Array.isArray(ring) || ring.length < 4)) {
+        throw new Error(`Feature ${index} has an invalid polygon ring`);
+      }
+      rings.forEach(ring => ring.forEach(([lon, lat]) => {
+        if (!validateCoordinates(lat, lon)) {
+          throw new Error(`Feature ${index} has invalid coordinates`);
+        }
+      }));
+    });
+    return {
+      id: feature.id !== undefined ? feature.id : index,
+      properties: feature.properties || {},
+      geometry
+    };
+  });
+}
+
+/**
+ * Returns the polygons of a Polygon or MultiPolygon geometry as ring lists
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {Array} - Array of polygons, each an array of [lon, lat] rings
+ */
+export function getGeometryPolygons(geometry) {
+  return geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+}
+
+/**
+ * Generates the bounding box of a polygon geometry
+ * @param {Object} geometry - GeoJSON Polygon or MultiPolygon
+ * @returns {Object} - Bounding box coordinates
+ */
+export function getGeometryBoundingBox(geometry) {
+  const box = { north: -Infinity, south: Infinity, east: -Infinity, west: Infinity };
+  getGeometryPolygons(geometry).forEach(rings => {
+    rings[0].forEach(([lon, lat]) => {
+      box.north = Math.max(box.north, lat);
+      box.south = Math.min(box.south, lat);
+      box.east = Math.max(box.east, lon);
+      box.west = Math.min(box.west, lon);
+    });
+  });
+  return box;
+}
+
+/**
+ * Tests whether a point lies inside a polygon using ray casting.
+ * The first ring is the outer boundary, further rings are holes.
+ * @param {Array<number>} point - [x, y] point
+ * @param {Array} rings - Polygon rings in the same units as the point
+ * @returns {boolean} - True if the point is inside the polygon
+ */
+export function pointInPolygon(point, rings) {
+  if (!pointInRing(point, rings[0])) {
+    return false;
+  }
+  for (let i = 1; i < rings.length; i++) {
+    if (pointInRing(point, rings[i])) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Calculates the distance from a point to the nearest part of a geometry.
+ * Distances are measured in a local flat projection around the point, which
+ * is accurate to well under 1% within a few tens of kilometres.
+ * @param {number} latitude - Point latitude
+ * @param {number} longitude - Point longitude
+ * @param {Object} geometry - GeoJSON Point, LineString, Polygon or their Multi variants
+ * @returns {number} - Distance in kilometers; 0 when the point is inside a polygon
+ */
+export function calculateDistanceToGeometry(latitude, longitude, geometry) {
+  const kmPerDegreeLon = 111.32 * Math.cos(latitude * Math.PI / 180);
+  const toLocal = ([lon, lat]) => [(lon - longitude) * kmPerDegreeLon, (lat - latitude) * 110.574];
+  const lineDistance = line => {
+    const points = line.map(toLocal);
+    if (points.length === 1) {
+      return Math.hypot(points[0][0], points[0][1]);
+    }
+    let nearest = Infinity;
+    for (let i = 1; i < points.length; i++) {
+      nearest = Math.min(nearest, segmentDistance(points[i - 1], points[i]));
+    }
+    return nearest;
+  };
+
+  switch (geometry.type) {
+    case 'Point':
+      return lineDistance([geometry.coordinates]);
+    case 'MultiPoint':
+      return Math.min(...geometry.coordinates.map(point => lineDistance([point])));
+    case 'LineString':
+      return lineDistance(geometry.coordinates);
+    case 'MultiLineString':
+      return Math.min(...geometry.coordinates.map(lineDistance));
+    case 'Polygon':
+    case 'MultiPolygon':
+      return getGeometryPolygons(geometry).some(rings => pointInPolygon([longitude, latitude], rings))
+        ? 0
+        : Math.min(...getGeometryPolygons(geometry).flat().map(lineDistance));
+    default:
+      throw new Error(`Unsupported geometry type ${geometry.type}`);
+  }
+}
+
+function pointInRing([x, y], ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/**
+ * Calculates the area of a polygon geometry on the WGS84 sphere. Holes are
+ * subtracted from their outer ring.
+ * @param {Object} geometry - GeoJSON Polygon or MultiPolygon
+ * @returns {number} - Area in square metres
+ */
+export function calculateGeometryArea(geometry) {
+  return getGeometryPolygons(geometry).reduce((total, rings) =>
+    total + rings.reduce((sum, ring, i) => sum + (i === 0 ? 1 : -1) * Math.abs(ringArea(ring)), 0), 0);
+}
+
+/**
+ * Calculates the centroid of a polygon geometry. Uses planar geometry in
+ * degrees, which is accurate enough for field-sized polygons.
+ * @param {Object} geometry - GeoJSON Polygon or MultiPolygon
+ * @returns {Object} - { latitude, longitude }
+ */
+export function getGeometryCentroid(geometry) {
+  let area = 0;
+  let x = 0;
+  let y = 0;
+  getGeometryPolygons(geometry).forEach(rings => rings.forEach((ring, index) => {
+    const sign = index === 0 ? 1 : -1;
+    const { area: ringSignedArea, x: ringX, y: ringY } = ringMoments(ring);
+    // Orient outer rings positive and holes negative whatever their winding
+    const weight = sign * Math.abs(ringSignedArea);
+    if (ringSignedArea !== 0) {
+      area += weight;
+      x += weight * ringX;
+      y += weight * ringY;
+    }
+  }));
+
+  if (area === 0) {
+    const box = getGeometryBoundingBox(geometry);
+    return { latitude: (box.north + box.south) / 2, longitude: (box.east + box.west) / 2 };
+  }
+  return { latitude: y / area, longitude: x / area };
+}
+
+function ringArea(ring) {
+  const radius = 6378137;
+  const points = ring.length > 1 && ring[0][0] === ring[ring.length - 1][0] && ring[0][1] === ring[ring.length - 1][1]
+    ? ring.slice(0, -1)
+    : ring;
+  const toRadians = degrees => degrees * Math.PI / 180;
+  let total = 0;
+  for (let i = 0; i < points.length; i++) {
+    const previous = points[(i + points.length - 1) % points.length];
+    const next = points[(i + 1) % points.length];
+    total += (toRadians(next[0]) - toRadians(previous[0])) * Math.sin(toRadians(points[i][1]));
+  }
+  return total * radius * radius / 2;
+}
+
+function ringMoments(ring) {
+  let area = 0;
+  let x = 0;
+  let y = 0;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    const cross = xj * yi - xi * yj;
+    area += cross;
+    x += (xj + xi) * cross;
+    y += (yj + yi) * cross;
+  }
+  area /= 2;
+  return area === 0 ? { area: 0, x: 0, y: 0 } : { area, x: x / (6 * area), y: y / (6 * area) };
+}
+
+function segmentDistance([x1, y1], [x2, y2]) {
+  const dx = x2 - x1;
+  const dy = y2 - y1;
+  const lengthSquared = dx * dx + dy * dy;
+  // Distance from the origin, i.e. the point being measured from
+  const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, -(x1 * dx + y1 * dy) / lengthSquared));
+  return Math.hypot(x1 + t * dx, y1 + t * dy);
+}
@@ -0,0 +1,71 @@
+/**
+ * CSV parsing for uploaded tabular data. Handles quoted fields, escaped
+ * quotes ("") and CRLF or LF line endings; the first row is the header.
+ */
+
+/**
+ * Parse CSV text into one object per data row
+ * @param {string} text - CSV text
+ * @returns {Object} - { headers: [string], rows: [{ line, values: { [header]: string } }] }
+ */
+export function parseCsv(text) {
+  const records = splitRecords(String(text).replace(/^\uFEFF/, ''));
+  if (records.length === 0) {
+    return { headers: [], rows: [] };
+  }
+
+  const headers = records[0].fields.map(header => header.trim());
+  const rows = records.slice(1)
+    .filter(record => record.fields.some(field => field.trim() !== ''))
+    .map(record => ({
+      line: record.line,
+      values: Object.fromEntries(headers.map((header, i) => [header, (record.fields[i] ?? '').trim()]))
+    }));
+
+  return { headers, rows };
+}
+
+function splitRecords(text) {
+  const records = [];
+  let fields = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      fields.push(field);
+      records.push({ line: recordLine, fields });
+      fields = [];
+      field = '';
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || fields.length > 0) {
+    fields.push(field);
+    records.push({ line: recordLine, fields });
+  }
+  return records;
+}
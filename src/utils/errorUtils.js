@@ -0,0 +1,15 @@
+/**
+ * Error utilities shared by services and controllers
+ */
+
+/**
+ * Creates an error carrying the HTTP status controllers should respond with
+ * @param {number} status - HTTP status code
+ * @param {string} message - Error message
+ * @returns {Error} - Error with a status property
+ */
+export function createHttpError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
@@ -0,0 +1,22 @@
+/**
+ * HTTP caching headers shared by controllers
+ */
+
+import crypto from 'crypto';
+
+/**
+ * Set Cache-Control and, optionally, an ETag derived from the response
+ * content. Express answers 304 Not Modified when the request's
+ * If-None-Match matches the ETag. Responses are marked private because they
+ * can depend on the authenticated user.
+ * @param {Object} res - Express response object
+ * @param {Object} options - { maxAge } in seconds and { etag }: the JSON-serializable
+ *   content the ETag is computed from, without per-request fields such as timestamps
+ */
+export function setCacheHeaders(res, { maxAge, etag }) {
+  res.set('Cache-Control', maxAge > 0 ? `private, max-age=${maxAge}` : 'no-cache');
+  if (etag !== undefined) {
+    const hash = crypto.createHash('sha1').update(JSON.stringify(etag)).digest('base64url');
+    res.set('ETag', `"${hash}"`);
+  }
+}
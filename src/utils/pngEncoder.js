@@ -0,0 +1,65 @@
+/**
+ * Minimal PNG encoder for RGBA pixel buffers
+ */
+
+import zlib from "zlib";
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * Encodes an RGBA pixel buffer as a PNG image
+ * @param {Uint8Array} rgba - Pixel data, 4 bytes per pixel, row-major
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @returns {Buffer} - PNG file contents
+ */
+export function encodePng(rgba, width, height) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // Bit depth
+  header[9] = 6; // Color type RGBA
+  header[10] = 0; // Compression
+  header[11] = 0; // Filter
+  header[12] = 0; // Interlace
+
+  // Each scanline is prefixed with filter type 0 (none)
+  const stride = width * 4;
+  const scanlines = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    scanlines[y * (stride + 1)] = 0;
+    Buffer.from(rgba.buffer, rgba.byteOffset + y * stride, stride).copy(scanlines, y * (stride + 1) + 1);
+  }
+
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    createChunk("IHDR", header),
+    createChunk("IDAT", zlib.deflateSync(scanlines)),
+    createChunk("IEND", Buffer.alloc(0))
+  ]);
+}
+
+function createChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length, 0);
+  const typeAndData = Buffer.concat([Buffer.from(type, "ascii"), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(typeAndData), 0);
+  return Buffer.concat([length, typeAndData, crc]);
+}
+
+function crc32(buffer) {
+  let c = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    c = CRC_TABLE[(c ^ buffer[i]) & 0xff] ^ (c >>> 8);
+  }
+  return (c ^ 0xffffffff) >>> 0;
+}
@@ -0,0 +1,296 @@
+/**
+ * Projection utilities for mapping geographic coordinates onto raster grids
+ */
+
+const WGS84_A = 6378137; // Semi-major axis in meters
+const WGS84_F = 1 / 298.257223563;
+const WGS84_E2 = WGS84_F * (2 - WGS84_F);
+const UTM_K0 = 0.9996;
+
+/**
+ * Resolves the EPSG code of a GeoTIFF from its geokeys
+ * @param {Object} geoKeys - Geokeys as returned by GeoTIFFImage.getGeoKeys()
+ * @returns {number} - EPSG code of the raster CRS
+ */
+export function getEpsgCode(geoKeys = {}) {
+  if (geoKeys.ProjectedCSTypeGeoKey && geoKeys.ProjectedCSTypeGeoKey !== 32767) {
+    return geoKeys.ProjectedCSTypeGeoKey;
+  }
+  if (geoKeys.GeographicTypeGeoKey && geoKeys.GeographicTypeGeoKey !== 32767) {
+    return geoKeys.GeographicTypeGeoKey;
+  }
+  // GTModelTypeGeoKey 2 = geographic lat/lon without an explicit datum code
+  if (geoKeys.GTModelTypeGeoKey === 2) {
+    return 4326;
+  }
+  throw new Error('Unable to determine raster CRS from GeoTIFF geokeys');
+}
+
+/**
+ * Checks whether an EPSG code can be handled by projectLonLat
+ * @param {number} epsg - EPSG code
+ * @returns {boolean} - True if the CRS is supported
+ */
+export function isSupportedEpsg(epsg) {
+  return isGeographic(epsg) || epsg === 3857 || epsg === 900913 || isUtm(epsg);
+}
+
+/**
+ * Projects a WGS84 longitude/latitude pair into the given CRS
+ * @param {number} longitude - Longitude in degrees
+ * @param {number} latitude - Latitude in degrees
+ * @param {number} epsg - Target EPSG code
+ * @returns {Array<number>} - [x, y] in target CRS units
+ */
+export function projectLonLat(longitude, latitude, epsg) {
+  if (isGeographic(epsg)) {
+    return [longitude, latitude];
+  }
+  if (epsg === 3857 || epsg === 900913) {
+    const x = WGS84_A * longitude * Math.PI / 180;
+    const y = WGS84_A * Math.log(Math.tan(Math.PI / 4 + (latitude * Math.PI / 180) / 2));
+    return [x, y];
+  }
+  if (isUtm(epsg)) {
+    const zone = epsg % 100;
+    const south = Math.floor(epsg / 100) === 327;
+    return projectUtm(longitude, latitude, zone, south);
+  }
+  throw new Error(`Unsupported raster CRS: EPSG:${epsg}`);
+}
+
+/**
+ * Converts coordinates in the given CRS back to WGS84 longitude/latitude
+ * @param {number} x - X coordinate in CRS units
+ * @param {number} y - Y coordinate in CRS units
+ * @param {number} epsg - Source EPSG code
+ * @returns {Array<number>} - [longitude, latitude] in degrees
+ */
+export function unprojectToLonLat(x, y, epsg) {
+  if (isGeographic(epsg)) {
+    return [x, y];
+  }
+  if (epsg === 3857 || epsg === 900913) {
+    const longitude = x / WGS84_A * 180 / Math.PI;
+    const latitude = (2 * Math.atan(Math.exp(y / WGS84_A)) - Math.PI / 2) * 180 / Math.PI;
+    return [longitude, latitude];
+  }
+  if (isUtm(epsg)) {
+    const zone = epsg % 100;
+    const south = Math.floor(epsg / 100) === 327;
+    return unprojectUtm(x, y, zone, south);
+  }
+  throw new Error(`Unsupported raster CRS: EPSG:${epsg}`);
+}
+
+/**
+ * Converts fractional pixel coordinates of an image to WGS84 longitude/latitude
+ * @param {Object} image - GeoTIFFImage instance
+ * @param {number} column - Pixel column (fractional)
+ * @param {number} row - Pixel row (fractional)
+ * @returns {Array<number>} - [longitude, latitude] in degrees
+ */
+export function pixelToLonLat(image, column, row) {
+  const [originX, originY] = image.getOrigin();
+  const [resX, resY] = image.getResolution();
+  return unprojectToLonLat(originX + column * resX, originY + row * resY, getEpsgCode(image.getGeoKeys()));
+}
+
+/**
+ * Returns the footprint of a GeoTIFF image as a GeoJSON polygon
+ * @param {Object} image - GeoTIFFImage instance
+ * @returns {Object} - GeoJSON Polygon in WGS84
+ */
+export function getImageFootprint(image) {
+  const width = image.getWidth();
+  const height = image.getHeight();
+  const corners = [[0, 0], [width, 0], [width, height], [0, height], [0, 0]];
+  return {
+    type: 'Polygon',
+    coordinates: [corners.map(([column, row]) => pixelToLonLat(image, column, row))]
+  };
+}
+
+/**
+ * Approximates the ground area covered by one pixel of an image
+ * @param {Object} image - GeoTIFFImage instance
+ * @param {number} latitude - Latitude of the area, for degree and Web Mercator grids
+ * @returns {number} - Pixel area in square meters
+ */
+export function getPixelAreaSquareMeters(image, latitude) {
+  const [resX, resY] = image.getResolution();
+  const epsg = getEpsgCode(image.getGeoKeys());
+  const cosLatitude = Math.cos(latitude * Math.PI / 180);
+  if (isGeographic(epsg)) {
+    return Math.abs(resX * 111320 * cosLatitude * resY * 110574);
+  }
+  if (epsg === 3857 || epsg === 900913) {
+    // Web Mercator stretches distances by 1 / cos(latitude)
+    return Math.abs(resX * resY) * cosLatitude * cosLatitude;
+  }
+  return Math.abs(resX * resY);
+}
+
+/**
+ * Computes the pixel window of a GeoTIFF image covering a lat/lon bounding box
+ * @param {Object} image - GeoTIFFImage instance
+ * @param {Object} boundingBox - { north, south, east, west } in degrees
+ * @returns {Array<number>|null} - [x0, y0, x1, y1] window, or null if outside the raster
+ */
+export function getPixelWindow(image, boundingBox) {
+  const epsg = getEpsgCode(image.getGeoKeys());
+  const corners = [
+    [boundingBox.west, boundingBox.north],
+    [boundingBox.east, boundingBox.north],
+    [boundingBox.east, boundingBox.south],
+    [boundingBox.west, boundingBox.south]
+  ].map(([lon, lat]) => toPixel(image, projectLonLat(lon, lat, epsg)));
+
+  const xs = corners.map(([x]) => x);
+  const ys = corners.map(([, y]) => y);
+
+  const x0 = Math.max(0, Math.floor(Math.min(...xs)));
+  const y0 = Math.max(0, Math.floor(Math.min(...ys)));
+  const x1 = Math.min(image.getWidth(), Math.ceil(Math.max(...xs)));
+  const y1 = Math.min(image.getHeight(), Math.ceil(Math.max(...ys)));
+
+  if (x1 <= x0 || y1 <= y0) {
+    return null;
+  }
+  return [x0, y0, x1, y1];
+}
+
+/**
+ * Converts a WGS84 longitude/latitude pair into fractional pixel coordinates
+ * @param {Object} image - GeoTIFFImage instance
+ * @param {number} longitude - Longitude in degrees
+ * @param {number} latitude - Latitude in degrees
+ * @returns {Array<number>} - [column, row] in pixel space
+ */
+export function lonLatToPixel(image, longitude, latitude) {
+  const epsg = getEpsgCode(image.getGeoKeys());
+  return toPixel(image, projectLonLat(longitude, latitude, epsg));
+}
+
+/**
+ * Converts projected coordinates into fractional pixel coordinates
+ * @param {Object} image - GeoTIFFImage instance
+ * @param {Array<number>} point - [x, y] in raster CRS units
+ * @returns {Array<number>} - [column, row] in pixel space
+ */
+function toPixel(image, [x, y]) {
+  const [originX, originY] = image.getOrigin();
+  const [resX, resY] = image.getResolution();
+  return [(x - originX) / resX, (y - originY) / resY];
+}
+
+function isGeographic(epsg) {
+  return epsg === 4326 || epsg === 4269 || epsg === 4258;
+}
+
+function isUtm(epsg) {
+  const prefix = Math.floor(epsg / 100);
+  const zone = epsg % 100;
+  return (prefix === 326 || prefix === 327) && zone >= 1 && zone <= 60;
+}
+
+/**
+ * Forward transverse mercator projection for a WGS84 UTM zone
+ * @param {number} longitude - Longitude in degrees
+ * @param {number} latitude - Latitude in degrees
+ * @param {number} zone - UTM zone number (1-60)
+ * @param {boolean} south - True for southern hemisphere zones
+ * @returns {Array<number>} - [easting, northing] in meters
+ */
+function projectUtm(longitude, latitude, zone, south) {
+  const e2 = WGS84_E2;
+  const e4 = e2 * e2;
+  const e6 = e4 * e2;
+  const ep2 = e2 / (1 - e2);
+
+  const phi = latitude * Math.PI / 180;
+  const lambda0 = ((zone - 1) * 6 - 180 + 3) * Math.PI / 180;
+  const lambda = longitude * Math.PI / 180;
+
+  const sinPhi = Math.sin(phi);
+  const cosPhi = Math.cos(phi);
+  const N = WGS84_A / Math.sqrt(1 - e2 * sinPhi * sinPhi);
+  const T = Math.tan(phi) ** 2;
+  const C = ep2 * cosPhi * cosPhi;
+  const A = cosPhi * (lambda - lambda0);
+
+  const M = WGS84_A * (
+    (1 - e2 / 4 - 3 * e4 / 64 - 5 * e6 / 256) * phi -
+    (3 * e2 / 8 + 3 * e4 / 32 + 45 * e6 / 1024) * Math.sin(2 * phi) +
+    (15 * e4 / 256 + 45 * e6 / 1024) * Math.sin(4 * phi) -
+    (35 * e6 / 3072) * Math.sin(6 * phi)
+  );
+
+  const easting = UTM_K0 * N * (
+    A +
+    (1 - T + C) * A ** 3 / 6 +
+    (5 - 18 * T + T * T + 72 * C - 58 * ep2) * A ** 5 / 120
+  ) + 500000;
+
+  let northing = UTM_K0 * (
+    M + N * Math.tan(phi) * (
+      A * A / 2 +
+      (5 - T + 9 * C + 4 * C * C) * A ** 4 / 24 +
+      (61 - 58 * T + T * T + 600 * C - 330 * ep2) * A ** 6 / 720
+    )
+  );
+  if (south) {
+    northing += 10000000;
+  }
+
+  return [easting, northing];
+}
+
+/**
+ * Inverse transverse mercator projection for a WGS84 UTM zone
+ * @param {number} easting - Easting in meters
+ * @param {number} northing - Northing in meters
+ * @param {number} zone - UTM zone number (1-60)
+ * @param {boolean} south - True for southern hemisphere zones
+ * @returns {Array<number>} - [longitude, latitude] in degrees
+ */
+function unprojectUtm(easting, northing, zone, south) {
+  const e2 = WGS84_E2;
+  const e4 = e2 * e2;
+  const e6 = e4 * e2;
+  const ep2 = e2 / (1 - e2);
+  const e1 = (1 - Math.sqrt(1 - e2)) / (1 + Math.sqrt(1 - e2));
+
+  const x = easting - 500000;
+  const y = south ? northing - 10000000 : northing;
+  const lambda0 = ((zone - 1) * 6 - 180 + 3) * Math.PI / 180;
+
+  const M = y / UTM_K0;
+  const mu = M / (WGS84_A * (1 - e2 / 4 - 3 * e4 / 64 - 5 * e6 / 256));
+  const phi1 = mu +
+    (3 * e1 / 2 - 27 * e1 ** 3 / 32) * Math.sin(2 * mu) +
+    (21 * e1 * e1 / 16 - 55 * e1 ** 4 / 32) * Math.sin(4 * mu) +
+    (151 * e1 ** 3 / 96) * Math.sin(6 * mu) +
+    (1097 * e1 ** 4 / 512) * Math.sin(8 * mu);
+
+  const sinPhi1 = Math.sin(phi1);
+  const cosPhi1 = Math.cos(phi1);
+  const N1 = WGS84_A / Math.sqrt(1 - e2 * sinPhi1 * sinPhi1);
+  const T1 = Math.tan(phi1) ** 2;
+  const C1 = ep2 * cosPhi1 * cosPhi1;
+  const R1 = WGS84_A * (1 - e2) / (1 - e2 * sinPhi1 * sinPhi1) ** 1.5;
+  const D = x / (N1 * UTM_K0);
+
+  const phi = phi1 - (N1 * Math.tan(phi1) / R1) * (
+    D * D / 2 -
+    (5 + 3 * T1 + 10 * C1 - 4 * C1 * C1 - 9 * ep2) * D ** 4 / 24 +
+    (61 + 90 * T1 + 298 * C1 + 45 * T1 * T1 - 252 * ep2 - 3 * C1 * C1) * D ** 6 / 720
+  );
+  const lambda = lambda0 + (
+    D -
+    (1 + 2 * T1 + C1) * D ** 3 / 6 +
+    (5 - 2 * C1 + 28 * T1 - 3 * C1 * C1 + 8 * ep2 + 24 * T1 * T1) * D ** 5 / 120
+  ) / cosPhi1;
+
+  return [lambda * 180 / Math.PI, phi * 180 / Math.PI];
+}
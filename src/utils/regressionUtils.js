@@ -0,0 +1,117 @@
+/**
+ * Ordinary least squares regression with prediction intervals, for the
+ * small calibration sets (tens to hundreds of rows, a handful of
+ * predictors) behind the yield model.
+ */
+
+// Two-sided 95% Student's t quantiles for 1-30 degrees of freedom
+const T_95 = [12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228,
+  2.201, 2.179, 2.160, 2.145, 2.131, 2.120, 2.110, 2.101, 2.093, 2.086,
+  2.080, 2.074, 2.069, 2.064, 2.060, 2.056, 2.052, 2.048, 2.045, 2.042];
+
+/**
+ * Fit y = b0 + b1*x1 + ... + bk*xk by least squares
+ * @param {Array<Array<number>>} rows - Predictor values per observation (without the intercept)
+ * @param {Array<number>} targets - Observed values
+ * @returns {Object|null} - { coefficients [b0..bk], inverse (X'X)^-1, residualStdError, r2, rmse, n, parameters },
+ *   null when the predictors are collinear or there are no residual degrees of freedom
+ */
+export function fitLinearRegression(rows, targets) {
+  const n = rows.length;
+  const parameters = (rows[0]?.length ?? 0) + 1;
+  if (n <= parameters) {
+    return null;
+  }
+
+  const design = rows.map(row => [1, ...row]);
+  const xtx = Array.from({ length: parameters }, (_, i) =>
+    Array.from({ length: parameters }, (_, j) => design.reduce((sum, row) => sum + row[i] * row[j], 0)));
+  const xty = Array.from({ length: parameters }, (_, i) =>
+    design.reduce((sum, row, k) => sum + row[i] * targets[k], 0));
+
+  const inverse = invertMatrix(xtx);
+  if (!inverse) {
+    return null;
+  }
+  const coefficients = inverse.map(row => row.reduce((sum, value, j) => sum + value * xty[j], 0));
+
+  const mean = targets.reduce((sum, value) => sum + value, 0) / n;
+  let residualSum = 0;
+  let totalSum = 0;
+  design.forEach((row, k) => {
+    const fitted = row.reduce((sum, value, j) => sum + value * coefficients[j], 0);
+    residualSum += (targets[k] - fitted) ** 2;
+    totalSum += (targets[k] - mean) ** 2;
+  });
+
+  return {
+    coefficients,
+    inverse,
+    residualStdError: Math.sqrt(residualSum / (n - parameters)),
+    r2: totalSum > 0 ? 1 - residualSum / totalSum : null,
+    rmse: Math.sqrt(residualSum / n),
+    n,
+    parameters
+  };
+}
+
+/**
+ * Predict a value with its 95% prediction interval
+ * @param {Object} model - Result of fitLinearRegression()
+ * @param {Array<number>} row - Predictor values (without the intercept)
+ * @returns {Object} - { value, margin }; the interval is value ± margin
+ */
+export function predictWithInterval(model, row) {
+  const x = [1, ...row];
+  const value = x.reduce((sum, v, j) => sum + v * model.coefficients[j], 0);
+  // Var(prediction error) = s^2 (1 + x' (X'X)^-1 x)
+  const leverage = x.reduce((sum, xi, i) =>
+    sum + xi * x.reduce((inner, xj, j) => inner + model.inverse[i][j] * xj, 0), 0);
+  const margin = tQuantile95(model.n - model.parameters) * model.residualStdError * Math.sqrt(1 + leverage);
+  return { value, margin };
+}
+
+/**
+ * Two-sided 95% quantile of Student's t distribution
+ * @param {number} degreesOfFreedom - Degrees of freedom (>= 1)
+ * @returns {number} - Quantile; within 0.002 of the exact value beyond the table
+ */
+export function tQuantile95(degreesOfFreedom) {
+  if (degreesOfFreedom <= T_95.length) {
+    return T_95[Math.max(1, Math.floor(degreesOfFreedom)) - 1];
+  }
+  return 1.96 + 2.5 / degreesOfFreedom;
+}
+
+/**
+ * Invert a square matrix by Gauss-Jordan elimination with partial pivoting
+ * @param {Array<Array<number>>} matrix - Square matrix
+ * @returns {Array<Array<number>>|null} - Inverse, null when the matrix is singular
+ */
+function invertMatrix(matrix) {
+  const size = matrix.length;
+  const augmented = matrix.map((row, i) => [...row, ...row.map((_, j) => (i === j ? 1 : 0))]);
+  const scale = Math.max(...matrix.map((row, i) => Math.abs(row[i])), 1);
+
+  for (let col = 0; col < size; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < size; row++) {
+      if (Math.abs(augmented[row][col]) > Math.abs(augmented[pivot][col])) pivot = row;
+    }
+    if (Math.abs(augmented[pivot][col]) < 1e-10 * scale) {
+      return null;
+    }
+    [augmented[col], augmented[pivot]] = [augmented[pivot], augmented[col]];
+
+    const divisor = augmented[col][col];
+    augmented[col] = augmented[col].map(value => value / divisor);
+    for (let row = 0; row < size; row++) {
+      if (row !== col) {
+        const factor = augmented[row][col];
+        augmented[row] = augmented[row].map((value, j) => value - factor * augmented[col][j]);
+      }
+    }
+  }
+
+  return augmented.map(row => row.slice(size));
+}
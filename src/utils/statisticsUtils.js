@@ -0,0 +1,105 @@
+/**
+ * Streaming statistics for raster values. Values are added one at a time so
+ * rasters can be summarized chunk by chunk without keeping every pixel.
+ */
+
+// Values outside the histogram kept for the median, per side
+const MAX_OUTLIERS = 100000;
+
+/**
+ * Create a statistics accumulator. Mean, min, max and standard deviation are
+ * exact; the median comes from a fixed-width histogram, so it is accurate to
+ * one bin (0.0001 with the default bins). Values outside [min, max] are
+ * kept as they are, so a median among them is exact; past MAX_OUTLIERS of
+ * them they count towards the edge bins.
+ * @param {Object} [options] - Histogram options
+ * @param {number} [options.min=-1] - Lower histogram bound
+ * @param {number} [options.max=1] - Upper histogram bound
+ * @param {number} [options.bins] - Number of histogram bins (default: one per 0.0001)
+ * @returns {Object} - Accumulator with add(value) and summarize(totalPixels)
+ */
+export function createStatisticsAccumulator({ min = -1, max = 1, bins = Math.round((max - min) * 10000) } = {}) {
+  const histogram = new Uint32Array(bins);
+  const binWidth = (max - min) / bins;
+  const below = [];
+  const above = [];
+  let count = 0;
+  let sum = 0;
+  let sumOfSquares = 0;
+  let lowest = Infinity;
+  let highest = -Infinity;
+
+  return {
+    /**
+     * Add a valid (non-NaN) value
+     * @param {number} value - Raster value
+     */
+    add(value) {
+      count++;
+      sum += value;
+      sumOfSquares += value * value;
+      if (value < lowest) lowest = value;
+      if (value > highest) highest = value;
+      if (value < min && below.length < MAX_OUTLIERS) {
+        below.push(value);
+        return;
+      }
+      if (value >= max && above.length < MAX_OUTLIERS) {
+        above.push(value);
+        return;
+      }
+      const bin = Math.floor((value - min) / binWidth);
+      histogram[Math.min(bins - 1, Math.max(0, bin))]++;
+    },
+
+    /**
+     * Summarize the values added so far
+     * @param {number} totalPixels - Pixels considered, valid or not
+     * @returns {Object} - Mean, median, min, max, standard deviation and counts
+     */
+    summarize(totalPixels) {
+      if (count === 0) {
+        return {
+          mean: null,
+          median: null,
+          min: null,
+          max: null,
+          stdDev: null,
+          pixelCount: 0,
+          totalPixels,
+          percentValid: 0
+        };
+      }
+
+      const mean = sum / count;
+      const variance = Math.max(0, sumOfSquares / count - mean * mean);
+
+      return {
+        mean: parseFloat(mean.toFixed(4)),
+        median: parseFloat(Math.min(highest, Math.max(lowest, histogramMedian())).toFixed(4)),
+        min: parseFloat(lowest.toFixed(4)),
+        max: parseFloat(highest.toFixed(4)),
+        stdDev: parseFloat(Math.sqrt(variance).toFixed(4)),
+        pixelCount: count,
+        totalPixels,
+        percentValid: parseFloat(((count / totalPixels) * 100).toFixed(1))
+      };
+    }
+  };
+
+  function histogramMedian() {
+    const half = count / 2;
+    const rank = Math.max(1, Math.ceil(half));
+    if (below.length >= half) {
+      return below.sort((a, b) => a - b)[rank - 1];
+    }
+    let seen = below.length;
+    for (let bin = 0; bin < bins; bin++) {
+      seen += histogram[bin];
+      if (seen >= half) {
+        return min + (bin + 0.5) * binWidth;
+      }
+    }
+    return above.sort((a, b) => a - b)[rank - seen - 1];
+  }
+}
@@ -0,0 +1,155 @@
+/**
+ * Smoothing and curve fitting for short vegetation index time series:
+ * Savitzky-Golay filtering of regularly spaced values and double-logistic
+ * seasonal curves fitted to irregular observations.
+ */
+
+import { fitLinearRegression } from "./regressionUtils.js";
+
+const NELDER_MEAD_ITERATIONS = 2000;
+const NELDER_MEAD_TOLERANCE = 1e-10;
+
+/**
+ * Smooth regularly spaced values with a Savitzky-Golay filter: each value is
+ * replaced by a local polynomial fitted to its window. Windows are cut at the
+ * ends of the series, where the polynomial is fitted to the values available.
+ * @param {Array<number>} values - Values at a fixed step
+ * @param {number} halfWindow - Values on each side of the one being smoothed
+ * @param {number} degree - Polynomial degree
+ * @returns {Array<number>} - Smoothed values
+ */
+export function savitzkyGolay(values, halfWindow, degree) {
+  return values.map((value, i) => {
+    const from = Math.max(0, i - halfWindow);
+    const to = Math.min(values.length - 1, i + halfWindow);
+    // Short windows at the ends get a lower degree so the fit is determined
+    const windowDegree = Math.min(degree, to - from - 1);
+    const offsets = [];
+    const targets = [];
+    for (let j = from; j <= to; j++) {
+      offsets.push(Array.from({ length: windowDegree }, (_, power) => (j - i) ** (power + 1)));
+      targets.push(values[j]);
+    }
+    // Centred on i, the intercept is the polynomial's value there
+    const model = fitLinearRegression(offsets, targets);
+    return model ? model.coefficients[0] : value;
+  });
+}
+
+/**
+ * Evaluate a double-logistic seasonal curve (Beck et al. 2006): a rise to the
+ * peak level around `start` followed by a decline around `end`
+ * @param {Object} curve - { base, peak, start, rise, end, decline }
+ * @param {number} t - Time in days
+ * @returns {number} - Curve value
+ */
+export function evaluateDoubleLogistic({ base, peak, start, rise, end, decline }, t) {
+  return base + (peak - base) * (1 / (1 + Math.exp(-rise * (t - start))) + 1 / (1 + Math.exp(decline * (t - end))) - 1);
+}
+
+/**
+ * Fit a double-logistic seasonal curve to observations by least squares
+ * (Nelder-Mead simplex search), starting from the data's range and peak
+ * @param {Array<number>} times - Observation times in days
+ * @param {Array<number>} values - Observed values
+ * @returns {Object} - Curve for evaluateDoubleLogistic() with its { rmse }
+ */
+export function fitDoubleLogistic(times, values) {
+  const peakIndex = values.indexOf(Math.max(...values));
+  const first = times[0];
+  const last = times[times.length - 1];
+  const initial = [
+    Math.min(...values),
+    values[peakIndex],
+    (first + times[peakIndex]) / 2,
+    0.1,
+    (times[peakIndex] + last) / 2,
+    0.1
+  ];
+  const toCurve = ([base, peak, start, rise, end, decline]) => ({ base, peak, start, rise, end, decline });
+  const squaredError = parameters => {
+    const curve = toCurve(parameters);
+    // Keep the rise before the decline and both slopes positive
+    if (curve.rise <= 0 || curve.decline <= 0 || curve.start >= curve.end) {
+      return Infinity;
+    }
+    return times.reduce((sum, t, i) => sum + (evaluateDoubleLogistic(curve, t) - values[i]) ** 2, 0);
+  };
+
+  const best = minimizeNelderMead(squaredError, initial, [0.05, 0.05, 10, 0.05, 10, 0.05]);
+  return { ...toCurve(best), rmse: Math.sqrt(squaredError(best) / times.length) };
+}
+
+/**
+ * Linearly interpolate observations onto a regular time grid
+ * @param {Array<number>} times - Observation times in ascending order
+ * @param {Array<number>} values - Observed values
+ * @param {Array<number>} grid - Times to interpolate at, within the observations
+ * @returns {Array<number>} - Interpolated values
+ */
+export function interpolateLinear(times, values, grid) {
+  let j = 0;
+  return grid.map(t => {
+    while (j < times.length - 2 && times[j + 1] < t) {
+      j++;
+    }
+    const span = times[j + 1] - times[j];
+    if (!(span > 0)) {
+      return values[j];
+    }
+    const weight = Math.min(1, Math.max(0, (t - times[j]) / span));
+    return values[j] + (values[j + 1] - values[j]) * weight;
+  });
+}
+
+/**
+ * Minimize a function with the Nelder-Mead simplex method
+ * @param {Function} objective - (parameters) => value to minimize
+ * @param {Array<number>} initial - Starting parameters
+ * @param {Array<number>} steps - Initial simplex size per parameter
+ * @returns {Array<number>} - Best parameters found
+ */
+function minimizeNelderMead(objective, initial, steps) {
+  let simplex = [initial, ...initial.map((_, i) => initial.map((value, j) => (i === j ? value + steps[i] : value)))]
+    .map(point => ({ point, value: objective(point) }));
+  const combine = (a, b, factor) => a.map((value, i) => value + factor * (b[i] - value));
+
+  for (let iteration = 0; iteration < NELDER_MEAD_ITERATIONS; iteration++) {
+    simplex.sort((a, b) => a.value - b.value);
+    const best = simplex[0];
+    const worst = simplex[simplex.length - 1];
+    if (Math.abs(worst.value - best.value) <= NELDER_MEAD_TOLERANCE * (Math.abs(best.value) + NELDER_MEAD_TOLERANCE)) {
+      break;
+    }
+
+    const centroid = initial.map((_, i) =>
+      simplex.slice(0, -1).reduce((sum, { point }) => sum + point[i], 0) / (simplex.length - 1));
+    const reflected = combine(centroid, worst.point, -1);
+    const reflectedValue = objective(reflected);
+
+    if (reflectedValue < best.value) {
+      const expanded = combine(centroid, worst.point, -2);
+      const expandedValue = objective(expanded);
+      simplex[simplex.length - 1] = expandedValue < reflectedValue
+        ? { point: expanded, value: expandedValue }
+        : { point: reflected, value: reflectedValue };
+    } else if (reflectedValue < simplex[simplex.length - 2].value) {
+      simplex[simplex.length - 1] = { point: reflected, value: reflectedValue };
+    } else {
+      const contracted = combine(centroid, worst.point, 0.5);
+      const contractedValue = objective(contracted);
+      if (contractedValue < worst.value) {
+        simplex[simplex.length - 1] = { point: contracted, value: contractedValue };
+      } else {
+        simplex = simplex.map(({ point }, i) => {
+          if (i === 0) {
+            return simplex[0];
+          }
+          const shrunk = combine(best.point, point, 0.5);
+          return { point: shrunk, value: objective(shrunk) };
+        });
+      }
+    }
+  }
+  return simplex.reduce((a, b) => (b.value < a.value ? b : a)).point;
+}
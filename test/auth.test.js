@@ -0,0 +1,150 @@
+/**
+ * Local token verification, the access_token query parameter and
+ * ownership checks. Users are stored in a temporary data directory.
+ */
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { createLocalJwtVerifier, signLocalToken } from "../src/services/auth/localJwt.js";
+import { setTokenVerifier } from "../src/services/auth/tokenVerifier.js";
+import { authenticate } from "../src/middleware/auth.js";
+import { canAccess } from "../src/services/accountService.js";
+
+const SECRET = "test-secret";
+
+let dataDir;
+
+before(async () => {
+  dataDir = await fs.mkdtemp(path.join(os.tmpdir(), "auth-test-"));
+  process.env.DATA_DIR = dataDir;
+  setTokenVerifier(createLocalJwtVerifier({ secret: SECRET }));
+});
+
+after(async () => {
+  setTokenVerifier(undefined);
+  await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+test("a signed token verifies to its claims", async () => {
+  const verifier = createLocalJwtVerifier({ secret: SECRET });
+  const token = signLocalToken({ sub: "u1", email: "a@example.com", role: "agronomist", organizationId: "org1" }, SECRET);
+  assert.deepEqual(await verifier.verify(token), {
+    uid: "u1",
+    email: "a@example.com",
+    name: null,
+    role: "agronomist",
+    organizationId: "org1"
+  });
+});
+
+test("tokens with another secret, a changed payload or another algorithm are rejected", async () => {
+  const verifier = createLocalJwtVerifier({ secret: SECRET });
+  await assert.rejects(verifier.verify(signLocalToken({ sub: "u1" }, "other-secret")), { status: 401, message: /bad signature/ });
+
+  const [header, , signature] = signLocalToken({ sub: "u1" }, SECRET).split(".");
+  const payload = Buffer.from(JSON.stringify({ sub: "u1", role: "admin" })).toString("base64url");
+  await assert.rejects(verifier.verify(`${header}.${payload}.${signature}`), { status: 401, message: /bad signature/ });
+
+  const none = Buffer.from(JSON.stringify({ alg: "none" })).toString("base64url");
+  await assert.rejects(verifier.verify(`${none}.${payload}.`), { status: 401 });
+  await assert.rejects(verifier.verify("not-a-jwt"), { status: 401, message: /malformed/ });
+});
+
+test("expired tokens are rejected", async () => {
+  const verifier = createLocalJwtVerifier({ secret: SECRET });
+  await assert.rejects(verifier.verify(signLocalToken({ sub: "u1" }, SECRET, { expiresIn: -1 })), { status: 401, message: /expired$/ });
+});
+
+test("tokens from another issuer are rejected when an issuer is required", async () => {
+  const verifier = createLocalJwtVerifier({ secret: SECRET, issuer: "agri-backend" });
+  assert.equal((await verifier.verify(signLocalToken({ sub: "u1", iss: "agri-backend" }, SECRET))).uid, "u1");
+  await assert.rejects(verifier.verify(signLocalToken({ sub: "u1", iss: "elsewhere" }, SECRET)), { status: 401, message: /wrong issuer/ });
+  await assert.rejects(verifier.verify(signLocalToken({ sub: "u1" }, SECRET)), { status: 401, message: /wrong issuer/ });
+});
+
+test("tokens without a subject are rejected", async () => {
+  const verifier = createLocalJwtVerifier({ secret: SECRET });
+  await assert.rejects(verifier.verify(signLocalToken({}, SECRET)), { status: 401, message: /missing sub/ });
+});
+
+test("the access_token query parameter is accepted for NDVI tiles and previews", async () => {
+  const token = signLocalToken({ sub: "tiles-user" }, SECRET);
+  for (const url of ["/api/ndvi/tiles/10/730/425.png", "/api/ndvi/preview.png"]) {
+    const result = await runAuthenticate(url, { access_token: token });
+    assert.equal(result.status, null, url);
+    assert.equal(result.user.id, "tiles-user");
+  }
+});
+
+test("the access_token query parameter is ignored for other endpoints", async () => {
+  const token = signLocalToken({ sub: "u1" }, SECRET);
+  for (const url of ["/api/ndvi", "/api/fields", "/api/ndvi/tiles.json", "/api/ndvi/preview.png/extra"]) {
+    const result = await runAuthenticate(url, { access_token: token });
+    assert.equal(result.status, 401, url);
+    assert.equal(result.user, undefined);
+  }
+});
+
+test("the Authorization header is accepted everywhere", async () => {
+  const token = signLocalToken({ sub: "u1" }, SECRET);
+  const result = await runAuthenticate("/api/fields", {}, `Bearer ${token}`);
+  assert.equal(result.status, null);
+  assert.equal(result.user.id, "u1");
+});
+
+test("resources without an owner can be read by everyone but written only by admins", () => {
+  const resource = { id: "shared" };
+  const farmer = { id: "u1", role: "farmer" };
+  const agronomist = { id: "u2", role: "agronomist", organizationId: "org1" };
+  const admin = { id: "u3", role: "admin" };
+
+  for (const user of [farmer, agronomist, admin]) {
+    assert.equal(canAccess(user, resource, "read"), true);
+  }
+  for (const action of ["write", "delete"]) {
+    assert.equal(canAccess(farmer, resource, action), false);
+    assert.equal(canAccess(agronomist, { ...resource, organizationId: "org1" }, action), false);
+    assert.equal(canAccess(admin, resource, action), true);
+  }
+});
+
+test("agronomists may change but not delete resources of their organization", () => {
+  const resource = { id: "f1", owner: "u1", organizationId: "org1" };
+  const agronomist = { id: "u2", role: "agronomist", organizationId: "org1" };
+  assert.equal(canAccess(agronomist, resource, "write"), true);
+  assert.equal(canAccess(agronomist, resource, "delete"), false);
+  assert.equal(canAccess({ ...agronomist, organizationId: "org2" }, resource, "read"), false);
+  assert.equal(canAccess({ id: "u1", role: "farmer" }, resource, "delete"), true);
+  assert.equal(canAccess(null, resource, "delete"), true);
+});
+
+/**
+ * Run the authenticate middleware for a request
+ * @param {string} url - Request path under /api
+ * @param {Object} query - Query parameters
+ * @param {string} [authorization] - Authorization header
+ * @returns {Object} - { status, user } with status null when the request was let through
+ */
+async function runAuthenticate(url, query, authorization) {
+  const req = {
+    baseUrl: "/api",
+    path: url.slice("/api".length),
+    query,
+    get: name => (name.toLowerCase() === "authorization" ? authorization : undefined)
+  };
+  let status = null;
+  const res = {
+    status(code) {
+      status = code;
+      return this;
+    },
+    json() {
+      return this;
+    }
+  };
+  await authenticate(req, res, () => {});
+  return { status, user: req.user };
+}
@@ -0,0 +1,171 @@
+/**
+ * Satellite NDVI against a local STAC fixture server: a search endpoint
+ * returning fixed items and the band GeoTIFFs they point to, read over HTTP
+ * range requests like real cloud-optimized GeoTIFFs.
+ */
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import { writeArrayBuffer } from "geotiff";
+import { calculateNdvi } from "../src/services/GeoTIFFService.js";
+import { createStacClient, setStacClient } from "../src/services/dynamicGeoTIFFService.js";
+
+const SIZE = 100;
+const LATITUDE = 28.615;
+const LONGITUDE = 77.205;
+
+// Digital numbers for red reflectance 0.05 and NIR 0.3 (true NDVI 0.7143)
+// with the Landsat Collection 2 Level-2 scale and offset, and with plain
+// Sentinel-2 scaling (0.0001, no offset)
+const LANDSAT_SCALING = { scale: 0.0000275, offset: -0.2 };
+const FILES = {
+  "/landsat/red.tif": createBand((0.05 + 0.2) / LANDSAT_SCALING.scale),
+  "/landsat/nir.tif": createBand((0.3 + 0.2) / LANDSAT_SCALING.scale),
+  "/sentinel/red.tif": createBand(500),
+  "/sentinel/nir.tif": createBand(3000)
+};
+
+let server;
+let baseUrl;
+let items = [];
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    if (req.method === "POST" && req.url === "/search") {
+      req.resume();
+      req.on("end", () => {
+        res.writeHead(200, { "content-type": "application/geo+json" });
+        res.end(JSON.stringify({ type: "FeatureCollection", features: items }));
+      });
+      return;
+    }
+    const data = FILES[req.url];
+    if (!data) {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+    const range = /bytes=(\d+)-(\d+)/.exec(req.headers.range || "");
+    if (req.method === "HEAD" || !range) {
+      res.writeHead(200, { "content-length": data.length, "accept-ranges": "bytes" });
+      res.end(req.method === "HEAD" ? undefined : data);
+      return;
+    }
+    const start = parseInt(range[1], 10);
+    const end = Math.min(parseInt(range[2], 10), data.length - 1);
+    res.writeHead(206, { "content-range": `bytes ${start}-${end}/${data.length}`, "content-length": end - start + 1 });
+    res.end(data.subarray(start, end + 1));
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+  setStacClient(createStacClient({ STAC_API_URL: baseUrl, STAC_COLLECTIONS: "landsat-c2-l2,sentinel-2-l2a" }));
+});
+
+after(async () => {
+  setStacClient(null);
+  await new Promise(resolve => server.close(resolve));
+});
+
+test("applies the raster:bands scale and offset of Landsat assets", async () => {
+  items = [createItem("LC09_TEST", "landsat-c2-l2", "2024-06-01T05:00:00Z", {
+    red: { href: `${baseUrl}/landsat/red.tif`, "raster:bands": [LANDSAT_SCALING] },
+    nir08: { href: `${baseUrl}/landsat/nir.tif`, "raster:bands": [LANDSAT_SCALING] }
+  })];
+
+  const result = await calculateNdvi({
+    latitude: LATITUDE, longitude: LONGITUDE, radiusKm: 0.2, source: "satellite", date: new Date("2024-06-02")
+  });
+
+  assert.equal(result.scene.id, "stac:landsat-c2-l2:LC09_TEST");
+  assert.equal(result.meanNdvi, "0.7143");
+  assert.ok(result.pixelCount > 0);
+});
+
+test("uses REFLECTANCE_SCALE for assets without raster:bands", async () => {
+  items = [createItem("S2A_TEST", "sentinel-2-l2a", "2024-06-01T05:00:00Z", {
+    red: { href: `${baseUrl}/sentinel/red.tif` },
+    nir: { href: `${baseUrl}/sentinel/nir.tif` }
+  })];
+
+  // NDVI is the same for any scale, so SAVI checks the reflectance:
+  // 1.5 * (0.3 - 0.05) / (0.3 + 0.05 + 0.5), against 1.0713 for the raw numbers
+  const result = await calculateNdvi({
+    latitude: LATITUDE, longitude: LONGITUDE, radiusKm: 0.2, source: "satellite", date: new Date("2024-06-02"),
+    index: "savi", params: { L: 0.5 }
+  });
+
+  assert.equal(result.scene.id, "stac:sentinel-2-l2a:S2A_TEST");
+  assert.equal(result.index, "savi");
+  assert.equal(result.meanValue, "0.4412");
+});
+
+test("picks the least cloudy scene near the date and skips items above the cloud limit", async () => {
+  items = [
+    createItem("CLOUDY", "sentinel-2-l2a", "2024-06-02T05:00:00Z", {
+      red: { href: `${baseUrl}/sentinel/red.tif` },
+      nir: { href: `${baseUrl}/sentinel/nir.tif` }
+    }, 95),
+    createItem("CLEAR", "sentinel-2-l2a", "2024-06-01T05:00:00Z", {
+      red: { href: `${baseUrl}/sentinel/red.tif` },
+      nir: { href: `${baseUrl}/sentinel/nir.tif` }
+    }, 3)
+  ];
+
+  const result = await calculateNdvi({
+    latitude: LATITUDE, longitude: LONGITUDE, radiusKm: 0.3, source: "satellite", date: new Date("2024-06-02")
+  });
+
+  assert.equal(result.scene.id, "stac:sentinel-2-l2a:CLEAR");
+});
+
+test("answers 404 when no item covers the location", async () => {
+  items = [];
+
+  await assert.rejects(
+    calculateNdvi({ latitude: LATITUDE, longitude: LONGITUDE, source: "satellite", date: new Date("2024-06-02") }),
+    error => error.status === 404
+  );
+});
+
+/**
+ * Build a constant single-band GeoTIFF in WGS 84 over the test location
+ * @param {number} value - Pixel value
+ * @returns {Buffer} - GeoTIFF file contents
+ */
+function createBand(value) {
+  const arrayBuffer = writeArrayBuffer(new Float32Array(SIZE * SIZE).fill(value), {
+    width: SIZE,
+    height: SIZE,
+    BitsPerSample: [32],
+    SampleFormat: [3],
+    ModelPixelScale: [0.0001, 0.0001, 0],
+    ModelTiepoint: [0, 0, 0, 77.2, 28.62, 0],
+    GTModelTypeGeoKey: 2,
+    GeographicTypeGeoKey: 4326
+  });
+  return Buffer.from(arrayBuffer);
+}
+
+/**
+ * Build a STAC item with the given assets
+ * @param {string} id - Item id
+ * @param {string} collection - Collection id
+ * @param {string} datetime - Acquisition time
+ * @param {Object} assets - Assets keyed by asset name
+ * @param {number} [cloudCover=5] - eo:cloud_cover
+ * @returns {Object} - STAC item
+ */
+function createItem(id, collection, datetime, assets, cloudCover = 5) {
+  return {
+    type: "Feature",
+    id,
+    collection,
+    geometry: {
+      type: "Polygon",
+      coordinates: [[[77.2, 28.61], [77.21, 28.61], [77.21, 28.62], [77.2, 28.62], [77.2, 28.61]]]
+    },
+    properties: { datetime, "eo:cloud_cover": cloudCover, platform: collection },
+    assets
+  };
+}
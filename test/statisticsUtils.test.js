@@ -0,0 +1,37 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createStatisticsAccumulator } from "../src/utils/statisticsUtils.js";
+
+function summarize(values, options) {
+  const statistics = createStatisticsAccumulator(options);
+  values.forEach(value => statistics.add(value));
+  return statistics.summarize(values.length);
+}
+
+test("median is accurate to one 0.0001 bin inside the range", () => {
+  const { median, mean, min, max } = summarize([0.1, 0.3, 0.2, 0.25, 0.15]);
+  assert.ok(Math.abs(median - 0.2) <= 0.0001);
+  assert.equal(mean, 0.2);
+  assert.equal(min, 0.1);
+  assert.equal(max, 0.3);
+});
+
+test("median among values above the range is exact", () => {
+  assert.equal(summarize([1.2, 1.4, 1.6, 1.8, 2.0]).median, 1.6);
+  assert.equal(summarize([0.5, 1.3, 1.7, 2.4]).median, 1.3);
+});
+
+test("median among values below the range is exact", () => {
+  assert.equal(summarize([-1.7, -1.3, -1.1, 0.4, 0.6]).median, -1.1);
+});
+
+test("a wider range keeps EVI values in the histogram", () => {
+  const { median } = summarize([1.2, 1.4, 1.6, 1.8, 2.0], { min: -2.5, max: 2.5 });
+  assert.ok(Math.abs(median - 1.6) <= 0.0001);
+});
+
+test("summarize without values", () => {
+  assert.deepEqual(summarize([]), {
+    mean: null, median: null, min: null, max: null, stdDev: null, pixelCount: 0, totalPixels: 0, percentValid: 0
+  });
+});
@@ -0,0 +1,56 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { createStoreQueue } from "../src/services/jobs/storeQueue.js";
+import { getCollection } from "../src/services/dataStore.js";
+
+let dataDir;
+
+before(async () => {
+  dataDir = await fs.mkdtemp(path.join(os.tmpdir(), "store-queue-test-"));
+  process.env.DATA_DIR = dataDir;
+});
+
+after(async () => {
+  await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+test("a queued job is claimed by one of several queues", async () => {
+  const queues = [1, 2, 3].map(() => createStoreQueue({ collection: "claimJobs" }));
+  const job = await queues[0].enqueue({ type: "ndvi", params: {}, createdAt: new Date().toISOString() });
+
+  const claims = await Promise.all(queues.map(queue => queue.claimNext(["ndvi"])));
+  const claimed = claims.filter(Boolean);
+  assert.equal(claimed.length, 1);
+  assert.equal(claimed[0].id, job.id);
+  assert.equal(claimed[0].status, "running");
+  assert.equal((await queues[0].get(job.id)).status, "running");
+});
+
+test("jobs are claimed oldest first and only for the given types", async () => {
+  const queue = createStoreQueue({ collection: "orderJobs" });
+  await queue.enqueue({ type: "ndvi", createdAt: "2024-01-02T00:00:00.000Z" });
+  const oldest = await queue.enqueue({ type: "ndvi", createdAt: "2024-01-01T00:00:00.000Z" });
+  await queue.enqueue({ type: "other", createdAt: "2023-01-01T00:00:00.000Z" });
+
+  assert.equal((await queue.claimNext(["ndvi"])).id, oldest.id);
+  assert.equal((await queue.claimNext(["ndvi"])).type, "ndvi");
+  assert.equal(await queue.claimNext(["ndvi"]), null);
+});
+
+test("running jobs whose heartbeat stopped are queued again", async () => {
+  const jobs = getCollection("staleJobs");
+  const old = new Date(Date.now() - 10 * 60 * 1000).toISOString();
+  const recent = new Date().toISOString();
+  await jobs.insert({ id: "stale", type: "ndvi", status: "running", createdAt: old, startedAt: old, heartbeatAt: old });
+  await jobs.insert({ id: "alive", type: "ndvi", status: "running", createdAt: old, startedAt: old, heartbeatAt: recent });
+
+  const queue = createStoreQueue({ collection: "staleJobs" });
+  const job = await queue.claimNext(["ndvi"]);
+  assert.equal(job.id, "stale");
+  assert.ok(job.heartbeatAt > old);
+  assert.equal((await jobs.get("alive")).heartbeatAt, recent);
+  assert.equal(await queue.claimNext(["ndvi"]), null);
+});
@@ -0,0 +1,69 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createMockProvider } from "../src/services/weather/mockProvider.js";
+import { createWeatherProvider } from "../src/services/weather/weatherProvider.js";
+
+const now = () => new Date("2024-07-10T06:00:00Z");
+
+test("mock weather is the same for the same seed, place and date", async () => {
+  const first = createMockProvider({ seed: "test", now });
+  const second = createMockProvider({ seed: "test", now });
+  assert.deepEqual(await first.getForecast(28.61, 77.2, 5), await second.getForecast(28.61, 77.2, 5));
+  assert.deepEqual(await first.getCurrent(28.61, 77.2), await second.getCurrent(28.61, 77.2));
+  assert.deepEqual(
+    await first.getHistory(28.61, 77.2, "2024-01-01", "2024-01-10"),
+    await second.getHistory(28.61, 77.2, "2024-01-01", "2024-01-10")
+  );
+});
+
+test("mock weather agrees across forecast and history for a date", async () => {
+  const provider = createMockProvider({ seed: "test", now });
+  const [forecastDay] = await provider.getForecast(28.61, 77.2, 1);
+  const [historyDay] = await provider.getHistory(28.61, 77.2, "2024-07-10", "2024-07-10");
+  assert.equal(forecastDay.date, "2024-07-10");
+  assert.deepEqual(historyDay, forecastDay);
+});
+
+test("mock weather differs by seed and location but not within about 1 km", async () => {
+  const provider = createMockProvider({ seed: "test", now });
+  const days = await provider.getForecast(28.61, 77.2, 3);
+  assert.notDeepEqual(await createMockProvider({ seed: "other", now }).getForecast(28.61, 77.2, 3), days);
+  assert.notDeepEqual(await provider.getForecast(19.07, 72.88, 3), days);
+  assert.deepEqual(await provider.getForecast(28.6101, 77.2001, 3), days);
+});
+
+test("mock weather follows the monsoon season", async () => {
+  const provider = createMockProvider({ seed: "test", now });
+  const monsoon = await provider.getHistory(28.61, 77.2, "2024-07-01", "2024-07-31");
+  const dry = await provider.getHistory(28.61, 77.2, "2024-01-01", "2024-01-31");
+  assert.equal(monsoon.length, 31);
+  assert.ok(monsoon.every(day => day.rainfall >= 5 && day.humidity >= 70));
+  assert.ok(dry.every(day => day.rainfall <= 5));
+});
+
+test("the mock provider is used by default", () => {
+  assert.equal(createWeatherProvider({}).name, "mock");
+  assert.equal(createWeatherProvider({ WEATHER_PROVIDER: "mock" }).name, "mock");
+});
+
+test("providers are selected by WEATHER_PROVIDER", () => {
+  assert.equal(createWeatherProvider({ WEATHER_PROVIDER: "open-meteo" }).name, "open-meteo");
+  assert.equal(
+    createWeatherProvider({ WEATHER_PROVIDER: "openweathermap", OPENWEATHERMAP_API_KEY: "key" }).name,
+    "openweathermap"
+  );
+  assert.equal(createWeatherProvider({ WEATHER_PROVIDER: "imd", IMD_API_URL: "http://imd.test" }).name, "imd");
+});
+
+test("providers without required settings or unknown names are refused", () => {
+  assert.throws(() => createWeatherProvider({ WEATHER_PROVIDER: "openweathermap" }), /OPENWEATHERMAP_API_KEY/);
+  assert.throws(() => createWeatherProvider({ WEATHER_PROVIDER: "imd" }), /IMD_API_URL/);
+  assert.throws(() => createWeatherProvider({ WEATHER_PROVIDER: "darksky" }), /Unknown WEATHER_PROVIDER/);
+});
+
+test("the mock seed comes from WEATHER_MOCK_SEED", async () => {
+  const seeded = createWeatherProvider({ WEATHER_MOCK_SEED: "test" });
+  const [day] = await seeded.getHistory(28.61, 77.2, "2024-07-10", "2024-07-10");
+  const [expected] = await createMockProvider({ seed: "test" }).getHistory(28.61, 77.2, "2024-07-10", "2024-07-10");
+  assert.deepEqual(day, expected);
+});
@@ -0,0 +1,200 @@
+/**
+ * Management zones on a small synthetic NDVI raster: constant red and NIR
+ * bands in local raster storage, with NIR chosen per pixel for the NDVI
+ * wanted, and a field covering the whole raster.
+ */
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { writeArrayBuffer } from "geotiff";
+import { createRasterStorage, setRasterStorage } from "../src/services/storage/rasterStorage.js";
+import { createField } from "../src/services/fieldRegistry.js";
+import { delineateManagementZones } from "../src/services/zoneService.js";
+
+const SIZE = 10;
+const PIXEL_DEGREES = 0.001;
+const WEST = 77.2;
+const NORTH = 28.62;
+const RED = 0.1;
+
+let tempDir;
+
+before(async () => {
+  tempDir = await fs.mkdtemp(path.join(os.tmpdir(), "zone-test-"));
+  process.env.DATA_DIR = path.join(tempDir, "data");
+  setRasterStorage(createRasterStorage({ STORAGE_BACKEND: "local", LOCAL_STORAGE_DIR: path.join(tempDir, "rasters") }));
+});
+
+after(async () => {
+  setRasterStorage(null);
+  await fs.rm(tempDir, { recursive: true, force: true });
+});
+
+test("nested zones are traced with their holes and islands", async () => {
+  // High NDVI frame around a mid ring around a low ring around a high island
+  const fieldId = await createZoneField((x, y) => {
+    const depth = Math.min(x, y, SIZE - 1 - x, SIZE - 1 - y);
+    return [0.8, 0.8, 0.5, 0.2, 0.8][depth];
+  });
+
+  const result = await delineateManagementZones(fieldId, { zones: 3, smoothing: 0 });
+  const [low, mid, high] = result.zones.features;
+
+  assert.deepEqual(result.breaks, [0.35, 0.65]);
+  assert.deepEqual(low.properties, { zone: 1, pixels: 12, hectares: low.properties.hectares, percent: 12, meanNdvi: 0.2, minNdvi: 0.2, maxNdvi: 0.2 });
+  assert.equal(mid.properties.pixels, 20);
+  assert.equal(high.properties.pixels, 68);
+
+  // The low ring has the island as its hole
+  assert.equal(low.geometry.type, "Polygon");
+  assert.deepEqual(ringBounds(low.geometry.coordinates[0]), pixelBounds(3, 3, 7, 7));
+  assert.deepEqual(ringBounds(low.geometry.coordinates[1]), pixelBounds(4, 4, 6, 6));
+
+  assert.equal(mid.geometry.type, "Polygon");
+  assert.equal(mid.geometry.coordinates.length, 2);
+
+  // The island is a polygon of its own, not a second hole of the frame
+  assert.equal(high.geometry.type, "MultiPolygon");
+  const [frame, island] = [...high.geometry.coordinates].sort((a, b) => b[0].length - a[0].length || ringSpan(b[0]) - ringSpan(a[0]));
+  assert.equal(frame.length, 2);
+  assert.deepEqual(ringBounds(frame[0]), pixelBounds(0, 0, SIZE, SIZE));
+  assert.deepEqual(ringBounds(frame[1]), pixelBounds(2, 2, 8, 8));
+  assert.deepEqual(island, [[
+    ...[[4, 4], [4, 6], [6, 6], [6, 4], [4, 4]].map(([x, y]) => toLonLat(x, y))
+  ]]);
+});
+
+test("outer rings are counterclockwise and holes clockwise", async () => {
+  const fieldId = await createZoneField((x, y) => {
+    const depth = Math.min(x, y, SIZE - 1 - x, SIZE - 1 - y);
+    return [0.8, 0.8, 0.5, 0.2, 0.8][depth];
+  });
+
+  const { zones } = await delineateManagementZones(fieldId, { zones: 3, smoothing: 0 });
+  const [low] = zones.features;
+  assert.ok(signedArea(low.geometry.coordinates[0]) > 0);
+  assert.ok(signedArea(low.geometry.coordinates[1]) < 0);
+  for (const ring of low.geometry.coordinates) {
+    assert.deepEqual(ring[0], ring[ring.length - 1]);
+  }
+});
+
+test("k-means and Jenks break between clearly separated NDVI groups", async () => {
+  // Columns of 0.1-0.15, 0.4-0.45 and 0.7-0.75
+  const fieldId = await createZoneField((x, y) => [0.1, 0.4, 0.7][Math.floor(x / 4) % 3] + (y % 6) * 0.01);
+
+  for (const method of ["kmeans", "jenks"]) {
+    const { breaks, zones } = await delineateManagementZones(fieldId, { zones: 3, method, smoothing: 0 });
+    assert.deepEqual(breaks, [0.275, 0.575], method);
+    assert.deepEqual(zones.features.map(({ properties }) => properties.pixels), [40, 40, 20], method);
+  }
+});
+
+test("Jenks finds the least squared deviation where k-means stops at nearer centres", async () => {
+  // 60 pixels at 0.1, 20 at 0.15, 10 at 0.5, 5 at 0.55, 4 at 0.8 and one at 0.95
+  const levels = [[60, 0.1], [80, 0.15], [90, 0.5], [95, 0.55], [99, 0.8], [100, 0.95]];
+  const fieldId = await createZoneField((x, y) => levels.find(([end]) => y * SIZE + x < end)[1]);
+
+  const jenks = await delineateManagementZones(fieldId, { zones: 3, method: "jenks", smoothing: 0 });
+  assert.deepEqual(jenks.breaks, [0.325, 0.675]);
+  assert.deepEqual(jenks.zones.features.map(({ properties }) => properties.pixels), [80, 15, 5]);
+
+  // The centres start at the quantiles, which all fall in the two lowest levels
+  const kmeans = await delineateManagementZones(fieldId, { zones: 3, method: "kmeans", smoothing: 0 });
+  assert.deepEqual(kmeans.breaks, [0.125, 0.325]);
+  assert.deepEqual(kmeans.zones.features.map(({ properties }) => properties.pixels), [60, 20, 20]);
+});
+
+test("a zone emptied by smoothing has no geometry", async () => {
+  // One low pixel inside the high half is merged away by the majority filter
+  const fieldId = await createZoneField((x, y) => (x === 7 && y === 5 ? 0.2 : x < 5 ? 0.5 : 0.8));
+
+  const { zones, summary } = await delineateManagementZones(fieldId, { zones: 3, smoothing: 1 });
+  const [low, mid, high] = zones.features;
+  assert.equal(low.properties.pixels, 0);
+  assert.equal(low.properties.hectares, 0);
+  assert.equal(low.properties.meanNdvi, null);
+  assert.equal(low.geometry, null);
+  assert.equal(mid.geometry.type, "Polygon");
+  assert.equal(high.properties.pixels, 50);
+  assert.equal(summary.zones, 3);
+});
+
+/**
+ * Write red and NIR bands giving an NDVI per pixel, and register a field
+ * covering the whole raster
+ * @param {Function} ndviAt - (x, y) => NDVI of the pixel
+ * @returns {string} - Field id
+ */
+async function createZoneField(ndviAt) {
+  const red = new Float32Array(SIZE * SIZE).fill(RED);
+  const nir = new Float32Array(SIZE * SIZE);
+  for (let y = 0; y < SIZE; y++) {
+    for (let x = 0; x < SIZE; x++) {
+      const ndvi = ndviAt(x, y);
+      nir[y * SIZE + x] = RED * (1 + ndvi) / (1 - ndvi);
+    }
+  }
+  const rasterDir = path.join(tempDir, "rasters");
+  await fs.mkdir(rasterDir, { recursive: true });
+  await fs.writeFile(path.join(rasterDir, "red.tif"), createBand(red));
+  await fs.writeFile(path.join(rasterDir, "nir.tif"), createBand(nir));
+
+  const corners = [[0, 0], [SIZE, 0], [SIZE, SIZE], [0, SIZE], [0, 0]].map(([x, y]) => toLonLat(x, y));
+  const field = await createField({ name: "Zone test", boundary: { type: "Polygon", coordinates: [corners] } });
+  return field.id;
+}
+
+/**
+ * Build a single-band Float32 GeoTIFF in WGS 84
+ * @param {Float32Array} values - Pixel values, row by row
+ * @returns {Buffer} - GeoTIFF file contents
+ */
+function createBand(values) {
+  return Buffer.from(writeArrayBuffer(values, {
+    width: SIZE,
+    height: SIZE,
+    BitsPerSample: [32],
+    SampleFormat: [3],
+    ModelPixelScale: [PIXEL_DEGREES, PIXEL_DEGREES, 0],
+    ModelTiepoint: [0, 0, 0, WEST, NORTH, 0],
+    GTModelTypeGeoKey: 2,
+    GeographicTypeGeoKey: 4326
+  }));
+}
+
+function toLonLat(x, y) {
+  return [round(WEST + x * PIXEL_DEGREES), round(NORTH - y * PIXEL_DEGREES)];
+}
+
+function pixelBounds(x0, y0, x1, y1) {
+  const [west, north] = toLonLat(x0, y0);
+  const [east, south] = toLonLat(x1, y1);
+  return { west, south, east, north };
+}
+
+function ringBounds(ring) {
+  const lons = ring.map(([lon]) => lon);
+  const lats = ring.map(([, lat]) => lat);
+  return { west: Math.min(...lons), south: Math.min(...lats), east: Math.max(...lons), north: Math.max(...lats) };
+}
+
+function ringSpan(ring) {
+  const { west, east } = ringBounds(ring);
+  return east - west;
+}
+
+function signedArea(ring) {
+  let area = 0;
+  for (let i = 0; i < ring.length - 1; i++) {
+    area += ring[i][0] * ring[i + 1][1] - ring[i + 1][0] * ring[i][1];
+  }
+  return area / 2;
+}
+
+function round(value) {
+  return parseFloat(value.toFixed(7));
+}